@@ -0,0 +1,48 @@
+const path = require('path');
+
+/**
+ * File types that can be attached to a bug, with the extension used to store them.
+ * Types a browser could run as a page (HTML, SVG) are deliberately left out.
+ */
+const ALLOWED_ATTACHMENT_TYPES = {
+  'image/png': '.png',
+  'image/jpeg': '.jpg',
+  'image/gif': '.gif',
+  'image/webp': '.webp',
+  'text/plain': '.txt',
+  'text/csv': '.csv',
+  'application/json': '.json',
+  'application/pdf': '.pdf',
+  'application/zip': '.zip'
+};
+
+const DEFAULT_MAX_ATTACHMENT_MB = 10;
+const MAX_FILES_PER_UPLOAD = 5;
+const MAX_ATTACHMENTS_PER_BUG = 20;
+
+/**
+ * Loads the attachment settings, allowing them to be overridden with the
+ * ATTACHMENT_STORAGE, ATTACHMENT_DIR and ATTACHMENT_MAX_SIZE_MB environment variables.
+ */
+const loadAttachmentConfig = (env = process.env) => {
+  const maxSizeMb = env.ATTACHMENT_MAX_SIZE_MB ? Number(env.ATTACHMENT_MAX_SIZE_MB) : DEFAULT_MAX_ATTACHMENT_MB;
+  if (!Number.isFinite(maxSizeMb) || maxSizeMb <= 0) {
+    throw new Error('Invalid ATTACHMENT_MAX_SIZE_MB, expected a positive number');
+  }
+
+  return {
+    storage: env.ATTACHMENT_STORAGE || 'local',
+    directory: env.ATTACHMENT_DIR || path.join(__dirname, '..', '..', 'uploads'),
+    maxSizeMb,
+    maxSizeBytes: Math.floor(maxSizeMb * 1024 * 1024)
+  };
+};
+
+module.exports = {
+  ALLOWED_ATTACHMENT_TYPES,
+  DEFAULT_MAX_ATTACHMENT_MB,
+  MAX_FILES_PER_UPLOAD,
+  MAX_ATTACHMENTS_PER_BUG,
+  loadAttachmentConfig,
+  attachmentConfig: loadAttachmentConfig()
+};
@@ -0,0 +1,6 @@
+// Bug priorities from lowest to highest severity
+const PRIORITIES = ['low', 'medium', 'high', 'critical'];
+
+module.exports = {
+  PRIORITIES
+};
@@ -0,0 +1,18 @@
+const ROLES = ['reporter', 'developer', 'admin'];
+
+// New accounts start with the least privileged role
+const DEFAULT_ROLE = 'reporter';
+
+/**
+ * Roles allowed to move a bug into a status.
+ * Statuses not listed can be set by any logged in user.
+ */
+const STATUS_ROLES = {
+  resolved: ['developer', 'admin']
+};
+
+module.exports = {
+  ROLES,
+  DEFAULT_ROLE,
+  STATUS_ROLES
+};
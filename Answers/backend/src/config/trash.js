@@ -0,0 +1,29 @@
+// Deleted bugs stay restorable for this many days before they are purged
+const DEFAULT_TRASH_RETENTION_DAYS = 30;
+
+// How often the purge job looks for expired bugs
+const PURGE_INTERVAL_MS = 60 * 60 * 1000;
+
+/**
+ * Loads the trash retention period, allowing it to be overridden with the
+ * BUG_TRASH_RETENTION_DAYS environment variable.
+ */
+const loadTrashRetentionDays = (env = process.env) => {
+  if (!env.BUG_TRASH_RETENTION_DAYS) {
+    return DEFAULT_TRASH_RETENTION_DAYS;
+  }
+
+  const days = Number(env.BUG_TRASH_RETENTION_DAYS);
+  if (!Number.isFinite(days) || days < 0) {
+    throw new Error('Invalid BUG_TRASH_RETENTION_DAYS, expected a number of days');
+  }
+
+  return days;
+};
+
+module.exports = {
+  DEFAULT_TRASH_RETENTION_DAYS,
+  PURGE_INTERVAL_MS,
+  loadTrashRetentionDays,
+  retentionDays: loadTrashRetentionDays()
+};
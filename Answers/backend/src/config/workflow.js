@@ -0,0 +1,49 @@
+const STATUSES = ['open', 'in-progress', 'resolved', 'closed'];
+
+// Statuses that count as done when measuring time to resolve
+const RESOLVED_STATUSES = ['resolved', 'closed'];
+
+/**
+ * Default bug workflow: open → in-progress → resolved → closed,
+ * with resolved and closed bugs able to be reopened.
+ */
+const DEFAULT_WORKFLOW = {
+  initial: 'open',
+  transitions: {
+    open: ['in-progress'],
+    'in-progress': ['resolved'],
+    resolved: ['closed', 'open'],
+    closed: ['open']
+  }
+};
+
+/**
+ * Loads the workflow, allowing the transitions to be overridden with the
+ * BUG_WORKFLOW environment variable (JSON object of status → next statuses).
+ */
+const loadWorkflow = (env = process.env) => {
+  if (!env.BUG_WORKFLOW) {
+    return DEFAULT_WORKFLOW;
+  }
+
+  const transitions = JSON.parse(env.BUG_WORKFLOW);
+
+  Object.entries(transitions).forEach(([from, targets]) => {
+    if (!STATUSES.includes(from) || !Array.isArray(targets) || !targets.every(to => STATUSES.includes(to))) {
+      throw new Error(`Invalid BUG_WORKFLOW transition for status "${from}"`);
+    }
+  });
+
+  return {
+    initial: DEFAULT_WORKFLOW.initial,
+    transitions: { ...DEFAULT_WORKFLOW.transitions, ...transitions }
+  };
+};
+
+module.exports = {
+  STATUSES,
+  RESOLVED_STATUSES,
+  DEFAULT_WORKFLOW,
+  loadWorkflow,
+  workflow: loadWorkflow()
+};
@@ -0,0 +1,190 @@
+const mongoose = require('mongoose');
+const Bug = require('../models/Bug');
+const { AppError } = require('../middleware/errorHandler');
+const { ACTIVE_BUG_FILTER, buildProjectScope } = require('../utils/bugQuery');
+const { buildBugIdFilter } = require('../utils/bugKeys');
+const { formatBugResponse } = require('../utils/validators');
+const { sanitizeFilename, buildStorageKey, buildContentDisposition } = require('../utils/attachments');
+const { canDeleteAttachment } = require('../utils/permissions');
+const { publishBugEvent } = require('../utils/bugEvents');
+const { MAX_ATTACHMENTS_PER_BUG } = require('../config/attachments');
+const { getStorage } = require('../storage');
+
+/**
+ * Loads a bug and one of its attachments
+ */
+const findBugAttachment = async (bugId, attachmentId, scope) => {
+  const bug = await Bug.findOne({ ...buildBugIdFilter(bugId), ...ACTIVE_BUG_FILTER, ...scope });
+  return { bug, attachment: bug ? bug.attachments.id(attachmentId) : null };
+};
+
+/**
+ * @desc    Upload files and attach them to a bug
+ * @route   POST /api/bugs/:id/attachments
+ * @access  Private
+ */
+const uploadAttachments = async (req, res, next) => {
+  const storage = getStorage();
+  const savedKeys = [];
+
+  try {
+    const bug = await Bug.findOne({ ...buildBugIdFilter(req.params.id), ...ACTIVE_BUG_FILTER, ...buildProjectScope(req.project) });
+
+    if (!bug) {
+      return next(new AppError('Bug not found', 404));
+    }
+
+    const files = req.files || [];
+    if (files.length === 0) {
+      return next(new AppError('No files uploaded, send them in the "files" field', 400));
+    }
+    if (bug.attachments.length + files.length > MAX_ATTACHMENTS_PER_BUG) {
+      return next(new AppError(`A bug can have at most ${MAX_ATTACHMENTS_PER_BUG} attachments`, 400));
+    }
+
+    console.log('Attaching', files.length, 'files to bug:', req.params.id);
+
+    const attachments = [];
+    for (const file of files) {
+      const attachmentId = new mongoose.Types.ObjectId();
+      const storageKey = buildStorageKey(bug._id, attachmentId, file.mimetype);
+
+      await storage.save(storageKey, file.buffer);
+      savedKeys.push(storageKey);
+
+      attachments.push({
+        _id: attachmentId,
+        filename: sanitizeFilename(file.originalname),
+        mimeType: file.mimetype,
+        size: file.size,
+        storageKey,
+        uploadedBy: req.user.username,
+        uploadedById: req.user._id
+      });
+    }
+
+    // The limit is checked again in the update, as other uploads may have landed meanwhile:
+    // the push only matches while the bug has room for every new file
+    const updatedBug = await Bug.findOneAndUpdate(
+      {
+        _id: bug._id,
+        [`attachments.${MAX_ATTACHMENTS_PER_BUG - files.length}`]: { $exists: false }
+      },
+      { $push: { attachments: { $each: attachments } }, $inc: { version: 1 } },
+      { new: true, runValidators: true }
+    );
+
+    if (!updatedBug) {
+      await Promise.all(savedKeys.map(key => storage.remove(key).catch(() => {})));
+      return next(new AppError(`A bug can have at most ${MAX_ATTACHMENTS_PER_BUG} attachments`, 400));
+    }
+
+    console.log('Attachments saved:', attachments.map(a => a.storageKey));
+
+    const formattedBug = formatBugResponse(updatedBug);
+    publishBugEvent('updated', formattedBug);
+
+    res.status(201).json({
+      success: true,
+      data: formattedBug
+    });
+  } catch (error) {
+    console.error('Upload attachments error:', error);
+
+    // Don't leave files behind that no bug points to
+    await Promise.all(savedKeys.map(key => storage.remove(key).catch(() => {})));
+    next(error);
+  }
+};
+
+/**
+ * @desc    Download an attachment
+ * @route   GET /api/bugs/:id/attachments/:attachmentId
+ * @access  Public
+ */
+const downloadAttachment = async (req, res, next) => {
+  try {
+    const { bug, attachment } = await findBugAttachment(req.params.id, req.params.attachmentId, buildProjectScope(req.project));
+
+    if (!bug) {
+      return next(new AppError('Bug not found', 404));
+    }
+    if (!attachment) {
+      return next(new AppError('Attachment not found', 404));
+    }
+
+    const stream = getStorage().createReadStream(attachment.storageKey);
+
+    stream.on('error', (error) => {
+      console.error('Download attachment error:', error);
+      if (res.headersSent) {
+        return res.destroy(error);
+      }
+      next(error.code === 'ENOENT' ? new AppError('Attachment file is missing', 404) : error);
+    });
+
+    res.set({
+      'Content-Type': attachment.mimeType,
+      'Content-Length': attachment.size,
+      'Content-Disposition': buildContentDisposition(attachment.filename, attachment.mimeType),
+      // Browsers must not guess a different (possibly executable) type
+      'X-Content-Type-Options': 'nosniff'
+    });
+
+    stream.pipe(res);
+  } catch (error) {
+    console.error('Download attachment error:', error);
+    next(error);
+  }
+};
+
+/**
+ * @desc    Delete an attachment (uploader, reporter or admin)
+ * @route   DELETE /api/bugs/:id/attachments/:attachmentId
+ * @access  Private
+ */
+const deleteAttachment = async (req, res, next) => {
+  try {
+    const { bug, attachment } = await findBugAttachment(req.params.id, req.params.attachmentId, buildProjectScope(req.project));
+
+    if (!bug) {
+      return next(new AppError('Bug not found', 404));
+    }
+    if (!attachment) {
+      return next(new AppError('Attachment not found', 404));
+    }
+
+    if (!canDeleteAttachment(req.user, bug, attachment)) {
+      return next(new AppError('Only admins, the reporter or the uploader can delete this attachment', 403));
+    }
+
+    const updatedBug = await Bug.findByIdAndUpdate(
+      bug._id,
+      { $pull: { attachments: { _id: attachment._id } }, $inc: { version: 1 } },
+      { new: true }
+    );
+
+    // The metadata is gone, so a file left behind is only wasted space
+    await getStorage().remove(attachment.storageKey)
+      .catch(error => console.error('Could not remove attachment file:', attachment.storageKey, error));
+
+    console.log('Attachment deleted successfully:', attachment._id);
+
+    const formattedBug = formatBugResponse(updatedBug);
+    publishBugEvent('updated', formattedBug);
+
+    res.status(200).json({
+      success: true,
+      data: formattedBug
+    });
+  } catch (error) {
+    console.error('Delete attachment error:', error);
+    next(error);
+  }
+};
+
+module.exports = {
+  uploadAttachments,
+  downloadAttachment,
+  deleteAttachment
+};
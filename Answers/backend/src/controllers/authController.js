@@ -0,0 +1,103 @@
+const User = require('../models/User');
+const { AppError } = require('../middleware/errorHandler');
+const { sanitizeInput, formatUserResponse } = require('../utils/validators');
+const { generateToken } = require('../utils/auth');
+
+/**
+ * @desc    Register a new user
+ * @route   POST /api/auth/register
+ * @access  Public
+ */
+const register = async (req, res, next) => {
+  try {
+    const userData = {
+      username: sanitizeInput(req.body.username),
+      email: sanitizeInput(req.body.email),
+      password: req.body.password
+    };
+
+    // The first account becomes the admin so roles can be handed out
+    const userCount = await User.countDocuments();
+    if (userCount === 0) {
+      userData.role = 'admin';
+    }
+
+    const existingUser = await User.findOne({
+      $or: [{ username: userData.username }, { email: userData.email.toLowerCase() }]
+    });
+
+    if (existingUser) {
+      return next(new AppError('Username or email is already registered', 409));
+    }
+
+    const user = await User.create(userData);
+
+    console.log('User registered successfully:', user._id);
+
+    res.status(201).json({
+      success: true,
+      data: {
+        user: formatUserResponse(user),
+        token: generateToken(user)
+      }
+    });
+  } catch (error) {
+    console.error('Register error:', error);
+
+    if (error.name === 'ValidationError') {
+      const errors = Object.values(error.errors).map(e => e.message);
+      return next(new AppError(errors.join(', '), 400));
+    }
+
+    next(error);
+  }
+};
+
+/**
+ * @desc    Log in and receive a token
+ * @route   POST /api/auth/login
+ * @access  Public
+ */
+const login = async (req, res, next) => {
+  try {
+    const { email, password } = req.body;
+
+    const user = await User.findOne({ email: email.toLowerCase() }).select('+password');
+
+    // Same message for unknown email and wrong password
+    if (!user || !(await user.comparePassword(password))) {
+      return next(new AppError('Invalid email or password', 401));
+    }
+
+    console.log('User logged in:', user._id);
+
+    res.status(200).json({
+      success: true,
+      data: {
+        user: formatUserResponse(user),
+        token: generateToken(user)
+      }
+    });
+  } catch (error) {
+    console.error('Login error:', error);
+    next(error);
+  }
+};
+
+/**
+ * @desc    Get the logged in user
+ * @route   GET /api/auth/me
+ * @access  Private
+ */
+const getMe = async (req, res) => {
+  res.status(200).json({
+    success: true,
+    data: formatUserResponse(req.user)
+  });
+};
+
+module.exports = {
+  register,
+  login,
+  getMe
+};
@@ -1,30 +1,352 @@
+const { once } = require('events');
 const Bug = require('../models/Bug');
+const Project = require('../models/Project');
+const Component = require('../models/Component');
+const BugHistory = require('../models/BugHistory');
+const User = require('../models/User');
 const { AppError } = require('../middleware/errorHandler');
-const { sanitizeInput, formatBugResponse } = require('../utils/validators');
+const { sanitizeInput, formatBugResponse, formatHistoryResponse, formatProjectResponse } = require('../utils/validators');
+const {
+  parsePagination,
+  encodeCursor,
+  decodeCursor,
+  buildCursorFilter
+} = require('../utils/pagination');
+const { ACTIVE_BUG_FILTER, isSearchQuery, buildProjectScope, buildBugFilter, buildBugSort } = require('../utils/bugQuery');
+const { EXPORT_FORMATS, CSV_COLUMNS, toCsvRow, bugToCsvRow, buildExportFilename } = require('../utils/export');
+const { MAX_IMPORT_ROWS, parseImportPayload, normalizeImportRecord } = require('../utils/import');
+const { createBugValidation } = require('../middleware/validation');
+const { diffBugFields } = require('../utils/history');
+const { canTransition, describeInvalidTransition, getInitialStatus, isResolvedStatus } = require('../utils/workflow');
+const { extractSearchTerms, buildHighlights } = require('../utils/search');
+const { canDeleteBug, canMarkDuplicate, canSetStatus, describeForbiddenStatus } = require('../utils/permissions');
+const { publishBugEvent, subscribeToBugEvents, formatSseMessage } = require('../utils/bugEvents');
+const { getPurgeDate } = require('../utils/trash');
+const {
+  MAX_TREND_PERIODS,
+  parseTrendRange,
+  listPeriods,
+  mergePeriodCounts,
+  getBacklogAgeBoundaries,
+  formatBacklogAge,
+  toHours
+} = require('../utils/trends');
+const { RESOLVED_STATUSES } = require('../config/workflow');
+const { PRIORITIES } = require('../config/priorities');
+const { formatEtag, matchesIfMatch, buildVersionFilter } = require('../utils/concurrency');
+const { MAX_DUPLICATE_CANDIDATES, buildDuplicateSearch, rankDuplicates } = require('../utils/duplicates');
+const { formatBugKey, buildBugIdFilter } = require('../utils/bugKeys');
+const { parseFilterExpression } = require('../utils/filterExpression');
+const { DEFAULT_SORT, toBugSortSpec } = require('../utils/bugSort');
+
+// Keeps idle event streams open through proxies that drop silent connections
+const HEARTBEAT_INTERVAL_MS = 25000;
+
+// Number of unresolved critical bugs listed with the statistics
+const RECENT_CRITICAL_LIMIT = 5;
+
+/**
+ * Adds relevance scores and highlighted snippets to search results
+ */
+const formatSearchResults = (bugs, terms) => {
+  return bugs.map(bug => ({
+    ...formatBugResponse(bug),
+    score: bug.get('score'),
+    highlights: buildHighlights(bug, terms)
+  }));
+};
+
+/**
+ * Finds unresolved bugs that look like duplicates of a report, most similar first.
+ * Text search narrows the candidates, which are then scored on their wording.
+ */
+const findDuplicates = async (report, scope, excludeId) => {
+  const search = buildDuplicateSearch(report);
+  if (!search) return [];
+
+  const filter = { ...ACTIVE_BUG_FILTER, ...scope, status: { $nin: RESOLVED_STATUSES }, $text: { $search: search } };
+  if (excludeId) filter._id = { $ne: excludeId };
+
+  const candidates = await Bug.find(filter, { score: { $meta: 'textScore' } })
+    .sort({ score: { $meta: 'textScore' } })
+    .limit(MAX_DUPLICATE_CANDIDATES);
+
+  return rankDuplicates(report, candidates).map(({ bug, similarity }) => ({
+    ...formatBugResponse(bug),
+    similarity: Math.round(similarity * 100) / 100
+  }));
+};
+
+/**
+ * Loads a bug by ObjectId or key unless it is in the trash. On project-scoped
+ * routes the scope hides bugs from other projects.
+ */
+const findActiveBug = (id, scope = {}) => Bug.findOne({ ...buildBugIdFilter(id), ...ACTIVE_BUG_FILTER, ...scope });
+
+/**
+ * Builds the bug list filter from the query: the simple filters, the filter
+ * expression (already checked by the validation) and the route's project.
+ */
+const buildListFilter = (req) => ({
+  ...buildBugFilter({ ...req.query, ...buildProjectScope(req.project) }),
+  ...parseFilterExpression(req.query.filter, { username: req.user && req.user.username })
+});
+
+/**
+ * Adds when and by whom a bug was trashed, and when it will be purged
+ */
+const formatTrashedBug = (bug) => ({
+  ...formatBugResponse(bug),
+  deletedAt: bug.deletedAt,
+  deletedBy: bug.deletedBy,
+  purgeAt: getPurgeDate(bug.deletedAt)
+});
+
+/**
+ * Checks that an assignee names a registered user.
+ * Returns an AppError when it doesn't, otherwise null.
+ */
+const validateAssignee = async (assignedTo) => {
+  if (!assignedTo) return null;
+
+  const assignee = await User.exists({ username: assignedTo });
+  return assignee ? null : new AppError(`Assignee "${assignedTo}" is not a registered user`, 400);
+};
+
+/**
+ * Checks that a component belongs to the bug's project.
+ * Returns an AppError when it doesn't, otherwise null.
+ */
+const validateComponent = async (componentId, projectId) => {
+  if (!componentId) return null;
+
+  const component = await Component.exists({ _id: componentId, project: projectId });
+  return component ? null : new AppError('Component does not belong to this project', 400);
+};
+
+/**
+ * Finds the project a new bug is filed under: the project in the URL,
+ * otherwise the one named in the request. Returns null when there is none.
+ */
+const findTargetProject = async (req, projectId) => {
+  if (req.project) return req.project;
+  return projectId ? Project.findById(projectId) : null;
+};
+
+/**
+ * Reserves the next `count` bug numbers in a project. The counter is incremented
+ * atomically, so concurrent requests never hand out the same number.
+ * Returns the first reserved number.
+ */
+const reserveBugNumbers = async (project, count = 1) => {
+  const updated = await Project.findByIdAndUpdate(
+    project._id,
+    { $inc: { bugSequence: count } },
+    { new: true }
+  );
+  return updated.bugSequence - count + 1;
+};
+
+/**
+ * Builds the number and key fields for a bug from a reserved number
+ */
+const buildBugKeyFields = (project, number) => ({ number, key: formatBugKey(project.key, number) });
+
+/**
+ * Converts Mongoose validation errors into 400 AppErrors
+ */
+const toAppError = (error) => {
+  if (error.name === 'ValidationError') {
+    const errors = Object.values(error.errors).map(e => e.message);
+    return new AppError(errors.join(', '), 400);
+  }
+  return error;
+};
+
+/**
+ * Responds 412 with the current copy of a bug that changed since the client loaded it
+ */
+const sendVersionConflict = (res, bug) => {
+  res.set('ETag', formatEtag(bug.version));
+  res.status(412).json({
+    status: 'fail',
+    message: 'This bug was changed by someone else since you loaded it',
+    data: formatBugResponse(bug)
+  });
+};
+
+/**
+ * Applies sanitized updates to a bug after checking the workflow and the user's role.
+ * Records the history and broadcasts the change. Throws an AppError when not allowed.
+ * With checkVersion, the update only applies if the bug is still at the version it was loaded
+ * at, and null is returned when it was changed in the meantime.
+ */
+const applyBugUpdate = async (bug, updates, user, { checkVersion = false } = {}) => {
+  // Enforce the status workflow
+  if (updates.status && !canTransition(bug.status, updates.status)) {
+    throw new AppError(describeInvalidTransition(bug.status, updates.status), 409);
+  }
+
+  // Some statuses can only be set by certain roles
+  if (updates.status && updates.status !== bug.status && !canSetStatus(user, updates.status)) {
+    throw new AppError(describeForbiddenStatus(updates.status), 403);
+  }
+
+  const changes = diffBugFields(bug, updates);
+
+  // Track when the bug was resolved for the trend statistics
+  const resolvedAtUpdate = {};
+  if (updates.status && updates.status !== bug.status) {
+    if (!isResolvedStatus(updates.status)) {
+      resolvedAtUpdate.resolvedAt = null;
+    } else if (!bug.resolvedAt) {
+      resolvedAtUpdate.resolvedAt = new Date();
+    }
+  }
+
+  const updatedBug = await Bug.findOneAndUpdate(
+    checkVersion ? { _id: bug._id, ...buildVersionFilter(bug.version) } : { _id: bug._id },
+    { ...updates, ...resolvedAtUpdate, $inc: { version: 1 } },
+    { new: true, runValidators: true }
+  );
+
+  if (!updatedBug) {
+    return null;
+  }
+
+  // Append one activity entry per changed field
+  if (changes.length > 0) {
+    const changedBy = user.username;
+    await BugHistory.insertMany(
+      changes.map(change => ({ bug: updatedBug._id, changedBy, ...change }))
+    );
+  }
+
+  console.log('Bug updated successfully:', updatedBug._id, 'changed fields:', changes.map(c => c.field));
+
+  publishBugEvent('updated', formatBugResponse(updatedBug));
+  return updatedBug;
+};
 
 /**
- * @desc    Get all bugs
+ * Moves a bug to the trash if the user may, and broadcasts the removal.
+ * Comments are kept so a restored bug comes back whole; the purge job removes them.
+ * Throws an AppError when not allowed.
+ */
+const removeBug = async (bug, user) => {
+  if (!canDeleteBug(user, bug)) {
+    throw new AppError('Only admins or the reporter can delete this bug', 403);
+  }
+
+  await Bug.findByIdAndUpdate(bug._id, { deletedAt: new Date(), deletedBy: user.username, $inc: { version: 1 } });
+
+  console.log('Bug moved to trash:', bug._id);
+
+  publishBugEvent('deleted', { id: bug._id });
+};
+
+/**
+ * Validates one imported row with the createBug request rules, then the Bug schema.
+ * Returns the error messages and the bug document that would be inserted.
+ */
+const validateImportRow = async (fields, project, user, registeredUsers) => {
+  const row = { body: { ...fields } };
+  const results = await Promise.all(createBugValidation.map(chain => chain.run(row)));
+  const errors = results.flatMap(result => result.array().map(error => error.msg));
+
+  if (row.body.assignedTo && !registeredUsers.has(row.body.assignedTo)) {
+    errors.push(`Assignee "${row.body.assignedTo}" is not a registered user`);
+  }
+
+  const bug = new Bug({
+    project: project._id,
+    title: sanitizeInput(row.body.title),
+    description: sanitizeInput(row.body.description),
+    // Imported bugs keep their status from the old tracker
+    status: row.body.status || getInitialStatus(),
+    priority: row.body.priority || 'medium',
+    reporter: user.username,
+    reporterId: user._id,
+    assignedTo: row.body.assignedTo ? sanitizeInput(row.body.assignedTo) : undefined,
+    tags: row.body.tags || []
+  });
+
+  // The schema repeats most request rules, so only check it once those pass
+  if (errors.length === 0) {
+    try {
+      await bug.validate();
+    } catch (error) {
+      if (error.name !== 'ValidationError') throw error;
+      errors.push(...Object.values(error.errors).map(e => e.message));
+    }
+  }
+
+  return { errors, bug };
+};
+
+/**
+ * @desc    Get all bugs (paginated by page/limit or by cursor, optionally searched and filtered)
  * @route   GET /api/bugs
  * @access  Public
  */
 const getAllBugs = async (req, res, next) => {
   try {
     // Extract query parameters for filtering
-    const { status, priority, sortBy = '-createdAt' } = req.query;
-    
-    // Build query
-    const query = {};
-    if (status) query.status = status;
-    if (priority) query.priority = priority;
+    const { q, sortBy = DEFAULT_SORT, cursor } = req.query;
+    const { page, limit, skip } = parsePagination(req.query);
+    const sortSpec = toBugSortSpec(sortBy);
+    const isSearch = isSearchQuery(q);
 
-    console.log('Fetching bugs with query:', query);
+    // Build query, limited to the route's project if there is one
+    const query = buildListFilter(req);
 
-    const bugs = await Bug.find(query).sort(sortBy);
+    // Relevance scores can't be compared in a filter, so search results use pages only
+    if (isSearch && cursor) {
+      return next(new AppError('Cursor pagination is not supported with search, use page instead', 400));
+    }
+
+    // Search results are ranked by relevance unless an explicit sort was requested
+    const sort = buildBugSort(sortSpec, isSearch && !req.query.sortBy);
+    const projection = isSearch ? { score: { $meta: 'textScore' } } : {};
+
+    // A cursor takes precedence over page-based pagination
+    let pageQuery = query;
+    if (cursor) {
+      const cursorValues = decodeCursor(cursor, sortSpec);
+      if (!cursorValues) {
+        return next(new AppError('Invalid or expired cursor', 400));
+      }
+      pageQuery = { $and: [query, buildCursorFilter(sortSpec, cursorValues)] };
+    }
+
+    console.log('Fetching bugs with query:', pageQuery);
+
+    // Fetch one extra document to know whether another page exists
+    const [bugs, total] = await Promise.all([
+      Bug.find(pageQuery, projection)
+        .sort(sort)
+        .skip(cursor ? 0 : skip)
+        .limit(limit + 1),
+      Bug.countDocuments(query)
+    ]);
+
+    const hasMore = bugs.length > limit;
+    const pageBugs = hasMore ? bugs.slice(0, limit) : bugs;
+    const nextCursor = hasMore && !isSearch
+      ? encodeCursor(pageBugs[pageBugs.length - 1], sortSpec)
+      : null;
 
     res.status(200).json({
       success: true,
-      count: bugs.length,
-      data: bugs.map(formatBugResponse)
+      count: pageBugs.length,
+      total,
+      page: cursor ? null : page,
+      limit,
+      hasMore,
+      nextCursor,
+      data: isSearch
+        ? formatSearchResults(pageBugs, extractSearchTerms(q))
+        : pageBugs.map(formatBugResponse)
     });
   } catch (error) {
     console.error('Get all bugs error:', error);
@@ -32,6 +354,165 @@ const getAllBugs = async (req, res, next) => {
   }
 };
 
+/**
+ * Writes a chunk to the response, waiting for the client to catch up
+ * when the socket buffer is full
+ */
+const writeChunk = async (res, chunk) => {
+  if (!res.write(chunk)) {
+    await Promise.race([once(res, 'drain'), once(res, 'close')]);
+  }
+};
+
+/**
+ * @desc    Export the filtered bug list as CSV, JSON or NDJSON
+ * @route   GET /api/bugs/export
+ * @access  Public
+ */
+const exportBugs = async (req, res, next) => {
+  const format = req.query.format || 'csv';
+  let cursor;
+
+  let clientGone = false;
+  res.on('close', () => {
+    clientGone = true;
+  });
+
+  try {
+    const sortSpec = toBugSortSpec(req.query.sortBy || DEFAULT_SORT);
+    const isSearch = isSearchQuery(req.query.q);
+    const query = buildListFilter(req);
+
+    console.log('Exporting bugs as', format, 'with query:', query);
+
+    // Stream documents one at a time instead of loading the whole list
+    cursor = Bug.find(query, isSearch ? { score: { $meta: 'textScore' } } : {})
+      .sort(buildBugSort(sortSpec, isSearch && !req.query.sortBy))
+      .cursor();
+
+    res.set({
+      'Content-Type': EXPORT_FORMATS[format].contentType,
+      'Content-Disposition': `attachment; filename="${buildExportFilename(format)}"`
+    });
+
+    if (format === 'csv') await writeChunk(res, toCsvRow(CSV_COLUMNS));
+    if (format === 'json') await writeChunk(res, '[');
+
+    let count = 0;
+    for await (const bug of cursor) {
+      if (clientGone) break;
+
+      const formattedBug = formatBugResponse(bug);
+      if (format === 'csv') {
+        await writeChunk(res, bugToCsvRow(formattedBug));
+      } else if (format === 'json') {
+        await writeChunk(res, `${count > 0 ? ',' : ''}\n${JSON.stringify(formattedBug)}`);
+      } else {
+        await writeChunk(res, `${JSON.stringify(formattedBug)}\n`);
+      }
+      count += 1;
+    }
+
+    if (format === 'json') res.write('\n]\n');
+    res.end();
+
+    console.log('Exported', count, 'bugs', clientGone ? '(client disconnected)' : '');
+  } catch (error) {
+    console.error('Export bugs error:', error);
+    if (cursor) await cursor.close();
+
+    // Once streaming has started the status can't change, so just cut the download short
+    if (res.headersSent) {
+      return res.destroy(error);
+    }
+    next(error);
+  }
+};
+
+/**
+ * @desc    Import bugs from CSV or JSON (dryRun=true only validates)
+ * @route   POST /api/bugs/import
+ * @access  Private (developer, admin)
+ */
+const importBugs = async (req, res, next) => {
+  try {
+    const format = req.is('text/csv') ? 'csv' : 'json';
+    const dryRun = req.query.dryRun === 'true';
+
+    // Every imported bug goes into the same project
+    const project = await findTargetProject(req, req.query.project);
+    if (!project) {
+      return next(new AppError('Choose the project to import into', 400));
+    }
+
+    let records;
+    try {
+      records = parseImportPayload(format, req.body);
+    } catch (error) {
+      return next(new AppError(`Could not read ${format.toUpperCase()} import: ${error.message}`, 400));
+    }
+
+    if (records.length === 0) {
+      return next(new AppError('The import contains no bugs', 400));
+    }
+    if (records.length > MAX_IMPORT_ROWS) {
+      return next(new AppError(`Imports are limited to ${MAX_IMPORT_ROWS} bugs at a time`, 400));
+    }
+
+    const rows = records.map(normalizeImportRecord);
+
+    // Look up every assignee once instead of once per row
+    const assignees = [...new Set(rows.map(row => row.assignedTo).filter(Boolean))];
+    const registeredUsers = new Set(
+      assignees.length > 0 ? await User.distinct('username', { username: { $in: assignees } }) : []
+    );
+
+    const checked = [];
+    for (const fields of rows) {
+      checked.push(await validateImportRow(fields, project, req.user, registeredUsers));
+    }
+
+    const validBugs = checked.filter(row => row.errors.length === 0).map(row => row.bug);
+
+    console.log('Importing bugs into project', project._id, ':', rows.length, 'rows,', validBugs.length, 'valid', dryRun ? '(dry run)' : '');
+
+    // Invalid rows are skipped; the results say which ones
+    let importedIds = new Set();
+    if (!dryRun && validBugs.length > 0) {
+      // Numbers are only reserved for rows that are inserted, in file order
+      const firstNumber = await reserveBugNumbers(project, validBugs.length);
+      validBugs.forEach((bug, index) => bug.set(buildBugKeyFields(project, firstNumber + index)));
+
+      const inserted = await Bug.insertMany(validBugs);
+      inserted.forEach(bug => publishBugEvent('created', formatBugResponse(bug)));
+      importedIds = new Set(inserted.map(bug => bug._id.toString()));
+    }
+
+    const results = checked.map(({ errors, bug }, index) => ({
+      row: index + 1,
+      valid: errors.length === 0,
+      imported: importedIds.has(bug._id.toString()),
+      id: importedIds.has(bug._id.toString()) ? bug._id : null,
+      key: importedIds.has(bug._id.toString()) ? bug.key : null,
+      errors,
+      data: rows[index]
+    }));
+
+    res.status(dryRun ? 200 : 201).json({
+      success: true,
+      dryRun,
+      total: rows.length,
+      validCount: validBugs.length,
+      invalidCount: rows.length - validBugs.length,
+      importedCount: importedIds.size,
+      data: results
+    });
+  } catch (error) {
+    console.error('Import bugs error:', error);
+    next(error);
+  }
+};
+
 /**
  * @desc    Get single bug
  * @route   GET /api/bugs/:id
@@ -39,7 +520,7 @@ const getAllBugs = async (req, res, next) => {
  */
 const getBugById = async (req, res, next) => {
   try {
-    const bug = await Bug.findById(req.params.id);
+    const bug = await findActiveBug(req.params.id, buildProjectScope(req.project));
 
     if (!bug) {
       return next(new AppError('Bug not found', 404));
@@ -47,6 +528,7 @@ const getBugById = async (req, res, next) => {
 
     console.log('Bug found:', bug._id);
 
+    res.set('ETag', formatEtag(bug.version));
     res.status(200).json({
       success: true,
       data: formatBugResponse(bug)
@@ -60,30 +542,68 @@ const getBugById = async (req, res, next) => {
 /**
  * @desc    Create new bug
  * @route   POST /api/bugs
- * @access  Public
+ * @access  Private
  */
 const createBug = async (req, res, next) => {
   try {
+    const project = await findTargetProject(req, req.body.project);
+    if (!project) {
+      return next(new AppError(req.body.project ? 'Project not found' : 'Bug must belong to a project', 400));
+    }
+
     // Sanitize inputs
     const bugData = {
+      project: project._id,
+      component: req.body.component || null,
       title: sanitizeInput(req.body.title),
       description: sanitizeInput(req.body.description),
-      status: req.body.status || 'open',
+      // New bugs always enter the workflow at its initial status
+      status: getInitialStatus(),
       priority: req.body.priority || 'medium',
-      reporter: sanitizeInput(req.body.reporter),
+      // The reporter is always the logged in user
+      reporter: req.user.username,
+      reporterId: req.user._id,
       assignedTo: req.body.assignedTo ? sanitizeInput(req.body.assignedTo) : undefined,
       tags: req.body.tags || []
     };
 
+    const assigneeError = await validateAssignee(bugData.assignedTo);
+    if (assigneeError) {
+      return next(assigneeError);
+    }
+
+    const componentError = await validateComponent(bugData.component, project._id);
+    if (componentError) {
+      return next(componentError);
+    }
+
+    Object.assign(bugData, buildBugKeyFields(project, await reserveBugNumbers(project)));
+
     console.log('Creating bug with data:', bugData);
 
     const bug = await Bug.create(bugData);
 
     console.log('Bug created successfully:', bug._id);
 
+    const formattedBug = formatBugResponse(bug);
+    publishBugEvent('created', formattedBug);
+
+    // Point the reporter at existing bugs this may repeat. The bug is already saved,
+    // so a failed lookup only means no suggestions.
+    let duplicates = [];
+    try {
+      duplicates = await findDuplicates(bug, { project: bug.project }, bug._id);
+      if (duplicates.length > 0) {
+        console.log('Possible duplicates of', bug._id, ':', duplicates.map(d => d.id));
+      }
+    } catch (error) {
+      console.error('Duplicate lookup error:', error);
+    }
+
     res.status(201).json({
       success: true,
-      data: formatBugResponse(bug)
+      data: formattedBug,
+      duplicates
     });
   } catch (error) {
     console.error('Create bug error:', error);
@@ -101,11 +621,11 @@ const createBug = async (req, res, next) => {
 /**
  * @desc    Update bug
  * @route   PUT /api/bugs/:id
- * @access  Public
+ * @access  Private
  */
 const updateBug = async (req, res, next) => {
   try {
-    const bug = await Bug.findById(req.params.id);
+    const bug = await findActiveBug(req.params.id, buildProjectScope(req.project));
 
     if (!bug) {
       return next(new AppError('Bug not found', 404));
@@ -119,41 +639,58 @@ const updateBug = async (req, res, next) => {
     if (req.body.priority) updates.priority = req.body.priority;
     if (req.body.assignedTo !== undefined) updates.assignedTo = sanitizeInput(req.body.assignedTo);
     if (req.body.tags) updates.tags = req.body.tags;
+    if (req.body.component !== undefined) updates.component = req.body.component || null;
+
+    const assigneeError = await validateAssignee(updates.assignedTo);
+    if (assigneeError) {
+      return next(assigneeError);
+    }
+
+    const componentError = await validateComponent(updates.component, bug.project);
+    if (componentError) {
+      return next(componentError);
+    }
+
+    // With If-Match, only update the version the client last saw
+    const ifMatch = req.get('If-Match');
+    if (ifMatch && !matchesIfMatch(ifMatch, bug.version)) {
+      console.log('Version conflict on bug:', req.params.id, 'expected', ifMatch, 'current', bug.version);
+      return sendVersionConflict(res, bug);
+    }
 
     console.log('Updating bug:', req.params.id, 'with:', updates);
 
-    const updatedBug = await Bug.findByIdAndUpdate(
-      req.params.id,
-      updates,
-      { new: true, runValidators: true }
-    );
+    const checkVersion = Boolean(ifMatch) && ifMatch.trim() !== '*';
+    const updatedBug = await applyBugUpdate(bug, updates, req.user, { checkVersion });
 
-    console.log('Bug updated successfully:', updatedBug._id);
+    // Someone else saved between loading the bug and applying the update
+    if (!updatedBug) {
+      const currentBug = await findActiveBug(req.params.id, buildProjectScope(req.project));
+      if (!currentBug) {
+        return next(new AppError('Bug not found', 404));
+      }
+      return sendVersionConflict(res, currentBug);
+    }
 
+    res.set('ETag', formatEtag(updatedBug.version));
     res.status(200).json({
       success: true,
       data: formatBugResponse(updatedBug)
     });
   } catch (error) {
     console.error('Update bug error:', error);
-    
-    if (error.name === 'ValidationError') {
-      const errors = Object.values(error.errors).map(e => e.message);
-      return next(new AppError(errors.join(', '), 400));
-    }
-    
-    next(error);
+    next(toAppError(error));
   }
 };
 
 /**
  * @desc    Delete bug
  * @route   DELETE /api/bugs/:id
- * @access  Public
+ * @access  Private
  */
 const deleteBug = async (req, res, next) => {
   try {
-    const bug = await Bug.findById(req.params.id);
+    const bug = await findActiveBug(req.params.id, buildProjectScope(req.project));
 
     if (!bug) {
       return next(new AppError('Bug not found', 404));
@@ -161,13 +698,11 @@ const deleteBug = async (req, res, next) => {
 
     console.log('Deleting bug:', req.params.id);
 
-    await Bug.findByIdAndDelete(req.params.id);
-
-    console.log('Bug deleted successfully');
+    await removeBug(bug, req.user);
 
     res.status(200).json({
       success: true,
-      message: 'Bug deleted successfully'
+      message: 'Bug moved to trash'
     });
   } catch (error) {
     console.error('Delete bug error:', error);
@@ -176,13 +711,302 @@ const deleteBug = async (req, res, next) => {
 };
 
 /**
- * @desc    Get bug statistics
+ * @desc    Update or delete several bugs at once
+ * @route   PATCH /api/bugs/bulk
+ * @access  Private
+ */
+const bulkUpdateBugs = async (req, res, next) => {
+  try {
+    const { ids, action, changes = {} } = req.body;
+
+    const updates = {};
+    if (changes.status) updates.status = changes.status;
+    if (changes.priority) updates.priority = changes.priority;
+    if (changes.assignedTo !== undefined) updates.assignedTo = sanitizeInput(changes.assignedTo);
+    if (changes.tags) updates.tags = changes.tags;
+
+    // The assignee is the same for every bug, so check it once up front
+    const assigneeError = await validateAssignee(updates.assignedTo);
+    if (assigneeError) {
+      return next(assigneeError);
+    }
+
+    const uniqueIds = [...new Set(ids)];
+    const bugs = await Bug.find({ _id: { $in: uniqueIds }, ...ACTIVE_BUG_FILTER, ...buildProjectScope(req.project) });
+    const bugsById = new Map(bugs.map(bug => [bug._id.toString(), bug]));
+
+    console.log('Bulk', action, 'of', uniqueIds.length, 'bugs with:', updates);
+
+    // One bug's failure (workflow, permissions, ...) doesn't stop the others
+    const results = [];
+    for (const id of uniqueIds) {
+      const bug = bugsById.get(id);
+      if (!bug) {
+        results.push({ id, success: false, statusCode: 404, error: 'Bug not found' });
+        continue;
+      }
+
+      try {
+        if (action === 'delete') {
+          await removeBug(bug, req.user);
+          results.push({ id, success: true });
+        } else {
+          const updatedBug = await applyBugUpdate(bug, updates, req.user);
+          results.push({ id, success: true, data: formatBugResponse(updatedBug) });
+        }
+      } catch (error) {
+        const appError = toAppError(error);
+        if (!appError.isOperational) throw error;
+        results.push({ id, success: false, statusCode: appError.statusCode, error: appError.message });
+      }
+    }
+
+    const succeeded = results.filter(result => result.success).length;
+
+    console.log('Bulk', action, 'finished:', succeeded, 'succeeded,', results.length - succeeded, 'failed');
+
+    res.status(200).json({
+      success: true,
+      action,
+      succeeded,
+      failed: results.length - succeeded,
+      data: results
+    });
+  } catch (error) {
+    console.error('Bulk update bugs error:', error);
+    next(error);
+  }
+};
+
+/**
+ * @desc    Get the bugs in the trash (admins see all, others their own reports)
+ * @route   GET /api/bugs/trash
+ * @access  Private
+ */
+const getTrash = async (req, res, next) => {
+  try {
+    const { page, limit, skip } = parsePagination(req.query);
+
+    const query = { deletedAt: { $ne: null }, ...buildProjectScope(req.project) };
+    if (req.user.role !== 'admin') {
+      query.reporterId = req.user._id;
+    }
+
+    const [bugs, total] = await Promise.all([
+      Bug.find(query).sort({ deletedAt: -1, _id: -1 }).skip(skip).limit(limit),
+      Bug.countDocuments(query)
+    ]);
+
+    res.status(200).json({
+      success: true,
+      count: bugs.length,
+      total,
+      page,
+      limit,
+      hasMore: skip + bugs.length < total,
+      data: bugs.map(formatTrashedBug)
+    });
+  } catch (error) {
+    console.error('Get trash error:', error);
+    next(error);
+  }
+};
+
+/**
+ * @desc    Restore a bug from the trash
+ * @route   POST /api/bugs/:id/restore
+ * @access  Private (reporter, admin)
+ */
+const restoreBug = async (req, res, next) => {
+  try {
+    const bug = await Bug.findOne({ ...buildBugIdFilter(req.params.id), deletedAt: { $ne: null }, ...buildProjectScope(req.project) });
+
+    if (!bug) {
+      return next(new AppError('Bug not found in trash', 404));
+    }
+
+    // Whoever could delete the bug can bring it back
+    if (!canDeleteBug(req.user, bug)) {
+      return next(new AppError('Only admins or the reporter can restore this bug', 403));
+    }
+
+    const restoredBug = await Bug.findByIdAndUpdate(
+      bug._id,
+      { deletedAt: null, $unset: { deletedBy: 1 }, $inc: { version: 1 } },
+      { new: true }
+    );
+
+    console.log('Bug restored from trash:', restoredBug._id);
+
+    const formattedBug = formatBugResponse(restoredBug);
+    publishBugEvent('restored', formattedBug);
+
+    res.status(200).json({
+      success: true,
+      data: formattedBug
+    });
+  } catch (error) {
+    console.error('Restore bug error:', error);
+    next(error);
+  }
+};
+
+/**
+ * @desc    Find unresolved bugs similar to a report that is being written
+ * @route   GET /api/bugs/duplicates
+ * @access  Public
+ */
+const findDuplicateBugs = async (req, res, next) => {
+  try {
+    const duplicates = await findDuplicates({
+      title: req.query.title,
+      description: req.query.description
+    }, buildProjectScope(req.project));
+
+    res.status(200).json({
+      success: true,
+      count: duplicates.length,
+      data: duplicates
+    });
+  } catch (error) {
+    console.error('Find duplicate bugs error:', error);
+    next(error);
+  }
+};
+
+/**
+ * @desc    Close a bug as a duplicate of another, linking the two
+ * @route   POST /api/bugs/:id/duplicate-of/:otherId
+ * @access  Private (developer, admin, reporter)
+ */
+const markDuplicate = async (req, res, next) => {
+  try {
+    const { id, otherId } = req.params;
+
+    const scope = buildProjectScope(req.project);
+    const [bug, original] = await Promise.all([findActiveBug(id, scope), findActiveBug(otherId, scope)]);
+
+    if (!bug || !original) {
+      return next(new AppError('Bug not found', 404));
+    }
+
+    // Compare the loaded bugs, since either side may be given by ObjectId or key
+    if (bug._id.equals(original._id)) {
+      return next(new AppError('A bug cannot be a duplicate of itself', 400));
+    }
+
+    if (!canMarkDuplicate(req.user, bug)) {
+      return next(new AppError('Only developers, admins or the reporter can mark this bug as a duplicate', 403));
+    }
+
+    if (bug.duplicateOf) {
+      return next(new AppError(`Bug is already a duplicate of ${bug.duplicateOf}`, 409));
+    }
+
+    // Links stay one level deep so every duplicate points straight at the original
+    if (original.duplicateOf) {
+      return next(new AppError(`Bug ${otherId} is itself a duplicate of ${original.duplicateOf}; use that bug instead`, 409));
+    }
+
+    // Closing a duplicate skips the workflow: there is nothing left to work on
+    const updates = { duplicateOf: original._id.toString(), status: 'closed' };
+    const changes = diffBugFields(bug, updates);
+
+    const updatedBug = await Bug.findByIdAndUpdate(
+      bug._id,
+      { ...updates, resolvedAt: bug.resolvedAt || new Date(), $inc: { version: 1 } },
+      { new: true, runValidators: true }
+    );
+
+    await BugHistory.insertMany(
+      changes.map(change => ({ bug: updatedBug._id, changedBy: req.user.username, ...change }))
+    );
+
+    console.log('Bug marked as duplicate:', updatedBug._id, 'of', original._id);
+
+    const formattedBug = formatBugResponse(updatedBug);
+    publishBugEvent('updated', formattedBug);
+
+    res.status(200).json({
+      success: true,
+      data: formattedBug
+    });
+  } catch (error) {
+    console.error('Mark duplicate error:', error);
+    next(error);
+  }
+};
+
+/**
+ * @desc    Get the change history of a bug
+ * @route   GET /api/bugs/:id/history
+ * @access  Public
+ */
+const getBugHistory = async (req, res, next) => {
+  try {
+    const bug = await findActiveBug(req.params.id, buildProjectScope(req.project));
+
+    if (!bug) {
+      return next(new AppError('Bug not found', 404));
+    }
+
+    const history = await BugHistory.find({ bug: bug._id }).sort('changedAt');
+
+    res.status(200).json({
+      success: true,
+      count: history.length,
+      data: history.map(formatHistoryResponse)
+    });
+  } catch (error) {
+    console.error('Get bug history error:', error);
+    next(error);
+  }
+};
+
+/**
+ * @desc    Stream bug create, update and delete events (Server-Sent Events)
+ * @route   GET /api/bugs/events
+ * @access  Public
+ */
+const streamBugEvents = (req, res) => {
+  res.set({
+    'Content-Type': 'text/event-stream',
+    'Cache-Control': 'no-cache',
+    Connection: 'keep-alive'
+  });
+  res.flushHeaders();
+
+  // Ask browsers to wait a few seconds before reconnecting
+  res.write('retry: 5000\n\n');
+
+  // Project streams skip other projects' bugs; deletes only carry the id, so they always pass
+  const projectId = req.project ? req.project._id.toString() : null;
+  const unsubscribe = subscribeToBugEvents(({ type, data }) => {
+    if (projectId && data.project && data.project.toString() !== projectId) return;
+    res.write(formatSseMessage(type, data));
+  });
+  const heartbeat = setInterval(() => res.write(': heartbeat\n\n'), HEARTBEAT_INTERVAL_MS);
+
+  console.log('Bug event stream opened');
+
+  req.on('close', () => {
+    clearInterval(heartbeat);
+    unsubscribe();
+    console.log('Bug event stream closed');
+  });
+};
+
+/**
+ * @desc    Get bug statistics (for one project on project-scoped routes)
  * @route   GET /api/bugs/stats
  * @access  Public
  */
 const getBugStats = async (req, res, next) => {
   try {
+    const activeBugs = { ...ACTIVE_BUG_FILTER, ...buildProjectScope(req.project) };
+
     const stats = await Bug.aggregate([
+      { $match: activeBugs },
       {
         $group: {
           _id: '$status',
@@ -192,6 +1016,7 @@ const getBugStats = async (req, res, next) => {
     ]);
 
     const priorityStats = await Bug.aggregate([
+      { $match: activeBugs },
       {
         $group: {
           _id: '$priority',
@@ -200,24 +1025,167 @@ const getBugStats = async (req, res, next) => {
       }
     ]);
 
+    // Workload only counts bugs that still need work; unassigned bugs are grouped under null
+    const assigneeStats = await Bug.aggregate([
+      { $match: { ...activeBugs, status: { $nin: RESOLVED_STATUSES } } },
+      {
+        $group: {
+          _id: { $cond: [{ $gt: ['$assignedTo', ''] }, '$assignedTo', null] },
+          count: { $sum: 1 },
+          critical: { $sum: { $cond: [{ $eq: ['$priority', 'critical'] }, 1, 0] } }
+        }
+      },
+      { $sort: { count: -1, _id: 1 } }
+    ]);
+
+    const recentCritical = await Bug.find({
+      ...activeBugs,
+      priority: 'critical',
+      status: { $nin: RESOLVED_STATUSES }
+    })
+      .sort({ createdAt: -1 })
+      .limit(RECENT_CRITICAL_LIMIT);
+
+    // Across all projects, also break the totals down per project
+    const data = {
+      byStatus: stats,
+      byPriority: priorityStats,
+      byAssignee: assigneeStats,
+      recentCritical: recentCritical.map(formatBugResponse)
+    };
+
+    if (!req.project) {
+      data.byProject = await Bug.aggregate([
+        { $match: activeBugs },
+        {
+          $group: {
+            _id: '$project',
+            count: { $sum: 1 },
+            unresolved: { $sum: { $cond: [{ $in: ['$status', RESOLVED_STATUSES] }, 0, 1] } },
+            critical: {
+              $sum: {
+                $cond: [{ $and: [{ $eq: ['$priority', 'critical'] }, { $not: [{ $in: ['$status', RESOLVED_STATUSES] }] }] }, 1, 0]
+              }
+            }
+          }
+        },
+        { $lookup: { from: Project.collection.name, localField: '_id', foreignField: '_id', as: 'project' } },
+        { $project: { count: 1, unresolved: 1, critical: 1, name: { $first: '$project.name' } } },
+        { $sort: { unresolved: -1, name: 1 } }
+      ]);
+    } else {
+      data.project = formatProjectResponse(req.project);
+    }
+
+    res.status(200).json({
+      success: true,
+      data
+    });
+  } catch (error) {
+    console.error('Get bug stats error:', error);
+    next(error);
+  }
+};
+
+/**
+ * @desc    Get bugs opened vs. resolved over time, time to resolve and backlog age
+ *          (for one project on project-scoped routes)
+ * @route   GET /api/bugs/stats/trends
+ * @access  Public
+ */
+const getBugTrends = async (req, res, next) => {
+  try {
+    const { from, to, interval } = parseTrendRange(req.query);
+
+    if (from > to) {
+      return next(new AppError('The "from" date must be before the "to" date', 400));
+    }
+
+    const periods = listPeriods(from, to, interval);
+    if (periods.length > MAX_TREND_PERIODS) {
+      return next(new AppError(`The range covers more than ${MAX_TREND_PERIODS} ${interval}s, use a longer interval`, 400));
+    }
+
+    const inRange = { $gte: from, $lte: to };
+    const activeBugs = { ...ACTIVE_BUG_FILTER, ...buildProjectScope(req.project) };
+    const countPerPeriod = (field) => Bug.aggregate([
+      { $match: { ...activeBugs, [field]: inRange } },
+      {
+        $group: {
+          _id: { $dateTrunc: { date: `$${field}`, unit: interval, startOfWeek: 'monday', timezone: 'UTC' } },
+          count: { $sum: 1 }
+        }
+      }
+    ]);
+
+    console.log('Fetching bug trends:', from.toISOString(), 'to', to.toISOString(), 'by', interval);
+
+    const now = new Date();
+    const [opened, resolved, timeToResolve, backlogAge] = await Promise.all([
+      countPerPeriod('createdAt'),
+      countPerPeriod('resolvedAt'),
+      Bug.aggregate([
+        { $match: { ...activeBugs, resolvedAt: inRange } },
+        {
+          $group: {
+            _id: '$priority',
+            count: { $sum: 1 },
+            meanMs: { $avg: { $subtract: ['$resolvedAt', '$createdAt'] } }
+          }
+        }
+      ]),
+      // Bugs reported in the range that are still unresolved, aged as of now
+      Bug.aggregate([
+        { $match: { ...activeBugs, status: { $nin: RESOLVED_STATUSES }, createdAt: inRange } },
+        {
+          $bucket: {
+            groupBy: { $subtract: [now, '$createdAt'] },
+            boundaries: getBacklogAgeBoundaries(),
+            default: 'older',
+            output: { count: { $sum: 1 } }
+          }
+        }
+      ])
+    ]);
+
+    const timeToResolveByPriority = new Map(timeToResolve.map(result => [result._id, result]));
+
     res.status(200).json({
       success: true,
       data: {
-        byStatus: stats,
-        byPriority: priorityStats
+        from,
+        to,
+        interval,
+        openedVsResolved: mergePeriodCounts(periods, opened, resolved),
+        timeToResolve: PRIORITIES.map(priority => ({
+          priority,
+          resolved: timeToResolveByPriority.has(priority) ? timeToResolveByPriority.get(priority).count : 0,
+          meanHours: timeToResolveByPriority.has(priority) ? toHours(timeToResolveByPriority.get(priority).meanMs) : null
+        })),
+        backlogAge: formatBacklogAge(backlogAge)
       }
     });
   } catch (error) {
-    console.error('Get bug stats error:', error);
+    console.error('Get bug trends error:', error);
     next(error);
   }
 };
 
 module.exports = {
   getAllBugs,
+  exportBugs,
+  importBugs,
   getBugById,
   createBug,
   updateBug,
   deleteBug,
-  getBugStats
+  bulkUpdateBugs,
+  getTrash,
+  restoreBug,
+  findDuplicateBugs,
+  markDuplicate,
+  getBugHistory,
+  streamBugEvents,
+  getBugStats,
+  getBugTrends
 };
@@ -0,0 +1,169 @@
+const Bug = require('../models/Bug');
+const Comment = require('../models/Comment');
+const { AppError } = require('../middleware/errorHandler');
+const { ACTIVE_BUG_FILTER, buildProjectScope } = require('../utils/bugQuery');
+const { buildBugIdFilter } = require('../utils/bugKeys');
+const { sanitizeInput, formatCommentResponse } = require('../utils/validators');
+
+/**
+ * Checks whether the logged in user wrote the comment
+ */
+const isCommentAuthor = (comment, user) => comment.authorId.toString() === user._id.toString();
+
+/**
+ * Loads a comment and checks it belongs to the bug in the URL (by ObjectId or key).
+ * The bug must be active and in the given project scope.
+ */
+const findBugComment = async (bugId, commentId, scope) => {
+  const [bug, comment] = await Promise.all([
+    Bug.findOne({ ...buildBugIdFilter(bugId), ...ACTIVE_BUG_FILTER, ...scope }).select('_id'),
+    Comment.findById(commentId)
+  ]);
+  if (!bug || !comment || !comment.bug.equals(bug._id)) {
+    return null;
+  }
+  return comment;
+};
+
+/**
+ * @desc    Get all comments on a bug
+ * @route   GET /api/bugs/:id/comments
+ * @access  Public
+ */
+const getComments = async (req, res, next) => {
+  try {
+    const bug = await Bug.findOne({ ...buildBugIdFilter(req.params.id), ...ACTIVE_BUG_FILTER, ...buildProjectScope(req.project) });
+
+    if (!bug) {
+      return next(new AppError('Bug not found', 404));
+    }
+
+    const comments = await Comment.find({ bug: bug._id }).sort('createdAt');
+
+    res.status(200).json({
+      success: true,
+      count: comments.length,
+      data: comments.map(formatCommentResponse)
+    });
+  } catch (error) {
+    console.error('Get comments error:', error);
+    next(error);
+  }
+};
+
+/**
+ * @desc    Add a comment to a bug
+ * @route   POST /api/bugs/:id/comments
+ * @access  Private
+ */
+const createComment = async (req, res, next) => {
+  try {
+    const bug = await Bug.findOne({ ...buildBugIdFilter(req.params.id), ...ACTIVE_BUG_FILTER, ...buildProjectScope(req.project) });
+
+    if (!bug) {
+      return next(new AppError('Bug not found', 404));
+    }
+
+    const commentData = {
+      bug: bug._id,
+      author: req.user.username,
+      authorId: req.user._id,
+      body: sanitizeInput(req.body.body)
+    };
+
+    console.log('Adding comment to bug:', req.params.id);
+
+    const comment = await Comment.create(commentData);
+
+    res.status(201).json({
+      success: true,
+      data: formatCommentResponse(comment)
+    });
+  } catch (error) {
+    console.error('Create comment error:', error);
+
+    if (error.name === 'ValidationError') {
+      const errors = Object.values(error.errors).map(e => e.message);
+      return next(new AppError(errors.join(', '), 400));
+    }
+
+    next(error);
+  }
+};
+
+/**
+ * @desc    Edit a comment (author only)
+ * @route   PUT /api/bugs/:id/comments/:commentId
+ * @access  Private
+ */
+const updateComment = async (req, res, next) => {
+  try {
+    const comment = await findBugComment(req.params.id, req.params.commentId, buildProjectScope(req.project));
+
+    if (!comment) {
+      return next(new AppError('Comment not found', 404));
+    }
+
+    if (!isCommentAuthor(comment, req.user)) {
+      return next(new AppError('You can only edit your own comments', 403));
+    }
+
+    comment.body = sanitizeInput(req.body.body);
+    comment.editedAt = Date.now();
+    await comment.save();
+
+    console.log('Comment updated successfully:', comment._id);
+
+    res.status(200).json({
+      success: true,
+      data: formatCommentResponse(comment)
+    });
+  } catch (error) {
+    console.error('Update comment error:', error);
+
+    if (error.name === 'ValidationError') {
+      const errors = Object.values(error.errors).map(e => e.message);
+      return next(new AppError(errors.join(', '), 400));
+    }
+
+    next(error);
+  }
+};
+
+/**
+ * @desc    Delete a comment (author only)
+ * @route   DELETE /api/bugs/:id/comments/:commentId
+ * @access  Private
+ */
+const deleteComment = async (req, res, next) => {
+  try {
+    const comment = await findBugComment(req.params.id, req.params.commentId, buildProjectScope(req.project));
+
+    if (!comment) {
+      return next(new AppError('Comment not found', 404));
+    }
+
+    if (!isCommentAuthor(comment, req.user)) {
+      return next(new AppError('You can only delete your own comments', 403));
+    }
+
+    await comment.deleteOne();
+
+    console.log('Comment deleted successfully');
+
+    res.status(200).json({
+      success: true,
+      message: 'Comment deleted successfully'
+    });
+  } catch (error) {
+    console.error('Delete comment error:', error);
+    next(error);
+  }
+};
+
+module.exports = {
+  getComments,
+  createComment,
+  updateComment,
+  deleteComment
+};
@@ -0,0 +1,135 @@
+const Project = require('../models/Project');
+const Component = require('../models/Component');
+const { AppError } = require('../middleware/errorHandler');
+const { sanitizeInput, formatProjectResponse, formatComponentResponse } = require('../utils/validators');
+
+/**
+ * Converts duplicate key errors into 409 AppErrors
+ */
+const toConflictError = (error, message) => {
+  return error.code === 11000 ? new AppError(message, 409) : error;
+};
+
+/**
+ * @desc    List all projects
+ * @route   GET /api/projects
+ * @access  Public
+ */
+const getProjects = async (req, res, next) => {
+  try {
+    const projects = await Project.find().sort('name');
+
+    res.status(200).json({
+      success: true,
+      count: projects.length,
+      data: projects.map(formatProjectResponse)
+    });
+  } catch (error) {
+    console.error('Get projects error:', error);
+    next(error);
+  }
+};
+
+/**
+ * @desc    Get a project with its components
+ * @route   GET /api/projects/:projectId
+ * @access  Public
+ */
+const getProject = async (req, res, next) => {
+  try {
+    const components = await Component.find({ project: req.project._id }).sort('name');
+
+    res.status(200).json({
+      success: true,
+      data: {
+        ...formatProjectResponse(req.project),
+        components: components.map(formatComponentResponse)
+      }
+    });
+  } catch (error) {
+    console.error('Get project error:', error);
+    next(error);
+  }
+};
+
+/**
+ * @desc    Create a project
+ * @route   POST /api/projects
+ * @access  Private (admin)
+ */
+const createProject = async (req, res, next) => {
+  try {
+    const project = await Project.create({
+      name: sanitizeInput(req.body.name),
+      key: req.body.key,
+      description: req.body.description ? sanitizeInput(req.body.description) : undefined,
+      createdBy: req.user.username
+    });
+
+    console.log('Project created:', project._id, project.name);
+
+    res.status(201).json({
+      success: true,
+      data: formatProjectResponse(project)
+    });
+  } catch (error) {
+    console.error('Create project error:', error);
+    const message = error.keyPattern && error.keyPattern.key
+      ? `The project key "${req.body.key}" is already taken`
+      : `A project named "${req.body.name}" already exists`;
+    next(toConflictError(error, message));
+  }
+};
+
+/**
+ * @desc    List a project's components
+ * @route   GET /api/projects/:projectId/components
+ * @access  Public
+ */
+const getComponents = async (req, res, next) => {
+  try {
+    const components = await Component.find({ project: req.project._id }).sort('name');
+
+    res.status(200).json({
+      success: true,
+      count: components.length,
+      data: components.map(formatComponentResponse)
+    });
+  } catch (error) {
+    console.error('Get components error:', error);
+    next(error);
+  }
+};
+
+/**
+ * @desc    Add a component to a project
+ * @route   POST /api/projects/:projectId/components
+ * @access  Private (admin)
+ */
+const createComponent = async (req, res, next) => {
+  try {
+    const component = await Component.create({
+      project: req.project._id,
+      name: sanitizeInput(req.body.name),
+      description: req.body.description ? sanitizeInput(req.body.description) : undefined
+    });
+
+    console.log('Component created:', component._id, 'in project', req.project._id);
+
+    res.status(201).json({
+      success: true,
+      data: formatComponentResponse(component)
+    });
+  } catch (error) {
+    console.error('Create component error:', error);
+    next(toConflictError(error, `Project already has a component named "${req.body.name}"`));
+  }
+};
+
+module.exports = {
+  getProjects,
+  getProject,
+  createProject,
+  getComponents,
+  createComponent
+};
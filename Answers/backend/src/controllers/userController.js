@@ -0,0 +1,62 @@
+const User = require('../models/User');
+const { AppError } = require('../middleware/errorHandler');
+const { formatUserResponse } = require('../utils/validators');
+
+/**
+ * @desc    List all users
+ * @route   GET /api/users
+ * @access  Private (admin)
+ */
+const getUsers = async (req, res, next) => {
+  try {
+    const users = await User.find().sort('username');
+
+    res.status(200).json({
+      success: true,
+      count: users.length,
+      data: users.map(formatUserResponse)
+    });
+  } catch (error) {
+    console.error('Get users error:', error);
+    next(error);
+  }
+};
+
+/**
+ * @desc    Change a user's role
+ * @route   PUT /api/users/:id/role
+ * @access  Private (admin)
+ */
+const updateUserRole = async (req, res, next) => {
+  try {
+    // Stops the last admin from locking everyone out
+    if (req.params.id === req.user._id.toString()) {
+      return next(new AppError('You cannot change your own role', 400));
+    }
+
+    const user = await User.findByIdAndUpdate(
+      req.params.id,
+      { role: req.body.role },
+      { new: true, runValidators: true }
+    );
+
+    if (!user) {
+      return next(new AppError('User not found', 404));
+    }
+
+    console.log('User role updated:', user._id, 'to', user.role);
+
+    res.status(200).json({
+      success: true,
+      data: formatUserResponse(user)
+    });
+  } catch (error) {
+    console.error('Update user role error:', error);
+    next(error);
+  }
+};
+
+module.exports = {
+  getUsers,
+  updateUserRole
+};
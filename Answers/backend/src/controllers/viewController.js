@@ -0,0 +1,215 @@
+const SavedView = require('../models/SavedView');
+const { AppError } = require('../middleware/errorHandler');
+const { pickViewFilters, buildVisibleViewsFilter, sortViewsForUser } = require('../utils/savedViews');
+const { isViewOwner, canDeleteView } = require('../utils/permissions');
+const { sanitizeInput, formatViewResponse } = require('../utils/validators');
+
+/**
+ * Loads a view the user can see (their own or a shared one)
+ */
+const findVisibleView = (id, user) => {
+  return SavedView.findOne({ _id: id, ...buildVisibleViewsFilter(user) });
+};
+
+/**
+ * Converts save errors into 400 or 409 AppErrors
+ */
+const toViewSaveError = (error, name) => {
+  if (error.code === 11000) {
+    return new AppError(`You already have a view named "${name}"`, 409);
+  }
+  if (error.name === 'ValidationError') {
+    const errors = Object.values(error.errors).map(e => e.message);
+    return new AppError(errors.join(', '), 400);
+  }
+  return error;
+};
+
+/**
+ * @desc    List the user's views and the views shared with the team, pinned first
+ * @route   GET /api/views
+ * @access  Private
+ */
+const getViews = async (req, res, next) => {
+  try {
+    const views = await SavedView.find(buildVisibleViewsFilter(req.user));
+
+    res.status(200).json({
+      success: true,
+      count: views.length,
+      data: sortViewsForUser(views, req.user).map(view => formatViewResponse(view, req.user))
+    });
+  } catch (error) {
+    console.error('Get views error:', error);
+    next(error);
+  }
+};
+
+/**
+ * @desc    Get a saved view
+ * @route   GET /api/views/:id
+ * @access  Private
+ */
+const getView = async (req, res, next) => {
+  try {
+    const view = await findVisibleView(req.params.id, req.user);
+
+    if (!view) {
+      return next(new AppError('View not found', 404));
+    }
+
+    res.status(200).json({
+      success: true,
+      data: formatViewResponse(view, req.user)
+    });
+  } catch (error) {
+    console.error('Get view error:', error);
+    next(error);
+  }
+};
+
+/**
+ * @desc    Save the current filters and sort as a named view
+ * @route   POST /api/views
+ * @access  Private
+ */
+const createView = async (req, res, next) => {
+  try {
+    const view = await SavedView.create({
+      name: sanitizeInput(req.body.name),
+      owner: req.user.username,
+      ownerId: req.user._id,
+      filters: pickViewFilters(req.body.filters),
+      shared: req.body.shared === true
+    });
+
+    console.log('View saved:', view._id, view.name);
+
+    res.status(201).json({
+      success: true,
+      data: formatViewResponse(view, req.user)
+    });
+  } catch (error) {
+    console.error('Create view error:', error);
+    next(toViewSaveError(error, req.body.name));
+  }
+};
+
+/**
+ * @desc    Rename a view, replace its filters or share it (owner only)
+ * @route   PUT /api/views/:id
+ * @access  Private
+ */
+const updateView = async (req, res, next) => {
+  try {
+    const view = await findVisibleView(req.params.id, req.user);
+
+    if (!view) {
+      return next(new AppError('View not found', 404));
+    }
+
+    if (!isViewOwner(req.user, view)) {
+      return next(new AppError('You can only change your own views', 403));
+    }
+
+    if (req.body.name !== undefined) {
+      view.name = sanitizeInput(req.body.name);
+    }
+    if (req.body.filters !== undefined) {
+      view.filters = pickViewFilters(req.body.filters);
+    }
+    if (req.body.shared !== undefined) {
+      view.shared = req.body.shared;
+      // Other users can no longer see a view once it is unshared, so their pins go too
+      if (!view.shared) {
+        view.pinnedBy = view.pinnedBy.filter(id => id.equals(view.ownerId));
+      }
+    }
+
+    await view.save();
+
+    console.log('View updated successfully:', view._id);
+
+    res.status(200).json({
+      success: true,
+      data: formatViewResponse(view, req.user)
+    });
+  } catch (error) {
+    console.error('Update view error:', error);
+    next(toViewSaveError(error, req.body.name));
+  }
+};
+
+/**
+ * @desc    Delete a view (owner, or an admin for shared views)
+ * @route   DELETE /api/views/:id
+ * @access  Private
+ */
+const deleteView = async (req, res, next) => {
+  try {
+    const view = await findVisibleView(req.params.id, req.user);
+
+    if (!view) {
+      return next(new AppError('View not found', 404));
+    }
+
+    if (!canDeleteView(req.user, view)) {
+      return next(new AppError('You can only delete your own views', 403));
+    }
+
+    await view.deleteOne();
+
+    console.log('View deleted successfully');
+
+    res.status(200).json({
+      success: true,
+      message: 'View deleted successfully'
+    });
+  } catch (error) {
+    console.error('Delete view error:', error);
+    next(error);
+  }
+};
+
+/**
+ * @desc    Pin a view to the top of the user's list, or unpin it
+ * @route   PUT /api/views/:id/pin, DELETE /api/views/:id/pin
+ * @access  Private
+ */
+const setViewPinned = (pinned) => async (req, res, next) => {
+  try {
+    const update = pinned
+      ? { $addToSet: { pinnedBy: req.user._id } }
+      : { $pull: { pinnedBy: req.user._id } };
+    const view = await SavedView.findOneAndUpdate(
+      { _id: req.params.id, ...buildVisibleViewsFilter(req.user) },
+      update,
+      { new: true }
+    );
+
+    if (!view) {
+      return next(new AppError('View not found', 404));
+    }
+
+    res.status(200).json({
+      success: true,
+      data: formatViewResponse(view, req.user)
+    });
+  } catch (error) {
+    console.error('Pin view error:', error);
+    next(error);
+  }
+};
+
+const pinView = setViewPinned(true);
+const unpinView = setViewPinned(false);
+
+module.exports = {
+  getViews,
+  getView,
+  createView,
+  updateView,
+  deleteView,
+  pinView,
+  unpinView
+};
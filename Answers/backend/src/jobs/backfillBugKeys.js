@@ -0,0 +1,84 @@
+const Bug = require('../models/Bug');
+const Project = require('../models/Project');
+const { formatBugKey, generateProjectKey } = require('../utils/bugKeys');
+
+/**
+ * Gives projects saved without a key one made from their name
+ * @returns {Promise<number>} - Number of projects updated
+ */
+const backfillProjectKeys = async () => {
+  const projects = await Project.find({ key: null });
+  if (projects.length === 0) {
+    return 0;
+  }
+
+  const takenKeys = new Set(await Project.distinct('key'));
+  let updated = 0;
+  for (const project of projects) {
+    const key = generateProjectKey(project.name, takenKeys);
+    const result = await Project.updateOne({ _id: project._id, key: null }, { $set: { key } });
+    takenKeys.add(key);
+    updated += result.modifiedCount;
+  }
+  return updated;
+};
+
+/**
+ * Numbers a project's bugs saved without a key, oldest first. The numbers are
+ * reserved from the project's counter like new bugs, so they never clash.
+ * @param {Object} project - Project document with a key
+ * @returns {Promise<number>} - Number of bugs updated
+ */
+const backfillProjectBugKeys = async (project) => {
+  const bugs = await Bug.find({ project: project._id, key: null }).sort({ createdAt: 1, _id: 1 }).select('_id');
+  if (bugs.length === 0) {
+    return 0;
+  }
+
+  const { bugSequence } = await Project.findByIdAndUpdate(
+    project._id,
+    { $inc: { bugSequence: bugs.length } },
+    { new: true }
+  );
+  const firstNumber = bugSequence - bugs.length + 1;
+
+  const result = await Bug.bulkWrite(bugs.map((bug, index) => {
+    const number = firstNumber + index;
+    return {
+      updateOne: {
+        filter: { _id: bug._id, key: null },
+        update: { $set: { number, key: formatBugKey(project.key, number) } }
+      }
+    };
+  }));
+  return result.modifiedCount;
+};
+
+/**
+ * Gives projects and bugs saved before bug keys existed their keys. Run after
+ * backfillProjects, so every bug has a project. Only projects and bugs missing
+ * a key are touched, so it is cheap to run on every start.
+ * @returns {Promise<number>} - Number of bugs updated
+ */
+const backfillBugKeys = async () => {
+  const projectsUpdated = await backfillProjectKeys();
+  if (projectsUpdated > 0) {
+    console.log('Backfilled keys on', projectsUpdated, 'projects');
+  }
+
+  const projectIds = await Bug.distinct('project', { key: null, project: { $ne: null } });
+  const projects = await Project.find({ _id: { $in: projectIds } });
+
+  let updated = 0;
+  for (const project of projects) {
+    updated += await backfillProjectBugKeys(project);
+  }
+  if (updated > 0) {
+    console.log('Backfilled keys on', updated, 'bugs');
+  }
+  return updated;
+};
+
+module.exports = {
+  backfillBugKeys
+};
@@ -0,0 +1,39 @@
+const Bug = require('../models/Bug');
+const Project = require('../models/Project');
+
+// Project that bugs saved before projects existed are moved into
+const DEFAULT_PROJECT = {
+  name: 'Default',
+  key: 'DEF',
+  description: 'Bugs reported before projects were introduced',
+  createdBy: 'system'
+};
+
+/**
+ * Moves bugs saved before every bug belonged to a project into the default
+ * project, creating it when first needed. Only bugs without a project are
+ * touched, so it is cheap to run on every start.
+ * @returns {Promise<number>} - Number of bugs updated
+ */
+const backfillProjects = async () => {
+  if (!(await Bug.exists({ project: null }))) {
+    return 0;
+  }
+
+  const project = await Project.findOneAndUpdate(
+    { key: DEFAULT_PROJECT.key },
+    { $setOnInsert: DEFAULT_PROJECT },
+    { upsert: true, new: true }
+  );
+
+  const result = await Bug.updateMany({ project: null }, { $set: { project: project._id } });
+  if (result.modifiedCount > 0) {
+    console.log('Moved', result.modifiedCount, 'bugs into the', project.name, 'project');
+  }
+  return result.modifiedCount;
+};
+
+module.exports = {
+  DEFAULT_PROJECT,
+  backfillProjects
+};
@@ -0,0 +1,33 @@
+const Bug = require('../models/Bug');
+const { STATUSES } = require('../config/workflow');
+const { PRIORITIES } = require('../config/priorities');
+const { getSortRanks } = require('../utils/bugSort');
+
+/**
+ * Gives bugs saved before the list could sort by status and priority their
+ * sort ranks. Only bugs missing a rank are touched, so it is cheap to run on
+ * every start.
+ * @returns {Promise<number>} - Number of bugs updated
+ */
+const backfillSortRanks = async () => {
+  const results = await Promise.all([
+    ...STATUSES.map(status => Bug.updateMany(
+      { status, statusRank: null },
+      { $set: getSortRanks({ status }) }
+    )),
+    ...PRIORITIES.map(priority => Bug.updateMany(
+      { priority, priorityRank: null },
+      { $set: getSortRanks({ priority }) }
+    ))
+  ]);
+
+  const updated = results.reduce((total, result) => total + result.modifiedCount, 0);
+  if (updated > 0) {
+    console.log('Backfilled sort ranks on', updated, 'bugs');
+  }
+  return updated;
+};
+
+module.exports = {
+  backfillSortRanks
+};
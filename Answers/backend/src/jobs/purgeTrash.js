@@ -0,0 +1,53 @@
+const Bug = require('../models/Bug');
+const Comment = require('../models/Comment');
+const BugHistory = require('../models/BugHistory');
+const { PURGE_INTERVAL_MS, retentionDays } = require('../config/trash');
+const { getPurgeCutoff } = require('../utils/trash');
+const { getStorage } = require('../storage');
+
+/**
+ * Permanently removes bugs that have been in the trash longer than the
+ * retention period, along with their comments, history and attachment files.
+ * @param {Date} now - Current time
+ * @returns {Promise<number>} - Number of bugs purged
+ */
+const purgeDeletedBugs = async (now = new Date()) => {
+  const cutoff = getPurgeCutoff(now, retentionDays);
+  const expiredBugs = await Bug.find({ deletedAt: { $ne: null, $lte: cutoff } }, 'attachments.storageKey');
+  const expiredIds = expiredBugs.map(bug => bug._id);
+
+  if (expiredIds.length === 0) {
+    return 0;
+  }
+
+  const storageKeys = expiredBugs.flatMap(bug => bug.attachments.map(attachment => attachment.storageKey));
+  await Promise.all(storageKeys.map(key => getStorage().remove(key)
+    .catch(error => console.error('Could not remove attachment file:', key, error))));
+
+  await Comment.deleteMany({ bug: { $in: expiredIds } });
+  await BugHistory.deleteMany({ bug: { $in: expiredIds } });
+  await Bug.deleteMany({ _id: { $in: expiredIds } });
+
+  console.log('Purged', expiredIds.length, 'bugs deleted before', cutoff.toISOString());
+  return expiredIds.length;
+};
+
+/**
+ * Runs the purge now and then on an interval
+ * @returns {Function} - Stops the job
+ */
+const startPurgeJob = (intervalMs = PURGE_INTERVAL_MS) => {
+  const run = () => purgeDeletedBugs().catch(error => console.error('Purge trash error:', error));
+
+  run();
+  const timer = setInterval(run, intervalMs);
+  // Don't keep the process alive just for the purge job
+  timer.unref();
+
+  return () => clearInterval(timer);
+};
+
+module.exports = {
+  purgeDeletedBugs,
+  startPurgeJob
+};
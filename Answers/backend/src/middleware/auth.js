@@ -0,0 +1,86 @@
+const User = require('../models/User');
+const { AppError } = require('./errorHandler');
+const { verifyToken, extractBearerToken } = require('../utils/auth');
+const { hasRole } = require('../utils/permissions');
+
+/**
+ * Requires a valid JWT and attaches the user to req.user
+ */
+const protect = async (req, res, next) => {
+  const token = extractBearerToken(req.headers.authorization);
+
+  if (!token) {
+    return next(new AppError('Not authorized, please log in', 401));
+  }
+
+  let payload;
+  try {
+    payload = verifyToken(token);
+  } catch (error) {
+    const message = error.name === 'TokenExpiredError'
+      ? 'Your session has expired, please log in again'
+      : 'Not authorized, invalid token';
+    return next(new AppError(message, 401));
+  }
+
+  try {
+    const user = await User.findById(payload.id);
+
+    if (!user) {
+      return next(new AppError('The user for this token no longer exists', 401));
+    }
+
+    req.user = user;
+    next();
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Attaches the user to req.user when a valid JWT is sent, for public routes
+ * that behave differently for logged in users. Requests without a token, or
+ * with one that is invalid or expired, carry on anonymously.
+ */
+const optionalAuth = async (req, res, next) => {
+  const token = extractBearerToken(req.headers.authorization);
+
+  if (!token) {
+    return next();
+  }
+
+  let payload;
+  try {
+    payload = verifyToken(token);
+  } catch (error) {
+    return next();
+  }
+
+  try {
+    const user = await User.findById(payload.id);
+    if (user) {
+      req.user = user;
+    }
+    next();
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Restricts a route to users with one of the given roles.
+ * Must run after protect.
+ */
+const authorize = (...roles) => (req, res, next) => {
+  if (!hasRole(req.user, roles)) {
+    return next(new AppError('You do not have permission to perform this action', 403));
+  }
+
+  next();
+};
+
+module.exports = {
+  protect,
+  optionalAuth,
+  authorize
+};
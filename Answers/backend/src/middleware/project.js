@@ -0,0 +1,25 @@
+const Project = require('../models/Project');
+const { AppError } = require('./errorHandler');
+
+/**
+ * Loads the project named by :projectId and attaches it to req.project.
+ * Handlers read req.project to scope their queries to that project.
+ */
+const loadProject = async (req, res, next) => {
+  try {
+    const project = await Project.findById(req.params.projectId);
+
+    if (!project) {
+      return next(new AppError('Project not found', 404));
+    }
+
+    req.project = project;
+    next();
+  } catch (error) {
+    next(error);
+  }
+};
+
+module.exports = {
+  loadProject
+};
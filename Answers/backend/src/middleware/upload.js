@@ -0,0 +1,40 @@
+const multer = require('multer');
+const { AppError } = require('./errorHandler');
+const { MAX_FILES_PER_UPLOAD, attachmentConfig } = require('../config/attachments');
+const { isAllowedAttachmentType } = require('../utils/attachments');
+
+// Files are kept in memory until the storage adapter saves them, so the size limit matters
+const upload = multer({
+  storage: multer.memoryStorage(),
+  limits: {
+    fileSize: attachmentConfig.maxSizeBytes,
+    files: MAX_FILES_PER_UPLOAD
+  },
+  fileFilter: (req, file, cb) => {
+    if (!isAllowedAttachmentType(file.mimetype)) {
+      return cb(new AppError(`Files of type "${file.mimetype}" cannot be attached`, 415));
+    }
+    cb(null, true);
+  }
+}).array('files', MAX_FILES_PER_UPLOAD);
+
+/**
+ * Parses multipart attachment uploads from the "files" field into req.files,
+ * turning upload limit errors into AppErrors
+ */
+const uploadAttachments = (req, res, next) => {
+  upload(req, res, (error) => {
+    if (error instanceof multer.MulterError) {
+      if (error.code === 'LIMIT_FILE_SIZE') {
+        return next(new AppError(`Attachments cannot exceed ${attachmentConfig.maxSizeMb} MB`, 413));
+      }
+      if (error.code === 'LIMIT_FILE_COUNT' || error.code === 'LIMIT_UNEXPECTED_FILE') {
+        return next(new AppError(`Upload up to ${MAX_FILES_PER_UPLOAD} files in the "files" field`, 400));
+      }
+      return next(new AppError(error.message, 400));
+    }
+    next(error);
+  });
+};
+
+module.exports = { uploadAttachments };
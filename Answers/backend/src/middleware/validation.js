@@ -0,0 +1,541 @@
+const { body, param, query, validationResult } = require('express-validator');
+const { AppError } = require('./errorHandler');
+const { ROLES } = require('../config/roles');
+const { EXPORT_FORMATS } = require('../utils/export');
+const { TREND_INTERVALS } = require('../utils/trends');
+const { STATUSES } = require('../config/workflow');
+const { PROJECT_KEY_PATTERN, isBugIdOrKey } = require('../utils/bugKeys');
+const { parseFilterExpression } = require('../utils/filterExpression');
+const { describeInvalidSort } = require('../utils/bugSort');
+const { PRIORITIES } = require('../config/priorities');
+
+/**
+ * Parses a filter expression so syntax errors come back as 400s.
+ * `me` resolves against the logged in user, if any.
+ */
+const checkFilterExpression = (expression, { req }) => {
+  try {
+    parseFilterExpression(expression, { username: req.user && req.user.username });
+  } catch (error) {
+    throw new Error(`Invalid filter: ${error.message}`);
+  }
+  return true;
+};
+
+/**
+ * Checks a sort against the whitelisted keys in utils/bugSort
+ */
+const checkSort = (sortBy) => {
+  const problem = describeInvalidSort(sortBy);
+  if (problem) {
+    throw new Error(problem);
+  }
+  return true;
+};
+
+/**
+ * Validation rule for the bug list filter expression, shared by the list and export
+ */
+const filterExpressionValidation = query('filter')
+  .optional()
+  .isString().withMessage('Filter must be a string')
+  .isLength({ max: 500 }).withMessage('Filter cannot exceed 500 characters')
+  .bail()
+  .custom(checkFilterExpression);
+
+/**
+ * Validation rules for the status and priority filters, shared by the list and export.
+ * Only plain configured values pass, so no query operator reaches the MongoDB filter.
+ */
+const statusPriorityFilterValidation = [
+  query('status')
+    .optional({ values: 'falsy' })
+    .isString().withMessage('Status must be a string')
+    .bail()
+    .isIn(STATUSES).withMessage(`Status must be one of: ${STATUSES.join(', ')}`),
+
+  query('priority')
+    .optional({ values: 'falsy' })
+    .isString().withMessage('Priority must be a string')
+    .bail()
+    .isIn(PRIORITIES).withMessage(`Priority must be one of: ${PRIORITIES.join(', ')}`)
+];
+
+/**
+ * Validation rule for the bug list sort, shared by the list and export
+ */
+const sortValidation = query('sortBy')
+  .optional()
+  .isString().withMessage('Sort must be a string')
+  .bail()
+  .custom(checkSort);
+
+/**
+ * Validation rules for creating a bug
+ */
+const createBugValidation = [
+  body('project')
+    .optional()
+    .isMongoId().withMessage('Invalid project ID format'),
+
+  body('component')
+    .optional({ values: 'null' })
+    .isMongoId().withMessage('Invalid component ID format'),
+
+  body('title')
+    .trim()
+    .notEmpty().withMessage('Title is required')
+    .isLength({ min: 3, max: 200 }).withMessage('Title must be 3-200 characters'),
+  
+  body('description')
+    .trim()
+    .notEmpty().withMessage('Description is required')
+    .isLength({ min: 10 }).withMessage('Description must be at least 10 characters'),
+  
+  body('priority')
+    .optional()
+    .isIn(PRIORITIES).withMessage('Invalid priority'),
+  
+  body('assignedTo')
+    .optional()
+    .trim(),
+  
+  body('tags')
+    .optional()
+    .isArray().withMessage('Tags must be an array')
+];
+
+/**
+ * Validation rules for updating a bug
+ */
+const updateBugValidation = [
+  body('component')
+    .optional({ values: 'null' })
+    .isMongoId().withMessage('Invalid component ID format'),
+
+  body('title')
+    .optional()
+    .trim()
+    .isLength({ min: 3, max: 200 }).withMessage('Title must be 3-200 characters'),
+  
+  body('description')
+    .optional()
+    .trim()
+    .isLength({ min: 10 }).withMessage('Description must be at least 10 characters'),
+  
+  body('status')
+    .optional()
+    .isIn(STATUSES).withMessage('Invalid status'),
+  
+  body('priority')
+    .optional()
+    .isIn(PRIORITIES).withMessage('Invalid priority'),
+  
+  body('assignedTo')
+    .optional()
+    .trim(),
+  
+  body('tags')
+    .optional()
+    .isArray().withMessage('Tags must be an array')
+];
+
+/**
+ * Validation rule for bug ID parameter
+ */
+const bugIdValidation = [
+  param('id')
+    .custom(isBugIdOrKey).withMessage('Invalid bug ID or key format')
+];
+
+/**
+ * Validation rules for creating a comment
+ */
+const createCommentValidation = [
+  body('body')
+    .trim()
+    .notEmpty().withMessage('Comment body is required')
+    .isLength({ max: 2000 }).withMessage('Comment cannot exceed 2000 characters')
+];
+
+/**
+ * Validation rules for editing a comment
+ */
+const updateCommentValidation = createCommentValidation;
+
+/**
+ * Validation rule for comment ID parameter
+ */
+const commentIdValidation = [
+  param('commentId')
+    .isMongoId().withMessage('Invalid comment ID format')
+];
+
+/**
+ * Validation rules for attachment ID parameter
+ */
+const attachmentIdValidation = [
+  param('attachmentId')
+    .isMongoId().withMessage('Invalid attachment ID format')
+];
+
+/**
+ * Validation rules for registering a user
+ */
+const registerValidation = [
+  body('username')
+    .trim()
+    .notEmpty().withMessage('Username is required')
+    .isLength({ min: 3, max: 30 }).withMessage('Username must be 3-30 characters')
+    .matches(/^[A-Za-z0-9_.-]+$/).withMessage('Username may only contain letters, numbers, dots, dashes and underscores'),
+
+  body('email')
+    .trim()
+    .notEmpty().withMessage('Email is required')
+    .isEmail().withMessage('Please provide a valid email'),
+
+  body('password')
+    .isLength({ min: 8 }).withMessage('Password must be at least 8 characters')
+];
+
+/**
+ * Validation rules for logging in
+ */
+const loginValidation = [
+  body('email')
+    .trim()
+    .notEmpty().withMessage('Email is required'),
+
+  body('password')
+    .notEmpty().withMessage('Password is required')
+];
+
+/**
+ * Validation rules for bug list query parameters
+ */
+const bugQueryValidation = [
+  query('page')
+    .optional()
+    .isInt({ min: 1 }).withMessage('Page must be a positive integer'),
+
+  query('limit')
+    .optional()
+    .isInt({ min: 1, max: 100 }).withMessage('Limit must be between 1 and 100'),
+
+  query('cursor')
+    .optional()
+    .isString().withMessage('Cursor must be a string'),
+
+  query('project')
+    .optional()
+    .isMongoId().withMessage('Invalid project ID format'),
+
+  query('component')
+    .optional()
+    .isMongoId().withMessage('Invalid component ID format'),
+
+  query('q')
+    .optional()
+    .isString().withMessage('Search query must be a string')
+    .trim()
+    .isLength({ max: 200 }).withMessage('Search query cannot exceed 200 characters'),
+
+  statusPriorityFilterValidation,
+
+  filterExpressionValidation,
+
+  sortValidation
+];
+
+/**
+ * Validation rules for exporting the bug list
+ */
+const bugExportValidation = [
+  query('format')
+    .optional()
+    .isIn(Object.keys(EXPORT_FORMATS))
+    .withMessage(`Format must be one of: ${Object.keys(EXPORT_FORMATS).join(', ')}`),
+
+  query(['project', 'component'])
+    .optional()
+    .isMongoId().withMessage('Invalid project or component ID format'),
+
+  query('q')
+    .optional()
+    .isString().withMessage('Search query must be a string')
+    .trim()
+    .isLength({ max: 200 }).withMessage('Search query cannot exceed 200 characters'),
+
+  statusPriorityFilterValidation,
+
+  filterExpressionValidation,
+
+  sortValidation
+];
+
+/**
+ * Validation rules for the trend statistics
+ */
+const bugTrendsValidation = [
+  query(['from', 'to'])
+    .optional()
+    .isISO8601().withMessage('Dates must be ISO 8601, e.g. 2024-01-31'),
+
+  query('interval')
+    .optional()
+    .isIn(TREND_INTERVALS)
+    .withMessage(`Interval must be one of: ${TREND_INTERVALS.join(', ')}`)
+];
+
+/**
+ * Validation rules for looking up possible duplicates of a report
+ */
+const duplicateQueryValidation = [
+  query('title')
+    .trim()
+    .isLength({ min: 3, max: 200 }).withMessage('Title must be 3-200 characters'),
+
+  query('description')
+    .optional()
+    .isString().withMessage('Description must be text')
+];
+
+/**
+ * Validation rules for marking a bug as a duplicate of another
+ */
+const duplicateOfValidation = [
+  param(['id', 'otherId'])
+    .custom(isBugIdOrKey).withMessage('Invalid bug ID or key format')
+];
+
+/**
+ * Validation rules for importing bugs
+ */
+const bugImportValidation = [
+  query('project')
+    .optional()
+    .isMongoId().withMessage('Invalid project ID format'),
+
+  query('dryRun')
+    .optional()
+    .isBoolean().withMessage('dryRun must be true or false')
+];
+
+// Keeps a single bulk request from locking up the server
+const MAX_BULK_IDS = 100;
+
+/**
+ * Validation rules for bulk bug actions
+ */
+const bulkBugValidation = [
+  body('ids')
+    .isArray({ min: 1, max: MAX_BULK_IDS }).withMessage(`ids must be a list of 1-${MAX_BULK_IDS} bug IDs`),
+
+  body('ids.*')
+    .isMongoId().withMessage('Invalid bug ID format'),
+
+  body('action')
+    .isIn(['update', 'delete']).withMessage('Action must be update or delete'),
+
+  body('changes')
+    .if(body('action').equals('update'))
+    .custom(changes => changes && ['status', 'priority', 'assignedTo', 'tags'].some(field => changes[field] !== undefined))
+    .withMessage('Provide at least one of status, priority, assignedTo or tags to change'),
+
+  body('changes.status')
+    .optional()
+    .isIn(STATUSES).withMessage('Invalid status'),
+
+  body('changes.priority')
+    .optional()
+    .isIn(PRIORITIES).withMessage('Invalid priority'),
+
+  body('changes.assignedTo')
+    .optional()
+    .isString().withMessage('Assignee must be a string')
+    .trim(),
+
+  body('changes.tags')
+    .optional()
+    .isArray().withMessage('Tags must be an array')
+];
+
+/**
+ * Validation rule for project ID parameter
+ */
+const projectIdValidation = [
+  param('projectId')
+    .isMongoId().withMessage('Invalid project ID format')
+];
+
+/**
+ * Validation rules for creating a project
+ */
+const createProjectValidation = [
+  body('name')
+    .trim()
+    .notEmpty().withMessage('Project name is required')
+    .isLength({ min: 2, max: 100 }).withMessage('Project name must be 2-100 characters'),
+
+  body('key')
+    .trim()
+    .notEmpty().withMessage('Project key is required')
+    .toUpperCase()
+    .matches(PROJECT_KEY_PATTERN).withMessage('Project key must be 2-10 letters or digits, starting with a letter'),
+
+  body('description')
+    .optional()
+    .trim()
+    .isLength({ max: 500 }).withMessage('Project description cannot exceed 500 characters')
+];
+
+/**
+ * Validation rules for adding a component to a project
+ */
+const createComponentValidation = [
+  body('name')
+    .trim()
+    .notEmpty().withMessage('Component name is required')
+    .isLength({ max: 100 }).withMessage('Component name cannot exceed 100 characters'),
+
+  body('description')
+    .optional()
+    .trim()
+    .isLength({ max: 500 }).withMessage('Component description cannot exceed 500 characters')
+];
+
+/**
+ * Validation rules for user ID parameter
+ */
+const userIdValidation = [
+  param('id')
+    .isMongoId().withMessage('Invalid user ID format')
+];
+
+/**
+ * Validation rules for changing a user's role
+ */
+const updateRoleValidation = [
+  body('role')
+    .isIn(ROLES).withMessage(`Role must be one of: ${ROLES.join(', ')}`)
+];
+
+/**
+ * Validation rules for the settings of a saved view, shared by create and update.
+ * Empty fields are allowed (and dropped); the rest are checked like the bug list's
+ * own query parameters so a saved view always loads.
+ */
+const viewSettingsValidation = [
+  body('filters')
+    .optional()
+    .isObject().withMessage('Filters must be an object'),
+
+  body(['filters.project', 'filters.component'])
+    .optional({ values: 'falsy' })
+    .isMongoId().withMessage('Invalid project or component ID format'),
+
+  body('filters.status')
+    .optional({ values: 'falsy' })
+    .isIn(STATUSES).withMessage('Invalid status'),
+
+  body('filters.priority')
+    .optional({ values: 'falsy' })
+    .isIn(PRIORITIES).withMessage('Invalid priority'),
+
+  body('filters.q')
+    .optional({ values: 'falsy' })
+    .isString().withMessage('Search query must be a string')
+    .isLength({ max: 200 }).withMessage('Search query cannot exceed 200 characters'),
+
+  body('filters.filter')
+    .optional({ values: 'falsy' })
+    .isString().withMessage('Filter must be a string')
+    .isLength({ max: 500 }).withMessage('Filter cannot exceed 500 characters')
+    .bail()
+    .custom(checkFilterExpression),
+
+  body('filters.sortBy')
+    .optional({ values: 'falsy' })
+    .isString().withMessage('Sort must be a string')
+    .bail()
+    .custom(checkSort),
+
+  body('shared')
+    .optional()
+    .isBoolean({ strict: true }).withMessage('shared must be true or false')
+];
+
+/**
+ * Validation rules for saving a view
+ */
+const createViewValidation = [
+  body('name')
+    .trim()
+    .notEmpty().withMessage('View name is required')
+    .isLength({ max: 100 }).withMessage('View name cannot exceed 100 characters'),
+
+  ...viewSettingsValidation
+];
+
+/**
+ * Validation rules for changing a saved view
+ */
+const updateViewValidation = [
+  body('name')
+    .optional()
+    .trim()
+    .notEmpty().withMessage('View name cannot be empty')
+    .isLength({ max: 100 }).withMessage('View name cannot exceed 100 characters'),
+
+  ...viewSettingsValidation
+];
+
+/**
+ * Validation rule for saved view ID parameter
+ */
+const viewIdValidation = [
+  param('id')
+    .isMongoId().withMessage('Invalid view ID format')
+];
+
+/**
+ * Middleware to check validation results
+ */
+const validateRequest = (req, res, next) => {
+  const errors = validationResult(req);
+  
+  if (!errors.isEmpty()) {
+    const errorMessages = errors.array().map(err => err.msg);
+    return next(new AppError(errorMessages.join(', '), 400));
+  }
+  
+  next();
+};
+
+module.exports = {
+  createBugValidation,
+  updateBugValidation,
+  bugIdValidation,
+  bugQueryValidation,
+  bugExportValidation,
+  bugImportValidation,
+  bulkBugValidation,
+  bugTrendsValidation,
+  duplicateQueryValidation,
+  duplicateOfValidation,
+  createCommentValidation,
+  updateCommentValidation,
+  commentIdValidation,
+  attachmentIdValidation,
+  registerValidation,
+  loginValidation,
+  projectIdValidation,
+  createProjectValidation,
+  createComponentValidation,
+  userIdValidation,
+  updateRoleValidation,
+  createViewValidation,
+  updateViewValidation,
+  viewIdValidation,
+  validateRequest
+};
@@ -1,6 +1,62 @@
 const mongoose = require('mongoose');
+const { getSortRanks } = require('../utils/bugSort');
+const { STATUSES } = require('../config/workflow');
+const { PRIORITIES } = require('../config/priorities');
+
+// Metadata for a file attached to a bug; the file itself lives in the storage adapter
+const attachmentSchema = new mongoose.Schema({
+  filename: {
+    type: String,
+    required: [true, 'Attachment file name is required'],
+    trim: true
+  },
+  mimeType: {
+    type: String,
+    required: true
+  },
+  size: {
+    type: Number,
+    required: true
+  },
+  storageKey: {
+    type: String,
+    required: true
+  },
+  uploadedBy: {
+    type: String,
+    required: true,
+    trim: true
+  },
+  uploadedById: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  uploadedAt: {
+    type: Date,
+    default: Date.now
+  }
+});
 
 const bugSchema = new mongoose.Schema({
+  project: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Project',
+    required: [true, 'Bug must belong to a project']
+  },
+  // Number within the project and the key built from it, e.g. 142 and API-142
+  number: {
+    type: Number
+  },
+  key: {
+    type: String,
+    trim: true
+  },
+  // Optional part of the project the bug was found in
+  component: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Component',
+    default: null
+  },
   title: {
     type: String,
     required: [true, 'Bug title is required'],
@@ -16,12 +72,12 @@ const bugSchema = new mongoose.Schema({
   },
   status: {
     type: String,
-    enum: ['open', 'in-progress', 'resolved', 'closed'],
+    enum: STATUSES,
     default: 'open'
   },
   priority: {
     type: String,
-    enum: ['low', 'medium', 'high', 'critical'],
+    enum: PRIORITIES,
     default: 'medium'
   },
   reporter: {
@@ -29,6 +85,10 @@ const bugSchema = new mongoose.Schema({
     required: [true, 'Reporter name is required'],
     trim: true
   },
+  reporterId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
   assignedTo: {
     type: String,
     trim: true
@@ -37,6 +97,40 @@ const bugSchema = new mongoose.Schema({
     type: String,
     trim: true
   }],
+  attachments: [attachmentSchema],
+  // The original bug this one was closed as a duplicate of
+  duplicateOf: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Bug',
+    default: null
+  },
+  // When the bug first reached a resolved status; cleared when it is reopened
+  resolvedAt: {
+    type: Date,
+    default: null
+  },
+  // Set when the bug is moved to the trash; purged after the retention period
+  deletedAt: {
+    type: Date,
+    default: null
+  },
+  deletedBy: {
+    type: String,
+    trim: true
+  },
+  // Position of the status in the workflow and of the priority by severity,
+  // kept in step by the hooks below so the list can sort on them
+  statusRank: {
+    type: Number
+  },
+  priorityRank: {
+    type: Number
+  },
+  // Incremented on every edit; sent as the ETag so concurrent edits can be detected
+  version: {
+    type: Number,
+    default: 0
+  },
   createdAt: {
     type: Date,
     default: Date.now
@@ -52,12 +146,56 @@ const bugSchema = new mongoose.Schema({
 // Index for better query performance
 bugSchema.index({ status: 1, priority: -1, createdAt: -1 });
 
+// Index for project-scoped lists and statistics
+bugSchema.index({ project: 1, status: 1, createdAt: -1 });
+
+// Index for looking bugs up by key; bugs created before keys existed have none
+bugSchema.index({ key: 1 }, { unique: true, sparse: true });
+
+// Indexes for the trend statistics
+bugSchema.index({ createdAt: 1 });
+bugSchema.index({ resolvedAt: 1 });
+
+// Indexes for the sortable fields not covered above
+bugSchema.index({ priorityRank: 1, _id: 1 });
+bugSchema.index({ statusRank: 1, _id: 1 });
+bugSchema.index({ updatedAt: 1 });
+bugSchema.index({ title: 1 });
+
+// Index for the trash listing and purge job
+bugSchema.index({ deletedAt: 1 });
+
+// Weighted text index for full-text search
+bugSchema.index(
+  { title: 'text', tags: 'text', description: 'text' },
+  {
+    name: 'bug_text_search',
+    weights: { title: 10, tags: 5, description: 1 }
+  }
+);
+
 // Pre-save middleware to update the updatedAt field
 bugSchema.pre('save', function(next) {
   this.updatedAt = Date.now();
   next();
 });
 
+// Set the sort ranks on new bugs; runs for create, save and insertMany
+bugSchema.pre('validate', function(next) {
+  this.set(getSortRanks({ status: this.status, priority: this.priority }));
+  next();
+});
+
+// Update the sort ranks when an update changes the status or priority
+bugSchema.pre(['findOneAndUpdate', 'updateOne', 'updateMany'], function(next) {
+  const update = this.getUpdate() || {};
+  const ranks = getSortRanks({ ...update, ...update.$set });
+  if (Object.keys(ranks).length > 0) {
+    this.set(ranks);
+  }
+  next();
+});
+
 const Bug = mongoose.model('Bug', bugSchema);
 
 module.exports = Bug;
@@ -0,0 +1,53 @@
+const mongoose = require('mongoose');
+const { TRACKED_FIELDS } = require('../utils/history');
+
+const bugHistorySchema = new mongoose.Schema({
+  bug: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Bug',
+    required: [true, 'History entry must belong to a bug']
+  },
+  field: {
+    type: String,
+    enum: TRACKED_FIELDS,
+    required: [true, 'Changed field is required']
+  },
+  from: {
+    type: mongoose.Schema.Types.Mixed,
+    default: null
+  },
+  to: {
+    type: mongoose.Schema.Types.Mixed,
+    default: null
+  },
+  changedBy: {
+    type: String,
+    trim: true,
+    default: 'anonymous'
+  },
+  changedAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+bugHistorySchema.index({ bug: 1, changedAt: 1 });
+
+// The activity log is append-only: existing entries can never be modified
+const rejectMutation = function(next) {
+  next(new Error('Bug history is append-only'));
+};
+
+bugHistorySchema.pre('save', function(next) {
+  if (!this.isNew) {
+    return rejectMutation(next);
+  }
+  next();
+});
+
+['updateOne', 'updateMany', 'findOneAndUpdate', 'replaceOne', 'findOneAndReplace']
+  .forEach(operation => bugHistorySchema.pre(operation, rejectMutation));
+
+const BugHistory = mongoose.model('BugHistory', bugHistorySchema);
+
+module.exports = BugHistory;
@@ -0,0 +1,37 @@
+const mongoose = require('mongoose');
+
+const commentSchema = new mongoose.Schema({
+  bug: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Bug',
+    required: [true, 'Comment must belong to a bug']
+  },
+  author: {
+    type: String,
+    required: [true, 'Comment author is required'],
+    trim: true
+  },
+  authorId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: [true, 'Comment author is required']
+  },
+  body: {
+    type: String,
+    required: [true, 'Comment body is required'],
+    trim: true,
+    maxlength: [2000, 'Comment cannot exceed 2000 characters']
+  },
+  editedAt: {
+    type: Date
+  }
+}, {
+  timestamps: true
+});
+
+// Threads are always read per bug in chronological order
+commentSchema.index({ bug: 1, createdAt: 1 });
+
+const Comment = mongoose.model('Comment', commentSchema);
+
+module.exports = Comment;
@@ -0,0 +1,30 @@
+const mongoose = require('mongoose');
+
+// A part of a project (API, web app, ...) that bugs can be filed against
+const componentSchema = new mongoose.Schema({
+  project: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Project',
+    required: [true, 'Component must belong to a project']
+  },
+  name: {
+    type: String,
+    required: [true, 'Component name is required'],
+    trim: true,
+    maxlength: [100, 'Component name cannot exceed 100 characters']
+  },
+  description: {
+    type: String,
+    trim: true,
+    maxlength: [500, 'Component description cannot exceed 500 characters']
+  }
+}, {
+  timestamps: true
+});
+
+// Names only need to be unique within their project
+componentSchema.index({ project: 1, name: 1 }, { unique: true });
+
+const Component = mongoose.model('Component', componentSchema);
+
+module.exports = Component;
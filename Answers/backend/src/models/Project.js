@@ -0,0 +1,43 @@
+const mongoose = require('mongoose');
+const { PROJECT_KEY_PATTERN } = require('../utils/bugKeys');
+
+// A product or service tracked in this instance; every bug belongs to one
+const projectSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: [true, 'Project name is required'],
+    unique: true,
+    trim: true,
+    minlength: [2, 'Project name must be at least 2 characters'],
+    maxlength: [100, 'Project name cannot exceed 100 characters']
+  },
+  // Short prefix for the project's bug keys, e.g. API for API-142
+  key: {
+    type: String,
+    required: [true, 'Project key is required'],
+    unique: true,
+    trim: true,
+    uppercase: true,
+    match: [PROJECT_KEY_PATTERN, 'Project key must be 2-10 letters or digits, starting with a letter']
+  },
+  description: {
+    type: String,
+    trim: true,
+    maxlength: [500, 'Project description cannot exceed 500 characters']
+  },
+  createdBy: {
+    type: String,
+    trim: true
+  },
+  // Last bug number handed out; incremented atomically when bugs are created
+  bugSequence: {
+    type: Number,
+    default: 0
+  }
+}, {
+  timestamps: true
+});
+
+const Project = mongoose.model('Project', projectSchema);
+
+module.exports = Project;
@@ -0,0 +1,73 @@
+const mongoose = require('mongoose');
+const { STATUSES } = require('../config/workflow');
+const { PRIORITIES } = require('../config/priorities');
+
+// A named set of bug list filters and sort order, private to its owner unless shared
+const savedViewSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: [true, 'View name is required'],
+    trim: true,
+    maxlength: [100, 'View name cannot exceed 100 characters']
+  },
+  owner: {
+    type: String,
+    required: [true, 'View owner is required'],
+    trim: true
+  },
+  ownerId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: [true, 'View owner is required']
+  },
+  // The bug list query string the view applies; unset fields are left out
+  filters: {
+    project: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Project'
+    },
+    component: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Component'
+    },
+    status: {
+      type: String,
+      enum: STATUSES
+    },
+    priority: {
+      type: String,
+      enum: PRIORITIES
+    },
+    q: {
+      type: String,
+      maxlength: [200, 'Search query cannot exceed 200 characters']
+    },
+    filter: {
+      type: String,
+      maxlength: [500, 'Filter cannot exceed 500 characters']
+    },
+    sortBy: {
+      type: String
+    }
+  },
+  // Shared views are listed for the whole team; only the owner can change them
+  shared: {
+    type: Boolean,
+    default: false
+  },
+  // Users who pinned the view to the top of their sidebar
+  pinnedBy: [{
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }]
+}, {
+  timestamps: true
+});
+
+// View names are unique per owner, and shared views are listed for everyone
+savedViewSchema.index({ ownerId: 1, name: 1 }, { unique: true });
+savedViewSchema.index({ shared: 1 });
+
+const SavedView = mongoose.model('SavedView', savedViewSchema);
+
+module.exports = SavedView;
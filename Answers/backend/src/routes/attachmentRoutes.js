@@ -0,0 +1,24 @@
+const express = require('express');
+// mergeParams exposes the parent bug :id to these handlers
+const router = express.Router({ mergeParams: true });
+const { protect } = require('../middleware/auth');
+const { uploadAttachments: parseAttachmentUpload } = require('../middleware/upload');
+const {
+  uploadAttachments,
+  downloadAttachment,
+  deleteAttachment
+} = require('../controllers/attachmentController');
+
+const {
+  bugIdValidation,
+  attachmentIdValidation,
+  validateRequest
+} = require('../middleware/validation');
+
+router.post('/', protect, bugIdValidation, validateRequest, parseAttachmentUpload, uploadAttachments);
+
+router.route('/:attachmentId')
+  .get(bugIdValidation, attachmentIdValidation, validateRequest, downloadAttachment)
+  .delete(protect, bugIdValidation, attachmentIdValidation, validateRequest, deleteAttachment);
+
+module.exports = router;
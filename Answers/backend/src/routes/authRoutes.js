@@ -0,0 +1,16 @@
+const express = require('express');
+const router = express.Router();
+const { register, login, getMe } = require('../controllers/authController');
+const { protect } = require('../middleware/auth');
+
+const {
+  registerValidation,
+  loginValidation,
+  validateRequest
+} = require('../middleware/validation');
+
+router.post('/register', registerValidation, validateRequest, register);
+router.post('/login', loginValidation, validateRequest, login);
+router.get('/me', protect, getMe);
+
+module.exports = router;
@@ -2,31 +2,90 @@ const express = require('express');
 const router = express.Router();
 const {
   getAllBugs,
+  exportBugs,
+  importBugs,
   getBugById,
   createBug,
   updateBug,
   deleteBug,
-  getBugStats
+  bulkUpdateBugs,
+  getTrash,
+  restoreBug,
+  findDuplicateBugs,
+  markDuplicate,
+  getBugHistory,
+  streamBugEvents,
+  getBugStats,
+  getBugTrends
 } = require('../controllers/bugController');
 
 const {
   createBugValidation,
   updateBugValidation,
   bugIdValidation,
+  bugQueryValidation,
+  bugExportValidation,
+  bugImportValidation,
+  bulkBugValidation,
+  bugTrendsValidation,
+  duplicateQueryValidation,
+  duplicateOfValidation,
   validateRequest
 } = require('../middleware/validation');
+const { protect, optionalAuth, authorize } = require('../middleware/auth');
+const commentRoutes = require('./commentRoutes');
+const attachmentRoutes = require('./attachmentRoutes');
 
-// Stats route (must be before :id route)
+const IMPORT_BODY_LIMIT = '2mb';
+
+// Stats and live event routes (must be before :id route)
 router.get('/stats', getBugStats);
+router.get('/stats/trends', bugTrendsValidation, validateRequest, getBugTrends);
+router.get('/events', streamBugEvents);
+router.get('/export', optionalAuth, bugExportValidation, validateRequest, exportBugs);
+
+// Bulk import (CSV bodies arrive as text, JSON bodies via the app-wide parser)
+router.post(
+  '/import',
+  protect,
+  authorize('developer', 'admin'),
+  express.text({ type: 'text/csv', limit: IMPORT_BODY_LIMIT }),
+  bugImportValidation,
+  validateRequest,
+  importBugs
+);
+
+// Bulk actions (must be before :id route)
+router.patch('/bulk', protect, bulkBugValidation, validateRequest, bulkUpdateBugs);
+
+// Possible duplicates of a report being written (must be before :id route)
+router.get('/duplicates', duplicateQueryValidation, validateRequest, findDuplicateBugs);
+
+// Deleted bugs waiting to be purged (must be before :id route)
+router.get('/trash', protect, bugQueryValidation, validateRequest, getTrash);
 
 // Main CRUD routes
 router.route('/')
-  .get(getAllBugs)
-  .post(createBugValidation, validateRequest, createBug);
+  .get(optionalAuth, bugQueryValidation, validateRequest, getAllBugs)
+  .post(protect, createBugValidation, validateRequest, createBug);
 
 router.route('/:id')
   .get(bugIdValidation, validateRequest, getBugById)
-  .put(bugIdValidation, updateBugValidation, validateRequest, updateBug)
-  .delete(bugIdValidation, validateRequest, deleteBug);
+  .put(protect, bugIdValidation, updateBugValidation, validateRequest, updateBug)
+  .delete(protect, bugIdValidation, validateRequest, deleteBug);
+
+router.post('/:id/restore', protect, bugIdValidation, validateRequest, restoreBug);
+
+// Close a bug as a duplicate of another
+router.post('/:id/duplicate-of/:otherId', protect, duplicateOfValidation, validateRequest, markDuplicate);
+
+// Append-only activity log
+router.get('/:id/history', bugIdValidation, validateRequest, getBugHistory);
+
+// Comment thread subresource
+router.use('/:id/comments', commentRoutes);
+
+// Uploaded files (screenshots, logs)
+router.use('/:id/attachments', attachmentRoutes);
 
 module.exports = router;
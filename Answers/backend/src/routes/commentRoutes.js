@@ -0,0 +1,28 @@
+const express = require('express');
+// mergeParams exposes the parent bug :id to these handlers
+const router = express.Router({ mergeParams: true });
+const { protect } = require('../middleware/auth');
+const {
+  getComments,
+  createComment,
+  updateComment,
+  deleteComment
+} = require('../controllers/commentController');
+
+const {
+  bugIdValidation,
+  createCommentValidation,
+  updateCommentValidation,
+  commentIdValidation,
+  validateRequest
+} = require('../middleware/validation');
+
+router.route('/')
+  .get(bugIdValidation, validateRequest, getComments)
+  .post(protect, bugIdValidation, createCommentValidation, validateRequest, createComment);
+
+router.route('/:commentId')
+  .put(protect, bugIdValidation, commentIdValidation, updateCommentValidation, validateRequest, updateComment)
+  .delete(protect, bugIdValidation, commentIdValidation, validateRequest, deleteComment);
+
+module.exports = router;
@@ -0,0 +1,37 @@
+const express = require('express');
+const router = express.Router();
+const {
+  getProjects,
+  getProject,
+  createProject,
+  getComponents,
+  createComponent
+} = require('../controllers/projectController');
+
+const {
+  projectIdValidation,
+  createProjectValidation,
+  createComponentValidation,
+  validateRequest
+} = require('../middleware/validation');
+const { protect, authorize } = require('../middleware/auth');
+const { loadProject } = require('../middleware/project');
+const bugRoutes = require('./bugRoutes');
+
+router.route('/')
+  .get(getProjects)
+  .post(protect, authorize('admin'), createProjectValidation, validateRequest, createProject);
+
+// Everything below works on the project named in the URL
+router.use('/:projectId', projectIdValidation, validateRequest, loadProject);
+
+router.get('/:projectId', getProject);
+
+router.route('/:projectId/components')
+  .get(getComponents)
+  .post(protect, authorize('admin'), createComponentValidation, validateRequest, createComponent);
+
+// The bug routes, limited to this project's bugs
+router.use('/:projectId/bugs', bugRoutes);
+
+module.exports = router;
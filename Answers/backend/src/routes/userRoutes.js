@@ -0,0 +1,18 @@
+const express = require('express');
+const router = express.Router();
+const { getUsers, updateUserRole } = require('../controllers/userController');
+const { protect, authorize } = require('../middleware/auth');
+
+const {
+  userIdValidation,
+  updateRoleValidation,
+  validateRequest
+} = require('../middleware/validation');
+
+// User management is limited to admins
+router.use(protect, authorize('admin'));
+
+router.get('/', getUsers);
+router.put('/:id/role', userIdValidation, updateRoleValidation, validateRequest, updateUserRole);
+
+module.exports = router;
@@ -0,0 +1,37 @@
+const express = require('express');
+const router = express.Router();
+const {
+  getViews,
+  getView,
+  createView,
+  updateView,
+  deleteView,
+  pinView,
+  unpinView
+} = require('../controllers/viewController');
+
+const {
+  createViewValidation,
+  updateViewValidation,
+  viewIdValidation,
+  validateRequest
+} = require('../middleware/validation');
+const { protect } = require('../middleware/auth');
+
+// Views belong to users, so every route needs a login
+router.use(protect);
+
+router.route('/')
+  .get(getViews)
+  .post(createViewValidation, validateRequest, createView);
+
+router.route('/:id')
+  .get(viewIdValidation, validateRequest, getView)
+  .put(viewIdValidation, updateViewValidation, validateRequest, updateView)
+  .delete(viewIdValidation, validateRequest, deleteView);
+
+router.route('/:id/pin')
+  .put(viewIdValidation, validateRequest, pinView)
+  .delete(viewIdValidation, validateRequest, unpinView);
+
+module.exports = router;
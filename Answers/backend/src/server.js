@@ -3,7 +3,15 @@ const express = require('express');
 const cors = require('cors');
 const morgan = require('morgan');
 const { connectDB } = require('./config/database');
+const { startPurgeJob } = require('./jobs/purgeTrash');
+const { backfillSortRanks } = require('./jobs/backfillSortRanks');
+const { backfillProjects } = require('./jobs/backfillProjects');
+const { backfillBugKeys } = require('./jobs/backfillBugKeys');
 const bugRoutes = require('./routes/bugRoutes');
+const authRoutes = require('./routes/authRoutes');
+const userRoutes = require('./routes/userRoutes');
+const projectRoutes = require('./routes/projectRoutes');
+const viewRoutes = require('./routes/viewRoutes');
 const { errorHandler, notFound } = require('./middleware/errorHandler');
 
 const app = express();
@@ -11,9 +19,11 @@ const app = express();
 // Middleware
 app.use(cors({
   origin: process.env.CORS_ORIGIN || 'http://localhost:3000',
-  credentials: true
+  credentials: true,
+  exposedHeaders: ['ETag', 'Content-Disposition']
 }));
-app.use(express.json());
+// Large enough for JSON bug imports
+app.use(express.json({ limit: '2mb' }));
 app.use(express.urlencoded({ extended: true }));
 
 // Logging in development
@@ -31,7 +41,11 @@ app.get('/health', (req, res) => {
 });
 
 // API Routes
+app.use('/api/auth', authRoutes);
+app.use('/api/users', userRoutes);
+app.use('/api/projects', projectRoutes);
 app.use('/api/bugs', bugRoutes);
+app.use('/api/views', viewRoutes);
 
 // Error handling
 app.use(notFound);
@@ -42,6 +56,12 @@ const PORT = process.env.PORT || 5000;
 // Start server only if not in test mode
 if (process.env.NODE_ENV !== 'test') {
   connectDB().then(() => {
+    backfillSortRanks().catch(error => console.error('Backfill sort ranks error:', error));
+    // Keys are numbered per project, so bugs need their project first
+    backfillProjects()
+      .then(backfillBugKeys)
+      .catch(error => console.error('Backfill projects and keys error:', error));
+    startPurgeJob();
     app.listen(PORT, () => {
       console.log(`Server running in ${process.env.NODE_ENV} mode on port ${PORT}`);
       console.log(`Health check: http://localhost:${PORT}/health`);
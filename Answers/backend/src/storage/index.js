@@ -0,0 +1,44 @@
+const { attachmentConfig } = require('../config/attachments');
+const { createLocalStorage } = require('./localStorage');
+
+/**
+ * Storage adapter factories by name (selected with ATTACHMENT_STORAGE).
+ * A factory receives the attachment config and returns an adapter with:
+ *   save(key, buffer)       → Promise
+ *   createReadStream(key)   → Readable stream
+ *   remove(key)             → Promise, resolves even if the file is gone
+ */
+const STORAGE_ADAPTERS = {
+  local: createLocalStorage
+};
+
+let storage = null;
+
+/**
+ * Gets the configured storage adapter, creating it on first use
+ * @returns {Object} - Storage adapter
+ */
+const getStorage = () => {
+  if (!storage) {
+    const createStorage = STORAGE_ADAPTERS[attachmentConfig.storage];
+    if (!createStorage) {
+      throw new Error(`Unknown ATTACHMENT_STORAGE adapter: ${attachmentConfig.storage}`);
+    }
+    storage = createStorage(attachmentConfig);
+  }
+  return storage;
+};
+
+/**
+ * Replaces the storage adapter (e.g. a cloud adapter or an in-memory one in tests)
+ * @param {Object} adapter - Storage adapter
+ */
+const setStorage = (adapter) => {
+  storage = adapter;
+};
+
+module.exports = {
+  STORAGE_ADAPTERS,
+  getStorage,
+  setStorage
+};
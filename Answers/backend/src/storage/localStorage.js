@@ -0,0 +1,37 @@
+const fs = require('fs');
+const fsp = require('fs/promises');
+const path = require('path');
+
+/**
+ * Stores attachment files on the local disk
+ * @param {Object} options - { directory } to store files under
+ * @returns {Object} - Storage adapter
+ */
+const createLocalStorage = ({ directory }) => {
+  const root = path.resolve(directory);
+
+  // Keys are generated by the server, but never let one point outside the directory
+  const resolveKey = (key) => {
+    const filePath = path.resolve(root, key);
+    if (!filePath.startsWith(root + path.sep)) {
+      throw new Error(`Invalid storage key: ${key}`);
+    }
+    return filePath;
+  };
+
+  return {
+    save: async (key, buffer) => {
+      const filePath = resolveKey(key);
+      await fsp.mkdir(path.dirname(filePath), { recursive: true });
+      await fsp.writeFile(filePath, buffer);
+    },
+
+    createReadStream: (key) => fs.createReadStream(resolveKey(key)),
+
+    remove: async (key) => {
+      await fsp.rm(resolveKey(key), { force: true });
+    }
+  };
+};
+
+module.exports = { createLocalStorage };
@@ -0,0 +1,57 @@
+const path = require('path');
+const { ALLOWED_ATTACHMENT_TYPES } = require('../config/attachments');
+
+const MAX_FILENAME_LENGTH = 200;
+
+/**
+ * Checks whether a file type can be attached to a bug
+ * @param {string} mimeType - File MIME type
+ * @returns {boolean} - True if allowed
+ */
+const isAllowedAttachmentType = (mimeType) => {
+  return Object.prototype.hasOwnProperty.call(ALLOWED_ATTACHMENT_TYPES, mimeType);
+};
+
+/**
+ * Cleans an uploaded file name for storing and sending back in headers
+ * @param {string} filename - Original file name
+ * @returns {string} - Safe file name
+ */
+const sanitizeFilename = (filename) => {
+  const name = path.basename(String(filename || '').replace(/\\/g, '/'))
+    .replace(/[\u0000-\u001f\u007f"<>]/g, '')
+    .trim()
+    .slice(0, MAX_FILENAME_LENGTH);
+  return name || 'attachment';
+};
+
+/**
+ * Builds the storage key for a new attachment
+ * @param {string} bugId - Bug ID
+ * @param {string} attachmentId - Attachment ID
+ * @param {string} mimeType - File MIME type
+ * @returns {string} - Storage key
+ */
+const buildStorageKey = (bugId, attachmentId, mimeType) => {
+  return `${bugId}/${attachmentId}${ALLOWED_ATTACHMENT_TYPES[mimeType] || ''}`;
+};
+
+/**
+ * Builds the Content-Disposition header for a download.
+ * Images open in the browser; everything else is downloaded.
+ * @param {string} filename - File name
+ * @param {string} mimeType - File MIME type
+ * @returns {string} - Header value
+ */
+const buildContentDisposition = (filename, mimeType) => {
+  const type = mimeType.startsWith('image/') ? 'inline' : 'attachment';
+  const asciiName = filename.replace(/[^\x20-\x7e]/g, '_');
+  return `${type}; filename="${asciiName}"; filename*=UTF-8''${encodeURIComponent(filename)}`;
+};
+
+module.exports = {
+  isAllowedAttachmentType,
+  sanitizeFilename,
+  buildStorageKey,
+  buildContentDisposition
+};
@@ -0,0 +1,56 @@
+const jwt = require('jsonwebtoken');
+
+const DEFAULT_EXPIRES_IN = '1d';
+
+/**
+ * Returns the secret used to sign tokens
+ * @returns {string} - JWT secret
+ */
+const getJwtSecret = () => {
+  if (process.env.JWT_SECRET) return process.env.JWT_SECRET;
+
+  if (process.env.NODE_ENV === 'production') {
+    throw new Error('JWT_SECRET must be set in production');
+  }
+  return 'bug-tracker-development-secret';
+};
+
+/**
+ * Generates a signed JWT for a user
+ * @param {Object} user - User document
+ * @returns {string} - Signed token
+ */
+const generateToken = (user) => {
+  return jwt.sign(
+    { id: user._id.toString(), username: user.username },
+    getJwtSecret(),
+    { expiresIn: process.env.JWT_EXPIRES_IN || DEFAULT_EXPIRES_IN }
+  );
+};
+
+/**
+ * Verifies a JWT and returns its payload
+ * @param {string} token - Signed token
+ * @returns {Object} - Token payload (throws if invalid or expired)
+ */
+const verifyToken = (token) => {
+  return jwt.verify(token, getJwtSecret());
+};
+
+/**
+ * Extracts a bearer token from an Authorization header
+ * @param {string} header - Authorization header value
+ * @returns {string|null} - Token, or null if missing
+ */
+const extractBearerToken = (header) => {
+  if (typeof header !== 'string') return null;
+
+  const [scheme, token] = header.trim().split(/\s+/);
+  return scheme && scheme.toLowerCase() === 'bearer' && token ? token : null;
+};
+
+module.exports = {
+  generateToken,
+  verifyToken,
+  extractBearerToken
+};
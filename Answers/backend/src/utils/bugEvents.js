@@ -0,0 +1,47 @@
+const { EventEmitter } = require('events');
+
+const BUG_EVENT = 'bug';
+const BUG_EVENT_TYPES = ['created', 'updated', 'deleted', 'restored'];
+
+// One in-process bus; every open event stream adds a listener
+const bugEventBus = new EventEmitter();
+bugEventBus.setMaxListeners(0);
+
+/**
+ * Broadcasts a bug change to every subscriber
+ * @param {string} type - created | updated | deleted | restored
+ * @param {Object} data - Formatted bug (or { id } for deletes)
+ */
+const publishBugEvent = (type, data) => {
+  if (!BUG_EVENT_TYPES.includes(type)) {
+    throw new Error(`Unknown bug event type: ${type}`);
+  }
+  bugEventBus.emit(BUG_EVENT, { type, data });
+};
+
+/**
+ * Subscribes to bug changes
+ * @param {Function} listener - Called with { type, data }
+ * @returns {Function} - Unsubscribe function
+ */
+const subscribeToBugEvents = (listener) => {
+  bugEventBus.on(BUG_EVENT, listener);
+  return () => bugEventBus.off(BUG_EVENT, listener);
+};
+
+/**
+ * Serializes an event in the Server-Sent Events wire format
+ * @param {string} type - Event name
+ * @param {Object} data - JSON payload
+ * @returns {string} - SSE message
+ */
+const formatSseMessage = (type, data) => {
+  return `event: ${type}\ndata: ${JSON.stringify(data)}\n\n`;
+};
+
+module.exports = {
+  BUG_EVENT_TYPES,
+  publishBugEvent,
+  subscribeToBugEvents,
+  formatSseMessage
+};
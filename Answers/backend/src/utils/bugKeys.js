@@ -0,0 +1,70 @@
+const validator = require('validator');
+
+// Project keys prefix every bug key, e.g. API in API-142
+const PROJECT_KEY_PATTERN = /^[A-Z][A-Z0-9]{1,9}$/;
+
+// A project key, a dash and the bug's number within the project
+const BUG_KEY_PATTERN = /^[A-Z][A-Z0-9]{1,9}-[1-9]\d*$/i;
+
+/**
+ * Formats a bug key from its project's key and its number
+ * @param {string} projectKey - Project key, e.g. API
+ * @param {number} number - Bug number within the project
+ * @returns {string} - Bug key, e.g. API-142
+ */
+const formatBugKey = (projectKey, number) => `${projectKey}-${number}`;
+
+/**
+ * Makes a key for a project saved without one from the letters and digits of
+ * its name, adding a number when the key is already taken.
+ * @param {string} name - Project name
+ * @param {Set<string>} takenKeys - Keys other projects already use
+ * @returns {string} - Project key, e.g. WEBAPP or WEBAPP2
+ */
+const generateProjectKey = (name, takenKeys) => {
+  const letters = String(name || '').toUpperCase().replace(/[^A-Z0-9]/g, '').replace(/^[0-9]+/, '');
+  const base = letters.length >= 2 ? letters.slice(0, 8) : 'PRJ';
+
+  let key = base;
+  for (let suffix = 2; takenKeys.has(key); suffix++) {
+    key = `${base}${suffix}`;
+  }
+  return key;
+};
+
+/**
+ * Checks whether a value looks like a bug key (case-insensitive)
+ * @param {string} value - Value to check
+ * @returns {boolean} - True if the value is a bug key
+ */
+const isBugKey = (value) => typeof value === 'string' && BUG_KEY_PATTERN.test(value);
+
+/**
+ * Checks whether a route parameter identifies a bug, by ObjectId or by key.
+ * Only 24 character hex ObjectIds count, like the isMongoId route checks.
+ * @param {string} value - Route parameter
+ * @returns {boolean} - True if the bug can be looked up by it
+ */
+const isBugIdOrKey = (value) => validator.isMongoId(String(value)) || isBugKey(value);
+
+/**
+ * Builds the MongoDB filter that finds a bug by ObjectId or by key.
+ * Keys are stored upper case, so api-142 finds API-142.
+ * @param {string} idOrKey - Bug ObjectId or key
+ * @returns {Object} - MongoDB filter
+ */
+const buildBugIdFilter = (idOrKey) => {
+  if (isBugKey(idOrKey)) {
+    return { key: idOrKey.toUpperCase() };
+  }
+  return { _id: idOrKey };
+};
+
+module.exports = {
+  PROJECT_KEY_PATTERN,
+  formatBugKey,
+  generateProjectKey,
+  isBugKey,
+  isBugIdOrKey,
+  buildBugIdFilter
+};
@@ -0,0 +1,56 @@
+const { toMongoSort } = require('./pagination');
+
+// Bugs in the trash are hidden everywhere except the trash listing.
+// Matching null also covers bugs saved before soft delete existed.
+const ACTIVE_BUG_FILTER = { deletedAt: null };
+
+/**
+ * Checks whether a search query has any terms
+ * @param {string} q - Search query
+ * @returns {boolean} - True if the query should run a text search
+ */
+const isSearchQuery = (q) => typeof q === 'string' && q.trim().length > 0;
+
+/**
+ * Limits a query to one project's bugs on project-scoped routes
+ * @param {Object} [project] - Project loaded from the route, if any
+ * @returns {Object} - MongoDB filter fragment ({} when not scoped)
+ */
+const buildProjectScope = (project) => (project ? { project: project._id } : {});
+
+/**
+ * Builds the MongoDB filter for the bug list filters.
+ * Shared by the list and export endpoints so both return the same bugs.
+ * @param {Object} params - Request query ({ project, component, status, priority, q })
+ * @returns {Object} - MongoDB filter
+ */
+const buildBugFilter = ({ project, component, status, priority, q } = {}) => {
+  const filter = { ...ACTIVE_BUG_FILTER };
+  if (project) filter.project = project;
+  if (component) filter.component = component;
+  if (status) filter.status = status;
+  if (priority) filter.priority = priority;
+  if (isSearchQuery(q)) filter.$text = { $search: q.trim() };
+  return filter;
+};
+
+/**
+ * Builds the MongoDB sort for the bug list.
+ * Search results are ranked by relevance unless an explicit sort was requested.
+ * @param {Array} sortSpec - Parsed sort spec
+ * @param {boolean} rankByRelevance - Sort by text score first
+ * @returns {Object} - MongoDB sort
+ */
+const buildBugSort = (sortSpec, rankByRelevance) => {
+  return rankByRelevance
+    ? { score: { $meta: 'textScore' }, ...toMongoSort(sortSpec) }
+    : toMongoSort(sortSpec);
+};
+
+module.exports = {
+  ACTIVE_BUG_FILTER,
+  isSearchQuery,
+  buildProjectScope,
+  buildBugFilter,
+  buildBugSort
+};
@@ -0,0 +1,107 @@
+const { STATUSES } = require('../config/workflow');
+const { PRIORITIES } = require('../config/priorities');
+const { parseSortSpec } = require('./pagination');
+
+/**
+ * Keys the bug list can be sorted by, and the Bug fields they sort on.
+ * Priority and status sort on stored ranks, so they follow severity and
+ * workflow order rather than the alphabet.
+ */
+const SORT_FIELDS = {
+  created: 'createdAt',
+  updated: 'updatedAt',
+  priority: 'priorityRank',
+  status: 'statusRank',
+  title: 'title'
+};
+
+// Field names accepted for the keys, as sent by older clients
+const SORT_ALIASES = {
+  createdAt: 'created',
+  updatedAt: 'updated'
+};
+
+const DEFAULT_SORT = '-created';
+
+// Enough for a tie-breaker or two without unbounded compound sorts
+const MAX_SORT_KEYS = 3;
+
+const hasKey = (object, key) => Object.prototype.hasOwnProperty.call(object, key);
+
+/**
+ * Splits a sort string into keys, e.g. '-priority,created' → priority desc, created asc
+ * @param {string} sortBy - Sort string
+ * @returns {Array<Object>} - List of { key, direction }
+ */
+const readSortKeys = (sortBy) => {
+  return String(sortBy)
+    .split(/[\s,]+/)
+    .filter(Boolean)
+    .map(part => {
+      const name = part.replace(/^[-+]/, '');
+      return {
+        key: hasKey(SORT_ALIASES, name) ? SORT_ALIASES[name] : name,
+        direction: part.startsWith('-') ? -1 : 1
+      };
+    });
+};
+
+/**
+ * Checks a sort string against the sortable keys
+ * @param {string} sortBy - Sort string
+ * @returns {string|null} - What is wrong with it, or null when it is valid
+ */
+const describeInvalidSort = (sortBy) => {
+  const keys = readSortKeys(sortBy);
+
+  if (keys.length === 0) {
+    return 'Sort must name at least one field';
+  }
+  if (keys.length > MAX_SORT_KEYS) {
+    return `Sort by at most ${MAX_SORT_KEYS} fields`;
+  }
+
+  const unknown = keys.find(({ key }) => !hasKey(SORT_FIELDS, key));
+  if (unknown) {
+    return `Cannot sort by "${unknown.key}", use one of: ${Object.keys(SORT_FIELDS).join(', ')}`;
+  }
+
+  const repeated = keys.find(({ key }, index) => keys.findIndex(other => other.key === key) !== index);
+  if (repeated) {
+    return `Sort by "${repeated.key}" only once`;
+  }
+
+  return null;
+};
+
+/**
+ * Converts a validated sort string into a sort spec on the Bug fields
+ * @param {string} sortBy - Sort string, e.g. '-priority,created'
+ * @returns {Array<Object>} - Sort spec ({ field, direction } list ending with _id)
+ */
+const toBugSortSpec = (sortBy = DEFAULT_SORT) => {
+  const fields = readSortKeys(sortBy)
+    .map(({ key, direction }) => `${direction < 0 ? '-' : ''}${SORT_FIELDS[key]}`);
+  return parseSortSpec(fields.join(','));
+};
+
+/**
+ * Works out the stored sort ranks for a status and priority
+ * @param {Object} fields - { status, priority }, either may be missing
+ * @returns {Object} - { statusRank, priorityRank } for the fields given
+ */
+const getSortRanks = ({ status, priority } = {}) => {
+  const ranks = {};
+  if (status !== undefined) ranks.statusRank = STATUSES.indexOf(status);
+  if (priority !== undefined) ranks.priorityRank = PRIORITIES.indexOf(priority);
+  return ranks;
+};
+
+module.exports = {
+  SORT_FIELDS,
+  DEFAULT_SORT,
+  MAX_SORT_KEYS,
+  describeInvalidSort,
+  toBugSortSpec,
+  getSortRanks
+};
@@ -0,0 +1,38 @@
+/**
+ * Formats a bug version as a strong ETag
+ * @param {number} version - Bug version
+ * @returns {string} - ETag, e.g. "3"
+ */
+const formatEtag = (version) => `"${version || 0}"`;
+
+/**
+ * Checks an If-Match header against the bug's current version.
+ * Accepts a list of tags and "*". If-Match uses strong comparison (RFC 7232),
+ * so weak tags (W/"3") never match.
+ * @param {string} header - If-Match header value
+ * @param {number} version - Current bug version
+ * @returns {boolean} - True if the update may go ahead
+ */
+const matchesIfMatch = (header, version) => {
+  const current = formatEtag(version);
+  return header
+    .split(',')
+    .map(tag => tag.trim())
+    .some(tag => tag === '*' || tag === current);
+};
+
+/**
+ * Builds the query condition that a bug is still at the given version.
+ * Bugs saved before versioning have no version field and count as version 0.
+ * @param {number} version - Expected version
+ * @returns {Object} - MongoDB filter
+ */
+const buildVersionFilter = (version) => {
+  return version ? { version } : { version: { $in: [0, null] } };
+};
+
+module.exports = {
+  formatEtag,
+  matchesIfMatch,
+  buildVersionFilter
+};
@@ -0,0 +1,108 @@
+// Reports scoring at least this similar to an unresolved bug are offered as duplicates
+const DUPLICATE_THRESHOLD = 0.3;
+const MAX_DUPLICATES = 5;
+// Text search candidates that are scored for similarity
+const MAX_DUPLICATE_CANDIDATES = 50;
+
+// How much the title and description count towards the similarity score
+const TITLE_WEIGHT = 0.7;
+const DESCRIPTION_WEIGHT = 0.3;
+
+// Words too common in bug reports to say anything about similarity
+const STOP_WORDS = new Set([
+  'the', 'and', 'for', 'with', 'when', 'not', 'but', 'are', 'was', 'can', 'does', 'doesn',
+  'this', 'that', 'from', 'into', 'after', 'before', 'then', 'there', 'have', 'has', 'bug'
+]);
+
+/**
+ * Reduces a word to a rough stem so "crashes" and "crash" compare equal
+ * @param {string} word - Lowercased word
+ * @returns {string} - Stem
+ */
+const stem = (word) => {
+  return word.length > 4 ? word.replace(/(ing|ed|es|s|e)$/, '') : word.replace(/e$/, '');
+};
+
+/**
+ * Splits text into its significant lowercased words
+ * @param {string} text - Title or description
+ * @returns {Array<string>} - Words
+ */
+const splitWords = (text) => {
+  if (typeof text !== 'string') return [];
+
+  return text
+    .toLowerCase()
+    .split(/[^\p{L}\p{N}]+/u)
+    .filter(word => word.length > 2 && !STOP_WORDS.has(word));
+};
+
+/**
+ * Splits text into the set of significant word stems
+ * @param {string} text - Title or description
+ * @returns {Set<string>} - Word stems
+ */
+const tokenize = (text) => new Set(splitWords(text).map(stem));
+
+/**
+ * Jaccard similarity of two sets: shared words over all words
+ * @param {Set<string>} a - First set
+ * @param {Set<string>} b - Second set
+ * @returns {number} - Similarity between 0 and 1
+ */
+const jaccard = (a, b) => {
+  if (a.size === 0 || b.size === 0) return 0;
+  const shared = [...a].filter(word => b.has(word)).length;
+  return shared / (a.size + b.size - shared);
+};
+
+/**
+ * Scores how similar a new report is to an existing bug.
+ * Without a description only the titles are compared.
+ * @param {Object} report - { title, description } of the new report
+ * @param {Object} bug - Existing bug
+ * @returns {number} - Similarity between 0 and 1
+ */
+const scoreSimilarity = (report, bug) => {
+  const titleScore = jaccard(tokenize(report.title), tokenize(bug.title));
+  const reportDescription = tokenize(report.description);
+  if (reportDescription.size === 0) return titleScore;
+
+  return TITLE_WEIGHT * titleScore + DESCRIPTION_WEIGHT * jaccard(reportDescription, tokenize(bug.description));
+};
+
+/**
+ * Builds the text search that finds duplicate candidates for a report.
+ * Whole words are searched since the text index does its own stemming.
+ * @param {Object} report - { title, description }
+ * @returns {string|null} - $text search string, or null if the report has no significant words
+ */
+const buildDuplicateSearch = (report) => {
+  const words = [...new Set([...splitWords(report.title), ...splitWords(report.description)])];
+  return words.length > 0 ? words.join(' ') : null;
+};
+
+/**
+ * Ranks candidate bugs by similarity to a report and keeps the likely duplicates
+ * @param {Object} report - { title, description }
+ * @param {Array<Object>} candidates - Bugs to compare against
+ * @param {Object} options - { threshold, limit }
+ * @returns {Array<Object>} - List of { bug, similarity }, most similar first
+ */
+const rankDuplicates = (report, candidates, { threshold = DUPLICATE_THRESHOLD, limit = MAX_DUPLICATES } = {}) => {
+  return candidates
+    .map(bug => ({ bug, similarity: scoreSimilarity(report, bug) }))
+    .filter(({ similarity }) => similarity >= threshold)
+    .sort((a, b) => b.similarity - a.similarity)
+    .slice(0, limit);
+};
+
+module.exports = {
+  DUPLICATE_THRESHOLD,
+  MAX_DUPLICATES,
+  MAX_DUPLICATE_CANDIDATES,
+  tokenize,
+  scoreSimilarity,
+  buildDuplicateSearch,
+  rankDuplicates
+};
@@ -0,0 +1,69 @@
+const EXPORT_FORMATS = {
+  csv: { contentType: 'text/csv; charset=utf-8', extension: 'csv' },
+  json: { contentType: 'application/json; charset=utf-8', extension: 'json' },
+  ndjson: { contentType: 'application/x-ndjson; charset=utf-8', extension: 'ndjson' }
+};
+
+// Columns written to CSV exports, in order
+const CSV_COLUMNS = [
+  'id',
+  'key',
+  'title',
+  'description',
+  'status',
+  'priority',
+  'reporter',
+  'assignedTo',
+  'tags',
+  'createdAt',
+  'updatedAt'
+];
+
+/**
+ * Converts a value to a CSV cell, quoting when needed.
+ * Cells that spreadsheets would run as formulas are prefixed with a quote.
+ * @param {*} value - Cell value
+ * @returns {string} - Escaped cell
+ */
+const escapeCsvValue = (value) => {
+  if (value === undefined || value === null) return '';
+
+  let text = Array.isArray(value) ? value.join(', ') : String(value);
+  if (value instanceof Date) text = value.toISOString();
+  if (/^[=+\-@\t\r]/.test(text)) text = `'${text}`;
+
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+/**
+ * Builds one CSV line (with trailing newline)
+ * @param {Array} values - Cell values
+ * @returns {string} - CSV row
+ */
+const toCsvRow = (values) => `${values.map(escapeCsvValue).join(',')}\r\n`;
+
+/**
+ * Builds the CSV row for a formatted bug
+ * @param {Object} bug - Formatted bug
+ * @returns {string} - CSV row
+ */
+const bugToCsvRow = (bug) => toCsvRow(CSV_COLUMNS.map(column => bug[column]));
+
+/**
+ * Builds the download file name for an export
+ * @param {string} format - Export format
+ * @param {Date} date - Export date
+ * @returns {string} - File name
+ */
+const buildExportFilename = (format, date = new Date()) => {
+  return `bugs-${date.toISOString().slice(0, 10)}.${EXPORT_FORMATS[format].extension}`;
+};
+
+module.exports = {
+  EXPORT_FORMATS,
+  CSV_COLUMNS,
+  escapeCsvValue,
+  toCsvRow,
+  bugToCsvRow,
+  buildExportFilename
+};
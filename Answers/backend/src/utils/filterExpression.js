@@ -0,0 +1,243 @@
+const { STATUSES } = require('../config/workflow');
+const { PRIORITIES } = require('../config/priorities');
+
+// Comparison prefixes and their MongoDB operators, longest first so >= isn't read as >
+const COMPARISONS = [
+  ['>=', '$gte'],
+  ['<=', '$lte'],
+  ['>', '$gt'],
+  ['<', '$lt']
+];
+
+// Stops a single request from building an enormous query
+const MAX_FILTER_TERMS = 20;
+
+const DATE_ONLY = /^\d{4}-\d{2}-\d{2}$/;
+const DATE_TIME = /^\d{4}-\d{2}-\d{2}T\d{2}:\d{2}(:\d{2}(\.\d{1,3})?)?(Z|[+-]\d{2}:\d{2})?$/;
+
+/**
+ * Fields the filter expression understands.
+ * `path` is the Bug field and `type` decides how values are read:
+ * - enum: one of `values`, lists match any
+ * - ordered: like enum, and also compared by position in `values`
+ * - user: a username, `me` for the logged in user or `none` for nobody
+ * - text: any value, lists match any
+ * - date: a single YYYY-MM-DD day or ISO timestamp, optionally compared
+ */
+const FILTER_FIELDS = {
+  status: { path: 'status', type: 'enum', values: STATUSES },
+  priority: { path: 'priority', type: 'ordered', values: PRIORITIES },
+  assignee: { path: 'assignedTo', type: 'user' },
+  reporter: { path: 'reporter', type: 'user' },
+  tag: { path: 'tags', type: 'text' },
+  created: { path: 'createdAt', type: 'date' },
+  updated: { path: 'updatedAt', type: 'date' },
+  resolved: { path: 'resolvedAt', type: 'date' }
+};
+
+/**
+ * Splits text on a separator, ignoring separators inside double quotes
+ * @param {string} text - Text to split
+ * @param {RegExp} separator - Single character pattern to split on
+ * @returns {Array<string>} - Parts, quotes kept
+ */
+const splitOutsideQuotes = (text, separator) => {
+  const parts = [];
+  let current = '';
+  let quoted = false;
+
+  for (const char of text) {
+    if (char === '"') {
+      quoted = !quoted;
+      current += char;
+    } else if (!quoted && separator.test(char)) {
+      parts.push(current);
+      current = '';
+    } else {
+      current += char;
+    }
+  }
+
+  if (quoted) {
+    throw new Error('Unterminated quote');
+  }
+  parts.push(current);
+  return parts;
+};
+
+/**
+ * Removes the quotes around a value, e.g. "needs repro" → needs repro
+ */
+const unquote = (value) => value.replace(/"/g, '');
+
+/**
+ * Splits an expression into field:value terms
+ * @param {string} expression - Filter expression
+ * @returns {Array<Object>} - Terms ({ name, field, negate, operator, values })
+ */
+const parseTerms = (expression) => {
+  const rawTerms = splitOutsideQuotes(expression.trim(), /\s/).filter(term => term.length > 0);
+
+  if (rawTerms.length > MAX_FILTER_TERMS) {
+    throw new Error(`Filters are limited to ${MAX_FILTER_TERMS} terms`);
+  }
+
+  return rawTerms.map(raw => {
+    const negate = raw.startsWith('-');
+    const term = negate ? raw.slice(1) : raw;
+    const separator = term.indexOf(':');
+
+    if (separator <= 0) {
+      throw new Error(`Expected field:value, got "${raw}"`);
+    }
+
+    const name = term.slice(0, separator).toLowerCase();
+    if (!Object.prototype.hasOwnProperty.call(FILTER_FIELDS, name)) {
+      throw new Error(`Unknown field "${name}", use one of: ${Object.keys(FILTER_FIELDS).join(', ')}`);
+    }
+    const field = FILTER_FIELDS[name];
+
+    let rest = term.slice(separator + 1);
+    const comparison = COMPARISONS.find(([prefix]) => rest.startsWith(prefix));
+    if (comparison) {
+      rest = rest.slice(comparison[0].length);
+    }
+
+    const values = splitOutsideQuotes(rest, /,/).map(value => unquote(value).trim());
+    if (values.some(value => value === '')) {
+      throw new Error(`Missing value for "${name}"`);
+    }
+
+    if (comparison && field.type !== 'ordered' && field.type !== 'date') {
+      throw new Error(`"${name}" cannot be compared with ${comparison[0]}`);
+    }
+    if ((comparison || field.type === 'date') && values.length > 1) {
+      throw new Error(`"${name}" takes a single value here`);
+    }
+
+    return { name, field, negate, operator: comparison ? comparison[1] : null, values };
+  });
+};
+
+/**
+ * Checks that every value is one of the field's allowed values
+ */
+const readEnumValues = ({ name, field, values }) => {
+  return values.map(value => {
+    const normalized = value.toLowerCase();
+    if (!field.values.includes(normalized)) {
+      throw new Error(`Invalid ${name} "${value}", use one of: ${field.values.join(', ')}`);
+    }
+    return normalized;
+  });
+};
+
+/**
+ * Expands a comparison on an ordered field into the values it matches,
+ * e.g. priority:>=high → high, critical
+ */
+const expandComparison = (values, operator, target) => {
+  const index = values.indexOf(target);
+  return values.filter((value, i) => {
+    if (operator === '$gte') return i >= index;
+    if (operator === '$gt') return i > index;
+    if (operator === '$lte') return i <= index;
+    return i < index;
+  });
+};
+
+/**
+ * Reads user values, replacing `me` with the logged in user and `none` with unassigned
+ */
+const readUserValues = ({ name, values }, { username }) => {
+  return values.flatMap(value => {
+    if (value === 'me') {
+      if (!username) {
+        throw new Error(`Log in to filter by ${name}:me`);
+      }
+      return [username];
+    }
+    // Unassigned bugs may have no field at all or an empty string
+    return value === 'none' ? [null, ''] : [value];
+  });
+};
+
+/**
+ * Builds a date condition. A bare day matches the whole (UTC) day, and
+ * comparisons against a day treat it as a whole: >2026-01-01 starts on the 2nd.
+ */
+const buildDateCondition = ({ name, values, operator }) => {
+  const [value] = values;
+
+  if (!DATE_ONLY.test(value) && !DATE_TIME.test(value)) {
+    throw new Error(`Invalid date "${value}" for ${name}, use YYYY-MM-DD`);
+  }
+
+  const start = new Date(value);
+  if (Number.isNaN(start.getTime())) {
+    throw new Error(`Invalid date "${value}" for ${name}, use YYYY-MM-DD`);
+  }
+
+  const end = new Date(start);
+  if (DATE_ONLY.test(value)) {
+    end.setUTCHours(23, 59, 59, 999);
+  }
+
+  if (operator === '$gt' || operator === '$lte') return { [operator]: end };
+  if (operator === '$gte' || operator === '$lt') return { [operator]: start };
+  return { $gte: start, $lte: end };
+};
+
+/**
+ * Builds the MongoDB condition for one term
+ */
+const buildTermCondition = (term, context) => {
+  const { field, negate, operator } = term;
+
+  if (field.type === 'date') {
+    const condition = buildDateCondition(term);
+    return negate ? { $not: condition } : condition;
+  }
+
+  let values;
+  if (field.type === 'enum' || field.type === 'ordered') {
+    values = readEnumValues(term);
+    if (operator) {
+      values = expandComparison(field.values, operator, values[0]);
+    }
+  } else if (field.type === 'user') {
+    values = readUserValues(term, context);
+  } else {
+    values = term.values;
+  }
+
+  return negate ? { $nin: values } : { $in: values };
+};
+
+/**
+ * Parses a filter expression such as
+ * `status:open,in-progress priority:>=high assignee:me tag:ui created:>2026-01-01`
+ * into a MongoDB filter. Terms are ANDed, comma separated values are ORed and a
+ * leading - negates a term. Values are only ever compared as plain values, so the
+ * expression cannot inject query operators.
+ * @param {string} expression - Filter expression (empty or missing matches everything)
+ * @param {Object} context - { username } of the logged in user, for `me`
+ * @returns {Object} - MongoDB filter (throws with a readable message on bad syntax)
+ */
+const parseFilterExpression = (expression, context = {}) => {
+  if (typeof expression !== 'string' || expression.trim() === '') {
+    return {};
+  }
+
+  const conditions = parseTerms(expression).map(term => ({
+    [term.field.path]: buildTermCondition(term, context)
+  }));
+
+  return conditions.length > 0 ? { $and: conditions } : {};
+};
+
+module.exports = {
+  FILTER_FIELDS,
+  MAX_FILTER_TERMS,
+  parseFilterExpression
+};
@@ -0,0 +1,51 @@
+const mongoose = require('mongoose');
+
+const TRACKED_FIELDS = ['title', 'description', 'status', 'priority', 'assignedTo', 'tags', 'component', 'duplicateOf'];
+
+/**
+ * Normalizes a field value so equal values compare equal
+ * @param {*} value - Field value
+ * @returns {*} - Comparable value (arrays become plain arrays, ids strings, empty values null)
+ */
+const normalizeValue = (value) => {
+  if (value === undefined || value === '') return null;
+  if (Array.isArray(value)) return [...value];
+  if (value instanceof mongoose.Types.ObjectId) return value.toString();
+  return value;
+};
+
+/**
+ * Checks whether two normalized values are equal
+ * @param {*} a - First value
+ * @param {*} b - Second value
+ * @returns {boolean} - True if equal
+ */
+const isSameValue = (a, b) => {
+  if (Array.isArray(a) || Array.isArray(b)) {
+    return Array.isArray(a) && Array.isArray(b) &&
+      a.length === b.length && a.every((item, i) => item === b[i]);
+  }
+  return a === b;
+};
+
+/**
+ * Lists the tracked fields changed by an update
+ * @param {Object} bug - Bug before the update
+ * @param {Object} updates - Fields being written
+ * @returns {Array<Object>} - List of { field, from, to }
+ */
+const diffBugFields = (bug, updates) => {
+  return TRACKED_FIELDS
+    .filter(field => Object.prototype.hasOwnProperty.call(updates, field))
+    .map(field => ({
+      field,
+      from: normalizeValue(bug[field]),
+      to: normalizeValue(updates[field])
+    }))
+    .filter(({ from, to }) => !isSameValue(from, to));
+};
+
+module.exports = {
+  TRACKED_FIELDS,
+  diffBugFields
+};
@@ -0,0 +1,145 @@
+// Upper bound on rows per request so one import can't tie up the server
+const MAX_IMPORT_ROWS = 1000;
+
+const IMPORT_FORMATS = ['csv', 'json'];
+
+/**
+ * Parses CSV text into rows of cells.
+ * Handles quoted cells with commas, newlines and doubled quotes.
+ * @param {string} text - CSV text
+ * @returns {Array<Array<string>>} - Rows of cells
+ */
+const parseCsv = (text) => {
+  const rows = [];
+  let row = [];
+  let cell = '';
+  let inQuotes = false;
+
+  // Drop a byte order mark left by spreadsheet exports
+  const input = text.replace(/^\uFEFF/, '');
+
+  for (let i = 0; i < input.length; i++) {
+    const char = input[i];
+
+    if (inQuotes) {
+      if (char === '"' && input[i + 1] === '"') {
+        cell += '"';
+        i++;
+      } else if (char === '"') {
+        inQuotes = false;
+      } else {
+        cell += char;
+      }
+    } else if (char === '"') {
+      inQuotes = true;
+    } else if (char === ',') {
+      row.push(cell);
+      cell = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && input[i + 1] === '\n') i++;
+      row.push(cell);
+      rows.push(row);
+      row = [];
+      cell = '';
+    } else {
+      cell += char;
+    }
+  }
+
+  if (inQuotes) {
+    throw new Error('Unterminated quoted cell in CSV');
+  }
+
+  if (cell !== '' || row.length > 0) {
+    row.push(cell);
+    rows.push(row);
+  }
+
+  // Ignore blank lines
+  return rows.filter(cells => cells.some(value => value.trim() !== ''));
+};
+
+/**
+ * Turns CSV text with a header row into one object per data row
+ * @param {string} text - CSV text
+ * @returns {Array<Object>} - Records keyed by header
+ */
+const csvToRecords = (text) => {
+  const [header = [], ...rows] = parseCsv(text);
+  const columns = header.map(column => column.trim());
+
+  return rows.map(cells => {
+    const record = {};
+    columns.forEach((column, index) => {
+      if (column) record[column] = cells[index];
+    });
+    return record;
+  });
+};
+
+/**
+ * Removes the quote added to formula-like cells by the CSV export
+ * @param {string} value - Cell value
+ * @returns {string} - Original value
+ */
+const unescapeFormula = (value) => {
+  return /^'[=+\-@\t\r]/.test(value) ? value.slice(1) : value;
+};
+
+/**
+ * Reads the supported bug fields from an imported record.
+ * Empty values are dropped; tags may be an array or a comma-separated string.
+ * @param {Object} record - Parsed CSV or JSON record
+ * @returns {Object} - Bug fields
+ */
+const normalizeImportRecord = (record) => {
+  const fields = {};
+  if (!record || typeof record !== 'object' || Array.isArray(record)) return fields;
+
+  ['title', 'description', 'status', 'priority', 'assignedTo'].forEach(field => {
+    const value = record[field];
+    if (typeof value === 'string' && value.trim() !== '') {
+      fields[field] = unescapeFormula(value.trim());
+    } else if (value !== undefined && value !== null && typeof value !== 'string') {
+      fields[field] = value;
+    }
+  });
+
+  if (Array.isArray(record.tags)) {
+    fields.tags = record.tags;
+  } else if (typeof record.tags === 'string' && record.tags.trim() !== '') {
+    fields.tags = record.tags.split(',').map(tag => tag.trim()).filter(tag => tag.length > 0);
+  }
+
+  return fields;
+};
+
+/**
+ * Parses an import payload into records
+ * @param {string} format - csv | json
+ * @param {string|Array} payload - CSV text, or a JSON array (or its text)
+ * @returns {Array<Object>} - Records (throws on malformed input)
+ */
+const parseImportPayload = (format, payload) => {
+  if (format === 'csv') {
+    if (typeof payload !== 'string') {
+      throw new Error('CSV imports must be sent as text/csv');
+    }
+    return csvToRecords(payload);
+  }
+
+  const records = typeof payload === 'string' ? JSON.parse(payload) : payload;
+  if (!Array.isArray(records)) {
+    throw new Error('JSON imports must be an array of bugs');
+  }
+  return records;
+};
+
+module.exports = {
+  MAX_IMPORT_ROWS,
+  IMPORT_FORMATS,
+  parseCsv,
+  csvToRecords,
+  normalizeImportRecord,
+  parseImportPayload
+};
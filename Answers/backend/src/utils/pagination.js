@@ -0,0 +1,126 @@
+const DEFAULT_LIMIT = 20;
+const MAX_LIMIT = 100;
+
+/**
+ * Parses page and limit query parameters
+ * @param {Object} query - Request query (page, limit)
+ * @returns {Object} - { page, limit, skip }
+ */
+const parsePagination = ({ page, limit } = {}) => {
+  const parsedLimit = parseInt(limit, 10);
+  const parsedPage = parseInt(page, 10);
+
+  const safeLimit = Number.isInteger(parsedLimit) && parsedLimit > 0
+    ? Math.min(parsedLimit, MAX_LIMIT)
+    : DEFAULT_LIMIT;
+  const safePage = Number.isInteger(parsedPage) && parsedPage > 0 ? parsedPage : 1;
+
+  return {
+    page: safePage,
+    limit: safeLimit,
+    skip: (safePage - 1) * safeLimit
+  };
+};
+
+/**
+ * Parses a sort string into an ordered list of sort keys.
+ * An _id key is always appended so every document has a unique position.
+ * @param {string} sortBy - Sort string, e.g. '-createdAt' or '-priority,title'
+ * @returns {Array<Object>} - List of { field, direction }
+ */
+const parseSortSpec = (sortBy = '-createdAt') => {
+  const spec = String(sortBy)
+    .split(/[\s,]+/)
+    .filter(Boolean)
+    .map(key => (key.startsWith('-')
+      ? { field: key.slice(1), direction: -1 }
+      : { field: key.replace(/^\+/, ''), direction: 1 }));
+
+  if (!spec.some(({ field }) => field === '_id')) {
+    const lastDirection = spec.length > 0 ? spec[spec.length - 1].direction : -1;
+    spec.push({ field: '_id', direction: lastDirection });
+  }
+
+  return spec;
+};
+
+/**
+ * Converts a sort spec into a Mongo sort object
+ * @param {Array<Object>} spec - Sort spec from parseSortSpec
+ * @returns {Object} - Mongo sort object
+ */
+const toMongoSort = (spec) => {
+  return spec.reduce((sort, { field, direction }) => {
+    sort[field] = direction;
+    return sort;
+  }, {});
+};
+
+/**
+ * Encodes the sort values of a document into an opaque cursor
+ * @param {Object} doc - Last document of the current page
+ * @param {Array<Object>} spec - Sort spec used for the query
+ * @returns {string} - Base64url encoded cursor
+ */
+const encodeCursor = (doc, spec) => {
+  const values = spec.map(({ field }) => (field === '_id' ? String(doc._id) : doc[field]));
+
+  const payload = {
+    s: spec.map(({ field, direction }) => `${direction < 0 ? '-' : ''}${field}`).join(','),
+    v: values
+  };
+
+  return Buffer.from(JSON.stringify(payload)).toString('base64url');
+};
+
+/**
+ * Decodes a cursor produced by encodeCursor
+ * @param {string} cursor - Opaque cursor
+ * @param {Array<Object>} spec - Sort spec of the current query
+ * @returns {Array|null} - Sort values, or null if the cursor is invalid for this sort
+ */
+const decodeCursor = (cursor, spec) => {
+  if (typeof cursor !== 'string' || cursor.length === 0) return null;
+
+  try {
+    const payload = JSON.parse(Buffer.from(cursor, 'base64url').toString('utf8'));
+    const signature = spec.map(({ field, direction }) => `${direction < 0 ? '-' : ''}${field}`).join(',');
+
+    if (!payload || payload.s !== signature || !Array.isArray(payload.v)) return null;
+    if (payload.v.length !== spec.length) return null;
+
+    return payload.v;
+  } catch (error) {
+    return null;
+  }
+};
+
+/**
+ * Builds a filter selecting documents positioned after the cursor values
+ * @param {Array<Object>} spec - Sort spec of the current query
+ * @param {Array} values - Decoded cursor values
+ * @returns {Object} - Mongo filter
+ */
+const buildCursorFilter = (spec, values) => {
+  const clauses = spec.map(({ field, direction }, index) => {
+    const clause = {};
+    for (let i = 0; i < index; i++) {
+      clause[spec[i].field] = values[i];
+    }
+    clause[field] = { [direction < 0 ? '$lt' : '$gt']: values[index] };
+    return clause;
+  });
+
+  return { $or: clauses };
+};
+
+module.exports = {
+  DEFAULT_LIMIT,
+  MAX_LIMIT,
+  parsePagination,
+  parseSortSpec,
+  toMongoSort,
+  encodeCursor,
+  decodeCursor,
+  buildCursorFilter
+};
@@ -0,0 +1,107 @@
+const { STATUS_ROLES } = require('../config/roles');
+
+/**
+ * Checks whether a user has one of the given roles
+ * @param {Object} user - User document
+ * @param {Array<string>} roles - Accepted roles
+ * @returns {boolean} - True if the user's role is accepted
+ */
+const hasRole = (user, roles) => {
+  return Boolean(user) && roles.includes(user.role);
+};
+
+/**
+ * Checks whether a user reported a bug
+ * @param {Object} user - User document
+ * @param {Object} bug - Bug document
+ * @returns {boolean} - True if the user is the bug's reporter
+ */
+const isBugReporter = (user, bug) => {
+  return Boolean(user && bug.reporterId) && bug.reporterId.toString() === user._id.toString();
+};
+
+/**
+ * Only admins and the original reporter can delete a bug
+ * @param {Object} user - User document
+ * @param {Object} bug - Bug document
+ * @returns {boolean} - True if the user may delete the bug
+ */
+const canDeleteBug = (user, bug) => {
+  return hasRole(user, ['admin']) || isBugReporter(user, bug);
+};
+
+/**
+ * Admins, the bug's reporter and the uploader can delete an attachment
+ * @param {Object} user - User document
+ * @param {Object} bug - Bug document
+ * @param {Object} attachment - Attachment subdocument
+ * @returns {boolean} - True if the user may delete the attachment
+ */
+const canDeleteAttachment = (user, bug, attachment) => {
+  const isUploader = Boolean(user && attachment.uploadedById)
+    && attachment.uploadedById.toString() === user._id.toString();
+  return canDeleteBug(user, bug) || isUploader;
+};
+
+/**
+ * Developers, admins and the bug's reporter can close a bug as a duplicate
+ * @param {Object} user - User document
+ * @param {Object} bug - Bug being closed
+ * @returns {boolean} - True if the user may mark the bug as a duplicate
+ */
+const canMarkDuplicate = (user, bug) => {
+  return hasRole(user, ['developer', 'admin']) || isBugReporter(user, bug);
+};
+
+/**
+ * Checks whether a user's role allows moving a bug into a status
+ * @param {Object} user - User document
+ * @param {string} status - Requested status
+ * @returns {boolean} - True if the user may set the status
+ */
+const canSetStatus = (user, status) => {
+  const roles = STATUS_ROLES[status];
+  return !roles || hasRole(user, roles);
+};
+
+/**
+ * Builds the message explaining why a status change was forbidden
+ * @param {string} status - Requested status
+ * @returns {string} - Error message
+ */
+const describeForbiddenStatus = (status) => {
+  const roles = STATUS_ROLES[status] || [];
+  return `Only users with the role ${roles.join(' or ')} can move a bug to "${status}"`;
+};
+
+/**
+ * Checks whether a user saved a view
+ * @param {Object} user - User document
+ * @param {Object} view - SavedView document
+ * @returns {boolean} - True if the user owns the view
+ */
+const isViewOwner = (user, view) => {
+  return Boolean(user) && view.ownerId.toString() === user._id.toString();
+};
+
+/**
+ * Only the owner can change a view; admins can also delete shared views
+ * @param {Object} user - User document
+ * @param {Object} view - SavedView document
+ * @returns {boolean} - True if the user may delete the view
+ */
+const canDeleteView = (user, view) => {
+  return isViewOwner(user, view) || (view.shared && hasRole(user, ['admin']));
+};
+
+module.exports = {
+  hasRole,
+  isBugReporter,
+  canDeleteBug,
+  canDeleteAttachment,
+  canMarkDuplicate,
+  canSetStatus,
+  describeForbiddenStatus,
+  isViewOwner,
+  canDeleteView
+};
@@ -0,0 +1,56 @@
+// Bug list settings a saved view stores, named as in the bug list query string
+const VIEW_FILTER_FIELDS = ['project', 'component', 'status', 'priority', 'q', 'filter', 'sortBy'];
+
+/**
+ * Keeps the bug list settings worth saving, dropping unknown and empty ones
+ * @param {Object} filters - Settings from the request body
+ * @returns {Object} - Settings with a value, e.g. { status: 'open', priority: 'critical' }
+ */
+const pickViewFilters = (filters = {}) => {
+  return VIEW_FILTER_FIELDS.reduce((picked, field) => {
+    const value = filters[field];
+    if (typeof value === 'string' && value.trim() !== '') {
+      picked[field] = value.trim();
+    }
+    return picked;
+  }, {});
+};
+
+/**
+ * Builds the query for the views a user can see: their own and the shared ones
+ * @param {Object} user - User document
+ * @returns {Object} - MongoDB filter
+ */
+const buildVisibleViewsFilter = (user) => {
+  return { $or: [{ ownerId: user._id }, { shared: true }] };
+};
+
+/**
+ * Checks whether a user has pinned a view
+ * @param {Object} view - SavedView document
+ * @param {Object} user - User document
+ * @returns {boolean} - True if the view is among the user's favourites
+ */
+const isPinnedBy = (view, user) => {
+  return Boolean(user) && (view.pinnedBy || []).some(id => id.toString() === user._id.toString());
+};
+
+/**
+ * Orders views for the sidebar: pinned ones first, then by name
+ * @param {Array<Object>} views - SavedView documents
+ * @param {Object} user - User the sidebar is for
+ * @returns {Array<Object>} - Sorted copy of the views
+ */
+const sortViewsForUser = (views, user) => {
+  return [...views].sort((a, b) => (
+    Number(isPinnedBy(b, user)) - Number(isPinnedBy(a, user)) || a.name.localeCompare(b.name)
+  ));
+};
+
+module.exports = {
+  VIEW_FILTER_FIELDS,
+  pickViewFilters,
+  buildVisibleViewsFilter,
+  isPinnedBy,
+  sortViewsForUser
+};
@@ -0,0 +1,91 @@
+const HIGHLIGHT_OPEN = '<mark>';
+const HIGHLIGHT_CLOSE = '</mark>';
+
+/**
+ * Escapes a string for use inside a regular expression
+ * @param {string} str - Raw string
+ * @returns {string} - Escaped string
+ */
+const escapeRegex = (str) => str.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+/**
+ * Splits a search query into the terms that should be highlighted.
+ * Negated terms (prefixed with "-") are dropped.
+ * @param {string} q - Search query
+ * @returns {Array<string>} - Lowercased search terms
+ */
+const extractSearchTerms = (q) => {
+  if (typeof q !== 'string') return [];
+
+  const terms = q
+    .replace(/"/g, ' ')
+    .split(/\s+/)
+    .filter(term => term.length > 0 && !term.startsWith('-'))
+    .map(term => term.toLowerCase().replace(/[^\p{L}\p{N}_-]/gu, ''))
+    .filter(term => term.length > 0);
+
+  return [...new Set(terms)];
+};
+
+/**
+ * Wraps every word starting with one of the terms in <mark> tags
+ * @param {string} text - Text to highlight
+ * @param {Array<string>} terms - Search terms
+ * @returns {string} - Highlighted text
+ */
+const highlightText = (text, terms) => {
+  if (typeof text !== 'string' || terms.length === 0) return text;
+
+  const pattern = new RegExp(`\\b(${terms.map(escapeRegex).join('|')})[\\p{L}\\p{N}_]*`, 'giu');
+  return text.replace(pattern, match => `${HIGHLIGHT_OPEN}${match}${HIGHLIGHT_CLOSE}`);
+};
+
+/**
+ * Builds a short highlighted excerpt around the first match in the text
+ * @param {string} text - Full text
+ * @param {Array<string>} terms - Search terms
+ * @param {number} radius - Characters to keep on each side of the match
+ * @returns {string} - Highlighted snippet
+ */
+const buildSnippet = (text, terms, radius = 60) => {
+  if (typeof text !== 'string') return text;
+
+  const lower = text.toLowerCase();
+  const firstMatch = terms
+    .map(term => lower.search(new RegExp(`\\b${escapeRegex(term)}`, 'u')))
+    .filter(index => index >= 0)
+    .sort((a, b) => a - b)[0];
+
+  if (firstMatch === undefined) {
+    return text.length > radius * 2 ? `${text.slice(0, radius * 2).trim()}…` : text;
+  }
+
+  const start = Math.max(0, firstMatch - radius);
+  const end = Math.min(text.length, firstMatch + radius);
+  const excerpt = text.slice(start, end).trim();
+
+  return `${start > 0 ? '…' : ''}${highlightText(excerpt, terms)}${end < text.length ? '…' : ''}`;
+};
+
+/**
+ * Builds highlighted fields for a search result
+ * @param {Object} bug - Bug document
+ * @param {Array<string>} terms - Search terms
+ * @returns {Object} - Highlighted title, description snippet and matching tags
+ */
+const buildHighlights = (bug, terms) => {
+  return {
+    title: highlightText(bug.title, terms),
+    description: buildSnippet(bug.description, terms),
+    tags: (bug.tags || [])
+      .filter(tag => terms.some(term => tag.toLowerCase().startsWith(term)))
+      .map(tag => highlightText(tag, terms))
+  };
+};
+
+module.exports = {
+  extractSearchTerms,
+  highlightText,
+  buildSnippet,
+  buildHighlights
+};
@@ -0,0 +1,28 @@
+const { retentionDays: defaultRetentionDays } = require('../config/trash');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Gets the date a deleted bug will be purged
+ * @param {Date} deletedAt - When the bug was deleted
+ * @param {number} retentionDays - Days deleted bugs are kept
+ * @returns {Date} - Purge date
+ */
+const getPurgeDate = (deletedAt, retentionDays = defaultRetentionDays) => {
+  return new Date(new Date(deletedAt).getTime() + retentionDays * DAY_MS);
+};
+
+/**
+ * Gets the cutoff for purging: bugs deleted at or before it have expired
+ * @param {Date} now - Current time
+ * @param {number} retentionDays - Days deleted bugs are kept
+ * @returns {Date} - Purge cutoff
+ */
+const getPurgeCutoff = (now = new Date(), retentionDays = defaultRetentionDays) => {
+  return new Date(new Date(now).getTime() - retentionDays * DAY_MS);
+};
+
+module.exports = {
+  getPurgeDate,
+  getPurgeCutoff
+};
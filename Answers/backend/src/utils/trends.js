@@ -0,0 +1,139 @@
+const TREND_INTERVALS = ['day', 'week', 'month'];
+
+// Without a range, trends cover the last 30 days
+const DEFAULT_TREND_DAYS = 30;
+
+// Keeps responses and charts readable, e.g. a year of days or ten years of months
+const MAX_TREND_PERIODS = 366;
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Age ranges for unresolved bugs, in days; the last one is open-ended
+const BACKLOG_AGE_BUCKETS = [
+  { label: 'Under 1 day', minDays: 0, maxDays: 1 },
+  { label: '1-7 days', minDays: 1, maxDays: 7 },
+  { label: '1-4 weeks', minDays: 7, maxDays: 30 },
+  { label: '1-3 months', minDays: 30, maxDays: 90 },
+  { label: 'Over 3 months', minDays: 90, maxDays: null }
+];
+
+const DATE_ONLY = /^\d{4}-\d{2}-\d{2}$/;
+
+/**
+ * Reads the trend range from the query, filling in defaults.
+ * A date-only "to" includes that whole day.
+ * @param {Object} params - Request query ({ from, to, interval })
+ * @param {Date} now - Current time
+ * @returns {Object} - { from: Date, to: Date, interval }
+ */
+const parseTrendRange = ({ from, to, interval = 'day' } = {}, now = new Date()) => {
+  const toDate = to ? new Date(to) : new Date(now);
+  if (to && DATE_ONLY.test(to)) {
+    toDate.setUTCHours(23, 59, 59, 999);
+  }
+
+  const fromDate = from ? new Date(from) : new Date(toDate.getTime() - DEFAULT_TREND_DAYS * DAY_MS);
+
+  return { from: fromDate, to: toDate, interval };
+};
+
+/**
+ * Gets the UTC start of the day, week (from Monday) or month containing a date.
+ * Matches MongoDB's $dateTrunc with startOfWeek: 'monday'.
+ * @param {Date} date - Date
+ * @param {string} interval - day | week | month
+ * @returns {Date} - Start of the period
+ */
+const startOfPeriod = (date, interval) => {
+  const d = new Date(date);
+  const start = new Date(Date.UTC(d.getUTCFullYear(), d.getUTCMonth(), interval === 'month' ? 1 : d.getUTCDate()));
+
+  if (interval === 'week') {
+    const daysSinceMonday = (start.getUTCDay() + 6) % 7;
+    start.setUTCDate(start.getUTCDate() - daysSinceMonday);
+  }
+  return start;
+};
+
+/**
+ * Lists the start of every period in a range
+ * @param {Date} from - Range start
+ * @param {Date} to - Range end
+ * @param {string} interval - day | week | month
+ * @param {number} limit - Stop after this many periods (one extra is returned to detect overflow)
+ * @returns {Array<Date>} - Period starts
+ */
+const listPeriods = (from, to, interval, limit = MAX_TREND_PERIODS) => {
+  const periods = [];
+  const period = startOfPeriod(from, interval);
+
+  while (period <= to && periods.length <= limit) {
+    periods.push(new Date(period));
+    if (interval === 'month') {
+      period.setUTCMonth(period.getUTCMonth() + 1);
+    } else {
+      period.setUTCDate(period.getUTCDate() + (interval === 'week' ? 7 : 1));
+    }
+  }
+  return periods;
+};
+
+/**
+ * Lines up opened and resolved counts per period, with zeros for quiet periods
+ * @param {Array<Date>} periods - Period starts
+ * @param {Array<Object>} opened - Aggregation results ({ _id: period start, count })
+ * @param {Array<Object>} resolved - Aggregation results ({ _id: period start, count })
+ * @returns {Array<Object>} - List of { period, opened, resolved }
+ */
+const mergePeriodCounts = (periods, opened, resolved) => {
+  const toMap = (results) => new Map(results.map(result => [new Date(result._id).getTime(), result.count]));
+  const openedByPeriod = toMap(opened);
+  const resolvedByPeriod = toMap(resolved);
+
+  return periods.map(period => ({
+    period: period.toISOString(),
+    opened: openedByPeriod.get(period.getTime()) || 0,
+    resolved: resolvedByPeriod.get(period.getTime()) || 0
+  }));
+};
+
+/**
+ * Gets the $bucket boundaries (bug age in milliseconds) for the backlog age buckets.
+ * Ages past the last boundary fall into $bucket's default ('older') bucket.
+ * @returns {Array<number>} - Boundaries
+ */
+const getBacklogAgeBoundaries = () => BACKLOG_AGE_BUCKETS.map(bucket => bucket.minDays * DAY_MS);
+
+/**
+ * Labels backlog age counts, with zeros for empty buckets
+ * @param {Array<Object>} results - $bucket results ({ _id: lower boundary or 'older', count })
+ * @returns {Array<Object>} - List of { label, minDays, maxDays, count }
+ */
+const formatBacklogAge = (results) => {
+  const counts = new Map(results.map(result => [result._id, result.count]));
+
+  return BACKLOG_AGE_BUCKETS.map(bucket => ({
+    ...bucket,
+    count: counts.get(bucket.maxDays === null ? 'older' : bucket.minDays * DAY_MS) || 0
+  }));
+};
+
+/**
+ * Converts a duration to hours, rounded to one decimal
+ * @param {number} ms - Duration in milliseconds
+ * @returns {number|null} - Hours, or null without a duration
+ */
+const toHours = (ms) => (ms === null || ms === undefined ? null : Math.round(ms / 360000) / 10);
+
+module.exports = {
+  TREND_INTERVALS,
+  MAX_TREND_PERIODS,
+  BACKLOG_AGE_BUCKETS,
+  parseTrendRange,
+  startOfPeriod,
+  listPeriods,
+  mergePeriodCounts,
+  getBacklogAgeBoundaries,
+  formatBacklogAge,
+  toHours
+};
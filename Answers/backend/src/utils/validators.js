@@ -1,11 +1,15 @@
+const { getAllowedTransitions } = require('./workflow');
+const { STATUSES } = require('../config/workflow');
+const { PRIORITIES } = require('../config/priorities');
+const { VIEW_FILTER_FIELDS, isPinnedBy } = require('./savedViews');
+
 /**
  * Validates bug status
  * @param {string} status - Bug status
  * @returns {boolean} - True if valid
  */
 const isValidStatus = (status) => {
-  const validStatuses = ['open', 'in-progress', 'resolved', 'closed'];
-  return validStatuses.includes(status);
+  return STATUSES.includes(status);
 };
 
 /**
@@ -14,8 +18,7 @@ const isValidStatus = (status) => {
  * @returns {boolean} - True if valid
  */
 const isValidPriority = (priority) => {
-  const validPriorities = ['low', 'medium', 'high', 'critical'];
-  return validPriorities.includes(priority);
+  return PRIORITIES.includes(priority);
 };
 
 /**
@@ -52,6 +55,25 @@ const meetsMinLength = (str, minLength) => {
   return typeof str === 'string' && str.trim().length >= minLength;
 };
 
+/**
+ * Formats attachment metadata for response (never includes the storage key)
+ * @param {string} bugId - ID of the bug the file is attached to
+ * @param {Object} attachment - Attachment subdocument
+ * @returns {Object} - Formatted attachment data, with a download URL relative to the API base
+ */
+const formatAttachmentResponse = (bugId, attachment) => {
+  return {
+    id: attachment._id,
+    filename: attachment.filename,
+    mimeType: attachment.mimeType,
+    size: attachment.size,
+    uploadedBy: attachment.uploadedBy,
+    uploadedById: attachment.uploadedById,
+    uploadedAt: attachment.uploadedAt,
+    url: `/bugs/${bugId}/attachments/${attachment._id}`
+  };
+};
+
 /**
  * Formats bug data for response
  * @param {Object} bug - Bug document
@@ -60,15 +82,128 @@ const meetsMinLength = (str, minLength) => {
 const formatBugResponse = (bug) => {
   return {
     id: bug._id,
+    key: bug.key || null,
+    project: bug.project,
+    component: bug.component || null,
     title: bug.title,
     description: bug.description,
     status: bug.status,
     priority: bug.priority,
     reporter: bug.reporter,
+    reporterId: bug.reporterId,
     assignedTo: bug.assignedTo,
     tags: bug.tags,
+    duplicateOf: bug.duplicateOf || null,
+    attachments: (bug.attachments || []).map(attachment => formatAttachmentResponse(bug._id, attachment)),
+    allowedTransitions: getAllowedTransitions(bug.status),
     createdAt: bug.createdAt,
-    updatedAt: bug.updatedAt
+    updatedAt: bug.updatedAt,
+    resolvedAt: bug.resolvedAt || null,
+    version: bug.version || 0
+  };
+};
+
+/**
+ * Formats comment data for response
+ * @param {Object} comment - Comment document
+ * @returns {Object} - Formatted comment data
+ */
+const formatCommentResponse = (comment) => {
+  return {
+    id: comment._id,
+    bugId: comment.bug,
+    author: comment.author,
+    authorId: comment.authorId,
+    body: comment.body,
+    createdAt: comment.createdAt,
+    updatedAt: comment.updatedAt,
+    editedAt: comment.editedAt || null
+  };
+};
+
+/**
+ * Formats a bug history entry for response
+ * @param {Object} entry - BugHistory document
+ * @returns {Object} - Formatted history entry
+ */
+const formatHistoryResponse = (entry) => {
+  return {
+    id: entry._id,
+    bugId: entry.bug,
+    field: entry.field,
+    from: entry.from,
+    to: entry.to,
+    changedBy: entry.changedBy,
+    changedAt: entry.changedAt
+  };
+};
+
+/**
+ * Formats project data for response
+ * @param {Object} project - Project document
+ * @returns {Object} - Formatted project data
+ */
+const formatProjectResponse = (project) => {
+  return {
+    id: project._id,
+    name: project.name,
+    key: project.key,
+    description: project.description || '',
+    createdBy: project.createdBy,
+    createdAt: project.createdAt
+  };
+};
+
+/**
+ * Formats component data for response
+ * @param {Object} component - Component document
+ * @returns {Object} - Formatted component data
+ */
+const formatComponentResponse = (component) => {
+  return {
+    id: component._id,
+    projectId: component.project,
+    name: component.name,
+    description: component.description || ''
+  };
+};
+
+/**
+ * Formats user data for response (never includes the password)
+ * @param {Object} user - User document
+ * @returns {Object} - Formatted user data
+ */
+const formatUserResponse = (user) => {
+  return {
+    id: user._id,
+    username: user.username,
+    email: user.email,
+    role: user.role,
+    createdAt: user.createdAt
+  };
+};
+
+/**
+ * Formats a saved view for the user asking for it
+ * @param {Object} view - SavedView document
+ * @param {Object} user - User the response is for (decides pinned)
+ * @returns {Object} - Formatted view, every filter field present ('' when unset)
+ */
+const formatViewResponse = (view, user) => {
+  const filters = view.filters || {};
+  return {
+    id: view._id,
+    name: view.name,
+    owner: view.owner,
+    ownerId: view.ownerId,
+    filters: VIEW_FILTER_FIELDS.reduce((formatted, field) => ({
+      ...formatted,
+      [field]: filters[field] ? String(filters[field]) : ''
+    }), {}),
+    shared: view.shared,
+    pinned: isPinnedBy(view, user),
+    createdAt: view.createdAt,
+    updatedAt: view.updatedAt
   };
 };
 
@@ -78,5 +213,12 @@ module.exports = {
   sanitizeInput,
   isValidEmail,
   meetsMinLength,
-  formatBugResponse
+  formatAttachmentResponse,
+  formatBugResponse,
+  formatCommentResponse,
+  formatHistoryResponse,
+  formatProjectResponse,
+  formatComponentResponse,
+  formatUserResponse,
+  formatViewResponse
 };
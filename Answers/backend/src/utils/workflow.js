@@ -0,0 +1,58 @@
+const { RESOLVED_STATUSES, workflow: defaultWorkflow } = require('../config/workflow');
+
+/**
+ * Lists the statuses a bug can move to from its current status
+ * @param {string} status - Current status
+ * @param {Object} workflow - Workflow definition (defaults to the configured one)
+ * @returns {Array<string>} - Allowed next statuses
+ */
+const getAllowedTransitions = (status, workflow = defaultWorkflow) => {
+  return workflow.transitions[status] || [];
+};
+
+/**
+ * Checks whether a status change is allowed.
+ * Keeping the current status is always allowed.
+ * @param {string} from - Current status
+ * @param {string} to - Requested status
+ * @param {Object} workflow - Workflow definition (defaults to the configured one)
+ * @returns {boolean} - True if the transition is allowed
+ */
+const canTransition = (from, to, workflow = defaultWorkflow) => {
+  return from === to || getAllowedTransitions(from, workflow).includes(to);
+};
+
+/**
+ * Builds the message explaining a rejected status change
+ * @param {string} from - Current status
+ * @param {string} to - Requested status
+ * @param {Object} workflow - Workflow definition (defaults to the configured one)
+ * @returns {string} - Error message
+ */
+const describeInvalidTransition = (from, to, workflow = defaultWorkflow) => {
+  const allowed = getAllowedTransitions(from, workflow);
+  const allowedText = allowed.length > 0 ? allowed.join(', ') : 'none';
+  return `Cannot change status from "${from}" to "${to}". Allowed next statuses: ${allowedText}`;
+};
+
+/**
+ * Returns the status new bugs start in
+ * @param {Object} workflow - Workflow definition (defaults to the configured one)
+ * @returns {string} - Initial status
+ */
+const getInitialStatus = (workflow = defaultWorkflow) => workflow.initial;
+
+/**
+ * Checks whether a status means the bug has been dealt with
+ * @param {string} status - Bug status
+ * @returns {boolean} - True for resolved and closed
+ */
+const isResolvedStatus = (status) => RESOLVED_STATUSES.includes(status);
+
+module.exports = {
+  isResolvedStatus,
+  getAllowedTransitions,
+  canTransition,
+  describeInvalidTransition,
+  getInitialStatus
+};
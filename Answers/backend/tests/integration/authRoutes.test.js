@@ -0,0 +1,142 @@
+const request = require('supertest');
+const mongoose = require('mongoose');
+const jwt = require('jsonwebtoken');
+const { MongoMemoryServer } = require('mongodb-memory-server');
+const app = require('../../src/server');
+const User = require('../../src/models/User');
+
+let mongoServer;
+
+// Setup: Connect to in-memory database
+beforeAll(async () => {
+  mongoServer = await MongoMemoryServer.create();
+  const mongoUri = mongoServer.getUri();
+  await mongoose.connect(mongoUri);
+});
+
+// Cleanup: Clear database after each test
+afterEach(async () => {
+  await User.deleteMany({});
+});
+
+// Teardown: Disconnect and stop server
+afterAll(async () => {
+  await mongoose.disconnect();
+  await mongoServer.stop();
+});
+
+describe('Auth API Integration Tests', () => {
+  const credentials = {
+    username: 'janesmith',
+    email: 'jane@example.com',
+    password: 'password123'
+  };
+
+  describe('POST /api/auth/register', () => {
+    test('should register a user and return a token', async () => {
+      const response = await request(app)
+        .post('/api/auth/register')
+        .send(credentials)
+        .expect(201);
+
+      expect(response.body.data.token).toEqual(expect.any(String));
+      expect(response.body.data.user.username).toBe('janesmith');
+      expect(response.body.data.user).not.toHaveProperty('password');
+    });
+
+    test('should hash the stored password', async () => {
+      await request(app).post('/api/auth/register').send(credentials).expect(201);
+
+      const user = await User.findOne({ email: credentials.email }).select('+password');
+      expect(user.password).not.toBe(credentials.password);
+    });
+
+    test('should make the first account an admin and later ones reporters', async () => {
+      const first = await request(app).post('/api/auth/register').send(credentials).expect(201);
+      const second = await request(app)
+        .post('/api/auth/register')
+        .send({ username: 'johndoe', email: 'john@example.com', password: 'password123' })
+        .expect(201);
+
+      expect(first.body.data.user.role).toBe('admin');
+      expect(second.body.data.user.role).toBe('reporter');
+    });
+
+    test('should ignore a role sent during registration', async () => {
+      await User.create({ ...credentials, username: 'existing', email: 'existing@example.com' });
+
+      const response = await request(app)
+        .post('/api/auth/register')
+        .send({ ...credentials, role: 'admin' })
+        .expect(201);
+
+      expect(response.body.data.user.role).toBe('reporter');
+    });
+
+    test('should return 409 for a duplicate email', async () => {
+      await User.create(credentials);
+
+      await request(app)
+        .post('/api/auth/register')
+        .send({ ...credentials, username: 'someoneelse' })
+        .expect(409);
+    });
+
+    test('should return 400 for a short password', async () => {
+      await request(app)
+        .post('/api/auth/register')
+        .send({ ...credentials, password: 'short' })
+        .expect(400);
+    });
+  });
+
+  describe('POST /api/auth/login', () => {
+    test('should log in with valid credentials', async () => {
+      await User.create(credentials);
+
+      const response = await request(app)
+        .post('/api/auth/login')
+        .send({ email: credentials.email, password: credentials.password })
+        .expect(200);
+
+      expect(response.body.data.token).toEqual(expect.any(String));
+    });
+
+    test('should return 401 for a wrong password', async () => {
+      await User.create(credentials);
+
+      await request(app)
+        .post('/api/auth/login')
+        .send({ email: credentials.email, password: 'wrongpassword' })
+        .expect(401);
+    });
+  });
+
+  describe('GET /api/auth/me', () => {
+    test('should return the logged in user', async () => {
+      const { body } = await request(app).post('/api/auth/register').send(credentials);
+
+      const response = await request(app)
+        .get('/api/auth/me')
+        .set('Authorization', `Bearer ${body.data.token}`)
+        .expect(200);
+
+      expect(response.body.data.email).toBe(credentials.email);
+    });
+
+    test('should return 401 for an expired token', async () => {
+      const user = await User.create(credentials);
+      const expiredToken = jwt.sign(
+        { id: user._id.toString(), exp: Math.floor(Date.now() / 1000) - 60 },
+        process.env.JWT_SECRET || 'bug-tracker-development-secret'
+      );
+
+      const response = await request(app)
+        .get('/api/auth/me')
+        .set('Authorization', `Bearer ${expiredToken}`)
+        .expect(401);
+
+      expect(response.body.message).toMatch(/expired/i);
+    });
+  });
+});
@@ -0,0 +1,1646 @@
+const request = require('supertest');
+const mongoose = require('mongoose');
+const { MongoMemoryServer } = require('mongodb-memory-server');
+const app = require('../../src/server');
+const Bug = require('../../src/models/Bug');
+const Project = require('../../src/models/Project');
+const Component = require('../../src/models/Component');
+const Comment = require('../../src/models/Comment');
+const BugHistory = require('../../src/models/BugHistory');
+const User = require('../../src/models/User');
+const { generateToken } = require('../../src/utils/auth');
+const { subscribeToBugEvents } = require('../../src/utils/bugEvents');
+const { purgeDeletedBugs } = require('../../src/jobs/purgeTrash');
+const { backfillSortRanks } = require('../../src/jobs/backfillSortRanks');
+const { setStorage } = require('../../src/storage');
+const { MAX_ATTACHMENTS_PER_BUG } = require('../../src/config/attachments');
+const { Readable } = require('stream');
+
+let mongoServer;
+let user;
+let token;
+let project;
+
+// Setup: Connect to in-memory database and create a logged in user
+beforeAll(async () => {
+  mongoServer = await MongoMemoryServer.create();
+  const mongoUri = mongoServer.getUri();
+  await mongoose.connect(mongoUri);
+
+  user = await User.create({
+    username: 'johndoe',
+    email: 'john@example.com',
+    password: 'password123'
+  });
+  token = generateToken(user);
+  project = await Project.create({ name: 'Web App', key: 'WEB' });
+});
+
+// Cleanup: Clear database after each test
+afterEach(async () => {
+  await Bug.deleteMany({});
+  await Comment.deleteMany({});
+  await BugHistory.deleteMany({});
+});
+
+// Teardown: Disconnect and stop server
+afterAll(async () => {
+  await User.deleteMany({});
+  await Project.deleteMany({});
+  await Component.deleteMany({});
+  await mongoose.disconnect();
+  await mongoServer.stop();
+});
+
+describe('Bug API Integration Tests', () => {
+  
+  describe('POST /api/bugs', () => {
+    test('should create a new bug with valid data', async () => {
+      const bugData = {
+        title: 'Login button not working',
+        description: 'Users cannot click the login button on mobile devices',
+        priority: 'high',
+        reporter: 'John Doe',
+        project: project._id
+      };
+
+      const response = await request(app)
+        .post('/api/bugs')
+        .set('Authorization', `Bearer ${token}`)
+        .send(bugData)
+        .expect(201);
+
+      expect(response.body.success).toBe(true);
+      expect(response.body.data).toHaveProperty('id');
+      expect(response.body.data.title).toBe(bugData.title);
+      expect(response.body.data.status).toBe('open'); // Default status
+      expect(response.body.data.reporter).toBe(user.username);
+    });
+
+    test('should give each new bug the next key in its project', async () => {
+      const keys = [];
+      for (const title of ['First keyed bug', 'Second keyed bug']) {
+        const response = await request(app)
+          .post('/api/bugs')
+          .set('Authorization', `Bearer ${token}`)
+          .send({ title, description: 'Checks the sequential bug keys', project: project._id })
+          .expect(201);
+        keys.push(response.body.data.key);
+      }
+
+      const { bugSequence } = await Project.findById(project._id);
+      expect(keys).toEqual([`WEB-${bugSequence - 1}`, `WEB-${bugSequence}`]);
+    });
+
+    test('should return 401 without a token', async () => {
+      const bugData = {
+        title: 'Anonymous bug',
+        description: 'Submitted without logging in'
+      };
+
+      await request(app)
+        .post('/api/bugs')
+        .send(bugData)
+        .expect(401);
+    });
+
+    test('should return 400 when assigning to an unknown user', async () => {
+      const bugData = {
+        title: 'Assigned bug',
+        description: 'Assigned to someone who does not exist',
+        assignedTo: 'nobody',
+        project: project._id
+      };
+
+      await request(app)
+        .post('/api/bugs')
+        .set('Authorization', `Bearer ${token}`)
+        .send(bugData)
+        .expect(400);
+    });
+
+    test('should return 400 for missing required fields', async () => {
+      const invalidData = {
+        title: 'Bug'
+        // Missing description and reporter
+      };
+
+      const response = await request(app)
+        .post('/api/bugs')
+        .set('Authorization', `Bearer ${token}`)
+        .send(invalidData)
+        .expect(400);
+
+      expect(response.body.success).toBeFalsy();
+    });
+
+    test('should return 400 without a project', async () => {
+      const response = await request(app)
+        .post('/api/bugs')
+        .set('Authorization', `Bearer ${token}`)
+        .send({ title: 'Homeless bug', description: 'Not filed under any project' })
+        .expect(400);
+
+      expect(response.body.message).toBe('Bug must belong to a project');
+    });
+
+    test('should return 400 for title that is too short', async () => {
+      const invalidData = {
+        title: 'AB', // Too short
+        description: 'This is a valid description',
+        reporter: 'John Doe',
+        project: project._id
+      };
+
+      const response = await request(app)
+        .post('/api/bugs')
+        .set('Authorization', `Bearer ${token}`)
+        .send(invalidData)
+        .expect(400);
+
+      expect(response.body.success).toBeFalsy();
+    });
+
+    test('should sanitize input and remove dangerous characters', async () => {
+      const bugData = {
+        title: '<script>alert("xss")</script>Test Bug',
+        description: 'Description with <script> tags should be sanitized',
+        reporter: 'John Doe',
+        project: project._id
+      };
+
+      const response = await request(app)
+        .post('/api/bugs')
+        .set('Authorization', `Bearer ${token}`)
+        .send(bugData)
+        .expect(201);
+
+      expect(response.body.data.title).not.toContain('<');
+      expect(response.body.data.title).not.toContain('>');
+    });
+  });
+
+  describe('GET /api/bugs', () => {
+    test('should return all bugs', async () => {
+      // Create test bugs
+      await Bug.create([
+        {
+          project: project._id,
+          title: 'Bug 1',
+          description: 'First bug description',
+          reporter: 'User 1'
+        },
+        {
+          project: project._id,
+          title: 'Bug 2',
+          description: 'Second bug description',
+          reporter: 'User 2'
+        }
+      ]);
+
+      const response = await request(app)
+        .get('/api/bugs')
+        .expect(200);
+
+      expect(response.body.success).toBe(true);
+      expect(response.body.count).toBe(2);
+      expect(response.body.data).toHaveLength(2);
+    });
+
+    test('should filter bugs by status', async () => {
+      await Bug.create([
+        {
+          project: project._id,
+          title: 'Open Bug',
+          description: 'This bug is open',
+          status: 'open',
+          reporter: 'User 1'
+        },
+        {
+          project: project._id,
+          title: 'Resolved Bug',
+          description: 'This bug is resolved',
+          status: 'resolved',
+          reporter: 'User 2'
+        }
+      ]);
+
+      const response = await request(app)
+        .get('/api/bugs?status=open')
+        .expect(200);
+
+      expect(response.body.count).toBe(1);
+      expect(response.body.data[0].status).toBe('open');
+    });
+
+    test('should filter bugs with a filter expression', async () => {
+      await Bug.create([
+        {
+          project: project._id,
+          title: 'Mine And Urgent',
+          description: 'Assigned to the logged in user',
+          priority: 'critical',
+          assignedTo: user.username,
+          tags: ['ui'],
+          reporter: 'User 1'
+        },
+        {
+          project: project._id,
+          title: 'Mine But Minor',
+          description: 'Assigned to the logged in user',
+          priority: 'low',
+          assignedTo: user.username,
+          tags: ['ui'],
+          reporter: 'User 1'
+        },
+        {
+          project: project._id,
+          title: 'Urgent Elsewhere',
+          description: 'Assigned to nobody',
+          priority: 'high',
+          reporter: 'User 2'
+        }
+      ]);
+
+      const response = await request(app)
+        .get('/api/bugs')
+        .query({ filter: 'status:open,in-progress priority:>=high assignee:me tag:ui' })
+        .set('Authorization', `Bearer ${token}`)
+        .expect(200);
+
+      expect(response.body.data.map(bug => bug.title)).toEqual(['Mine And Urgent']);
+    });
+
+    test('should return 400 for a bad filter expression', async () => {
+      const response = await request(app)
+        .get('/api/bugs')
+        .query({ filter: 'status:done' })
+        .expect(400);
+
+      expect(response.body.message).toContain('Invalid filter: Invalid status "done"');
+    });
+
+    test('should return 400 for assignee:me without a login', async () => {
+      const response = await request(app)
+        .get('/api/bugs')
+        .query({ filter: 'assignee:me' })
+        .expect(400);
+
+      expect(response.body.message).toContain('Log in to filter by assignee:me');
+    });
+
+    test('should return empty array when no bugs exist', async () => {
+      const response = await request(app)
+        .get('/api/bugs')
+        .expect(200);
+
+      expect(response.body.count).toBe(0);
+      expect(response.body.data).toHaveLength(0);
+    });
+
+    test('should paginate bugs by page and limit', async () => {
+      await Bug.create(
+        Array.from({ length: 5 }, (_, i) => ({
+          project: project._id,
+          title: `Paged Bug ${i}`,
+          description: `Paged bug description ${i}`,
+          reporter: 'User 1'
+        }))
+      );
+
+      const response = await request(app)
+        .get('/api/bugs?page=2&limit=2')
+        .expect(200);
+
+      expect(response.body.total).toBe(5);
+      expect(response.body.page).toBe(2);
+      expect(response.body.data).toHaveLength(2);
+      expect(response.body.hasMore).toBe(true);
+      expect(response.body.nextCursor).toEqual(expect.any(String));
+    });
+
+    test('should walk through all bugs with cursors', async () => {
+      await Bug.create(
+        Array.from({ length: 5 }, (_, i) => ({
+          project: project._id,
+          title: `Cursor Bug ${i}`,
+          description: `Cursor bug description ${i}`,
+          reporter: 'User 1'
+        }))
+      );
+
+      const seen = [];
+      let cursor = null;
+      do {
+        const url = cursor ? `/api/bugs?limit=2&cursor=${cursor}` : '/api/bugs?limit=2';
+        const response = await request(app).get(url).expect(200);
+        seen.push(...response.body.data.map(bug => bug.id));
+        cursor = response.body.nextCursor;
+      } while (cursor);
+
+      expect(seen).toHaveLength(5);
+      expect(new Set(seen).size).toBe(5);
+    });
+
+    test('should sort by priority severity and status workflow order', async () => {
+      await Bug.create([
+        { project: project._id, title: 'Low Open', description: 'Sort test bug', priority: 'low', reporter: 'User 1' },
+        { project: project._id, title: 'Critical Closed', description: 'Sort test bug', priority: 'critical', status: 'closed', reporter: 'User 1' },
+        { project: project._id, title: 'High Open', description: 'Sort test bug', priority: 'high', reporter: 'User 1' },
+        { project: project._id, title: 'High Resolved', description: 'Sort test bug', priority: 'high', status: 'resolved', reporter: 'User 1' }
+      ]);
+
+      const response = await request(app)
+        .get('/api/bugs?sortBy=-priority,status')
+        .expect(200);
+
+      expect(response.body.data.map(bug => bug.title)).toEqual([
+        'Critical Closed',
+        'High Open',
+        'High Resolved',
+        'Low Open'
+      ]);
+    });
+
+    test('should keep the priority order after an update', async () => {
+      const [bug] = await Bug.create([
+        { project: project._id, title: 'Raised Later', description: 'Sort test bug', priority: 'low', reporter: 'User 1' },
+        { project: project._id, title: 'Medium From Start', description: 'Sort test bug', priority: 'medium', reporter: 'User 1' }
+      ]);
+
+      await request(app)
+        .put(`/api/bugs/${bug._id}`)
+        .set('Authorization', `Bearer ${token}`)
+        .send({ priority: 'critical' })
+        .expect(200);
+
+      const response = await request(app)
+        .get('/api/bugs?sortBy=-priority')
+        .expect(200);
+
+      expect(response.body.data[0].title).toBe('Raised Later');
+    });
+
+    test('should walk through a multi-key sort with cursors', async () => {
+      await Bug.create(
+        Array.from({ length: 5 }, (_, i) => ({
+          project: project._id,
+          title: `Sorted Bug ${i}`,
+          description: `Sorted bug description ${i}`,
+          priority: i % 2 === 0 ? 'high' : 'low',
+          reporter: 'User 1'
+        }))
+      );
+
+      const titles = [];
+      let cursor = null;
+      do {
+        const url = `/api/bugs?limit=2&sortBy=-priority,title${cursor ? `&cursor=${cursor}` : ''}`;
+        const response = await request(app).get(url).expect(200);
+        titles.push(...response.body.data.map(bug => bug.title));
+        cursor = response.body.nextCursor;
+      } while (cursor);
+
+      expect(titles).toEqual(['Sorted Bug 0', 'Sorted Bug 2', 'Sorted Bug 4', 'Sorted Bug 1', 'Sorted Bug 3']);
+    });
+
+    test('should return 400 for fields that cannot be sorted on', async () => {
+      const response = await request(app)
+        .get('/api/bugs?sortBy=-reporter')
+        .expect(400);
+
+      expect(response.body.message).toContain('Cannot sort by "reporter"');
+    });
+
+    test('should backfill sort ranks on bugs saved without them', async () => {
+      const bug = await Bug.create({ project: project._id, title: 'Old Bug', description: 'Saved before ranks', priority: 'high', reporter: 'User 1' });
+      await Bug.collection.updateOne({ _id: bug._id }, { $unset: { priorityRank: '', statusRank: '' } });
+
+      await backfillSortRanks();
+
+      const backfilled = await Bug.findById(bug._id);
+      expect(backfilled.priorityRank).toBe(2);
+      expect(backfilled.statusRank).toBe(0);
+    });
+
+    test('should return 400 for an invalid cursor', async () => {
+      await request(app)
+        .get('/api/bugs?cursor=garbage')
+        .expect(400);
+    });
+
+    test('should return 400 for unknown statuses and priorities or query operators', async () => {
+      await request(app)
+        .get('/api/bugs?status=stale')
+        .expect(400);
+
+      await request(app)
+        .get('/api/bugs?priority=urgent')
+        .expect(400);
+
+      await request(app)
+        .get('/api/bugs?status[$ne]=closed')
+        .expect(400);
+    });
+
+    test('should search bugs by text and highlight matches', async () => {
+      await Bug.init();
+      await Bug.create([
+        {
+          project: project._id,
+          title: 'Checkout crashes on submit',
+          description: 'Payment form crashes when the card is declined',
+          reporter: 'User 1',
+          tags: ['payments']
+        },
+        {
+          project: project._id,
+          title: 'Typo on landing page',
+          description: 'The hero banner says recieve instead of receive',
+          reporter: 'User 2'
+        }
+      ]);
+
+      const response = await request(app)
+        .get('/api/bugs?q=crash')
+        .expect(200);
+
+      expect(response.body.count).toBe(1);
+      expect(response.body.data[0].score).toBeGreaterThan(0);
+      expect(response.body.data[0].highlights.title).toContain('<mark>crashes</mark>');
+    });
+  });
+
+  describe('GET /api/bugs/export', () => {
+    beforeEach(async () => {
+      await Bug.create([
+        { project: project._id, title: 'Critical Crash', description: 'App crashes on start', priority: 'critical', reporter: 'John Doe' },
+        { project: project._id, title: 'Minor Typo', description: 'Typo on the about page', priority: 'low', reporter: 'John Doe' }
+      ]);
+    });
+
+    test('should export filtered bugs as CSV', async () => {
+      const response = await request(app)
+        .get('/api/bugs/export?format=csv&priority=critical')
+        .expect(200);
+
+      expect(response.headers['content-type']).toContain('text/csv');
+      expect(response.headers['content-disposition']).toMatch(/attachment; filename="bugs-.*\.csv"/);
+
+      const lines = response.text.trim().split('\r\n');
+      expect(lines).toHaveLength(2);
+      expect(lines[0]).toMatch(/^id,key,title,description/);
+      expect(lines[1]).toContain('Critical Crash');
+    });
+
+    test('should export bugs as a JSON array', async () => {
+      const response = await request(app)
+        .get('/api/bugs/export?format=json')
+        .expect(200);
+
+      expect(response.body).toHaveLength(2);
+      expect(response.body[0]).toHaveProperty('title');
+    });
+
+    test('should export bugs as NDJSON', async () => {
+      const response = await request(app)
+        .get('/api/bugs/export?format=ndjson&priority=low')
+        .buffer(true)
+        .parse((res, callback) => {
+          let text = '';
+          res.on('data', chunk => { text += chunk; });
+          res.on('end', () => callback(null, text));
+        })
+        .expect(200);
+
+      const lines = response.body.trim().split('\n').map(line => JSON.parse(line));
+      expect(lines).toHaveLength(1);
+      expect(lines[0].title).toBe('Minor Typo');
+    });
+
+    test('should return 400 for an unknown format', async () => {
+      await request(app)
+        .get('/api/bugs/export?format=xlsx')
+        .expect(400);
+    });
+
+    test('should return 400 for query operators in the status or priority', async () => {
+      await request(app)
+        .get('/api/bugs/export?priority[$gt]=')
+        .expect(400);
+    });
+  });
+
+  describe('POST /api/bugs/import', () => {
+    let developer;
+    let developerToken;
+
+    beforeAll(async () => {
+      developer = await User.create({
+        username: 'importer',
+        email: 'importer@example.com',
+        password: 'password123',
+        role: 'developer'
+      });
+      developerToken = generateToken(developer);
+    });
+
+    const csv = [
+      'title,description,priority,tags',
+      'Imported Crash,Crashes when importing data,high,"import, crash"',
+      'No,Too short title and bad priority,urgent,'
+    ].join('\n');
+
+    test('should report per-row errors without writing in dry-run mode', async () => {
+      const response = await request(app)
+        .post(`/api/projects/${project._id}/bugs/import?dryRun=true`)
+        .set('Authorization', `Bearer ${developerToken}`)
+        .set('Content-Type', 'text/csv')
+        .send(csv)
+        .expect(200);
+
+      expect(response.body.dryRun).toBe(true);
+      expect(response.body.validCount).toBe(1);
+      expect(response.body.invalidCount).toBe(1);
+      expect(response.body.data[1].errors).toEqual(expect.arrayContaining([
+        'Title must be 3-200 characters',
+        'Invalid priority'
+      ]));
+      expect(await Bug.countDocuments()).toBe(0);
+    });
+
+    test('should import the valid rows of a CSV file', async () => {
+      const response = await request(app)
+        .post(`/api/projects/${project._id}/bugs/import`)
+        .set('Authorization', `Bearer ${developerToken}`)
+        .set('Content-Type', 'text/csv')
+        .send(csv)
+        .expect(201);
+
+      expect(response.body.importedCount).toBe(1);
+      expect(response.body.data[0].imported).toBe(true);
+      expect(response.body.data[1].imported).toBe(false);
+
+      const bug = await Bug.findOne({ title: 'Imported Crash' });
+      expect(bug.tags).toEqual(['import', 'crash']);
+      expect(bug.reporter).toBe('importer');
+      expect(bug.project.toString()).toBe(project._id.toString());
+      expect(bug.key).toMatch(/^WEB-\d+$/);
+      expect(response.body.data[0].key).toBe(bug.key);
+      expect(response.body.data[1].key).toBeNull();
+    });
+
+    test('should import a JSON array', async () => {
+      const response = await request(app)
+        .post(`/api/projects/${project._id}/bugs/import`)
+        .set('Authorization', `Bearer ${developerToken}`)
+        .send([{ title: 'JSON Bug', description: 'Imported from a JSON file', status: 'resolved' }])
+        .expect(201);
+
+      expect(response.body.importedCount).toBe(1);
+      expect((await Bug.findOne({ title: 'JSON Bug' })).status).toBe('resolved');
+    });
+
+    test('should return 400 for malformed JSON input', async () => {
+      await request(app)
+        .post(`/api/projects/${project._id}/bugs/import`)
+        .set('Authorization', `Bearer ${developerToken}`)
+        .send({ title: 'Not an array' })
+        .expect(400);
+    });
+
+    test('should return 400 without a project to import into', async () => {
+      await request(app)
+        .post('/api/bugs/import')
+        .set('Authorization', `Bearer ${developerToken}`)
+        .set('Content-Type', 'text/csv')
+        .send(csv)
+        .expect(400);
+    });
+
+    test('should return 403 for reporters', async () => {
+      await request(app)
+        .post(`/api/projects/${project._id}/bugs/import`)
+        .set('Authorization', `Bearer ${token}`)
+        .set('Content-Type', 'text/csv')
+        .send(csv)
+        .expect(403);
+    });
+  });
+
+  describe('GET /api/bugs/:id', () => {
+    test('should return a single bug by ID', async () => {
+      const bug = await Bug.create({
+        project: project._id,
+        title: 'Test Bug',
+        description: 'Test description',
+        reporter: 'John Doe'
+      });
+
+      const response = await request(app)
+        .get(`/api/bugs/${bug._id}`)
+        .expect(200);
+
+      expect(response.body.success).toBe(true);
+      expect(response.body.data.title).toBe(bug.title);
+    });
+
+    test('should return a single bug by key, in any case', async () => {
+      await Bug.create({
+        project: project._id,
+        number: 901,
+        key: 'WEB-901',
+        title: 'Keyed Bug',
+        description: 'Test description',
+        reporter: 'John Doe'
+      });
+
+      const response = await request(app)
+        .get('/api/bugs/web-901')
+        .expect(200);
+
+      expect(response.body.data.title).toBe('Keyed Bug');
+      expect(response.body.data.key).toBe('WEB-901');
+    });
+
+    test('should return 404 for an unknown key', async () => {
+      await request(app)
+        .get('/api/bugs/WEB-99999')
+        .expect(404);
+    });
+
+    test('should return 404 for non-existent bug', async () => {
+      const fakeId = new mongoose.Types.ObjectId();
+
+      const response = await request(app)
+        .get(`/api/bugs/${fakeId}`)
+        .expect(404);
+
+      expect(response.body.success).toBeFalsy();
+    });
+
+    test('should return 400 for invalid ID format', async () => {
+      await request(app)
+        .get('/api/bugs/invalid-id')
+        .expect(400);
+    });
+  });
+
+  describe('PUT /api/bugs/:id', () => {
+    test('should update bug with valid data', async () => {
+      const bug = await Bug.create({
+        project: project._id,
+        title: 'Original Title',
+        description: 'Original description',
+        status: 'open',
+        reporter: 'John Doe'
+      });
+
+      const updateData = {
+        title: 'Updated Title',
+        status: 'in-progress'
+      };
+
+      const response = await request(app)
+        .put(`/api/bugs/${bug._id}`)
+        .set('Authorization', `Bearer ${token}`)
+        .send(updateData)
+        .expect(200);
+
+      expect(response.body.success).toBe(true);
+      expect(response.body.data.title).toBe(updateData.title);
+      expect(response.body.data.status).toBe(updateData.status);
+    });
+
+    test('should bump the version and return it as the ETag', async () => {
+      const bug = await Bug.create({
+        project: project._id,
+        title: 'Original Title',
+        description: 'Original description',
+        reporter: 'John Doe'
+      });
+
+      const response = await request(app)
+        .put(`/api/bugs/${bug._id}`)
+        .set('Authorization', `Bearer ${token}`)
+        .set('If-Match', '"0"')
+        .send({ title: 'Updated Title' })
+        .expect(200);
+
+      expect(response.body.data.version).toBe(1);
+      expect(response.headers.etag).toBe('"1"');
+    });
+
+    test('should return 412 with the current copy when If-Match is stale', async () => {
+      const bug = await Bug.create({
+        project: project._id,
+        title: 'Original Title',
+        description: 'Original description',
+        reporter: 'John Doe'
+      });
+
+      await request(app)
+        .put(`/api/bugs/${bug._id}`)
+        .set('Authorization', `Bearer ${token}`)
+        .set('If-Match', '"0"')
+        .send({ title: 'First Edit' })
+        .expect(200);
+
+      const response = await request(app)
+        .put(`/api/bugs/${bug._id}`)
+        .set('Authorization', `Bearer ${token}`)
+        .set('If-Match', '"0"')
+        .send({ title: 'Second Edit' })
+        .expect(412);
+
+      expect(response.body.data.title).toBe('First Edit');
+      expect(response.body.data.version).toBe(1);
+      expect(response.headers.etag).toBe('"1"');
+
+      const stored = await Bug.findById(bug._id);
+      expect(stored.title).toBe('First Edit');
+    });
+
+    test('should return 404 for updating non-existent bug', async () => {
+      const fakeId = new mongoose.Types.ObjectId();
+
+      await request(app)
+        .put(`/api/bugs/${fakeId}`)
+        .set('Authorization', `Bearer ${token}`)
+        .send({ title: 'Updated' })
+        .expect(404);
+    });
+
+    test('should return 409 for a status change the workflow does not allow', async () => {
+      const bug = await Bug.create({
+        project: project._id,
+        title: 'Closed Bug',
+        description: 'This bug is already closed',
+        status: 'closed',
+        reporter: 'John Doe'
+      });
+
+      const response = await request(app)
+        .put(`/api/bugs/${bug._id}`)
+        .set('Authorization', `Bearer ${token}`)
+        .send({ status: 'in-progress' })
+        .expect(409);
+
+      expect(response.body.message).toContain('Allowed next statuses: open');
+    });
+
+    test('should allow reopening a closed bug', async () => {
+      const bug = await Bug.create({
+        project: project._id,
+        title: 'Closed Bug',
+        description: 'This bug is already closed',
+        status: 'closed',
+        reporter: 'John Doe'
+      });
+
+      const response = await request(app)
+        .put(`/api/bugs/${bug._id}`)
+        .set('Authorization', `Bearer ${token}`)
+        .send({ status: 'open' })
+        .expect(200);
+
+      expect(response.body.data.status).toBe('open');
+      expect(response.body.data.allowedTransitions).toEqual(['in-progress']);
+    });
+
+    test('should return 403 when a reporter resolves a bug', async () => {
+      const bug = await Bug.create({
+        project: project._id,
+        title: 'In Progress Bug',
+        description: 'This bug is being worked on',
+        status: 'in-progress',
+        reporter: 'John Doe'
+      });
+
+      const response = await request(app)
+        .put(`/api/bugs/${bug._id}`)
+        .set('Authorization', `Bearer ${token}`)
+        .send({ status: 'resolved' })
+        .expect(403);
+
+      expect(response.body.message).toContain('developer');
+    });
+
+    test('should let a developer resolve a bug', async () => {
+      const developer = await User.create({
+        username: 'devuser',
+        email: 'dev@example.com',
+        password: 'password123',
+        role: 'developer'
+      });
+      const bug = await Bug.create({
+        project: project._id,
+        title: 'In Progress Bug',
+        description: 'This bug is being worked on',
+        status: 'in-progress',
+        reporter: 'John Doe'
+      });
+
+      const response = await request(app)
+        .put(`/api/bugs/${bug._id}`)
+        .set('Authorization', `Bearer ${generateToken(developer)}`)
+        .send({ status: 'resolved' })
+        .expect(200);
+
+      expect(response.body.data.status).toBe('resolved');
+      await User.deleteOne({ _id: developer._id });
+    });
+
+    test('should validate status values on update', async () => {
+      const bug = await Bug.create({
+        project: project._id,
+        title: 'Test Bug',
+        description: 'Test description',
+        reporter: 'John Doe'
+      });
+
+      const response = await request(app)
+        .put(`/api/bugs/${bug._id}`)
+        .set('Authorization', `Bearer ${token}`)
+        .send({ status: 'invalid-status' })
+        .expect(400);
+
+      expect(response.body.success).toBeFalsy();
+    });
+  });
+
+  describe('DELETE /api/bugs/:id', () => {
+    test('should let the reporter move a bug to the trash', async () => {
+      const bug = await Bug.create({
+        project: project._id,
+        title: 'Bug to Delete',
+        description: 'This bug will be deleted',
+        reporter: user.username,
+        reporterId: user._id
+      });
+
+      await request(app)
+        .delete(`/api/bugs/${bug._id}`)
+        .set('Authorization', `Bearer ${token}`)
+        .expect(200);
+
+      const deletedBug = await Bug.findById(bug._id);
+      expect(deletedBug.deletedAt).toBeInstanceOf(Date);
+      expect(deletedBug.deletedBy).toBe(user.username);
+      expect(deletedBug.version).toBe(1);
+    });
+
+    test('should hide deleted bugs from the list, lookups and stats', async () => {
+      const bug = await Bug.create({
+        project: project._id,
+        title: 'Bug to Delete',
+        description: 'This bug will be deleted',
+        reporter: user.username,
+        reporterId: user._id,
+        deletedAt: new Date()
+      });
+
+      const list = await request(app).get('/api/bugs').expect(200);
+      expect(list.body.total).toBe(0);
+
+      await request(app).get(`/api/bugs/${bug._id}`).expect(404);
+
+      const stats = await request(app).get('/api/bugs/stats').expect(200);
+      expect(stats.body.data.byStatus).toEqual([]);
+    });
+
+    test('should let an admin delete any bug', async () => {
+      const admin = await User.create({
+        username: 'adminuser',
+        email: 'admin@example.com',
+        password: 'password123',
+        role: 'admin'
+      });
+      const bug = await Bug.create({
+        project: project._id,
+        title: 'Bug to Delete',
+        description: 'This bug will be deleted',
+        reporter: user.username,
+        reporterId: user._id
+      });
+
+      await request(app)
+        .delete(`/api/bugs/${bug._id}`)
+        .set('Authorization', `Bearer ${generateToken(admin)}`)
+        .expect(200);
+
+      await User.deleteOne({ _id: admin._id });
+    });
+
+    test('should return 403 when someone else deletes a bug', async () => {
+      const bug = await Bug.create({
+        project: project._id,
+        title: 'Bug to Keep',
+        description: 'Reported by someone else',
+        reporter: 'janesmith',
+        reporterId: new mongoose.Types.ObjectId()
+      });
+
+      await request(app)
+        .delete(`/api/bugs/${bug._id}`)
+        .set('Authorization', `Bearer ${token}`)
+        .expect(403);
+
+      expect(await Bug.findById(bug._id)).not.toBeNull();
+    });
+
+    test('should return 404 when deleting non-existent bug', async () => {
+      const fakeId = new mongoose.Types.ObjectId();
+
+      await request(app)
+        .delete(`/api/bugs/${fakeId}`)
+        .set('Authorization', `Bearer ${token}`)
+        .expect(404);
+    });
+  });
+
+  describe('PATCH /api/bugs/bulk', () => {
+    test('should update several bugs and report each result', async () => {
+      const [openBug, closedBug] = await Bug.create([
+        { project: project._id, title: 'Open Bug', description: 'Ready to be picked up', reporter: 'John Doe' },
+        { project: project._id, title: 'Closed Bug', description: 'Already finished', status: 'closed', reporter: 'John Doe' }
+      ]);
+      const missingId = new mongoose.Types.ObjectId().toString();
+
+      const response = await request(app)
+        .patch('/api/bugs/bulk')
+        .set('Authorization', `Bearer ${token}`)
+        .send({
+          ids: [openBug._id.toString(), closedBug._id.toString(), missingId],
+          action: 'update',
+          changes: { status: 'in-progress', priority: 'high' }
+        })
+        .expect(200);
+
+      expect(response.body.succeeded).toBe(1);
+      expect(response.body.failed).toBe(2);
+      expect(response.body.data[0]).toMatchObject({ success: true, data: { status: 'in-progress', priority: 'high' } });
+      expect(response.body.data[1]).toMatchObject({ success: false, statusCode: 409 });
+      expect(response.body.data[2]).toMatchObject({ id: missingId, success: false, statusCode: 404 });
+
+      expect((await Bug.findById(closedBug._id)).priority).toBe('medium');
+    });
+
+    test('should delete only the bugs the user may delete', async () => {
+      const [ownBug, otherBug] = await Bug.create([
+        { project: project._id, title: 'Own Bug', description: 'Reported by the user', reporter: user.username, reporterId: user._id },
+        { project: project._id, title: 'Other Bug', description: 'Reported by someone else', reporter: 'janesmith' }
+      ]);
+
+      const response = await request(app)
+        .patch('/api/bugs/bulk')
+        .set('Authorization', `Bearer ${token}`)
+        .send({ ids: [ownBug._id.toString(), otherBug._id.toString()], action: 'delete' })
+        .expect(200);
+
+      expect(response.body.data.map(result => result.success)).toEqual([true, false]);
+      expect(response.body.data[1].statusCode).toBe(403);
+      expect((await Bug.findById(ownBug._id)).deletedAt).toBeInstanceOf(Date);
+      expect((await Bug.findById(otherBug._id)).deletedAt).toBeNull();
+    });
+
+    test('should return 400 for an update without changes', async () => {
+      const bug = await Bug.create({ project: project._id, title: 'Open Bug', description: 'Ready to be picked up', reporter: 'John Doe' });
+
+      await request(app)
+        .patch('/api/bugs/bulk')
+        .set('Authorization', `Bearer ${token}`)
+        .send({ ids: [bug._id.toString()], action: 'update', changes: {} })
+        .expect(400);
+    });
+
+    test('should return 401 without a token', async () => {
+      await request(app)
+        .patch('/api/bugs/bulk')
+        .send({ ids: [], action: 'delete' })
+        .expect(401);
+    });
+  });
+
+  describe('Duplicates', () => {
+    beforeEach(async () => {
+      await Bug.init();
+    });
+
+    test('should return likely duplicates when a bug is reported', async () => {
+      const original = await Bug.create({
+        project: project._id,
+        title: 'Editor crashes on save',
+        description: 'Saving any file crashes the editor',
+        reporter: 'User 1'
+      });
+      await Bug.create({
+        project: project._id,
+        title: 'Editor crashes on save',
+        description: 'Fixed last week',
+        status: 'closed',
+        reporter: 'User 2'
+      });
+
+      const response = await request(app)
+        .post('/api/bugs')
+        .set('Authorization', `Bearer ${token}`)
+        .send({ title: 'Crash when saving in the editor', description: 'The editor crashes when I save a file', project: project._id })
+        .expect(201);
+
+      expect(response.body.duplicates).toHaveLength(1);
+      expect(response.body.duplicates[0].id).toBe(original._id.toString());
+      expect(response.body.duplicates[0].similarity).toBeGreaterThan(0.3);
+    });
+
+    test('should suggest duplicates for a title being typed', async () => {
+      await Bug.create({ project: project._id, title: 'Editor crashes on save', description: 'Saving any file crashes the editor', reporter: 'User 1' });
+      await Bug.create({ project: project._id, title: 'Slow search results', description: 'Search takes seconds to respond', reporter: 'User 1' });
+
+      const response = await request(app)
+        .get('/api/bugs/duplicates?title=Editor%20crash%20on%20save')
+        .expect(200);
+
+      expect(response.body.data.map(bug => bug.title)).toEqual(['Editor crashes on save']);
+    });
+
+    test('should close a bug as a duplicate and link it to the original', async () => {
+      const original = await Bug.create({ project: project._id, title: 'Editor crashes on save', description: 'Saving any file crashes the editor', reporter: 'User 1' });
+      const copy = await Bug.create({
+        project: project._id,
+        title: 'Crash when saving',
+        description: 'The editor crashes when I save',
+        reporter: user.username,
+        reporterId: user._id
+      });
+
+      const response = await request(app)
+        .post(`/api/bugs/${copy._id}/duplicate-of/${original._id}`)
+        .set('Authorization', `Bearer ${token}`)
+        .expect(200);
+
+      expect(response.body.data.status).toBe('closed');
+      expect(response.body.data.duplicateOf).toBe(original._id.toString());
+
+      const history = await BugHistory.find({ bug: copy._id });
+      expect(history.map(entry => entry.field).sort()).toEqual(['duplicateOf', 'status']);
+    });
+
+    test('should reject linking a bug to itself or to another duplicate', async () => {
+      const original = await Bug.create({ project: project._id, title: 'Editor crashes on save', description: 'Saving any file crashes the editor', reporter: 'User 1' });
+      const copy = await Bug.create({ project: project._id, title: 'Crash when saving', description: 'The editor crashes when I save', reporter: 'User 2', duplicateOf: original._id, status: 'closed' });
+      const another = await Bug.create({ project: project._id, title: 'Save crashes', description: 'Crash while saving the file', reporter: 'User 3' });
+      const adminUser = await User.create({ username: 'dupadmin', email: 'dupadmin@example.com', password: 'password123', role: 'admin' });
+      const adminToken = generateToken(adminUser);
+
+      await request(app)
+        .post(`/api/bugs/${another._id}/duplicate-of/${another._id}`)
+        .set('Authorization', `Bearer ${adminToken}`)
+        .expect(400);
+
+      const response = await request(app)
+        .post(`/api/bugs/${another._id}/duplicate-of/${copy._id}`)
+        .set('Authorization', `Bearer ${adminToken}`)
+        .expect(409);
+
+      expect(response.body.message).toContain(original._id.toString());
+    });
+
+    test('should only let developers, admins and the reporter mark duplicates', async () => {
+      const original = await Bug.create({ project: project._id, title: 'Editor crashes on save', description: 'Saving any file crashes the editor', reporter: 'User 1' });
+      const copy = await Bug.create({ project: project._id, title: 'Crash when saving', description: 'The editor crashes when I save', reporter: 'User 2' });
+
+      await request(app)
+        .post(`/api/bugs/${copy._id}/duplicate-of/${original._id}`)
+        .set('Authorization', `Bearer ${token}`)
+        .expect(403);
+    });
+  });
+
+  describe('Trash', () => {
+    test('should list only the user\'s own deleted bugs with their purge date', async () => {
+      await Bug.create([
+        { project: project._id, title: 'Own Deleted Bug', description: 'Moved to the trash', reporter: user.username, reporterId: user._id, deletedAt: new Date() },
+        { project: project._id, title: 'Other Deleted Bug', description: 'Moved to the trash', reporter: 'janesmith', reporterId: new mongoose.Types.ObjectId(), deletedAt: new Date() },
+        { project: project._id, title: 'Active Bug', description: 'Still in the list', reporter: user.username, reporterId: user._id }
+      ]);
+
+      const response = await request(app)
+        .get('/api/bugs/trash')
+        .set('Authorization', `Bearer ${token}`)
+        .expect(200);
+
+      expect(response.body.total).toBe(1);
+      expect(response.body.data[0].title).toBe('Own Deleted Bug');
+      expect(response.body.data[0].purgeAt).toBeDefined();
+    });
+
+    test('should restore a deleted bug', async () => {
+      const bug = await Bug.create({
+        project: project._id,
+        title: 'Deleted Bug',
+        description: 'Deleted by mistake',
+        reporter: user.username,
+        reporterId: user._id,
+        deletedAt: new Date(),
+        deletedBy: user.username
+      });
+
+      const response = await request(app)
+        .post(`/api/bugs/${bug._id}/restore`)
+        .set('Authorization', `Bearer ${token}`)
+        .expect(200);
+
+      expect(response.body.data.title).toBe('Deleted Bug');
+      const restoredBug = await Bug.findById(bug._id);
+      expect(restoredBug.deletedAt).toBeNull();
+      expect(restoredBug.deletedBy).toBeUndefined();
+      expect(restoredBug.version).toBe(1);
+    });
+
+    test('should return 404 when restoring a bug that is not in the trash', async () => {
+      const bug = await Bug.create({ project: project._id, title: 'Active Bug', description: 'Still in the list', reporter: user.username });
+
+      await request(app)
+        .post(`/api/bugs/${bug._id}/restore`)
+        .set('Authorization', `Bearer ${token}`)
+        .expect(404);
+    });
+
+    test('should return 403 when someone else restores a bug', async () => {
+      const bug = await Bug.create({
+        project: project._id,
+        title: 'Deleted Bug',
+        description: 'Reported by someone else',
+        reporter: 'janesmith',
+        reporterId: new mongoose.Types.ObjectId(),
+        deletedAt: new Date()
+      });
+
+      await request(app)
+        .post(`/api/bugs/${bug._id}/restore`)
+        .set('Authorization', `Bearer ${token}`)
+        .expect(403);
+    });
+
+    test('should purge bugs deleted before the retention period', async () => {
+      const longAgo = new Date(Date.now() - 365 * 24 * 60 * 60 * 1000);
+      const [expiredBug, recentBug] = await Bug.create([
+        { project: project._id, title: 'Expired Bug', description: 'Deleted a year ago', reporter: 'John Doe', deletedAt: longAgo },
+        { project: project._id, title: 'Recent Bug', description: 'Deleted just now', reporter: 'John Doe', deletedAt: new Date() }
+      ]);
+      await Comment.create({ bug: expiredBug._id, body: 'Old comment', author: 'johndoe', authorId: user._id });
+
+      const purged = await purgeDeletedBugs();
+
+      expect(purged).toBe(1);
+      expect(await Bug.findById(expiredBug._id)).toBeNull();
+      expect(await Comment.countDocuments({ bug: expiredBug._id })).toBe(0);
+      expect(await Bug.findById(recentBug._id)).not.toBeNull();
+    });
+  });
+
+  describe('Attachments', () => {
+    const storedFiles = new Map();
+
+    beforeAll(() => {
+      // Keep uploaded files in memory instead of on disk
+      setStorage({
+        save: async (key, buffer) => storedFiles.set(key, buffer),
+        createReadStream: (key) => Readable.from([storedFiles.get(key)]),
+        remove: async (key) => storedFiles.delete(key)
+      });
+    });
+
+    afterEach(() => {
+      storedFiles.clear();
+    });
+
+    test('should upload a screenshot and download it again', async () => {
+      const bug = await Bug.create({ project: project._id, title: 'Broken Layout', description: 'See the screenshot', reporter: 'John Doe' });
+
+      const response = await request(app)
+        .post(`/api/bugs/${bug._id}/attachments`)
+        .set('Authorization', `Bearer ${token}`)
+        .attach('files', Buffer.from('fake png data'), { filename: 'layout.png', contentType: 'image/png' })
+        .expect(201);
+
+      const [attachment] = response.body.data.attachments;
+      expect(attachment).toMatchObject({ filename: 'layout.png', mimeType: 'image/png', size: 13, uploadedBy: user.username });
+      expect(attachment.storageKey).toBeUndefined();
+
+      const download = await request(app)
+        .get(`/api${attachment.url}`)
+        .expect(200);
+
+      expect(download.headers['content-type']).toBe('image/png');
+      expect(download.body.toString()).toBe('fake png data');
+    });
+
+    test('should reject file types that are not allowed', async () => {
+      const bug = await Bug.create({ project: project._id, title: 'Broken Layout', description: 'See the screenshot', reporter: 'John Doe' });
+
+      await request(app)
+        .post(`/api/bugs/${bug._id}/attachments`)
+        .set('Authorization', `Bearer ${token}`)
+        .attach('files', Buffer.from('<script></script>'), { filename: 'page.html', contentType: 'text/html' })
+        .expect(415);
+
+      expect(storedFiles.size).toBe(0);
+    });
+
+    test('should let the uploader delete an attachment', async () => {
+      const bug = await Bug.create({ project: project._id, title: 'Broken Layout', description: 'See the screenshot', reporter: 'janesmith' });
+      const upload = await request(app)
+        .post(`/api/bugs/${bug._id}/attachments`)
+        .set('Authorization', `Bearer ${token}`)
+        .attach('files', Buffer.from('log line'), { filename: 'app.log', contentType: 'text/plain' })
+        .expect(201);
+      const [attachment] = upload.body.data.attachments;
+      expect(upload.body.data.version).toBe(1);
+
+      const response = await request(app)
+        .delete(`/api${attachment.url}`)
+        .set('Authorization', `Bearer ${token}`)
+        .expect(200);
+
+      expect(response.body.data.attachments).toEqual([]);
+      expect(response.body.data.version).toBe(2);
+      expect(storedFiles.size).toBe(0);
+    });
+
+    test('should not let concurrent uploads go over the attachment limit', async () => {
+      const existing = Array.from({ length: MAX_ATTACHMENTS_PER_BUG - 1 }, (_, i) => ({
+        filename: `log-${i}.txt`,
+        mimeType: 'text/plain',
+        size: 1,
+        storageKey: `existing-${i}`,
+        uploadedBy: 'John Doe'
+      }));
+      const bug = await Bug.create({ project: project._id, title: 'Broken Layout', description: 'See the screenshot', reporter: 'John Doe', attachments: existing });
+
+      const upload = (name) => request(app)
+        .post(`/api/bugs/${bug._id}/attachments`)
+        .set('Authorization', `Bearer ${token}`)
+        .attach('files', Buffer.from('log line'), { filename: name, contentType: 'text/plain' });
+      const responses = await Promise.all([upload('first.log'), upload('second.log')]);
+
+      expect(responses.map(response => response.status).sort()).toEqual([201, 400]);
+      expect((await Bug.findById(bug._id)).attachments).toHaveLength(MAX_ATTACHMENTS_PER_BUG);
+      // The rejected upload's file is removed again
+      expect(storedFiles.size).toBe(1);
+    });
+
+    test('should return 401 when uploading without a token', async () => {
+      const bug = await Bug.create({ project: project._id, title: 'Broken Layout', description: 'See the screenshot', reporter: 'John Doe' });
+
+      await request(app)
+        .post(`/api/bugs/${bug._id}/attachments`)
+        .attach('files', Buffer.from('fake png data'), { filename: 'layout.png', contentType: 'image/png' })
+        .expect(401);
+    });
+  });
+
+  describe('Bug events', () => {
+    test('should publish created, updated and deleted events', async () => {
+      const events = [];
+      const unsubscribe = subscribeToBugEvents(event => events.push(event));
+
+      const created = await request(app)
+        .post('/api/bugs')
+        .set('Authorization', `Bearer ${token}`)
+        .send({ title: 'Live Bug', description: 'Broadcast to other clients', project: project._id })
+        .expect(201);
+      const bugId = created.body.data.id;
+
+      await request(app)
+        .put(`/api/bugs/${bugId}`)
+        .set('Authorization', `Bearer ${token}`)
+        .send({ priority: 'high' })
+        .expect(200);
+
+      await request(app)
+        .delete(`/api/bugs/${bugId}`)
+        .set('Authorization', `Bearer ${token}`)
+        .expect(200);
+
+      unsubscribe();
+
+      expect(events.map(event => event.type)).toEqual(['created', 'updated', 'deleted']);
+      expect(events[1].data.priority).toBe('high');
+      expect(String(events[2].data.id)).toBe(bugId);
+    });
+  });
+
+  describe('GET /api/bugs/stats', () => {
+    test('should return bug statistics', async () => {
+      await Bug.create([
+        {
+          project: project._id,
+          title: 'Bug 1',
+          description: 'Description 1',
+          status: 'open',
+          priority: 'high',
+          reporter: 'User 1'
+        },
+        {
+          project: project._id,
+          title: 'Bug 2',
+          description: 'Description 2',
+          status: 'open',
+          priority: 'low',
+          reporter: 'User 2'
+        },
+        {
+          project: project._id,
+          title: 'Bug 3',
+          description: 'Description 3',
+          status: 'resolved',
+          priority: 'high',
+          reporter: 'User 3'
+        }
+      ]);
+
+      const response = await request(app)
+        .get('/api/bugs/stats')
+        .expect(200);
+
+      expect(response.body.success).toBe(true);
+      expect(response.body.data).toHaveProperty('byStatus');
+      expect(response.body.data).toHaveProperty('byPriority');
+    });
+
+    test('should return assignee workload and recent critical bugs', async () => {
+      await Bug.create([
+        { project: project._id, title: 'Crash on save', description: 'Description 1', priority: 'critical', reporter: 'User 1', assignedTo: 'Jane' },
+        { project: project._id, title: 'Slow search', description: 'Description 2', priority: 'low', reporter: 'User 1', assignedTo: 'Jane' },
+        { project: project._id, title: 'Broken link', description: 'Description 3', priority: 'medium', reporter: 'User 2' },
+        { project: project._id, title: 'Old crash', description: 'Description 4', priority: 'critical', status: 'closed', reporter: 'User 2', assignedTo: 'Sam' }
+      ]);
+
+      const response = await request(app)
+        .get('/api/bugs/stats')
+        .expect(200);
+
+      expect(response.body.data.byAssignee).toEqual([
+        { _id: 'Jane', count: 2, critical: 1 },
+        { _id: null, count: 1, critical: 0 }
+      ]);
+      expect(response.body.data.recentCritical).toHaveLength(1);
+      expect(response.body.data.recentCritical[0].title).toBe('Crash on save');
+    });
+  });
+
+  describe('GET /api/bugs/stats/trends', () => {
+    test('should count bugs opened and resolved per day with time to resolve', async () => {
+      await Bug.create([
+        {
+          project: project._id,
+          title: 'Resolved Bug',
+          description: 'Fixed the next day',
+          priority: 'high',
+          status: 'resolved',
+          reporter: 'John Doe',
+          createdAt: new Date('2024-01-01T09:00:00Z'),
+          resolvedAt: new Date('2024-01-02T09:00:00Z')
+        },
+        {
+          project: project._id,
+          title: 'Open Bug',
+          description: 'Still waiting for a fix',
+          reporter: 'John Doe',
+          createdAt: new Date('2024-01-02T10:00:00Z')
+        }
+      ]);
+
+      const response = await request(app)
+        .get('/api/bugs/stats/trends?from=2024-01-01&to=2024-01-03&interval=day')
+        .expect(200);
+
+      const { openedVsResolved, timeToResolve, backlogAge } = response.body.data;
+      expect(openedVsResolved).toEqual([
+        { period: '2024-01-01T00:00:00.000Z', opened: 1, resolved: 0 },
+        { period: '2024-01-02T00:00:00.000Z', opened: 1, resolved: 1 },
+        { period: '2024-01-03T00:00:00.000Z', opened: 0, resolved: 0 }
+      ]);
+      expect(timeToResolve.find(entry => entry.priority === 'high')).toEqual({ priority: 'high', resolved: 1, meanHours: 24 });
+      expect(backlogAge.reduce((sum, bucket) => sum + bucket.count, 0)).toBe(1);
+    });
+
+    test('should set resolvedAt when a bug is resolved and clear it on reopen', async () => {
+      const developer = await User.create({
+        username: 'devuser',
+        email: 'dev@example.com',
+        password: 'password123',
+        role: 'developer'
+      });
+      const devToken = generateToken(developer);
+      const bug = await Bug.create({ project: project._id, title: 'Workflow Bug', description: 'Moves through the workflow', status: 'in-progress', reporter: 'John Doe' });
+
+      await request(app).put(`/api/bugs/${bug._id}`).set('Authorization', `Bearer ${devToken}`).send({ status: 'resolved' }).expect(200);
+      expect((await Bug.findById(bug._id)).resolvedAt).toBeInstanceOf(Date);
+
+      await request(app).put(`/api/bugs/${bug._id}`).set('Authorization', `Bearer ${devToken}`).send({ status: 'open' }).expect(200);
+      expect((await Bug.findById(bug._id)).resolvedAt).toBeNull();
+
+      await User.deleteOne({ _id: developer._id });
+    });
+
+    test('should return 400 when the range is reversed or too long', async () => {
+      await request(app)
+        .get('/api/bugs/stats/trends?from=2024-02-01&to=2024-01-01')
+        .expect(400);
+
+      await request(app)
+        .get('/api/bugs/stats/trends?from=2000-01-01&to=2024-01-01&interval=day')
+        .expect(400);
+    });
+  });
+
+  describe('Comments /api/bugs/:id/comments', () => {
+    let bug;
+
+    beforeEach(async () => {
+      bug = await Bug.create({
+        project: project._id,
+        title: 'Commented Bug',
+        description: 'Bug used for comment tests',
+        reporter: 'John Doe'
+      });
+    });
+
+    test('should add and list comments in order', async () => {
+      await request(app)
+        .post(`/api/bugs/${bug._id}/comments`)
+        .set('Authorization', `Bearer ${token}`)
+        .send({ body: 'First comment' })
+        .expect(201);
+      await request(app)
+        .post(`/api/bugs/${bug._id}/comments`)
+        .set('Authorization', `Bearer ${token}`)
+        .send({ body: 'Second comment' })
+        .expect(201);
+
+      const response = await request(app)
+        .get(`/api/bugs/${bug._id}/comments`)
+        .expect(200);
+
+      expect(response.body.count).toBe(2);
+      expect(response.body.data.map(c => c.body)).toEqual(['First comment', 'Second comment']);
+      expect(response.body.data[0].author).toBe(user.username);
+    });
+
+    test('should return 400 for an empty comment', async () => {
+      await request(app)
+        .post(`/api/bugs/${bug._id}/comments`)
+        .set('Authorization', `Bearer ${token}`)
+        .send({ body: '   ' })
+        .expect(400);
+    });
+
+    test('should return 404 when commenting on a non-existent bug', async () => {
+      await request(app)
+        .post(`/api/bugs/${new mongoose.Types.ObjectId()}/comments`)
+        .set('Authorization', `Bearer ${token}`)
+        .send({ body: 'Hello' })
+        .expect(404);
+    });
+
+    test('should return 401 when commenting without a token', async () => {
+      await request(app)
+        .post(`/api/bugs/${bug._id}/comments`)
+        .send({ body: 'Anonymous comment' })
+        .expect(401);
+    });
+
+    test('should let the author edit and delete their comment', async () => {
+      const comment = await Comment.create({
+        bug: bug._id,
+        author: user.username,
+        authorId: user._id,
+        body: 'Original'
+      });
+
+      const updated = await request(app)
+        .put(`/api/bugs/${bug._id}/comments/${comment._id}`)
+        .set('Authorization', `Bearer ${token}`)
+        .send({ body: 'Edited' })
+        .expect(200);
+
+      expect(updated.body.data.body).toBe('Edited');
+      expect(updated.body.data.editedAt).not.toBeNull();
+
+      await request(app)
+        .delete(`/api/bugs/${bug._id}/comments/${comment._id}`)
+        .set('Authorization', `Bearer ${token}`)
+        .expect(200);
+
+      expect(await Comment.findById(comment._id)).toBeNull();
+    });
+
+    test('should return 403 when someone else edits a comment', async () => {
+      const otherUser = await User.create({
+        username: 'janesmith',
+        email: 'jane@example.com',
+        password: 'password123'
+      });
+      const comment = await Comment.create({
+        bug: bug._id,
+        author: otherUser.username,
+        authorId: otherUser._id,
+        body: 'Original'
+      });
+
+      await request(app)
+        .put(`/api/bugs/${bug._id}/comments/${comment._id}`)
+        .set('Authorization', `Bearer ${token}`)
+        .send({ body: 'Hijacked' })
+        .expect(403);
+
+      await User.deleteOne({ _id: otherUser._id });
+    });
+
+    test('should return 404 when editing a comment on a trashed bug', async () => {
+      const comment = await Comment.create({
+        bug: bug._id,
+        author: user.username,
+        authorId: user._id,
+        body: 'Original'
+      });
+      await Bug.updateOne({ _id: bug._id }, { deletedAt: new Date() });
+
+      await request(app)
+        .put(`/api/bugs/${bug._id}/comments/${comment._id}`)
+        .set('Authorization', `Bearer ${token}`)
+        .send({ body: 'Edited' })
+        .expect(404);
+
+      await request(app)
+        .delete(`/api/bugs/${bug._id}/comments/${comment._id}`)
+        .set('Authorization', `Bearer ${token}`)
+        .expect(404);
+    });
+  });
+
+  describe('GET /api/bugs/:id/history', () => {
+    test('should record who changed which field', async () => {
+      const bug = await Bug.create({
+        project: project._id,
+        title: 'Tracked Bug',
+        description: 'Bug used for history tests',
+        priority: 'low',
+        reporter: 'John Doe'
+      });
+
+      await request(app)
+        .put(`/api/bugs/${bug._id}`)
+        .set('Authorization', `Bearer ${token}`)
+        .send({ status: 'in-progress', priority: 'high' })
+        .expect(200);
+
+      const response = await request(app)
+        .get(`/api/bugs/${bug._id}/history`)
+        .expect(200);
+
+      expect(response.body.count).toBe(2);
+      expect(response.body.data).toEqual(expect.arrayContaining([
+        expect.objectContaining({ field: 'status', from: 'open', to: 'in-progress', changedBy: user.username }),
+        expect.objectContaining({ field: 'priority', from: 'low', to: 'high', changedBy: user.username })
+      ]));
+    });
+
+    test('should not record unchanged fields', async () => {
+      const bug = await Bug.create({
+        project: project._id,
+        title: 'Tracked Bug',
+        description: 'Bug used for history tests',
+        reporter: 'John Doe'
+      });
+
+      await request(app)
+        .put(`/api/bugs/${bug._id}`)
+        .set('Authorization', `Bearer ${token}`)
+        .send({ title: 'Tracked Bug' })
+        .expect(200);
+
+      const response = await request(app)
+        .get(`/api/bugs/${bug._id}/history`)
+        .expect(200);
+
+      expect(response.body.count).toBe(0);
+    });
+
+    test('should reject modifications of existing entries', async () => {
+      const entry = await BugHistory.create({
+        bug: new mongoose.Types.ObjectId(),
+        field: 'status',
+        from: 'open',
+        to: 'closed'
+      });
+
+      await expect(
+        BugHistory.updateOne({ _id: entry._id }, { to: 'resolved' })
+      ).rejects.toThrow('append-only');
+    });
+  });
+});
@@ -0,0 +1,324 @@
+const request = require('supertest');
+const mongoose = require('mongoose');
+const { MongoMemoryServer } = require('mongodb-memory-server');
+const app = require('../../src/server');
+const Bug = require('../../src/models/Bug');
+const Project = require('../../src/models/Project');
+const Component = require('../../src/models/Component');
+const Comment = require('../../src/models/Comment');
+const User = require('../../src/models/User');
+const { generateToken } = require('../../src/utils/auth');
+const { DEFAULT_PROJECT, backfillProjects } = require('../../src/jobs/backfillProjects');
+const { backfillBugKeys } = require('../../src/jobs/backfillBugKeys');
+
+let mongoServer;
+let admin;
+let reporter;
+let api;
+let web;
+
+// Setup: Connect to in-memory database
+beforeAll(async () => {
+  mongoServer = await MongoMemoryServer.create();
+  const mongoUri = mongoServer.getUri();
+  await mongoose.connect(mongoUri);
+});
+
+// Create users and two projects for each test
+beforeEach(async () => {
+  admin = await User.create({
+    username: 'adminuser',
+    email: 'admin@example.com',
+    password: 'password123',
+    role: 'admin'
+  });
+  reporter = await User.create({
+    username: 'johndoe',
+    email: 'john@example.com',
+    password: 'password123'
+  });
+  [api, web] = await Project.create([{ name: 'API', key: 'API' }, { name: 'Web App', key: 'WEB' }]);
+  await Project.init();
+  await Component.init();
+});
+
+// Cleanup: Clear database after each test
+afterEach(async () => {
+  await User.deleteMany({});
+  await Project.deleteMany({});
+  await Component.deleteMany({});
+  await Bug.deleteMany({});
+  await Comment.deleteMany({});
+});
+
+// Teardown: Disconnect and stop server
+afterAll(async () => {
+  await mongoose.disconnect();
+  await mongoServer.stop();
+});
+
+describe('Project API Integration Tests', () => {
+  describe('/api/projects', () => {
+    test('should list projects by name', async () => {
+      const response = await request(app)
+        .get('/api/projects')
+        .expect(200);
+
+      expect(response.body.data.map(project => project.name)).toEqual(['API', 'Web App']);
+    });
+
+    test('should let admins create a project', async () => {
+      const response = await request(app)
+        .post('/api/projects')
+        .set('Authorization', `Bearer ${generateToken(admin)}`)
+        .send({ name: 'Mobile', key: 'mob', description: 'iOS and Android apps' })
+        .expect(201);
+
+      expect(response.body.data.name).toBe('Mobile');
+      expect(response.body.data.key).toBe('MOB');
+      expect(response.body.data.createdBy).toBe('adminuser');
+    });
+
+    test('should return 409 for a duplicate name', async () => {
+      await request(app)
+        .post('/api/projects')
+        .set('Authorization', `Bearer ${generateToken(admin)}`)
+        .send({ name: 'API', key: 'API2' })
+        .expect(409);
+    });
+
+    test('should return 409 for a duplicate key', async () => {
+      const response = await request(app)
+        .post('/api/projects')
+        .set('Authorization', `Bearer ${generateToken(admin)}`)
+        .send({ name: 'Public API', key: 'API' })
+        .expect(409);
+
+      expect(response.body.message).toMatch(/key "API" is already taken/);
+    });
+
+    test('should return 400 for a missing or malformed key', async () => {
+      for (const key of [undefined, 'X', '1API', 'TOO-LONG']) {
+        await request(app)
+          .post('/api/projects')
+          .set('Authorization', `Bearer ${generateToken(admin)}`)
+          .send({ name: 'Mobile', key })
+          .expect(400);
+      }
+    });
+
+    test('should return 403 for non-admins', async () => {
+      await request(app)
+        .post('/api/projects')
+        .set('Authorization', `Bearer ${generateToken(reporter)}`)
+        .send({ name: 'Mobile', key: 'MOB' })
+        .expect(403);
+    });
+
+    test('should return 404 for an unknown project', async () => {
+      await request(app)
+        .get(`/api/projects/${new mongoose.Types.ObjectId()}`)
+        .expect(404);
+    });
+  });
+
+  describe('/api/projects/:projectId/components', () => {
+    test('should add components and list them with the project', async () => {
+      await request(app)
+        .post(`/api/projects/${api._id}/components`)
+        .set('Authorization', `Bearer ${generateToken(admin)}`)
+        .send({ name: 'Auth' })
+        .expect(201);
+
+      const response = await request(app)
+        .get(`/api/projects/${api._id}`)
+        .expect(200);
+
+      expect(response.body.data.components.map(component => component.name)).toEqual(['Auth']);
+    });
+
+    test('should allow the same component name in different projects', async () => {
+      await Component.create({ project: api._id, name: 'Auth' });
+
+      await request(app)
+        .post(`/api/projects/${web._id}/components`)
+        .set('Authorization', `Bearer ${generateToken(admin)}`)
+        .send({ name: 'Auth' })
+        .expect(201);
+
+      await request(app)
+        .post(`/api/projects/${api._id}/components`)
+        .set('Authorization', `Bearer ${generateToken(admin)}`)
+        .send({ name: 'Auth' })
+        .expect(409);
+    });
+  });
+
+  describe('/api/projects/:projectId/bugs', () => {
+    test('should only list the project\'s bugs', async () => {
+      await Bug.create([
+        { project: api._id, title: 'Timeout on login', description: 'The login endpoint times out', reporter: 'johndoe' },
+        { project: web._id, title: 'Broken layout', description: 'The header overlaps the menu', reporter: 'johndoe' }
+      ]);
+
+      const response = await request(app)
+        .get(`/api/projects/${api._id}/bugs`)
+        .expect(200);
+
+      expect(response.body.total).toBe(1);
+      expect(response.body.data[0].title).toBe('Timeout on login');
+    });
+
+    test('should file new bugs under the project and its component', async () => {
+      const component = await Component.create({ project: api._id, name: 'Auth' });
+
+      const response = await request(app)
+        .post(`/api/projects/${api._id}/bugs`)
+        .set('Authorization', `Bearer ${generateToken(reporter)}`)
+        .send({ title: 'Token not refreshed', description: 'Sessions expire after an hour', component: component._id })
+        .expect(201);
+
+      expect(response.body.data.project).toBe(api._id.toString());
+      expect(response.body.data.component).toBe(component._id.toString());
+    });
+
+    test('should return 400 for a component of another project', async () => {
+      const component = await Component.create({ project: web._id, name: 'Header' });
+
+      const response = await request(app)
+        .post(`/api/projects/${api._id}/bugs`)
+        .set('Authorization', `Bearer ${generateToken(reporter)}`)
+        .send({ title: 'Token not refreshed', description: 'Sessions expire after an hour', component: component._id })
+        .expect(400);
+
+      expect(response.body.message).toBe('Component does not belong to this project');
+    });
+
+    test('should return 404 for a bug in another project', async () => {
+      const bug = await Bug.create({
+        project: web._id,
+        title: 'Broken layout',
+        description: 'The header overlaps the menu',
+        reporter: 'johndoe'
+      });
+
+      await request(app)
+        .get(`/api/projects/${api._id}/bugs/${bug._id}`)
+        .expect(404);
+
+      await request(app)
+        .get(`/api/projects/${web._id}/bugs/${bug._id}`)
+        .expect(200);
+    });
+
+    test('should return 404 when editing a comment through another project', async () => {
+      const bug = await Bug.create({
+        project: web._id,
+        title: 'Broken layout',
+        description: 'The header overlaps the menu',
+        reporter: 'johndoe'
+      });
+      const comment = await Comment.create({
+        bug: bug._id,
+        author: reporter.username,
+        authorId: reporter._id,
+        body: 'Original'
+      });
+      const token = generateToken(reporter);
+
+      await request(app)
+        .put(`/api/projects/${api._id}/bugs/${bug._id}/comments/${comment._id}`)
+        .set('Authorization', `Bearer ${token}`)
+        .send({ body: 'Edited' })
+        .expect(404);
+
+      await request(app)
+        .delete(`/api/projects/${api._id}/bugs/${bug._id}/comments/${comment._id}`)
+        .set('Authorization', `Bearer ${token}`)
+        .expect(404);
+    });
+
+    test('should scope statistics to the project, and break them down per project otherwise', async () => {
+      await Bug.create([
+        { project: api._id, title: 'Timeout on login', description: 'The login endpoint times out', priority: 'critical', reporter: 'johndoe' },
+        { project: api._id, title: 'Wrong status code', description: 'Returns 200 for errors', status: 'closed', reporter: 'johndoe' },
+        { project: web._id, title: 'Broken layout', description: 'The header overlaps the menu', reporter: 'johndoe' }
+      ]);
+
+      const scoped = await request(app)
+        .get(`/api/projects/${api._id}/bugs/stats`)
+        .expect(200);
+
+      expect(scoped.body.data.project.name).toBe('API');
+      expect(scoped.body.data.byStatus).toEqual(expect.arrayContaining([
+        { _id: 'open', count: 1 },
+        { _id: 'closed', count: 1 }
+      ]));
+      expect(scoped.body.data).not.toHaveProperty('byProject');
+
+      const overall = await request(app)
+        .get('/api/bugs/stats')
+        .expect(200);
+
+      expect(overall.body.data.byProject).toEqual([
+        { _id: api._id.toString(), name: 'API', count: 2, unresolved: 1, critical: 1 },
+        { _id: web._id.toString(), name: 'Web App', count: 1, unresolved: 1, critical: 0 }
+      ]);
+    });
+  });
+
+  describe('backfillProjects', () => {
+    test('should move bugs saved without a project into the default project', async () => {
+      const { insertedId } = await Bug.collection.insertOne({
+        title: 'Old bug',
+        description: 'Saved before projects existed',
+        status: 'open',
+        priority: 'medium',
+        reporter: 'johndoe'
+      });
+
+      expect(await backfillProjects()).toBe(1);
+
+      const defaultProject = await Project.findOne({ key: DEFAULT_PROJECT.key });
+      expect(defaultProject.name).toBe(DEFAULT_PROJECT.name);
+      expect((await Bug.findById(insertedId)).project).toEqual(defaultProject._id);
+
+      // Nothing is left to move on the next start
+      expect(await backfillProjects()).toBe(0);
+    });
+
+    test('should not create the default project when every bug has one', async () => {
+      await Bug.create({ project: api._id, title: 'Timeout on login', description: 'The login endpoint times out', reporter: 'johndoe' });
+
+      expect(await backfillProjects()).toBe(0);
+      expect(await Project.exists({ key: DEFAULT_PROJECT.key })).toBeNull();
+    });
+  });
+
+  describe('backfillBugKeys', () => {
+    test('should give projects without a key one made from their name', async () => {
+      const { insertedId } = await Project.collection.insertOne({ name: 'Mobile App', bugSequence: 0 });
+
+      await backfillBugKeys();
+
+      expect((await Project.findById(insertedId)).key).toBe('MOBILEAP');
+    });
+
+    test('should number bugs saved without a key after the project\'s existing bugs', async () => {
+      await Project.updateOne({ _id: api._id }, { bugSequence: 3 });
+      const [older, newer] = await Bug.create([
+        { project: api._id, title: 'Timeout on login', description: 'The login endpoint times out', reporter: 'johndoe', createdAt: new Date('2024-01-01') },
+        { project: api._id, title: 'Wrong status code', description: 'Returns 200 for errors', reporter: 'johndoe', createdAt: new Date('2024-02-01') }
+      ]);
+
+      expect(await backfillBugKeys()).toBe(2);
+
+      expect((await Bug.findById(older._id)).key).toBe('API-4');
+      expect((await Bug.findById(newer._id)).key).toBe('API-5');
+      expect((await Project.findById(api._id)).bugSequence).toBe(5);
+
+      // Nothing is left to number on the next start
+      expect(await backfillBugKeys()).toBe(0);
+    });
+  });
+});
@@ -0,0 +1,92 @@
+const request = require('supertest');
+const mongoose = require('mongoose');
+const { MongoMemoryServer } = require('mongodb-memory-server');
+const app = require('../../src/server');
+const User = require('../../src/models/User');
+const { generateToken } = require('../../src/utils/auth');
+
+let mongoServer;
+let admin;
+let reporter;
+
+// Setup: Connect to in-memory database
+beforeAll(async () => {
+  mongoServer = await MongoMemoryServer.create();
+  const mongoUri = mongoServer.getUri();
+  await mongoose.connect(mongoUri);
+});
+
+// Create an admin and a reporter for each test
+beforeEach(async () => {
+  admin = await User.create({
+    username: 'adminuser',
+    email: 'admin@example.com',
+    password: 'password123',
+    role: 'admin'
+  });
+  reporter = await User.create({
+    username: 'johndoe',
+    email: 'john@example.com',
+    password: 'password123'
+  });
+});
+
+// Cleanup: Clear database after each test
+afterEach(async () => {
+  await User.deleteMany({});
+});
+
+// Teardown: Disconnect and stop server
+afterAll(async () => {
+  await mongoose.disconnect();
+  await mongoServer.stop();
+});
+
+describe('User API Integration Tests', () => {
+  describe('GET /api/users', () => {
+    test('should list users for an admin', async () => {
+      const response = await request(app)
+        .get('/api/users')
+        .set('Authorization', `Bearer ${generateToken(admin)}`)
+        .expect(200);
+
+      expect(response.body.count).toBe(2);
+      expect(response.body.data[0]).toHaveProperty('role');
+    });
+
+    test('should return 403 for non-admins', async () => {
+      await request(app)
+        .get('/api/users')
+        .set('Authorization', `Bearer ${generateToken(reporter)}`)
+        .expect(403);
+    });
+  });
+
+  describe('PUT /api/users/:id/role', () => {
+    test('should change a user role', async () => {
+      const response = await request(app)
+        .put(`/api/users/${reporter._id}/role`)
+        .set('Authorization', `Bearer ${generateToken(admin)}`)
+        .send({ role: 'developer' })
+        .expect(200);
+
+      expect(response.body.data.role).toBe('developer');
+    });
+
+    test('should return 400 for an unknown role', async () => {
+      await request(app)
+        .put(`/api/users/${reporter._id}/role`)
+        .set('Authorization', `Bearer ${generateToken(admin)}`)
+        .send({ role: 'superuser' })
+        .expect(400);
+    });
+
+    test('should not let admins change their own role', async () => {
+      await request(app)
+        .put(`/api/users/${admin._id}/role`)
+        .set('Authorization', `Bearer ${generateToken(admin)}`)
+        .send({ role: 'reporter' })
+        .expect(400);
+    });
+  });
+});
@@ -0,0 +1,248 @@
+const request = require('supertest');
+const mongoose = require('mongoose');
+const { MongoMemoryServer } = require('mongodb-memory-server');
+const app = require('../../src/server');
+const SavedView = require('../../src/models/SavedView');
+const User = require('../../src/models/User');
+const { generateToken } = require('../../src/utils/auth');
+
+let mongoServer;
+let admin;
+let jane;
+let john;
+
+// Setup: Connect to in-memory database
+beforeAll(async () => {
+  mongoServer = await MongoMemoryServer.create();
+  const mongoUri = mongoServer.getUri();
+  await mongoose.connect(mongoUri);
+});
+
+// Create an admin and two reporters for each test
+beforeEach(async () => {
+  admin = await User.create({
+    username: 'adminuser',
+    email: 'admin@example.com',
+    password: 'password123',
+    role: 'admin'
+  });
+  jane = await User.create({
+    username: 'janedoe',
+    email: 'jane@example.com',
+    password: 'password123'
+  });
+  john = await User.create({
+    username: 'johndoe',
+    email: 'john@example.com',
+    password: 'password123'
+  });
+  await SavedView.init();
+});
+
+// Cleanup: Clear database after each test
+afterEach(async () => {
+  await User.deleteMany({});
+  await SavedView.deleteMany({});
+});
+
+// Teardown: Disconnect and stop server
+afterAll(async () => {
+  await mongoose.disconnect();
+  await mongoServer.stop();
+});
+
+const saveView = (user, view) => {
+  return request(app)
+    .post('/api/views')
+    .set('Authorization', `Bearer ${generateToken(user)}`)
+    .send(view);
+};
+
+describe('Saved View API Integration Tests', () => {
+  describe('POST /api/views', () => {
+    test('should save the filters and sort, dropping empty ones', async () => {
+      const response = await saveView(jane, {
+        name: 'Critical open',
+        filters: { status: 'open', priority: 'critical', q: '', sortBy: '-created' }
+      }).expect(201);
+
+      expect(response.body.data).toMatchObject({
+        name: 'Critical open',
+        owner: 'janedoe',
+        shared: false,
+        pinned: false,
+        filters: {
+          project: '',
+          component: '',
+          status: 'open',
+          priority: 'critical',
+          q: '',
+          filter: '',
+          sortBy: '-created'
+        }
+      });
+    });
+
+    test('should require a login', async () => {
+      await request(app)
+        .post('/api/views')
+        .send({ name: 'Anonymous' })
+        .expect(401);
+    });
+
+    test('should reject filters and sorts the bug list would reject', async () => {
+      const badFilter = await saveView(jane, { name: 'Bad', filters: { filter: 'color:red' } }).expect(400);
+      expect(badFilter.body.message).toMatch(/Invalid filter: Unknown field "color"/);
+
+      const badSort = await saveView(jane, { name: 'Bad', filters: { sortBy: '-reporter' } }).expect(400);
+      expect(badSort.body.message).toMatch(/Cannot sort by "reporter"/);
+
+      await saveView(jane, { name: 'Bad', filters: { status: 'done' } }).expect(400);
+      await saveView(jane, { name: '', filters: {} }).expect(400);
+    });
+
+    test('should return 409 when the user already has a view with the name', async () => {
+      await saveView(jane, { name: 'Mine' }).expect(201);
+      const response = await saveView(jane, { name: 'Mine' }).expect(409);
+
+      expect(response.body.message).toBe('You already have a view named "Mine"');
+
+      // Names only need to be unique per user
+      await saveView(john, { name: 'Mine' }).expect(201);
+    });
+  });
+
+  describe('GET /api/views', () => {
+    test('should list own and shared views, pinned first', async () => {
+      await saveView(jane, { name: 'Private' }).expect(201);
+      const shared = await saveView(jane, { name: 'Team triage', shared: true }).expect(201);
+      await saveView(john, { name: 'Johns' }).expect(201);
+
+      await request(app)
+        .put(`/api/views/${shared.body.data.id}/pin`)
+        .set('Authorization', `Bearer ${generateToken(john)}`)
+        .expect(200);
+
+      const response = await request(app)
+        .get('/api/views')
+        .set('Authorization', `Bearer ${generateToken(john)}`)
+        .expect(200);
+
+      expect(response.body.data.map(view => [view.name, view.pinned])).toEqual([
+        ['Team triage', true],
+        ['Johns', false]
+      ]);
+    });
+
+    test('should hide other users\' private views', async () => {
+      const view = await saveView(jane, { name: 'Private' }).expect(201);
+
+      await request(app)
+        .get(`/api/views/${view.body.data.id}`)
+        .set('Authorization', `Bearer ${generateToken(john)}`)
+        .expect(404);
+    });
+  });
+
+  describe('PUT /api/views/:id', () => {
+    test('should let the owner rename and replace the filters', async () => {
+      const view = await saveView(jane, { name: 'Old', filters: { status: 'open' } }).expect(201);
+
+      const response = await request(app)
+        .put(`/api/views/${view.body.data.id}`)
+        .set('Authorization', `Bearer ${generateToken(jane)}`)
+        .send({ name: 'New', filters: { priority: 'high' } })
+        .expect(200);
+
+      expect(response.body.data.name).toBe('New');
+      expect(response.body.data.filters.status).toBe('');
+      expect(response.body.data.filters.priority).toBe('high');
+    });
+
+    test('should not let other users change a shared view', async () => {
+      const view = await saveView(jane, { name: 'Team', shared: true }).expect(201);
+
+      await request(app)
+        .put(`/api/views/${view.body.data.id}`)
+        .set('Authorization', `Bearer ${generateToken(john)}`)
+        .send({ name: 'Taken over' })
+        .expect(403);
+    });
+
+    test('should drop other users\' pins when a view is unshared', async () => {
+      const view = await saveView(jane, { name: 'Team', shared: true }).expect(201);
+      const id = view.body.data.id;
+
+      await request(app)
+        .put(`/api/views/${id}/pin`)
+        .set('Authorization', `Bearer ${generateToken(john)}`)
+        .expect(200);
+      await request(app)
+        .put(`/api/views/${id}`)
+        .set('Authorization', `Bearer ${generateToken(jane)}`)
+        .send({ shared: false })
+        .expect(200);
+
+      const saved = await SavedView.findById(id);
+      expect(saved.pinnedBy).toHaveLength(0);
+    });
+  });
+
+  describe('PUT and DELETE /api/views/:id/pin', () => {
+    test('should pin and unpin a view for the current user only', async () => {
+      const view = await saveView(jane, { name: 'Team', shared: true }).expect(201);
+      const id = view.body.data.id;
+
+      const pinned = await request(app)
+        .put(`/api/views/${id}/pin`)
+        .set('Authorization', `Bearer ${generateToken(john)}`)
+        .expect(200);
+      expect(pinned.body.data.pinned).toBe(true);
+
+      const forJane = await request(app)
+        .get(`/api/views/${id}`)
+        .set('Authorization', `Bearer ${generateToken(jane)}`)
+        .expect(200);
+      expect(forJane.body.data.pinned).toBe(false);
+
+      const unpinned = await request(app)
+        .delete(`/api/views/${id}/pin`)
+        .set('Authorization', `Bearer ${generateToken(john)}`)
+        .expect(200);
+      expect(unpinned.body.data.pinned).toBe(false);
+    });
+  });
+
+  describe('DELETE /api/views/:id', () => {
+    test('should let the owner delete a view', async () => {
+      const view = await saveView(jane, { name: 'Mine' }).expect(201);
+
+      await request(app)
+        .delete(`/api/views/${view.body.data.id}`)
+        .set('Authorization', `Bearer ${generateToken(jane)}`)
+        .expect(200);
+
+      expect(await SavedView.countDocuments()).toBe(0);
+    });
+
+    test('should let admins delete shared views but not other users', async () => {
+      const view = await saveView(jane, { name: 'Team', shared: true }).expect(201);
+
+      await request(app)
+        .delete(`/api/views/${view.body.data.id}`)
+        .set('Authorization', `Bearer ${generateToken(john)}`)
+        .expect(403);
+      await request(app)
+        .delete(`/api/views/${view.body.data.id}`)
+        .set('Authorization', `Bearer ${generateToken(admin)}`)
+        .expect(200);
+    });
+
+    test('should return 400 for an invalid id', async () => {
+      await request(app)
+        .delete('/api/views/not-an-id')
+        .set('Authorization', `Bearer ${generateToken(jane)}`)
+        .expect(400);
+    });
+  });
+});
@@ -0,0 +1,103 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const {
+  isAllowedAttachmentType,
+  sanitizeFilename,
+  buildStorageKey,
+  buildContentDisposition
+} = require('../../src/utils/attachments');
+const { DEFAULT_MAX_ATTACHMENT_MB, loadAttachmentConfig } = require('../../src/config/attachments');
+const { createLocalStorage } = require('../../src/storage/localStorage');
+
+describe('Attachment Utility Functions', () => {
+
+  describe('isAllowedAttachmentType', () => {
+    test('should accept screenshots and logs', () => {
+      expect(isAllowedAttachmentType('image/png')).toBe(true);
+      expect(isAllowedAttachmentType('text/plain')).toBe(true);
+    });
+
+    test('should reject types a browser could run', () => {
+      expect(isAllowedAttachmentType('text/html')).toBe(false);
+      expect(isAllowedAttachmentType('image/svg+xml')).toBe(false);
+      expect(isAllowedAttachmentType('constructor')).toBe(false);
+    });
+  });
+
+  describe('sanitizeFilename', () => {
+    test('should strip directories and unsafe characters', () => {
+      expect(sanitizeFilename('../../etc/passwd')).toBe('passwd');
+      expect(sanitizeFilename('C:\\Users\\me\\crash "log".txt')).toBe('crash log.txt');
+    });
+
+    test('should fall back to a default name', () => {
+      expect(sanitizeFilename('')).toBe('attachment');
+      expect(sanitizeFilename(undefined)).toBe('attachment');
+    });
+  });
+
+  describe('buildStorageKey', () => {
+    test('should group files by bug and use the extension for the type', () => {
+      expect(buildStorageKey('bug1', 'file1', 'image/jpeg')).toBe('bug1/file1.jpg');
+    });
+  });
+
+  describe('buildContentDisposition', () => {
+    test('should show images inline and download other files', () => {
+      expect(buildContentDisposition('shot.png', 'image/png')).toMatch(/^inline; filename="shot.png"/);
+      expect(buildContentDisposition('app.log', 'text/plain')).toMatch(/^attachment; filename="app.log"/);
+    });
+
+    test('should encode non-ASCII names', () => {
+      expect(buildContentDisposition('café.txt', 'text/plain'))
+        .toBe('attachment; filename="caf_.txt"; filename*=UTF-8\'\'caf%C3%A9.txt');
+    });
+  });
+
+  describe('loadAttachmentConfig', () => {
+    test('should use local storage and the default size limit', () => {
+      const config = loadAttachmentConfig({});
+
+      expect(config.storage).toBe('local');
+      expect(config.maxSizeBytes).toBe(DEFAULT_MAX_ATTACHMENT_MB * 1024 * 1024);
+    });
+
+    test('should reject an invalid size limit', () => {
+      expect(() => loadAttachmentConfig({ ATTACHMENT_MAX_SIZE_MB: 'big' })).toThrow('Invalid ATTACHMENT_MAX_SIZE_MB');
+    });
+  });
+
+  describe('createLocalStorage', () => {
+    let directory;
+
+    beforeEach(() => {
+      directory = fs.mkdtempSync(path.join(os.tmpdir(), 'attachments-'));
+    });
+
+    afterEach(() => {
+      fs.rmSync(directory, { recursive: true, force: true });
+    });
+
+    test('should save, read and remove files', async () => {
+      const storage = createLocalStorage({ directory });
+
+      await storage.save('bug1/file1.txt', Buffer.from('stack trace'));
+
+      const chunks = [];
+      for await (const chunk of storage.createReadStream('bug1/file1.txt')) {
+        chunks.push(chunk);
+      }
+      expect(Buffer.concat(chunks).toString()).toBe('stack trace');
+
+      await storage.remove('bug1/file1.txt');
+      expect(fs.existsSync(path.join(directory, 'bug1/file1.txt'))).toBe(false);
+    });
+
+    test('should reject keys outside the directory', async () => {
+      const storage = createLocalStorage({ directory });
+
+      await expect(storage.save('../escape.txt', Buffer.from('x'))).rejects.toThrow('Invalid storage key');
+    });
+  });
+});
@@ -0,0 +1,34 @@
+const { generateToken, verifyToken, extractBearerToken } = require('../../src/utils/auth');
+
+describe('Auth Utility Functions', () => {
+  const user = { _id: '507f1f77bcf86cd799439011', username: 'janesmith' };
+
+  describe('generateToken / verifyToken', () => {
+    test('should sign a token carrying the user id and username', () => {
+      const payload = verifyToken(generateToken(user));
+
+      expect(payload.id).toBe(user._id);
+      expect(payload.username).toBe(user.username);
+      expect(payload.exp).toBeGreaterThan(payload.iat);
+    });
+
+    test('should reject a tampered token', () => {
+      const token = generateToken(user);
+
+      expect(() => verifyToken(`${token}x`)).toThrow();
+    });
+  });
+
+  describe('extractBearerToken', () => {
+    test('should extract the token from a bearer header', () => {
+      expect(extractBearerToken('Bearer abc.def.ghi')).toBe('abc.def.ghi');
+      expect(extractBearerToken('bearer abc')).toBe('abc');
+    });
+
+    test('should return null for missing or other schemes', () => {
+      expect(extractBearerToken(undefined)).toBeNull();
+      expect(extractBearerToken('Basic abc')).toBeNull();
+      expect(extractBearerToken('Bearer')).toBeNull();
+    });
+  });
+});
@@ -0,0 +1,44 @@
+const {
+  publishBugEvent,
+  subscribeToBugEvents,
+  formatSseMessage
+} = require('../../src/utils/bugEvents');
+
+describe('Bug Event Utility Functions', () => {
+
+  describe('publishBugEvent', () => {
+    test('should deliver events to subscribers', () => {
+      const listener = jest.fn();
+      const unsubscribe = subscribeToBugEvents(listener);
+
+      publishBugEvent('created', { id: '1', title: 'New bug' });
+      unsubscribe();
+
+      expect(listener).toHaveBeenCalledWith({
+        type: 'created',
+        data: { id: '1', title: 'New bug' }
+      });
+    });
+
+    test('should stop delivering events after unsubscribing', () => {
+      const listener = jest.fn();
+      const unsubscribe = subscribeToBugEvents(listener);
+
+      unsubscribe();
+      publishBugEvent('deleted', { id: '1' });
+
+      expect(listener).not.toHaveBeenCalled();
+    });
+
+    test('should reject unknown event types', () => {
+      expect(() => publishBugEvent('archived', { id: '1' })).toThrow('Unknown bug event type');
+    });
+  });
+
+  describe('formatSseMessage', () => {
+    test('should format an event in the SSE wire format', () => {
+      expect(formatSseMessage('updated', { id: '1' }))
+        .toBe('event: updated\ndata: {"id":"1"}\n\n');
+    });
+  });
+});
@@ -0,0 +1,90 @@
+const {
+  PROJECT_KEY_PATTERN,
+  formatBugKey,
+  generateProjectKey,
+  isBugKey,
+  isBugIdOrKey,
+  buildBugIdFilter
+} = require('../../src/utils/bugKeys');
+
+describe('Bug Key Utility Functions', () => {
+
+  describe('PROJECT_KEY_PATTERN', () => {
+    test('should accept short upper case keys', () => {
+      expect(PROJECT_KEY_PATTERN.test('API')).toBe(true);
+      expect(PROJECT_KEY_PATTERN.test('WEB2')).toBe(true);
+    });
+
+    test('should reject lower case, single letter and leading digit keys', () => {
+      expect(PROJECT_KEY_PATTERN.test('api')).toBe(false);
+      expect(PROJECT_KEY_PATTERN.test('A')).toBe(false);
+      expect(PROJECT_KEY_PATTERN.test('2API')).toBe(false);
+      expect(PROJECT_KEY_PATTERN.test('ABCDEFGHIJK')).toBe(false);
+    });
+  });
+
+  describe('formatBugKey', () => {
+    test('should join the project key and number', () => {
+      expect(formatBugKey('API', 142)).toBe('API-142');
+    });
+  });
+
+  describe('generateProjectKey', () => {
+    test('should use the letters and digits of the name', () => {
+      expect(generateProjectKey('Web App 2', new Set())).toBe('WEBAPP2');
+      expect(generateProjectKey('Customer Portal', new Set())).toBe('CUSTOMER');
+      expect(generateProjectKey('2nd Line Support', new Set())).toBe('NDLINESU');
+    });
+
+    test('should add a number when the key is taken', () => {
+      expect(generateProjectKey('API', new Set(['API']))).toBe('API2');
+      expect(generateProjectKey('API', new Set(['API', 'API2']))).toBe('API3');
+    });
+
+    test('should fall back when the name has too few letters', () => {
+      expect(generateProjectKey('#1', new Set())).toBe('PRJ');
+      expect(generateProjectKey('', new Set(['PRJ']))).toBe('PRJ2');
+    });
+
+    test('should always match the project key pattern', () => {
+      expect(PROJECT_KEY_PATTERN.test(generateProjectKey('A very long project name', new Set()))).toBe(true);
+    });
+  });
+
+  describe('isBugKey', () => {
+    test('should accept keys in any case', () => {
+      expect(isBugKey('API-142')).toBe(true);
+      expect(isBugKey('api-1')).toBe(true);
+    });
+
+    test('should reject ObjectIds and malformed keys', () => {
+      expect(isBugKey('507f1f77bcf86cd799439011')).toBe(false);
+      expect(isBugKey('API-0')).toBe(false);
+      expect(isBugKey('API142')).toBe(false);
+      expect(isBugKey(undefined)).toBe(false);
+    });
+  });
+
+  describe('isBugIdOrKey', () => {
+    test('should accept ObjectIds and keys', () => {
+      expect(isBugIdOrKey('507f1f77bcf86cd799439011')).toBe(true);
+      expect(isBugIdOrKey('API-142')).toBe(true);
+    });
+
+    test('should reject anything else', () => {
+      expect(isBugIdOrKey('not-a-bug')).toBe(false);
+      // 12 characters pass ObjectId.isValid but are not ObjectIds
+      expect(isBugIdOrKey('abcdefghijkl')).toBe(false);
+    });
+  });
+
+  describe('buildBugIdFilter', () => {
+    test('should look up ObjectIds by _id', () => {
+      expect(buildBugIdFilter('507f1f77bcf86cd799439011')).toEqual({ _id: '507f1f77bcf86cd799439011' });
+    });
+
+    test('should look up keys upper cased', () => {
+      expect(buildBugIdFilter('api-142')).toEqual({ key: 'API-142' });
+    });
+  });
+});
@@ -0,0 +1,54 @@
+const { isSearchQuery, buildProjectScope, buildBugFilter, buildBugSort } = require('../../src/utils/bugQuery');
+const { parseSortSpec } = require('../../src/utils/pagination');
+
+describe('Bug Query Utility Functions', () => {
+
+  describe('isSearchQuery', () => {
+    test('should only accept non-blank strings', () => {
+      expect(isSearchQuery('crash')).toBe(true);
+      expect(isSearchQuery('   ')).toBe(false);
+      expect(isSearchQuery(undefined)).toBe(false);
+    });
+  });
+
+  describe('buildProjectScope', () => {
+    test('should limit queries to the route\'s project', () => {
+      expect(buildProjectScope({ _id: 'p1', name: 'API' })).toEqual({ project: 'p1' });
+    });
+
+    test('should not limit unscoped queries', () => {
+      expect(buildProjectScope(undefined)).toEqual({});
+    });
+  });
+
+  describe('buildBugFilter', () => {
+    test('should include only the filters that are set', () => {
+      expect(buildBugFilter({ status: 'open', priority: '' })).toEqual({ deletedAt: null, status: 'open' });
+    });
+
+    test('should filter by project and component', () => {
+      expect(buildBugFilter({ project: 'p1', component: 'c1' })).toEqual({ deletedAt: null, project: 'p1', component: 'c1' });
+    });
+
+    test('should add a text search for a query', () => {
+      expect(buildBugFilter({ q: ' login ' })).toEqual({ deletedAt: null, $text: { $search: 'login' } });
+    });
+
+    test('should always leave out bugs in the trash', () => {
+      expect(buildBugFilter()).toEqual({ deletedAt: null });
+    });
+  });
+
+  describe('buildBugSort', () => {
+    test('should rank by relevance first when requested', () => {
+      const sort = buildBugSort(parseSortSpec('-createdAt'), true);
+
+      expect(Object.keys(sort)).toEqual(['score', 'createdAt', '_id']);
+      expect(sort.score).toEqual({ $meta: 'textScore' });
+    });
+
+    test('should use the plain sort otherwise', () => {
+      expect(buildBugSort(parseSortSpec('-createdAt'), false)).toEqual({ createdAt: -1, _id: -1 });
+    });
+  });
+});
@@ -0,0 +1,58 @@
+const { MAX_SORT_KEYS, describeInvalidSort, toBugSortSpec, getSortRanks } = require('../../src/utils/bugSort');
+
+describe('Bug Sort Utility Functions', () => {
+
+  describe('describeInvalidSort', () => {
+    test('should accept the sortable keys in either direction', () => {
+      expect(describeInvalidSort('-priority,status,+title')).toBeNull();
+      expect(describeInvalidSort('created updated')).toBeNull();
+    });
+
+    test('should accept the field names older clients send', () => {
+      expect(describeInvalidSort('-createdAt')).toBeNull();
+    });
+
+    test('should reject unknown keys', () => {
+      expect(describeInvalidSort('-reporter')).toBe(
+        'Cannot sort by "reporter", use one of: created, updated, priority, status, title'
+      );
+      expect(describeInvalidSort('priorityRank')).toMatch(/^Cannot sort by "priorityRank"/);
+      expect(describeInvalidSort('constructor')).toMatch(/^Cannot sort by "constructor"/);
+    });
+
+    test('should reject empty, repeated and overly long sorts', () => {
+      expect(describeInvalidSort(',')).toBe('Sort must name at least one field');
+      expect(describeInvalidSort('priority,-priority')).toBe('Sort by "priority" only once');
+      expect(describeInvalidSort('created,-createdAt')).toBe('Sort by "created" only once');
+      expect(describeInvalidSort('created,updated,priority,status')).toBe(`Sort by at most ${MAX_SORT_KEYS} fields`);
+    });
+  });
+
+  describe('toBugSortSpec', () => {
+    test('should sort priority and status on their ranks', () => {
+      expect(toBugSortSpec('-priority,status')).toEqual([
+        { field: 'priorityRank', direction: -1 },
+        { field: 'statusRank', direction: 1 },
+        { field: '_id', direction: 1 }
+      ]);
+    });
+
+    test('should default to the newest bugs first', () => {
+      expect(toBugSortSpec()).toEqual([
+        { field: 'createdAt', direction: -1 },
+        { field: '_id', direction: -1 }
+      ]);
+    });
+  });
+
+  describe('getSortRanks', () => {
+    test('should rank statuses by workflow order and priorities by severity', () => {
+      expect(getSortRanks({ status: 'in-progress', priority: 'critical' })).toEqual({ statusRank: 1, priorityRank: 3 });
+    });
+
+    test('should only rank the fields given', () => {
+      expect(getSortRanks({ priority: 'low' })).toEqual({ priorityRank: 0 });
+      expect(getSortRanks({})).toEqual({});
+    });
+  });
+});
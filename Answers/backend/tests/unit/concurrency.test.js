@@ -0,0 +1,45 @@
+const { formatEtag, matchesIfMatch, buildVersionFilter } = require('../../src/utils/concurrency');
+
+describe('Concurrency Utility Functions', () => {
+
+  describe('formatEtag', () => {
+    test('should quote the version', () => {
+      expect(formatEtag(3)).toBe('"3"');
+    });
+
+    test('should treat bugs without a version as version 0', () => {
+      expect(formatEtag(undefined)).toBe('"0"');
+    });
+  });
+
+  describe('matchesIfMatch', () => {
+    test('should match the current version', () => {
+      expect(matchesIfMatch('"3"', 3)).toBe(true);
+      expect(matchesIfMatch('"2"', 3)).toBe(false);
+    });
+
+    test('should accept lists and wildcards', () => {
+      expect(matchesIfMatch('"1", "3"', 3)).toBe(true);
+      expect(matchesIfMatch('*', 3)).toBe(true);
+    });
+
+    test('should not match weak tags', () => {
+      expect(matchesIfMatch('W/"3"', 3)).toBe(false);
+      expect(matchesIfMatch('W/"1", W/"3"', 3)).toBe(false);
+    });
+
+    test('should not match unquoted versions', () => {
+      expect(matchesIfMatch('3', 3)).toBe(false);
+    });
+  });
+
+  describe('buildVersionFilter', () => {
+    test('should match the exact version', () => {
+      expect(buildVersionFilter(2)).toEqual({ version: 2 });
+    });
+
+    test('should include unversioned bugs for version 0', () => {
+      expect(buildVersionFilter(0)).toEqual({ version: { $in: [0, null] } });
+    });
+  });
+});
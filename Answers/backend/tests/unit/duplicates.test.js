@@ -0,0 +1,70 @@
+const {
+  tokenize,
+  scoreSimilarity,
+  buildDuplicateSearch,
+  rankDuplicates
+} = require('../../src/utils/duplicates');
+
+describe('Duplicate Detection Utility Functions', () => {
+
+  describe('tokenize', () => {
+    test('should keep significant word stems', () => {
+      expect([...tokenize('The app crashes when saving')]).toEqual(['app', 'crash', 'sav']);
+    });
+
+    test('should return an empty set for missing text', () => {
+      expect(tokenize(undefined).size).toBe(0);
+    });
+  });
+
+  describe('scoreSimilarity', () => {
+    const bug = { title: 'Editor crashes on save', description: 'Saving any file crashes the editor' };
+
+    test('should score reworded reports of the same problem highly', () => {
+      const score = scoreSimilarity(
+        { title: 'Crash when saving in the editor', description: 'The editor crashes when I save a file' },
+        bug
+      );
+      expect(score).toBeGreaterThan(0.5);
+    });
+
+    test('should score unrelated reports as zero', () => {
+      expect(scoreSimilarity({ title: 'Login button misaligned' }, bug)).toBe(0);
+    });
+
+    test('should compare only titles without a description', () => {
+      expect(scoreSimilarity({ title: 'Editor crashes on save' }, bug)).toBe(1);
+    });
+  });
+
+  describe('buildDuplicateSearch', () => {
+    test('should search the significant words of the report', () => {
+      expect(buildDuplicateSearch({ title: 'Crash on save', description: 'The editor crashes' }))
+        .toBe('crash save editor crashes');
+    });
+
+    test('should return null without significant words', () => {
+      expect(buildDuplicateSearch({ title: 'It is on' })).toBeNull();
+    });
+  });
+
+  describe('rankDuplicates', () => {
+    test('should keep similar bugs, most similar first', () => {
+      const candidates = [
+        { title: 'Crash on save in editor' },
+        { title: 'Crash on save' },
+        { title: 'Slow search results' }
+      ];
+
+      const ranked = rankDuplicates({ title: 'Crash on save' }, candidates);
+
+      expect(ranked.map(({ bug }) => bug.title)).toEqual(['Crash on save', 'Crash on save in editor']);
+      expect(ranked[0].similarity).toBe(1);
+    });
+
+    test('should respect the limit', () => {
+      const candidates = [{ title: 'Crash on save' }, { title: 'Crash on save' }];
+      expect(rankDuplicates({ title: 'Crash on save' }, candidates, { limit: 1 })).toHaveLength(1);
+    });
+  });
+});
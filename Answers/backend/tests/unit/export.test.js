@@ -0,0 +1,57 @@
+const {
+  CSV_COLUMNS,
+  escapeCsvValue,
+  toCsvRow,
+  bugToCsvRow,
+  buildExportFilename
+} = require('../../src/utils/export');
+
+describe('Export Utility Functions', () => {
+
+  describe('escapeCsvValue', () => {
+    test('should leave plain values unquoted', () => {
+      expect(escapeCsvValue('Login fails')).toBe('Login fails');
+    });
+
+    test('should quote values with commas, quotes or newlines', () => {
+      expect(escapeCsvValue('a, b')).toBe('"a, b"');
+      expect(escapeCsvValue('say "hi"')).toBe('"say ""hi"""');
+      expect(escapeCsvValue('line 1\nline 2')).toBe('"line 1\nline 2"');
+    });
+
+    test('should neutralise spreadsheet formulas', () => {
+      expect(escapeCsvValue('=SUM(A1:A2)')).toBe('\'=SUM(A1:A2)');
+    });
+
+    test('should format arrays, dates and empty values', () => {
+      expect(escapeCsvValue(['ui', 'login'])).toBe('"ui, login"');
+      expect(escapeCsvValue(new Date('2024-01-01T00:00:00Z'))).toBe('2024-01-01T00:00:00.000Z');
+      expect(escapeCsvValue(undefined)).toBe('');
+    });
+  });
+
+  describe('toCsvRow', () => {
+    test('should join cells with commas and end with CRLF', () => {
+      expect(toCsvRow(['a', 'b c', 1])).toBe('a,b c,1\r\n');
+    });
+  });
+
+  describe('bugToCsvRow', () => {
+    test('should write the bug fields in column order', () => {
+      const row = bugToCsvRow({ id: '1', key: 'API-1', title: 'Crash', status: 'open', tags: ['ui'] });
+      const cells = row.trim().split(',');
+
+      expect(cells).toHaveLength(CSV_COLUMNS.length);
+      expect(cells[0]).toBe('1');
+      expect(cells[1]).toBe('API-1');
+      expect(cells[2]).toBe('Crash');
+    });
+  });
+
+  describe('buildExportFilename', () => {
+    test('should include the date and format extension', () => {
+      expect(buildExportFilename('ndjson', new Date('2024-03-05T12:00:00Z')))
+        .toBe('bugs-2024-03-05.ndjson');
+    });
+  });
+});
@@ -0,0 +1,110 @@
+const { MAX_FILTER_TERMS, parseFilterExpression } = require('../../src/utils/filterExpression');
+
+describe('Filter Expression Utility Functions', () => {
+
+  describe('parseFilterExpression', () => {
+    test('should match everything for an empty expression', () => {
+      expect(parseFilterExpression(undefined)).toEqual({});
+      expect(parseFilterExpression('   ')).toEqual({});
+    });
+
+    test('should AND terms and OR comma separated values', () => {
+      expect(parseFilterExpression('status:open,in-progress tag:ui')).toEqual({
+        $and: [
+          { status: { $in: ['open', 'in-progress'] } },
+          { tags: { $in: ['ui'] } }
+        ]
+      });
+    });
+
+    test('should expand priority comparisons into the matching priorities', () => {
+      expect(parseFilterExpression('priority:>=high')).toEqual({
+        $and: [{ priority: { $in: ['high', 'critical'] } }]
+      });
+      expect(parseFilterExpression('priority:<medium')).toEqual({
+        $and: [{ priority: { $in: ['low'] } }]
+      });
+    });
+
+    test('should resolve me to the logged in user and none to unassigned', () => {
+      expect(parseFilterExpression('assignee:me reporter:none', { username: 'jane' })).toEqual({
+        $and: [
+          { assignedTo: { $in: ['jane'] } },
+          { reporter: { $in: [null, ''] } }
+        ]
+      });
+    });
+
+    test('should negate terms with a leading dash', () => {
+      expect(parseFilterExpression('-status:closed')).toEqual({
+        $and: [{ status: { $nin: ['closed'] } }]
+      });
+    });
+
+    test('should read quoted values with spaces', () => {
+      expect(parseFilterExpression('tag:"needs repro",ui')).toEqual({
+        $and: [{ tags: { $in: ['needs repro', 'ui'] } }]
+      });
+    });
+
+    test('should treat a bare day as the whole day', () => {
+      expect(parseFilterExpression('created:2026-01-01')).toEqual({
+        $and: [{
+          createdAt: {
+            $gte: new Date('2026-01-01T00:00:00.000Z'),
+            $lte: new Date('2026-01-01T23:59:59.999Z')
+          }
+        }]
+      });
+    });
+
+    test('should compare dates against the start or end of the day', () => {
+      expect(parseFilterExpression('created:>2026-01-01 updated:<2026-02-01')).toEqual({
+        $and: [
+          { createdAt: { $gt: new Date('2026-01-01T23:59:59.999Z') } },
+          { updatedAt: { $lt: new Date('2026-02-01T00:00:00.000Z') } }
+        ]
+      });
+    });
+
+    test('should accept field names in any case and enum values in any case', () => {
+      expect(parseFilterExpression('Status:OPEN')).toEqual({
+        $and: [{ status: { $in: ['open'] } }]
+      });
+    });
+
+    test('should reject terms without a field', () => {
+      expect(() => parseFilterExpression('login')).toThrow('Expected field:value, got "login"');
+    });
+
+    test('should reject unknown fields, including prototype names', () => {
+      expect(() => parseFilterExpression('color:red')).toThrow('Unknown field "color"');
+      expect(() => parseFilterExpression('__proto__:x')).toThrow('Unknown field "__proto__"');
+    });
+
+    test('should reject invalid values', () => {
+      expect(() => parseFilterExpression('status:done')).toThrow('Invalid status "done"');
+      expect(() => parseFilterExpression('priority:>=urgent')).toThrow('Invalid priority "urgent"');
+      expect(() => parseFilterExpression('created:yesterday')).toThrow('Invalid date "yesterday"');
+      expect(() => parseFilterExpression('status:')).toThrow('Missing value for "status"');
+    });
+
+    test('should reject comparisons on fields without an order', () => {
+      expect(() => parseFilterExpression('tag:>ui')).toThrow('"tag" cannot be compared with >');
+    });
+
+    test('should reject lists with comparisons and dates', () => {
+      expect(() => parseFilterExpression('priority:>low,high')).toThrow('"priority" takes a single value here');
+      expect(() => parseFilterExpression('created:2026-01-01,2026-01-02')).toThrow('"created" takes a single value here');
+    });
+
+    test('should require a login for me', () => {
+      expect(() => parseFilterExpression('assignee:me')).toThrow('Log in to filter by assignee:me');
+    });
+
+    test('should reject unterminated quotes and too many terms', () => {
+      expect(() => parseFilterExpression('tag:"ui')).toThrow('Unterminated quote');
+      expect(() => parseFilterExpression('tag:ui '.repeat(MAX_FILTER_TERMS + 1))).toThrow(`limited to ${MAX_FILTER_TERMS} terms`);
+    });
+  });
+});
@@ -0,0 +1,58 @@
+const mongoose = require('mongoose');
+const { TRACKED_FIELDS, diffBugFields } = require('../../src/utils/history');
+
+describe('History Utility Functions', () => {
+
+  describe('diffBugFields', () => {
+    const bug = {
+      title: 'Login broken',
+      description: 'Login button does nothing',
+      status: 'open',
+      priority: 'medium',
+      assignedTo: undefined,
+      tags: ['ui']
+    };
+
+    test('should track the expected fields', () => {
+      expect(TRACKED_FIELDS).toEqual(['title', 'description', 'status', 'priority', 'assignedTo', 'tags', 'component', 'duplicateOf']);
+    });
+
+    test('should list changed fields with old and new values', () => {
+      expect(diffBugFields(bug, { status: 'in-progress', priority: 'high' })).toEqual([
+        { field: 'status', from: 'open', to: 'in-progress' },
+        { field: 'priority', from: 'medium', to: 'high' }
+      ]);
+    });
+
+    test('should ignore fields that did not change', () => {
+      expect(diffBugFields(bug, { status: 'open', tags: ['ui'] })).toEqual([]);
+    });
+
+    test('should compare tags by content and order', () => {
+      expect(diffBugFields(bug, { tags: ['ui', 'mobile'] })).toEqual([
+        { field: 'tags', from: ['ui'], to: ['ui', 'mobile'] }
+      ]);
+    });
+
+    test('should treat empty and missing values as null', () => {
+      expect(diffBugFields(bug, { assignedTo: '' })).toEqual([]);
+      expect(diffBugFields(bug, { assignedTo: 'Jane' })).toEqual([
+        { field: 'assignedTo', from: null, to: 'Jane' }
+      ]);
+    });
+
+    test('should compare ids by value', () => {
+      const componentId = new mongoose.Types.ObjectId();
+      const withComponent = { ...bug, component: componentId };
+
+      expect(diffBugFields(withComponent, { component: componentId.toString() })).toEqual([]);
+      expect(diffBugFields(withComponent, { component: null })).toEqual([
+        { field: 'component', from: componentId.toString(), to: null }
+      ]);
+    });
+
+    test('should ignore untracked fields', () => {
+      expect(diffBugFields(bug, { reporter: 'Someone else' })).toEqual([]);
+    });
+  });
+});
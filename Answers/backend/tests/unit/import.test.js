@@ -0,0 +1,75 @@
+const {
+  parseCsv,
+  csvToRecords,
+  normalizeImportRecord,
+  parseImportPayload
+} = require('../../src/utils/import');
+
+describe('Import Utility Functions', () => {
+
+  describe('parseCsv', () => {
+    test('should split rows and cells', () => {
+      expect(parseCsv('a,b\r\nc,d\n')).toEqual([['a', 'b'], ['c', 'd']]);
+    });
+
+    test('should handle quoted commas, quotes and newlines', () => {
+      expect(parseCsv('"a, b","say ""hi""","line 1\nline 2"'))
+        .toEqual([['a, b', 'say "hi"', 'line 1\nline 2']]);
+    });
+
+    test('should skip blank lines and a byte order mark', () => {
+      expect(parseCsv('\uFEFFa,b\n\n,\nc,d')).toEqual([['a', 'b'], ['c', 'd']]);
+    });
+
+    test('should reject an unterminated quote', () => {
+      expect(() => parseCsv('"broken,cell')).toThrow('Unterminated');
+    });
+  });
+
+  describe('csvToRecords', () => {
+    test('should key cells by the header row', () => {
+      expect(csvToRecords('title,priority\nCrash,high')).toEqual([{ title: 'Crash', priority: 'high' }]);
+    });
+  });
+
+  describe('normalizeImportRecord', () => {
+    test('should keep known fields and drop empty values', () => {
+      const fields = normalizeImportRecord({
+        id: '123',
+        title: ' Crash ',
+        description: '',
+        priority: 'high',
+        reporter: 'Someone'
+      });
+
+      expect(fields).toEqual({ title: 'Crash', priority: 'high' });
+    });
+
+    test('should split comma-separated tags', () => {
+      expect(normalizeImportRecord({ tags: 'ui, login,' }).tags).toEqual(['ui', 'login']);
+    });
+
+    test('should undo the formula escaping added by exports', () => {
+      expect(normalizeImportRecord({ title: '\'=SUM(A1)' }).title).toBe('=SUM(A1)');
+    });
+
+    test('should return no fields for non-object records', () => {
+      expect(normalizeImportRecord('just text')).toEqual({});
+    });
+  });
+
+  describe('parseImportPayload', () => {
+    test('should parse CSV text', () => {
+      expect(parseImportPayload('csv', 'title\nCrash')).toEqual([{ title: 'Crash' }]);
+    });
+
+    test('should accept JSON arrays as objects or text', () => {
+      expect(parseImportPayload('json', [{ title: 'Crash' }])).toEqual([{ title: 'Crash' }]);
+      expect(parseImportPayload('json', '[{"title":"Crash"}]')).toEqual([{ title: 'Crash' }]);
+    });
+
+    test('should reject JSON that is not an array', () => {
+      expect(() => parseImportPayload('json', { title: 'Crash' })).toThrow('array');
+    });
+  });
+});
@@ -0,0 +1,91 @@
+const {
+  DEFAULT_LIMIT,
+  MAX_LIMIT,
+  parsePagination,
+  parseSortSpec,
+  toMongoSort,
+  encodeCursor,
+  decodeCursor,
+  buildCursorFilter
+} = require('../../src/utils/pagination');
+
+describe('Pagination Utility Functions', () => {
+
+  describe('parsePagination', () => {
+    test('should return defaults when no parameters are given', () => {
+      expect(parsePagination()).toEqual({ page: 1, limit: DEFAULT_LIMIT, skip: 0 });
+    });
+
+    test('should compute skip from page and limit', () => {
+      expect(parsePagination({ page: '3', limit: '10' })).toEqual({ page: 3, limit: 10, skip: 20 });
+    });
+
+    test('should cap limit at the maximum', () => {
+      expect(parsePagination({ limit: '5000' }).limit).toBe(MAX_LIMIT);
+    });
+
+    test('should fall back to defaults for invalid values', () => {
+      expect(parsePagination({ page: '-2', limit: 'abc' })).toEqual({ page: 1, limit: DEFAULT_LIMIT, skip: 0 });
+    });
+  });
+
+  describe('parseSortSpec', () => {
+    test('should parse a descending field and append _id', () => {
+      expect(parseSortSpec('-createdAt')).toEqual([
+        { field: 'createdAt', direction: -1 },
+        { field: '_id', direction: -1 }
+      ]);
+    });
+
+    test('should parse multiple keys separated by commas or spaces', () => {
+      expect(parseSortSpec('priority,-createdAt title')).toEqual([
+        { field: 'priority', direction: 1 },
+        { field: 'createdAt', direction: -1 },
+        { field: 'title', direction: 1 },
+        { field: '_id', direction: 1 }
+      ]);
+    });
+
+    test('should convert a spec to a Mongo sort object', () => {
+      expect(toMongoSort(parseSortSpec('-createdAt'))).toEqual({ createdAt: -1, _id: -1 });
+    });
+  });
+
+  describe('cursors', () => {
+    const spec = parseSortSpec('-createdAt');
+    const doc = {
+      _id: '507f1f77bcf86cd799439011',
+      createdAt: new Date('2024-01-01T00:00:00.000Z')
+    };
+
+    test('should round-trip sort values through a cursor', () => {
+      const cursor = encodeCursor(doc, spec);
+
+      expect(typeof cursor).toBe('string');
+      expect(decodeCursor(cursor, spec)).toEqual(['2024-01-01T00:00:00.000Z', '507f1f77bcf86cd799439011']);
+    });
+
+    test('should reject a cursor created for a different sort', () => {
+      const cursor = encodeCursor(doc, spec);
+
+      expect(decodeCursor(cursor, parseSortSpec('title'))).toBeNull();
+    });
+
+    test('should reject malformed cursors', () => {
+      expect(decodeCursor('not-a-cursor', spec)).toBeNull();
+      expect(decodeCursor('', spec)).toBeNull();
+      expect(decodeCursor(undefined, spec)).toBeNull();
+    });
+
+    test('should build a filter selecting documents after the cursor', () => {
+      const filter = buildCursorFilter(spec, ['2024-01-01T00:00:00.000Z', 'abc']);
+
+      expect(filter).toEqual({
+        $or: [
+          { createdAt: { $lt: '2024-01-01T00:00:00.000Z' } },
+          { createdAt: '2024-01-01T00:00:00.000Z', _id: { $lt: 'abc' } }
+        ]
+      });
+    });
+  });
+});
@@ -0,0 +1,99 @@
+const {
+  hasRole,
+  isBugReporter,
+  canDeleteBug,
+  canMarkDuplicate,
+  canSetStatus,
+  describeForbiddenStatus,
+  isViewOwner,
+  canDeleteView
+} = require('../../src/utils/permissions');
+
+describe('Permission Utility Functions', () => {
+  const reporter = { _id: '507f1f77bcf86cd799439011', role: 'reporter' };
+  const developer = { _id: '507f1f77bcf86cd799439012', role: 'developer' };
+  const admin = { _id: '507f1f77bcf86cd799439013', role: 'admin' };
+  const bug = { reporterId: '507f1f77bcf86cd799439011' };
+
+  describe('hasRole', () => {
+    test('should accept users with a listed role', () => {
+      expect(hasRole(developer, ['developer', 'admin'])).toBe(true);
+    });
+
+    test('should reject other roles and missing users', () => {
+      expect(hasRole(reporter, ['developer', 'admin'])).toBe(false);
+      expect(hasRole(undefined, ['admin'])).toBe(false);
+    });
+  });
+
+  describe('isBugReporter', () => {
+    test('should match the bug reporter by id', () => {
+      expect(isBugReporter(reporter, bug)).toBe(true);
+      expect(isBugReporter(developer, bug)).toBe(false);
+    });
+
+    test('should return false for bugs without a reporter id', () => {
+      expect(isBugReporter(reporter, {})).toBe(false);
+    });
+  });
+
+  describe('canDeleteBug', () => {
+    test('should allow admins and the reporter', () => {
+      expect(canDeleteBug(admin, bug)).toBe(true);
+      expect(canDeleteBug(reporter, bug)).toBe(true);
+    });
+
+    test('should reject anyone else', () => {
+      expect(canDeleteBug(developer, bug)).toBe(false);
+    });
+  });
+
+  describe('canMarkDuplicate', () => {
+    test('should allow developers, admins and the reporter', () => {
+      expect(canMarkDuplicate(developer, bug)).toBe(true);
+      expect(canMarkDuplicate(admin, bug)).toBe(true);
+      expect(canMarkDuplicate(reporter, bug)).toBe(true);
+    });
+
+    test('should reject other reporters', () => {
+      const otherReporter = { _id: '507f1f77bcf86cd799439014', role: 'reporter' };
+      expect(canMarkDuplicate(otherReporter, bug)).toBe(false);
+    });
+  });
+
+  describe('canSetStatus', () => {
+    test('should only let developers and admins resolve bugs', () => {
+      expect(canSetStatus(developer, 'resolved')).toBe(true);
+      expect(canSetStatus(admin, 'resolved')).toBe(true);
+      expect(canSetStatus(reporter, 'resolved')).toBe(false);
+    });
+
+    test('should let anyone set unrestricted statuses', () => {
+      expect(canSetStatus(reporter, 'in-progress')).toBe(true);
+    });
+  });
+
+  describe('describeForbiddenStatus', () => {
+    test('should name the roles that may set the status', () => {
+      expect(describeForbiddenStatus('resolved'))
+        .toBe('Only users with the role developer or admin can move a bug to "resolved"');
+    });
+  });
+
+  describe('isViewOwner and canDeleteView', () => {
+    const view = { ownerId: '507f1f77bcf86cd799439011', shared: false };
+
+    test('should only let the owner change a view', () => {
+      expect(isViewOwner(reporter, view)).toBe(true);
+      expect(isViewOwner(admin, view)).toBe(false);
+      expect(isViewOwner(null, view)).toBe(false);
+    });
+
+    test('should let admins delete shared views but not private ones', () => {
+      expect(canDeleteView(reporter, view)).toBe(true);
+      expect(canDeleteView(admin, view)).toBe(false);
+      expect(canDeleteView(admin, { ...view, shared: true })).toBe(true);
+      expect(canDeleteView(developer, { ...view, shared: true })).toBe(false);
+    });
+  });
+});
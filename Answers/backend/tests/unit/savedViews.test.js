@@ -0,0 +1,54 @@
+const {
+  pickViewFilters,
+  buildVisibleViewsFilter,
+  isPinnedBy,
+  sortViewsForUser
+} = require('../../src/utils/savedViews');
+
+describe('Saved View Utility Functions', () => {
+  const user = { _id: '507f1f77bcf86cd799439011' };
+
+  describe('pickViewFilters', () => {
+    test('should keep the known settings with a value', () => {
+      expect(pickViewFilters({
+        status: 'open',
+        priority: 'critical',
+        q: '  login ',
+        component: '',
+        sortBy: '-priority'
+      })).toEqual({ status: 'open', priority: 'critical', q: 'login', sortBy: '-priority' });
+    });
+
+    test('should drop unknown fields and non-string values', () => {
+      expect(pickViewFilters({ expanded: 'abc', $where: '1', status: ['open'] })).toEqual({});
+      expect(pickViewFilters(undefined)).toEqual({});
+    });
+  });
+
+  describe('buildVisibleViewsFilter', () => {
+    test('should match the user\'s own views and shared views', () => {
+      expect(buildVisibleViewsFilter(user)).toEqual({
+        $or: [{ ownerId: user._id }, { shared: true }]
+      });
+    });
+  });
+
+  describe('isPinnedBy and sortViewsForUser', () => {
+    const views = [
+      { name: 'Triage', pinnedBy: [] },
+      { name: 'Critical open', pinnedBy: [] },
+      { name: 'Mine', pinnedBy: ['507f1f77bcf86cd799439011'] }
+    ];
+
+    test('should tell whether the user pinned a view', () => {
+      expect(isPinnedBy(views[2], user)).toBe(true);
+      expect(isPinnedBy(views[0], user)).toBe(false);
+      expect(isPinnedBy(views[2], null)).toBe(false);
+    });
+
+    test('should list pinned views first, then by name', () => {
+      expect(sortViewsForUser(views, user).map(view => view.name))
+        .toEqual(['Mine', 'Critical open', 'Triage']);
+    });
+  });
+});
@@ -0,0 +1,71 @@
+const {
+  extractSearchTerms,
+  highlightText,
+  buildSnippet,
+  buildHighlights
+} = require('../../src/utils/search');
+
+describe('Search Utility Functions', () => {
+
+  describe('extractSearchTerms', () => {
+    test('should split a query into lowercase terms', () => {
+      expect(extractSearchTerms('Login Button')).toEqual(['login', 'button']);
+    });
+
+    test('should drop negated terms, quotes and duplicates', () => {
+      expect(extractSearchTerms('"crash" -mobile crash')).toEqual(['crash']);
+    });
+
+    test('should return an empty list for non-string input', () => {
+      expect(extractSearchTerms(undefined)).toEqual([]);
+    });
+  });
+
+  describe('highlightText', () => {
+    test('should wrap matching words in mark tags', () => {
+      expect(highlightText('Login crashes on submit', ['crash']))
+        .toBe('Login <mark>crashes</mark> on submit');
+    });
+
+    test('should match case-insensitively', () => {
+      expect(highlightText('LOGIN fails', ['login'])).toBe('<mark>LOGIN</mark> fails');
+    });
+
+    test('should return text unchanged when there are no terms', () => {
+      expect(highlightText('Nothing here', [])).toBe('Nothing here');
+    });
+  });
+
+  describe('buildSnippet', () => {
+    test('should build an excerpt around the first match', () => {
+      const text = `${'a '.repeat(100)}the crash happens here ${'b '.repeat(100)}`;
+      const snippet = buildSnippet(text, ['crash'], 20);
+
+      expect(snippet.startsWith('…')).toBe(true);
+      expect(snippet.endsWith('…')).toBe(true);
+      expect(snippet).toContain('<mark>crash</mark>');
+    });
+
+    test('should truncate the start of the text when nothing matches', () => {
+      const text = 'x'.repeat(300);
+
+      expect(buildSnippet(text, ['crash'], 10)).toBe(`${'x'.repeat(20)}…`);
+    });
+  });
+
+  describe('buildHighlights', () => {
+    test('should highlight title, description and matching tags', () => {
+      const bug = {
+        title: 'Login crash',
+        description: 'The app crashes after login',
+        tags: ['crash-report', 'ui']
+      };
+
+      const highlights = buildHighlights(bug, ['crash']);
+
+      expect(highlights.title).toBe('Login <mark>crash</mark>');
+      expect(highlights.description).toContain('<mark>crashes</mark>');
+      expect(highlights.tags).toEqual(['<mark>crash</mark>-report']);
+    });
+  });
+});
@@ -0,0 +1,44 @@
+const { DEFAULT_TRASH_RETENTION_DAYS, loadTrashRetentionDays } = require('../../src/config/trash');
+const { getPurgeDate, getPurgeCutoff } = require('../../src/utils/trash');
+
+describe('Trash Utility Functions', () => {
+
+  describe('loadTrashRetentionDays', () => {
+    test('should use the default without an override', () => {
+      expect(loadTrashRetentionDays({})).toBe(DEFAULT_TRASH_RETENTION_DAYS);
+    });
+
+    test('should read the retention from the environment', () => {
+      expect(loadTrashRetentionDays({ BUG_TRASH_RETENTION_DAYS: '7' })).toBe(7);
+      expect(loadTrashRetentionDays({ BUG_TRASH_RETENTION_DAYS: '0' })).toBe(0);
+    });
+
+    test('should reject values that are not a number of days', () => {
+      expect(() => loadTrashRetentionDays({ BUG_TRASH_RETENTION_DAYS: 'week' })).toThrow('Invalid BUG_TRASH_RETENTION_DAYS');
+      expect(() => loadTrashRetentionDays({ BUG_TRASH_RETENTION_DAYS: '-1' })).toThrow('Invalid BUG_TRASH_RETENTION_DAYS');
+    });
+  });
+
+  describe('getPurgeDate', () => {
+    test('should add the retention period to the deletion date', () => {
+      const purgeAt = getPurgeDate(new Date('2024-01-01T12:00:00Z'), 30);
+
+      expect(purgeAt.toISOString()).toBe('2024-01-31T12:00:00.000Z');
+    });
+  });
+
+  describe('getPurgeCutoff', () => {
+    test('should subtract the retention period from now', () => {
+      const cutoff = getPurgeCutoff(new Date('2024-01-31T12:00:00Z'), 30);
+
+      expect(cutoff.toISOString()).toBe('2024-01-01T12:00:00.000Z');
+    });
+
+    test('should make a bug expire exactly on its purge date', () => {
+      const deletedAt = new Date('2024-03-10T08:30:00Z');
+      const purgeAt = getPurgeDate(deletedAt, 14);
+
+      expect(getPurgeCutoff(purgeAt, 14).getTime()).toBe(deletedAt.getTime());
+    });
+  });
+});
@@ -0,0 +1,112 @@
+const {
+  parseTrendRange,
+  startOfPeriod,
+  listPeriods,
+  mergePeriodCounts,
+  getBacklogAgeBoundaries,
+  formatBacklogAge,
+  toHours,
+  MAX_TREND_PERIODS
+} = require('../../src/utils/trends');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+describe('Trend Utility Functions', () => {
+
+  describe('parseTrendRange', () => {
+    test('should default to the last 30 days by day', () => {
+      const now = new Date('2024-03-31T12:00:00Z');
+      const range = parseTrendRange({}, now);
+
+      expect(range.to).toEqual(now);
+      expect(range.from).toEqual(new Date('2024-03-01T12:00:00Z'));
+      expect(range.interval).toBe('day');
+    });
+
+    test('should include the whole day of a date-only end', () => {
+      const range = parseTrendRange({ from: '2024-01-01', to: '2024-01-31', interval: 'week' });
+
+      expect(range.from.toISOString()).toBe('2024-01-01T00:00:00.000Z');
+      expect(range.to.toISOString()).toBe('2024-01-31T23:59:59.999Z');
+      expect(range.interval).toBe('week');
+    });
+  });
+
+  describe('startOfPeriod', () => {
+    test('should truncate to the day, Monday-based week and month', () => {
+      const date = new Date('2024-01-18T15:30:00Z'); // a Thursday
+
+      expect(startOfPeriod(date, 'day').toISOString()).toBe('2024-01-18T00:00:00.000Z');
+      expect(startOfPeriod(date, 'week').toISOString()).toBe('2024-01-15T00:00:00.000Z');
+      expect(startOfPeriod(date, 'month').toISOString()).toBe('2024-01-01T00:00:00.000Z');
+    });
+
+    test('should put Sunday in the week that started the Monday before', () => {
+      expect(startOfPeriod(new Date('2024-01-21T08:00:00Z'), 'week').toISOString()).toBe('2024-01-15T00:00:00.000Z');
+    });
+  });
+
+  describe('listPeriods', () => {
+    test('should list every period touching the range', () => {
+      const periods = listPeriods(new Date('2024-01-30T10:00:00Z'), new Date('2024-03-02T00:00:00Z'), 'month');
+
+      expect(periods.map(period => period.toISOString())).toEqual([
+        '2024-01-01T00:00:00.000Z',
+        '2024-02-01T00:00:00.000Z',
+        '2024-03-01T00:00:00.000Z'
+      ]);
+    });
+
+    test('should stop one past the limit', () => {
+      const periods = listPeriods(new Date('2000-01-01'), new Date('2024-01-01'), 'day');
+
+      expect(periods).toHaveLength(MAX_TREND_PERIODS + 1);
+    });
+  });
+
+  describe('mergePeriodCounts', () => {
+    test('should fill quiet periods with zeros', () => {
+      const periods = listPeriods(new Date('2024-01-01'), new Date('2024-01-03'), 'day');
+      const merged = mergePeriodCounts(
+        periods,
+        [{ _id: new Date('2024-01-01'), count: 3 }],
+        [{ _id: new Date('2024-01-03'), count: 2 }]
+      );
+
+      expect(merged).toEqual([
+        { period: '2024-01-01T00:00:00.000Z', opened: 3, resolved: 0 },
+        { period: '2024-01-02T00:00:00.000Z', opened: 0, resolved: 0 },
+        { period: '2024-01-03T00:00:00.000Z', opened: 0, resolved: 2 }
+      ]);
+    });
+  });
+
+  describe('backlog age', () => {
+    test('should use the lower bound of each bucket as a boundary', () => {
+      expect(getBacklogAgeBoundaries()).toEqual([0, 1, 7, 30, 90].map(days => days * DAY_MS));
+    });
+
+    test('should label the bucket counts', () => {
+      const buckets = formatBacklogAge([
+        { _id: 0, count: 2 },
+        { _id: 7 * DAY_MS, count: 1 },
+        { _id: 'older', count: 4 }
+      ]);
+
+      expect(buckets.map(bucket => [bucket.label, bucket.count])).toEqual([
+        ['Under 1 day', 2],
+        ['1-7 days', 0],
+        ['1-4 weeks', 1],
+        ['1-3 months', 0],
+        ['Over 3 months', 4]
+      ]);
+    });
+  });
+
+  describe('toHours', () => {
+    test('should round to one decimal', () => {
+      expect(toHours(90 * 60 * 1000)).toBe(1.5);
+      expect(toHours(null)).toBeNull();
+    });
+  });
+});
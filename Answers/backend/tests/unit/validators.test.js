@@ -4,7 +4,10 @@ const {
   sanitizeInput,
   isValidEmail,
   meetsMinLength,
-  formatBugResponse
+  formatBugResponse,
+  formatCommentResponse,
+  formatHistoryResponse,
+  formatUserResponse
 } = require('../../src/utils/validators');
 
 describe('Validator Utility Functions', () => {
@@ -125,5 +128,81 @@ describe('Validator Utility Functions', () => {
       expect(formatted).toHaveProperty('updatedAt', mockBug.updatedAt);
       expect(formatted).not.toHaveProperty('_id');
     });
+
+    test('should include the bug key, or null for bugs without one', () => {
+      const mockBug = { _id: '507f1f77bcf86cd799439011', key: 'API-142', title: 'Test Bug' };
+
+      expect(formatBugResponse(mockBug)).toHaveProperty('key', 'API-142');
+      expect(formatBugResponse({ ...mockBug, key: undefined })).toHaveProperty('key', null);
+    });
+  });
+
+  describe('formatCommentResponse', () => {
+    test('should format comment object correctly', () => {
+      const mockComment = {
+        _id: '507f1f77bcf86cd799439012',
+        bug: '507f1f77bcf86cd799439011',
+        author: 'Jane Smith',
+        body: 'Reproduced on Safari as well',
+        createdAt: new Date('2024-01-01'),
+        updatedAt: new Date('2024-01-01')
+      };
+
+      const formatted = formatCommentResponse(mockComment);
+
+      expect(formatted).toHaveProperty('id', mockComment._id);
+      expect(formatted).toHaveProperty('bugId', mockComment.bug);
+      expect(formatted).toHaveProperty('author', mockComment.author);
+      expect(formatted).toHaveProperty('body', mockComment.body);
+      expect(formatted).toHaveProperty('editedAt', null);
+      expect(formatted).not.toHaveProperty('_id');
+    });
+  });
+
+  describe('formatHistoryResponse', () => {
+    test('should format history entry correctly', () => {
+      const mockEntry = {
+        _id: '507f1f77bcf86cd799439013',
+        bug: '507f1f77bcf86cd799439011',
+        field: 'status',
+        from: 'open',
+        to: 'in-progress',
+        changedBy: 'Jane Smith',
+        changedAt: new Date('2024-01-02')
+      };
+
+      const formatted = formatHistoryResponse(mockEntry);
+
+      expect(formatted).toEqual({
+        id: mockEntry._id,
+        bugId: mockEntry.bug,
+        field: 'status',
+        from: 'open',
+        to: 'in-progress',
+        changedBy: 'Jane Smith',
+        changedAt: mockEntry.changedAt
+      });
+    });
+  });
+
+  describe('formatUserResponse', () => {
+    test('should format user without the password', () => {
+      const mockUser = {
+        _id: '507f1f77bcf86cd799439014',
+        username: 'janesmith',
+        email: 'jane@example.com',
+        password: '$2a$10$hash',
+        role: 'developer',
+        createdAt: new Date('2024-01-01')
+      };
+
+      const formatted = formatUserResponse(mockUser);
+
+      expect(formatted).toHaveProperty('id', mockUser._id);
+      expect(formatted).toHaveProperty('username', mockUser.username);
+      expect(formatted).toHaveProperty('email', mockUser.email);
+      expect(formatted).toHaveProperty('role', 'developer');
+      expect(formatted).not.toHaveProperty('password');
+    });
   });
 });
@@ -0,0 +1,72 @@
+const {
+  getAllowedTransitions,
+  canTransition,
+  describeInvalidTransition,
+  getInitialStatus,
+  isResolvedStatus
+} = require('../../src/utils/workflow');
+const { DEFAULT_WORKFLOW, loadWorkflow } = require('../../src/config/workflow');
+
+describe('Workflow Utility Functions', () => {
+
+  describe('default workflow', () => {
+    test('should start new bugs as open', () => {
+      expect(getInitialStatus()).toBe('open');
+    });
+
+    test('should move forward one step at a time', () => {
+      expect(canTransition('open', 'in-progress')).toBe(true);
+      expect(canTransition('in-progress', 'resolved')).toBe(true);
+      expect(canTransition('resolved', 'closed')).toBe(true);
+    });
+
+    test('should allow reopening resolved and closed bugs', () => {
+      expect(canTransition('resolved', 'open')).toBe(true);
+      expect(canTransition('closed', 'open')).toBe(true);
+    });
+
+    test('should reject skipped or backward steps', () => {
+      expect(canTransition('open', 'closed')).toBe(false);
+      expect(canTransition('closed', 'in-progress')).toBe(false);
+    });
+
+    test('should always allow keeping the current status', () => {
+      expect(canTransition('closed', 'closed')).toBe(true);
+    });
+
+    test('should list allowed next statuses', () => {
+      expect(getAllowedTransitions('resolved')).toEqual(['closed', 'open']);
+      expect(getAllowedTransitions('unknown')).toEqual([]);
+    });
+
+    test('should explain rejected transitions', () => {
+      expect(describeInvalidTransition('closed', 'in-progress'))
+        .toBe('Cannot change status from "closed" to "in-progress". Allowed next statuses: open');
+    });
+  });
+
+  describe('isResolvedStatus', () => {
+    test('should treat resolved and closed bugs as done', () => {
+      expect(isResolvedStatus('resolved')).toBe(true);
+      expect(isResolvedStatus('closed')).toBe(true);
+      expect(isResolvedStatus('in-progress')).toBe(false);
+    });
+  });
+
+  describe('loadWorkflow', () => {
+    test('should return the default workflow without configuration', () => {
+      expect(loadWorkflow({})).toBe(DEFAULT_WORKFLOW);
+    });
+
+    test('should override transitions from BUG_WORKFLOW', () => {
+      const workflow = loadWorkflow({ BUG_WORKFLOW: '{"open":["in-progress","closed"]}' });
+
+      expect(canTransition('open', 'closed', workflow)).toBe(true);
+      expect(canTransition('closed', 'open', workflow)).toBe(true);
+    });
+
+    test('should reject unknown statuses', () => {
+      expect(() => loadWorkflow({ BUG_WORKFLOW: '{"open":["done"]}' })).toThrow('Invalid BUG_WORKFLOW');
+    });
+  });
+});
@@ -1,50 +1,267 @@
-import React, { useState, useEffect } from 'react';
+import React, { useState, useEffect, useRef, useCallback, useMemo } from 'react';
+import { BrowserRouter, Routes, Route, Link, useSearchParams } from 'react-router-dom';
 import ErrorBoundary from './components/ErrorBoundary';
 import BugForm from './components/BugForm';
 import BugList from './components/BugList';
-import { getAllBugs, createBug, updateBug, deleteBug } from './services/bugService';
+import BugDetail from './components/BugDetail';
+import EditBug from './components/EditBug';
+import SearchBox from './components/SearchBox';
+import FilterExpressionInput from './components/FilterExpressionInput';
+import AuthPanel from './components/AuthPanel';
+import ProjectSwitcher from './components/ProjectSwitcher';
+import ImportBugs from './components/ImportBugs';
+import StatsDashboard from './components/StatsDashboard';
+import TrendsDashboard from './components/TrendsDashboard';
+import UndoBar from './components/UndoBar';
+import ViewsSidebar from './components/ViewsSidebar';
+import {
+  getAllBugs,
+  downloadBugExport,
+  createBug,
+  updateBug,
+  deleteBug,
+  restoreBug,
+  bulkUpdateBugs,
+  uploadAttachments,
+  deleteAttachment,
+  markDuplicate
+} from './services/bugService';
+import { logout, getCurrentUser } from './services/authService';
+import { getProjects } from './services/projectService';
+import { getViews, createView, deleteView, setViewPinned } from './services/viewService';
+import { getSessionUser, getToken, saveSession, SESSION_EXPIRED_EVENT } from './services/session';
+import { subscribeToBugEvents } from './services/bugEvents';
+import {
+  upsertBug,
+  removeBug,
+  matchesFilter,
+  getBugEventAction,
+  readFilterParams,
+  updateSearchParams
+} from './utils/bugList';
+import { getChangedFields } from './utils/bugEdit';
+import { canImportBugs } from './utils/permissions';
+import { DEFAULT_SORT } from './utils/bugSort';
+import { sortViews } from './utils/savedViews';
+import useComponents from './hooks/useComponents';
 import './App.css';
 
-function App() {
+const PAGE_SIZE = 20;
+
+function BugTracker() {
   const [bugs, setBugs] = useState([]);
   const [loading, setLoading] = useState(true);
   const [error, setError] = useState(null);
-  const [filter, setFilter] = useState({ status: '', priority: '' });
+  const [pagination, setPagination] = useState({ page: 1, total: 0, hasMore: false, nextCursor: null });
+  const [loadingMore, setLoadingMore] = useState(false);
   const [showForm, setShowForm] = useState(true);
+  const [exportFormat, setExportFormat] = useState('csv');
+  const [exporting, setExporting] = useState(false);
+  const [showImport, setShowImport] = useState(false);
+  const [showDashboard, setShowDashboard] = useState(false);
+  const [projects, setProjects] = useState([]);
+  const [views, setViews] = useState([]);
+  const [user, setUser] = useState(getSessionUser);
+  const [sessionMessage, setSessionMessage] = useState(null);
+  // Bugs just moved to the trash, offered for undo: { ids, message }
+  const [undo, setUndo] = useState(null);
+
+  // The project, filters and expanded bug live in the query string, so links and back/forward restore them
+  const [searchParams, setSearchParams] = useSearchParams();
+  const { project, component, status, priority, q, filter: expression, sortBy } = readFilterParams(searchParams);
+  const filter = useMemo(
+    () => ({ project, component, status, priority, q, filter: expression, sortBy }),
+    [project, component, status, priority, q, expression, sortBy]
+  );
+  const expandedId = searchParams.get('expanded');
+  const components = useComponents(project);
+
+  const changeSearchParams = (changes) => {
+    setSearchParams(prev => updateSearchParams(prev, changes));
+  };
+
+  // Live events arrive outside React's render cycle, so they read the latest list and filters from refs
+  const bugsRef = useRef(bugs);
+  const filterRef = useRef(filter);
+  useEffect(() => {
+    bugsRef.current = bugs;
+    filterRef.current = filter;
+  }, [bugs, filter]);
+
+  // The API client fires this event when the token expires or is rejected
+  useEffect(() => {
+    const handleSessionExpired = () => {
+      setUser(null);
+      setSessionMessage('Your session has expired. Please log in again.');
+    };
+
+    window.addEventListener(SESSION_EXPIRED_EVENT, handleSessionExpired);
+    return () => window.removeEventListener(SESSION_EXPIRED_EVENT, handleSessionExpired);
+  }, []);
+
+  useEffect(() => {
+    getProjects()
+      .then(response => setProjects(response.data))
+      .catch(err => console.error('Error fetching projects:', err));
+  }, []);
+
+  // Saved views belong to the logged in user; refreshing the same user's details keeps them
+  const userId = user ? user.id : null;
+  useEffect(() => {
+    if (!userId) {
+      setViews([]);
+      return;
+    }
+
+    getViews()
+      .then(response => setViews(response.data))
+      .catch(err => console.error('Error fetching views:', err));
+  }, [userId]);
+
+  // Refresh the stored user so role changes made by an admin take effect
+  useEffect(() => {
+    if (!getSessionUser()) return;
+
+    getCurrentUser()
+      .then(freshUser => {
+        saveSession(getToken(), freshUser);
+        setUser(freshUser);
+      })
+      .catch(err => console.error('Error refreshing user:', err));
+  }, []);
+
+  // Merge bugs created, updated or deleted by other users into the list
+  useEffect(() => {
+    const handleBugEvent = (type, data) => {
+      const currentFilter = filterRef.current;
+      const isListed = bugsRef.current.some(bug => bug.id === data.id);
+      console.log('Bug event received:', type, data.id);
+
+      const action = getBugEventAction(type, data, currentFilter, isListed);
+      if (action === 'remove') {
+        setBugs(prevBugs => removeBug(prevBugs, data.id));
+        setPagination(prev => ({ ...prev, total: Math.max(prev.total - 1, 0) }));
+      } else if (action === 'update') {
+        setBugs(prevBugs => upsertBug(prevBugs, data));
+      } else if (action === 'add') {
+        setBugs(prevBugs => upsertBug(prevBugs, data));
+        setPagination(prev => ({ ...prev, total: prev.total + 1 }));
+      }
+    };
+
+    return subscribeToBugEvents(handleBugEvent);
+  }, []);
 
   // Fetch bugs on component mount and when filters change
   useEffect(() => {
     fetchBugs();
   }, [filter]);
 
+  // Bumped by every fresh load, so responses meant for an older list or filter are dropped
+  const listRequestRef = useRef(0);
+
   const fetchBugs = async () => {
+    const requestId = ++listRequestRef.current;
     setLoading(true);
     setError(null);
     
     try {
       console.log('Fetching bugs with filters:', filter);
-      const response = await getAllBugs(filter);
-      console.log('Bugs fetched successfully:', response.count);
+      const response = await getAllBugs(filter, { limit: PAGE_SIZE });
+      if (requestId !== listRequestRef.current) return;
+      console.log('Bugs fetched successfully:', response.count, 'of', response.total);
       setBugs(response.data);
+      setPagination({
+        page: 1,
+        total: response.total,
+        hasMore: response.hasMore,
+        nextCursor: response.nextCursor
+      });
     } catch (err) {
+      if (requestId !== listRequestRef.current) return;
       console.error('Error fetching bugs:', err);
       setError(err.message);
     } finally {
-      setLoading(false);
+      if (requestId === listRequestRef.current) {
+        setLoading(false);
+      }
     }
   };
 
-  const handleCreateBug = async (bugData) => {
+  // Memoized so the list's infinite scroll observer isn't recreated on every render
+  const loadMoreBugs = useCallback(async () => {
+    if (loadingMore || !pagination.hasMore) return;
+
+    const requestId = listRequestRef.current;
+    setLoadingMore(true);
+    try {
+      // Search results have no cursor, so fall back to the next page number
+      const nextPage = pagination.page + 1;
+      console.log('Loading more bugs after cursor:', pagination.nextCursor || `page ${nextPage}`);
+      const response = await getAllBugs(filter, {
+        limit: PAGE_SIZE,
+        cursor: pagination.nextCursor,
+        page: nextPage
+      });
+
+      // The list was reloaded (e.g. the filters changed) while this page was loading
+      if (requestId !== listRequestRef.current) return;
+
+      // Skip bugs already in the list (e.g. ones created since the first page loaded)
+      setBugs(prevBugs => {
+        const knownIds = new Set(prevBugs.map(bug => bug.id));
+        return [...prevBugs, ...response.data.filter(bug => !knownIds.has(bug.id))];
+      });
+      setPagination({
+        page: nextPage,
+        total: response.total,
+        hasMore: response.hasMore,
+        nextCursor: response.nextCursor
+      });
+    } catch (err) {
+      if (requestId !== listRequestRef.current) return;
+      console.error('Error loading more bugs:', err);
+      alert('Failed to load more bugs: ' + err.message);
+    } finally {
+      setLoadingMore(false);
+    }
+  }, [filter, loadingMore, pagination]);
+
+  const handleCreateBug = async (bugData, files = []) => {
     try {
       console.log('Creating bug:', bugData);
       const response = await createBug(bugData);
       console.log('Bug created:', response.data.id);
       
-      // Add new bug to the list
-      setBugs(prevBugs => [response.data, ...prevBugs]);
+      // Add new bug to the list, unless its live event already did, it was filed elsewhere
+      // or a filter expression (only evaluated by the server) is active
+      if (!filterRef.current.filter && matchesFilter(response.data, filterRef.current)) {
+        if (!bugsRef.current.some(bug => bug.id === response.data.id)) {
+          setPagination(prev => ({ ...prev, total: prev.total + 1 }));
+        }
+        setBugs(prevBugs => upsertBug(prevBugs, response.data));
+      }
+
+      // Files can only be attached once the bug exists
+      if (files.length > 0) {
+        try {
+          console.log('Uploading attachments:', files.length);
+          const uploaded = await uploadAttachments(response.data.id, files);
+          setBugs(prevBugs => upsertBug(prevBugs, uploaded.data));
+        } catch (err) {
+          console.error('Error uploading attachments:', err);
+          alert('Bug reported, but the attachments failed to upload: ' + err.message);
+          return;
+        }
+      }
       
-      // Show success message
-      alert('Bug reported successfully!');
+      // Show success message, pointing out bugs that look like the same report
+      if (response.duplicates && response.duplicates.length > 0) {
+        const titles = response.duplicates.map(bug => `- ${bug.title}`).join('\n');
+        alert(`Bug reported successfully! It may duplicate:\n${titles}`);
+      } else {
+        alert('Bug reported successfully!');
+      }
     } catch (err) {
       console.error('Error creating bug:', err);
       throw err;
@@ -61,38 +278,222 @@ function App() {
       setBugs(prevBugs =>
         prevBugs.map(bug => bug.id === id ? response.data : bug)
       );
+      return response.data;
     } catch (err) {
       console.error('Error updating bug:', err);
       alert('Failed to update bug: ' + err.message);
     }
   };
 
+  // Sends only the changed fields, and only if nobody else saved the bug since the form opened.
+  // Errors, including conflicts, are thrown so the editor can show them.
+  const handleEditBug = async (bug, bugData) => {
+    const changes = getChangedFields(bug, bugData);
+    if (Object.keys(changes).length === 0) return bug;
+
+    console.log('Editing bug:', bug.id, 'version', bug.version, changes);
+    try {
+      const response = await updateBug(bug.id, changes, { version: bug.version });
+      console.log('Bug edited:', response.data.id);
+      setBugs(prevBugs => prevBugs.map(listed => listed.id === bug.id ? response.data : listed));
+      return response.data;
+    } catch (err) {
+      if (err.conflict) {
+        console.log('Edit conflict on bug:', bug.id, 'now at version', err.currentBug.version);
+        setBugs(prevBugs => prevBugs.map(listed => listed.id === bug.id ? err.currentBug : listed));
+      }
+      throw err;
+    }
+  };
+
+  const handleMarkDuplicate = async (id, originalId) => {
+    try {
+      console.log('Marking bug as duplicate:', id, 'of', originalId);
+      const response = await markDuplicate(id, originalId);
+      console.log('Bug closed as duplicate:', response.data.id);
+
+      setBugs(prevBugs =>
+        prevBugs.map(bug => bug.id === id ? response.data : bug)
+      );
+      return response.data;
+    } catch (err) {
+      console.error('Error marking duplicate:', err);
+      alert('Failed to mark bug as duplicate: ' + err.message);
+    }
+  };
+
   const handleDeleteBug = async (id) => {
     try {
       console.log('Deleting bug:', id);
       await deleteBug(id);
       console.log('Bug deleted successfully');
       
-      // Remove bug from the list
-      setBugs(prevBugs => prevBugs.filter(bug => bug.id !== id));
-      
-      alert('Bug deleted successfully!');
+      // Remove bug from the list, unless its live event already did
+      if (bugsRef.current.some(bug => bug.id === id)) {
+        setPagination(prev => ({ ...prev, total: Math.max(prev.total - 1, 0) }));
+      }
+      setBugs(prevBugs => removeBug(prevBugs, id));
+
+      setUndo({ ids: [id], message: 'Bug moved to trash.' });
+      return true;
     } catch (err) {
       console.error('Error deleting bug:', err);
       alert('Failed to delete bug: ' + err.message);
     }
   };
 
+  // Failures are reported per bug by the BugList, so only successful results are applied here
+  const handleDeleteAttachment = async (bugId, attachmentId) => {
+    try {
+      console.log('Deleting attachment:', bugId, attachmentId);
+      const response = await deleteAttachment(bugId, attachmentId);
+      setBugs(prevBugs => upsertBug(prevBugs, response.data));
+      return response.data;
+    } catch (err) {
+      console.error('Error deleting attachment:', err);
+      alert('Failed to delete attachment: ' + err.message);
+    }
+  };
+
+  const handleBulkAction = async (ids, action, changes) => {
+    console.log('Applying bulk action:', action, ids.length, 'bugs');
+    const response = await bulkUpdateBugs(ids, action, changes);
+    console.log('Bulk action finished:', response.succeeded, 'succeeded,', response.failed, 'failed');
+
+    const succeeded = response.data.filter(result => result.success);
+    if (action === 'delete') {
+      const listedIds = new Set(bugsRef.current.map(bug => bug.id));
+      const removed = succeeded.filter(result => listedIds.has(result.id)).length;
+      setPagination(prev => ({ ...prev, total: Math.max(prev.total - removed, 0) }));
+      setBugs(prevBugs => succeeded.reduce((list, result) => removeBug(list, result.id), prevBugs));
+      if (succeeded.length > 0) {
+        setUndo({
+          ids: succeeded.map(result => result.id),
+          message: `${succeeded.length} bug${succeeded.length === 1 ? '' : 's'} moved to trash.`
+        });
+      }
+    } else {
+      setBugs(prevBugs => succeeded.reduce((list, result) => upsertBug(list, result.data), prevBugs));
+    }
+
+    return response;
+  };
+
+  const dismissUndo = useCallback(() => setUndo(null), []);
+
+  const handleUndoDelete = async () => {
+    const { ids } = undo;
+    setUndo(null);
+
+    try {
+      console.log('Restoring bugs:', ids);
+      await Promise.all(ids.map(id => restoreBug(id)));
+      console.log('Bugs restored successfully');
+
+      // Restored bugs go back to their place in the current sort order
+      await fetchBugs();
+    } catch (err) {
+      console.error('Error restoring bugs:', err);
+      alert('Failed to restore bug: ' + err.message);
+    }
+  };
+
+  const handleLogin = (loggedInUser) => {
+    setUser(loggedInUser);
+    setSessionMessage(null);
+  };
+
+  const handleLogout = () => {
+    logout();
+    setUser(null);
+  };
+
   const handleFilterChange = (e) => {
     const { name, value } = e.target;
-    setFilter(prev => ({
-      ...prev,
-      [name]: value
-    }));
+    changeSearchParams({ [name]: value });
+  };
+
+  const handleSearch = (query) => {
+    changeSearchParams({ q: query });
+  };
+
+  const handleFilterExpression = (value) => {
+    changeSearchParams({ filter: value });
+  };
+
+  const handleSort = (value) => {
+    changeSearchParams({ sortBy: value });
+  };
+
+  // A view replaces every filter and the sort, so nothing from the previous view lingers
+  const handleApplyView = (view) => {
+    changeSearchParams({ ...view.filters, expanded: '' });
+  };
+
+  // Errors are shown by the sidebar next to the name field
+  const handleSaveView = async (name, shared) => {
+    console.log('Saving view:', name);
+    const response = await createView({ name, filters: filter, shared });
+    setViews(prevViews => sortViews([...prevViews, response.data]));
+  };
+
+  const handleToggleViewPin = async (view) => {
+    try {
+      const response = await setViewPinned(view.id, !view.pinned);
+      setViews(prevViews => sortViews(prevViews.map(item => (item.id === view.id ? response.data : item))));
+    } catch (err) {
+      console.error('Error pinning view:', err);
+      alert('Failed to pin view: ' + err.message);
+    }
+  };
+
+  const handleDeleteView = async (view) => {
+    try {
+      await deleteView(view.id);
+      setViews(prevViews => prevViews.filter(item => item.id !== view.id));
+    } catch (err) {
+      console.error('Error deleting view:', err);
+      alert('Failed to delete view: ' + err.message);
+    }
   };
 
+  // Tags and assignees of the loaded bugs, offered while typing a filter expression
+  const filterValues = useMemo(() => ({
+    tag: [...new Set(bugs.flatMap(bug => bug.tags || []))],
+    assignee: [...new Set(bugs.map(bug => bug.assignedTo).filter(Boolean))]
+  }), [bugs]);
+
+  // Dashboard cards set one filter and keep the others
+  const handleDashboardFilter = (changes) => {
+    changeSearchParams(changes);
+  };
+
+  // Switching project drops the component, which belonged to the old one
+  const handleProjectChange = (projectId) => {
+    changeSearchParams({ project: projectId, component: '', expanded: '' });
+  };
+
+  // The project is a scope rather than a filter, so it stays selected
   const clearFilters = () => {
-    setFilter({ status: '', priority: '' });
+    changeSearchParams({ component: '', status: '', priority: '', q: '', filter: '' });
+  };
+
+  // Exports every bug matching the current filters, not just the loaded pages
+  const handleExport = async () => {
+    setExporting(true);
+    try {
+      const filename = await downloadBugExport(filter, exportFormat);
+      console.log('Bugs exported to:', filename);
+    } catch (err) {
+      console.error('Error exporting bugs:', err);
+      alert('Failed to export bugs: ' + err.message);
+    } finally {
+      setExporting(false);
+    }
+  };
+
+  const handleToggleExpand = (id) => {
+    changeSearchParams({ expanded: id === expandedId ? '' : id });
   };
 
   return (
@@ -101,71 +502,229 @@ function App() {
         <header className="app-header">
           <h1>🐛 Bug Tracker</h1>
           <p>Track and manage software bugs efficiently</p>
+          <ProjectSwitcher projects={projects} value={filter.project} onChange={handleProjectChange} />
+          <AuthPanel user={user} onLogin={handleLogin} onLogout={handleLogout} />
         </header>
 
+        {sessionMessage && (
+          <div className="session-message" role="alert">{sessionMessage}</div>
+        )}
+
+        {undo && (
+          <UndoBar
+            key={undo.ids.join(',')}
+            message={undo.message}
+            onUndo={handleUndoDelete}
+            onDismiss={dismissUndo}
+          />
+        )}
+
         <main className="app-main">
-          <section className="form-section">
-            <div className="section-header">
-              <h2>Report New Bug</h2>
-              <button 
-                className="toggle-btn"
-                onClick={() => setShowForm(!showForm)}
-              >
-                {showForm ? 'Hide Form' : 'Show Form'}
-              </button>
-            </div>
+          <Routes>
+            <Route
+              path="/"
+              element={
+                <>
+                  <section className="form-section">
+                    <div className="section-header">
+                      <h2>Report New Bug</h2>
+                      <button 
+                        className="toggle-btn"
+                        onClick={() => setShowForm(!showForm)}
+                      >
+                        {showForm ? 'Hide Form' : 'Show Form'}
+                      </button>
+                    </div>
             
-            {showForm && (
-              <BugForm onSubmit={handleCreateBug} />
-            )}
-          </section>
-
-          <section className="list-section">
-            <div className="filters">
-              <h3>Filter Bugs</h3>
-              <div className="filter-group">
-                <label htmlFor="status-filter">Status:</label>
-                <select
-                  id="status-filter"
-                  name="status"
-                  value={filter.status}
-                  onChange={handleFilterChange}
-                >
-                  <option value="">All Statuses</option>
-                  <option value="open">Open</option>
-                  <option value="in-progress">In Progress</option>
-                  <option value="resolved">Resolved</option>
-                  <option value="closed">Closed</option>
-                </select>
-
-                <label htmlFor="priority-filter">Priority:</label>
-                <select
-                  id="priority-filter"
-                  name="priority"
-                  value={filter.priority}
-                  onChange={handleFilterChange}
-                >
-                  <option value="">All Priorities</option>
-                  <option value="low">Low</option>
-                  <option value="medium">Medium</option>
-                  <option value="high">High</option>
-                  <option value="critical">Critical</option>
-                </select>
-
-                <button className="btn-clear" onClick={clearFilters}>
-                  Clear Filters
-                </button>
-              </div>
-            </div>
-
-            <BugList
-              bugs={bugs}
-              loading={loading}
-              error={error}
-              onUpdate={handleUpdateBug}
-              onDelete={handleDeleteBug}
+                    {showForm && (user ? (
+                      <BugForm
+                        key={filter.project}
+                        onSubmit={handleCreateBug}
+                        currentUser={user}
+                        projects={projects}
+                        defaultProject={filter.project}
+                      />
+                    ) : (
+                      <p className="login-hint">Log in to report a bug.</p>
+                    ))}
+                  </section>
+
+                  {canImportBugs(user) && (
+                    <section className="form-section">
+                      <div className="section-header">
+                        <h2>Import Bugs</h2>
+                        <button
+                          className="toggle-btn"
+                          onClick={() => setShowImport(!showImport)}
+                        >
+                          {showImport ? 'Hide Import' : 'Show Import'}
+                        </button>
+                      </div>
+
+                      {showImport && <ImportBugs project={filter.project} onImported={fetchBugs} />}
+                    </section>
+                  )}
+
+                  <section className="form-section">
+                    <div className="section-header">
+                      <h2>Dashboard</h2>
+                      <button
+                        className="toggle-btn"
+                        onClick={() => setShowDashboard(!showDashboard)}
+                      >
+                        {showDashboard ? 'Hide Dashboard' : 'Show Dashboard'}
+                      </button>
+                    </div>
+
+                    {showDashboard && (
+                      <>
+                        <StatsDashboard filter={filter} onFilter={handleDashboardFilter} />
+                        <TrendsDashboard project={filter.project} />
+                      </>
+                    )}
+                  </section>
+
+                  <section className={`list-section${user ? ' with-views' : ''}`}>
+                    {user && (
+                      <ViewsSidebar
+                        views={views}
+                        filter={filter}
+                        currentUser={user}
+                        onApply={handleApplyView}
+                        onSave={handleSaveView}
+                        onTogglePin={handleToggleViewPin}
+                        onDelete={handleDeleteView}
+                      />
+                    )}
+
+                    <div className="filters">
+                      <h3>Filter Bugs</h3>
+                      <SearchBox value={filter.q} onSearch={handleSearch} />
+                      <FilterExpressionInput
+                        value={filter.filter}
+                        onApply={handleFilterExpression}
+                        values={filterValues}
+                      />
+                      <div className="filter-group">
+                        {components.length > 0 && (
+                          <>
+                            <label htmlFor="component-filter">Component:</label>
+                            <select
+                              id="component-filter"
+                              name="component"
+                              value={filter.component}
+                              onChange={handleFilterChange}
+                            >
+                              <option value="">All Components</option>
+                              {components.map(item => (
+                                <option key={item.id} value={item.id}>{item.name}</option>
+                              ))}
+                            </select>
+                          </>
+                        )}
+
+                        <label htmlFor="status-filter">Status:</label>
+                        <select
+                          id="status-filter"
+                          name="status"
+                          value={filter.status}
+                          onChange={handleFilterChange}
+                        >
+                          <option value="">All Statuses</option>
+                          <option value="open">Open</option>
+                          <option value="in-progress">In Progress</option>
+                          <option value="resolved">Resolved</option>
+                          <option value="closed">Closed</option>
+                        </select>
+
+                        <label htmlFor="priority-filter">Priority:</label>
+                        <select
+                          id="priority-filter"
+                          name="priority"
+                          value={filter.priority}
+                          onChange={handleFilterChange}
+                        >
+                          <option value="">All Priorities</option>
+                          <option value="low">Low</option>
+                          <option value="medium">Medium</option>
+                          <option value="high">High</option>
+                          <option value="critical">Critical</option>
+                        </select>
+
+                        <button className="btn-clear" onClick={clearFilters}>
+                          Clear Filters
+                        </button>
+                      </div>
+
+                      <div className="filter-group export-group">
+                        <label htmlFor="export-format">Export:</label>
+                        <select
+                          id="export-format"
+                          value={exportFormat}
+                          onChange={(e) => setExportFormat(e.target.value)}
+                        >
+                          <option value="csv">CSV</option>
+                          <option value="json">JSON</option>
+                          <option value="ndjson">NDJSON</option>
+                        </select>
+
+                        <button className="btn-export" onClick={handleExport} disabled={exporting}>
+                          {exporting ? 'Exporting...' : 'Download'}
+                        </button>
+                      </div>
+                    </div>
+
+                    <BugList
+                      bugs={bugs}
+                      loading={loading}
+                      error={error}
+                      total={pagination.total}
+                      hasMore={pagination.hasMore}
+                      loadingMore={loadingMore}
+                      onLoadMore={loadMoreBugs}
+                      currentUser={user}
+                      onUpdate={handleUpdateBug}
+                      onDelete={handleDeleteBug}
+                      onEdit={handleEditBug}
+                      onBulkAction={handleBulkAction}
+                      onDeleteAttachment={handleDeleteAttachment}
+                      onMarkDuplicate={handleMarkDuplicate}
+                      expandedId={expandedId}
+                      onToggleExpand={handleToggleExpand}
+                      // Searches without a sort are ordered by relevance, so no column is active
+                      sortBy={sortBy || (q ? '' : DEFAULT_SORT)}
+                      onSort={handleSort}
+                    />
+                  </section>
+                </>
+              }
+            />
+            <Route
+              path="/bugs/:id"
+              element={
+                <BugDetail
+                  currentUser={user}
+                  onUpdate={handleUpdateBug}
+                  onEdit={handleEditBug}
+                  onDelete={handleDeleteBug}
+                  onDeleteAttachment={handleDeleteAttachment}
+                  onMarkDuplicate={handleMarkDuplicate}
+                />
+              }
             />
-          </section>
+            <Route
+              path="/bugs/:id/edit"
+              element={<EditBug currentUser={user} onEdit={handleEditBug} />}
+            />
+            <Route
+              path="*"
+              element={
+                <section className="list-section">
+                  <p>Page not found. <Link to="/">Back to the bug list</Link></p>
+                </section>
+              }
+            />
+          </Routes>
         </main>
 
         <footer className="app-footer">
@@ -176,4 +735,11 @@ function App() {
   );
 }
 
+// The router wraps the whole tracker so every section can read and change the URL
+const App = () => (
+  <BrowserRouter>
+    <BugTracker />
+  </BrowserRouter>
+);
+
 export default App;
@@ -0,0 +1,100 @@
+import React, { useRef, useState } from 'react';
+import { ATTACHMENT_TYPES, MAX_ATTACHMENT_MB, formatFileSize, validateAttachmentFiles } from '../utils/attachments';
+
+const AttachmentDropZone = ({ files, onChange, disabled = false }) => {
+  const inputRef = useRef(null);
+  const [isDragging, setIsDragging] = useState(false);
+  const [errors, setErrors] = useState([]);
+
+  const addFiles = (fileList) => {
+    const { accepted, errors: fileErrors } = validateAttachmentFiles(Array.from(fileList), files.length);
+    setErrors(fileErrors);
+    if (accepted.length > 0) {
+      onChange([...files, ...accepted]);
+    }
+  };
+
+  const handleDragOver = (e) => {
+    e.preventDefault();
+    if (!disabled) setIsDragging(true);
+  };
+
+  const handleDrop = (e) => {
+    e.preventDefault();
+    setIsDragging(false);
+    if (!disabled) addFiles(e.dataTransfer.files);
+  };
+
+  const handleFileInput = (e) => {
+    addFiles(e.target.files);
+    // Allow picking the same file again after removing it
+    e.target.value = '';
+  };
+
+  const removeFile = (index) => {
+    onChange(files.filter((_, i) => i !== index));
+  };
+
+  return (
+    <div className="attachment-drop">
+      <div
+        className={`drop-zone ${isDragging ? 'dragging' : ''}`}
+        role="region"
+        aria-label="Attachment drop zone"
+        onDragOver={handleDragOver}
+        onDragLeave={() => setIsDragging(false)}
+        onDrop={handleDrop}
+      >
+        <p>
+          Drag screenshots or logs here, or{' '}
+          <button
+            type="button"
+            className="btn-drop-browse"
+            onClick={() => inputRef.current.click()}
+            disabled={disabled}
+          >
+            browse
+          </button>
+        </p>
+        <small>Images, text, JSON, PDF or ZIP up to {MAX_ATTACHMENT_MB} MB each</small>
+        <input
+          ref={inputRef}
+          type="file"
+          multiple
+          hidden
+          aria-label="Choose files to attach"
+          accept={ATTACHMENT_TYPES.join(',')}
+          onChange={handleFileInput}
+        />
+      </div>
+
+      {errors.length > 0 && (
+        <ul className="drop-errors">
+          {errors.map(error => <li key={error}>{error}</li>)}
+        </ul>
+      )}
+
+      {files.length > 0 && (
+        <ul className="drop-files">
+          {files.map((file, index) => (
+            <li key={`${file.name}-${index}`}>
+              <span>{file.name}</span>
+              <span className="drop-file-size">{formatFileSize(file.size)}</span>
+              <button
+                type="button"
+                className="btn-drop-remove"
+                aria-label={`Remove ${file.name}`}
+                onClick={() => removeFile(index)}
+                disabled={disabled}
+              >
+                ×
+              </button>
+            </li>
+          ))}
+        </ul>
+      )}
+    </div>
+  );
+};
+
+export default AttachmentDropZone;
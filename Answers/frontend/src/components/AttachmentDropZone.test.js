@@ -0,0 +1,29 @@
+import { render, screen, fireEvent } from '@testing-library/react';
+import AttachmentDropZone from './AttachmentDropZone';
+
+const makeFile = (name, type) => new File(['data'], name, { type });
+
+describe('AttachmentDropZone Component', () => {
+  test('adds dropped files that can be attached', () => {
+    const onChange = jest.fn();
+    render(<AttachmentDropZone files={[]} onChange={onChange} />);
+    const screenshot = makeFile('shot.png', 'image/png');
+
+    fireEvent.drop(screen.getByRole('region', { name: 'Attachment drop zone' }), {
+      dataTransfer: { files: [screenshot, makeFile('page.html', 'text/html')] }
+    });
+
+    expect(onChange).toHaveBeenCalledWith([screenshot]);
+    expect(screen.getByText(/page\.html: this file type can't be attached/)).toBeTruthy();
+  });
+
+  test('removes a selected file', () => {
+    const onChange = jest.fn();
+    const files = [makeFile('shot.png', 'image/png'), makeFile('app.log', 'text/plain')];
+    render(<AttachmentDropZone files={files} onChange={onChange} />);
+
+    fireEvent.click(screen.getByLabelText('Remove shot.png'));
+
+    expect(onChange).toHaveBeenCalledWith([files[1]]);
+  });
+});
@@ -0,0 +1,54 @@
+import React from 'react';
+import { getAttachmentUrl } from '../services/bugService';
+import { isImageAttachment, formatFileSize } from '../utils/attachments';
+import { canDeleteAttachment } from '../utils/permissions';
+
+const AttachmentList = ({ bug, currentUser, onDelete }) => {
+  const attachments = bug.attachments || [];
+  if (attachments.length === 0) return null;
+
+  const handleDelete = (attachment) => {
+    if (window.confirm(`Delete ${attachment.filename}?`)) {
+      onDelete(bug.id, attachment.id);
+    }
+  };
+
+  return (
+    <div className="bug-attachments">
+      <strong>Attachments ({attachments.length}):</strong>
+      <ul className="attachment-list">
+        {attachments.map(attachment => (
+          <li key={attachment.id} className="attachment">
+            <a href={getAttachmentUrl(attachment)} target="_blank" rel="noopener noreferrer">
+              {isImageAttachment(attachment) ? (
+                <img
+                  className="attachment-thumbnail"
+                  src={getAttachmentUrl(attachment)}
+                  alt={attachment.filename}
+                  loading="lazy"
+                />
+              ) : (
+                <span className="attachment-file">📄</span>
+              )}
+              <span className="attachment-name">{attachment.filename}</span>
+            </a>
+            <span className="attachment-size">{formatFileSize(attachment.size)}</span>
+
+            {onDelete && canDeleteAttachment(currentUser, bug, attachment) && (
+              <button
+                type="button"
+                className="btn-attachment-delete"
+                aria-label={`Delete ${attachment.filename}`}
+                onClick={() => handleDelete(attachment)}
+              >
+                ×
+              </button>
+            )}
+          </li>
+        ))}
+      </ul>
+    </div>
+  );
+};
+
+export default AttachmentList;
@@ -0,0 +1,103 @@
+import React, { useState } from 'react';
+import { login, register } from '../services/authService';
+
+const AuthPanel = ({ user, onLogin, onLogout }) => {
+  const [mode, setMode] = useState(null);
+  const [formData, setFormData] = useState({ username: '', email: '', password: '' });
+  const [error, setError] = useState(null);
+  const [isSubmitting, setIsSubmitting] = useState(false);
+
+  if (user) {
+    return (
+      <div className="auth-panel">
+        <span className="auth-user">
+          Signed in as <strong>{user.username}</strong>
+          {user.role && <span className="auth-role">{user.role}</span>}
+        </span>
+        <button type="button" className="btn-auth" onClick={onLogout}>
+          Log Out
+        </button>
+      </div>
+    );
+  }
+
+  const handleChange = (e) => {
+    const { name, value } = e.target;
+    setFormData(prev => ({ ...prev, [name]: value }));
+  };
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    setIsSubmitting(true);
+    setError(null);
+
+    try {
+      const loggedInUser = mode === 'register'
+        ? await register(formData)
+        : await login({ email: formData.email, password: formData.password });
+      setFormData({ username: '', email: '', password: '' });
+      setMode(null);
+      onLogin(loggedInUser);
+    } catch (err) {
+      console.error('Authentication error:', err);
+      setError(err.message);
+    } finally {
+      setIsSubmitting(false);
+    }
+  };
+
+  if (!mode) {
+    return (
+      <div className="auth-panel">
+        <button type="button" className="btn-auth" onClick={() => setMode('login')}>
+          Log In
+        </button>
+        <button type="button" className="btn-auth" onClick={() => setMode('register')}>
+          Register
+        </button>
+      </div>
+    );
+  }
+
+  return (
+    <form className="auth-panel auth-form" onSubmit={handleSubmit}>
+      {error && <div className="error-message">{error}</div>}
+
+      {mode === 'register' && (
+        <input
+          type="text"
+          name="username"
+          aria-label="Username"
+          placeholder="Username"
+          value={formData.username}
+          onChange={handleChange}
+        />
+      )}
+      <input
+        type="email"
+        name="email"
+        aria-label="Email"
+        placeholder="Email"
+        value={formData.email}
+        onChange={handleChange}
+      />
+      <input
+        type="password"
+        name="password"
+        aria-label="Password"
+        placeholder="Password"
+        value={formData.password}
+        onChange={handleChange}
+      />
+
+      <button type="submit" className="btn-auth" disabled={isSubmitting}>
+        {isSubmitting ? 'Please wait...' : (mode === 'register' ? 'Create Account' : 'Log In')}
+      </button>
+      <button type="button" className="btn-auth-link" onClick={() => setMode(null)}>
+        Cancel
+      </button>
+    </form>
+  );
+};
+
+export default AuthPanel;
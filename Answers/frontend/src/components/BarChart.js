@@ -0,0 +1,28 @@
+import React from 'react';
+
+/**
+ * Horizontal bar chart
+ * data: Array<{ label, value, display }>, where display is the text shown next to the bar
+ */
+const BarChart = ({ data, label, color = '#667eea' }) => {
+  const maxValue = Math.max(1, ...data.map(item => item.value || 0));
+
+  return (
+    <ul className="bar-chart" aria-label={label}>
+      {data.map(item => (
+        <li key={item.label} className="bar-row">
+          <span className="bar-label">{item.label}</span>
+          <span className="bar-track">
+            <span
+              className="bar-fill"
+              style={{ width: `${((item.value || 0) / maxValue) * 100}%`, backgroundColor: color }}
+            />
+          </span>
+          <span className="bar-value">{item.display ?? item.value}</span>
+        </li>
+      ))}
+    </ul>
+  );
+};
+
+export default BarChart;
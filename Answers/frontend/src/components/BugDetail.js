@@ -0,0 +1,63 @@
+import React from 'react';
+import { Link, useNavigate, useParams } from 'react-router-dom';
+import BugItem from './BugItem';
+import useBug from '../hooks/useBug';
+
+const BugDetail = ({ currentUser, onUpdate, onEdit, onDelete, onDeleteAttachment, onMarkDuplicate }) => {
+  const { id } = useParams();
+  const navigate = useNavigate();
+  const { bug, setBug, loading, error } = useBug(id);
+
+  // The handlers return the changed bug, or nothing when the change failed
+  const handleUpdate = async (bugId, updates) => {
+    const updatedBug = await onUpdate(bugId, updates);
+    if (updatedBug) setBug(updatedBug);
+  };
+
+  // Edit errors are thrown back to the form
+  const handleEdit = async (original, bugData) => {
+    setBug(await onEdit(original, bugData));
+  };
+
+  const handleDelete = async (bugId) => {
+    if (await onDelete(bugId)) navigate('/');
+  };
+
+  const handleDeleteAttachment = async (bugId, attachmentId) => {
+    const updatedBug = await onDeleteAttachment(bugId, attachmentId);
+    if (updatedBug) setBug(updatedBug);
+  };
+
+  const handleMarkDuplicate = async (bugId, originalId) => {
+    const updatedBug = await onMarkDuplicate(bugId, originalId);
+    if (updatedBug) setBug(updatedBug);
+  };
+
+  return (
+    <section className="list-section bug-detail">
+      <nav className="bug-detail-nav">
+        <Link to="/">← Back to list</Link>
+        {bug && currentUser && <Link to={`/bugs/${bug.id}/edit`}>Edit</Link>}
+      </nav>
+
+      {loading && !bug && <div className="loading">Loading bug...</div>}
+      {error && <div className="error-message">{error}</div>}
+
+      {bug && (
+        <BugItem
+          key={bug.id}
+          bug={bug}
+          expanded
+          currentUser={currentUser}
+          onUpdate={handleUpdate}
+          onEdit={handleEdit}
+          onDelete={handleDelete}
+          onDeleteAttachment={handleDeleteAttachment}
+          onMarkDuplicate={handleMarkDuplicate}
+        />
+      )}
+    </section>
+  );
+};
+
+export default BugDetail;
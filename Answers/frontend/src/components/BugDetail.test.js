@@ -0,0 +1,78 @@
+import { render, screen, fireEvent } from '@testing-library/react';
+import { MemoryRouter, Routes, Route } from 'react-router-dom';
+import BugDetail from './BugDetail';
+import { getBugById } from '../services/bugService';
+
+jest.mock('../services/bugService', () => ({
+  getBugById: jest.fn()
+}));
+
+// BugItem has its own behaviour; the detail page only loads the bug and wires the handlers
+jest.mock('./BugItem', () => ({ bug, onDelete }) => (
+  <div>
+    <p>{bug.description}</p>
+    <button onClick={() => onDelete(bug.id)}>Delete Bug</button>
+  </div>
+));
+
+const bug = {
+  id: '42',
+  title: 'Crash on save',
+  description: 'The editor crashes when saving',
+  reporterId: 'u1'
+};
+
+const renderAt = (path, props = {}) => render(
+  <MemoryRouter initialEntries={[path]}>
+    <Routes>
+      <Route path="/" element={<p>Bug list</p>} />
+      <Route
+        path="/bugs/:id"
+        element={
+          <BugDetail
+            currentUser={null}
+            onUpdate={jest.fn()}
+            onDelete={jest.fn()}
+            onDeleteAttachment={jest.fn()}
+            {...props}
+          />
+        }
+      />
+    </Routes>
+  </MemoryRouter>
+);
+
+describe('BugDetail Component', () => {
+  afterEach(() => {
+    jest.clearAllMocks();
+  });
+
+  test('loads the bug from the URL and shows its details', async () => {
+    getBugById.mockResolvedValue({ success: true, data: bug });
+    renderAt('/bugs/42');
+
+    expect(await screen.findByText('The editor crashes when saving')).toBeTruthy();
+    expect(getBugById).toHaveBeenCalledWith('42');
+    expect(screen.queryByText('Edit')).toBeNull();
+  });
+
+  test('shows an error when the bug does not exist', async () => {
+    getBugById.mockRejectedValue(new Error('Bug not found'));
+    renderAt('/bugs/missing');
+
+    expect(await screen.findByText('Bug not found')).toBeTruthy();
+  });
+
+  test('returns to the list after the bug is deleted', async () => {
+    const user = { id: 'u1', username: 'Jane', role: 'user' };
+    const onDelete = jest.fn().mockResolvedValue(true);
+    getBugById.mockResolvedValue({ success: true, data: bug });
+    renderAt('/bugs/42', { currentUser: user, onDelete });
+
+    expect(await screen.findByText('Edit')).toBeTruthy();
+    fireEvent.click(screen.getByText('Delete Bug'));
+
+    expect(await screen.findByText('Bug list')).toBeTruthy();
+    expect(onDelete).toHaveBeenCalledWith('42');
+  });
+});
@@ -0,0 +1,92 @@
+import React, { useState } from 'react';
+import BugForm from './BugForm';
+import { getChangedFields } from '../utils/bugEdit';
+
+const FIELD_LABELS = {
+  title: 'title',
+  description: 'description',
+  component: 'component',
+  priority: 'priority',
+  assignedTo: 'assignee',
+  tags: 'tags'
+};
+
+/**
+ * BugForm for an existing bug that handles edit conflicts.
+ * onSave(base, formData) saves the changes made to base; when someone else saved first it
+ * rejects with conflict: true and currentBug, and the user can overwrite or merge.
+ */
+const BugEditor = ({ bug, currentUser, onSave, onCancel }) => {
+  // The copy of the bug the form's changes are made to, and the values the form starts with
+  const [base, setBase] = useState(bug);
+  const [formValues, setFormValues] = useState(bug);
+  // { theirs, mine }: the server's copy and the rejected form data
+  const [conflict, setConflict] = useState(null);
+  const [resolving, setResolving] = useState(false);
+
+  const handleSubmit = async (bugData) => {
+    try {
+      await onSave(base, bugData);
+    } catch (error) {
+      if (!error.conflict) throw error;
+      setConflict({ theirs: error.currentBug, mine: bugData });
+    }
+  };
+
+  // Save the form's changes over the other person's, keeping their edits to other fields
+  const handleOverwrite = async () => {
+    setResolving(true);
+    try {
+      await onSave({ ...base, version: conflict.theirs.version }, conflict.mine);
+    } catch (error) {
+      if (!error.conflict) {
+        alert('Failed to update bug: ' + error.message);
+        return;
+      }
+      setConflict({ theirs: error.currentBug, mine: conflict.mine });
+    } finally {
+      setResolving(false);
+    }
+  };
+
+  // Reopen the form on their copy with this user's changes applied, to review before saving
+  const handleMerge = () => {
+    const mine = getChangedFields(base, conflict.mine);
+    setBase(conflict.theirs);
+    setFormValues({ ...conflict.theirs, ...mine });
+    setConflict(null);
+  };
+
+  const theirChanges = conflict ? Object.keys(getChangedFields(base, conflict.theirs)) : [];
+
+  return (
+    <div className="bug-editor">
+      {conflict && (
+        <div className="edit-conflict" role="alert">
+          <p>
+            Someone else changed this bug while you were editing
+            {theirChanges.length > 0 && ` (${theirChanges.map(field => FIELD_LABELS[field]).join(', ')})`}.
+          </p>
+          <div className="edit-conflict-actions">
+            <button type="button" className="btn-primary" onClick={handleMerge} disabled={resolving}>
+              Merge
+            </button>
+            <button type="button" className="btn-secondary" onClick={handleOverwrite} disabled={resolving}>
+              Overwrite
+            </button>
+          </div>
+        </div>
+      )}
+
+      <BugForm
+        key={formValues.version}
+        initialData={formValues}
+        currentUser={currentUser}
+        onSubmit={handleSubmit}
+        onCancel={onCancel}
+      />
+    </div>
+  );
+};
+
+export default BugEditor;
@@ -0,0 +1,57 @@
+import { render, screen, fireEvent } from '@testing-library/react';
+import BugEditor from './BugEditor';
+
+// Stands in for BugForm: shows the title it was opened with and submits a renamed copy
+jest.mock('./BugForm', () => ({ initialData, onSubmit }) => (
+  <div>
+    <p>Editing: {initialData.title}</p>
+    <p>Priority: {initialData.priority}</p>
+    <button onClick={() => onSubmit({ ...initialData, title: 'My title' }).catch(() => {})}>
+      Update Bug
+    </button>
+  </div>
+));
+
+const bug = { id: '1', title: 'Original title', description: 'Original description', priority: 'low', version: 1 };
+const theirs = { ...bug, priority: 'critical', version: 2 };
+
+const conflictError = () => Object.assign(new Error('Conflict'), { conflict: true, currentBug: theirs });
+
+describe('BugEditor Component', () => {
+  test('saves the form changes against the loaded bug', async () => {
+    const onSave = jest.fn().mockResolvedValue(undefined);
+    render(<BugEditor bug={bug} onSave={onSave} onCancel={jest.fn()} />);
+
+    fireEvent.click(screen.getByText('Update Bug'));
+
+    expect(onSave).toHaveBeenCalledWith(bug, expect.objectContaining({ title: 'My title' }));
+    expect(screen.queryByRole('alert')).toBeNull();
+  });
+
+  test('offers merge or overwrite when someone else saved first', async () => {
+    const onSave = jest.fn().mockRejectedValueOnce(conflictError()).mockResolvedValue(undefined);
+    render(<BugEditor bug={bug} onSave={onSave} onCancel={jest.fn()} />);
+
+    fireEvent.click(screen.getByText('Update Bug'));
+    expect((await screen.findByRole('alert')).textContent).toContain('(priority)');
+
+    fireEvent.click(screen.getByText('Overwrite'));
+
+    expect(onSave).toHaveBeenLastCalledWith(
+      expect.objectContaining({ version: 2 }),
+      expect.objectContaining({ title: 'My title' })
+    );
+  });
+
+  test('merges their changes with the form changes', async () => {
+    const onSave = jest.fn().mockRejectedValueOnce(conflictError());
+    render(<BugEditor bug={bug} onSave={onSave} onCancel={jest.fn()} />);
+
+    fireEvent.click(screen.getByText('Update Bug'));
+    fireEvent.click(await screen.findByText('Merge'));
+
+    expect(screen.getByText('Editing: My title')).toBeTruthy();
+    expect(screen.getByText('Priority: critical')).toBeTruthy();
+    expect(screen.queryByRole('alert')).toBeNull();
+  });
+});
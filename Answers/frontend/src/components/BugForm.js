@@ -1,24 +1,34 @@
 import React, { useState } from 'react';
+import AttachmentDropZone from './AttachmentDropZone';
+import DuplicateSuggestions from './DuplicateSuggestions';
+import useComponents from '../hooks/useComponents';
 import './BugForm.css';
 
-const BugForm = ({ onSubmit, onCancel, initialData = null }) => {
+const BugForm = ({ onSubmit, onCancel, initialData = null, currentUser = null, projects = [], defaultProject = '' }) => {
   const [formData, setFormData] = useState({
+    project: initialData?.project || defaultProject,
+    component: initialData?.component || '',
     title: initialData?.title || '',
     description: initialData?.description || '',
     priority: initialData?.priority || 'medium',
-    reporter: initialData?.reporter || '',
+    reporter: initialData?.reporter || currentUser?.username || '',
     assignedTo: initialData?.assignedTo || '',
     tags: initialData?.tags?.join(', ') || ''
   });
 
+  // Files are uploaded by the parent once the bug exists
+  const [files, setFiles] = useState([]);
   const [errors, setErrors] = useState({});
   const [isSubmitting, setIsSubmitting] = useState(false);
+  const components = useComponents(formData.project);
 
   const handleChange = (e) => {
     const { name, value } = e.target;
     setFormData(prev => ({
       ...prev,
-      [name]: value
+      [name]: value,
+      // Components belong to one project
+      ...(name === 'project' && { component: '' })
     }));
     
     // Clear error for this field
@@ -33,6 +43,10 @@ const BugForm = ({ onSubmit, onCancel, initialData = null }) => {
   const validateForm = () => {
     const newErrors = {};
 
+    if (!initialData && projects.length > 0 && !formData.project) {
+      newErrors.project = 'Project is required';
+    }
+
     if (!formData.title.trim()) {
       newErrors.title = 'Title is required';
     } else if (formData.title.trim().length < 3) {
@@ -65,23 +79,30 @@ const BugForm = ({ onSubmit, onCancel, initialData = null }) => {
     try {
       const submitData = {
         ...formData,
+        project: formData.project || undefined,
+        component: formData.component || null,
         tags: formData.tags
           .split(',')
           .map(tag => tag.trim())
           .filter(tag => tag.length > 0)
       };
 
-      await onSubmit(submitData);
-      
-      // Reset form on success
+      await onSubmit(submitData, files);
+
+      // An edit form closes on success, so only the report form is reset
+      if (initialData) return;
+
       setFormData({
+        project: formData.project,
+        component: formData.component,
         title: '',
         description: '',
         priority: 'medium',
-        reporter: '',
+        reporter: currentUser?.username || '',
         assignedTo: '',
         tags: ''
       });
+      setFiles([]);
     } catch (error) {
       console.error('Form submission error:', error);
       setErrors({ submit: error.message });
@@ -98,6 +119,42 @@ const BugForm = ({ onSubmit, onCancel, initialData = null }) => {
         <div className="error-message">{errors.submit}</div>
       )}
 
+      {!initialData && projects.length > 0 && (
+        <div className="form-group">
+          <label htmlFor="project">Project *</label>
+          <select
+            id="project"
+            name="project"
+            value={formData.project}
+            onChange={handleChange}
+            className={errors.project ? 'error' : ''}
+          >
+            <option value="">Choose a project</option>
+            {projects.map(project => (
+              <option key={project.id} value={project.id}>{project.name}</option>
+            ))}
+          </select>
+          {errors.project && <span className="field-error">{errors.project}</span>}
+        </div>
+      )}
+
+      {components.length > 0 && (
+        <div className="form-group">
+          <label htmlFor="component">Component</label>
+          <select
+            id="component"
+            name="component"
+            value={formData.component}
+            onChange={handleChange}
+          >
+            <option value="">No component</option>
+            {components.map(component => (
+              <option key={component.id} value={component.id}>{component.name}</option>
+            ))}
+          </select>
+        </div>
+      )}
+
       <div className="form-group">
         <label htmlFor="title">Title *</label>
         <input
@@ -110,6 +167,13 @@ const BugForm = ({ onSubmit, onCancel, initialData = null }) => {
           placeholder="Brief description of the bug"
         />
         {errors.title && <span className="field-error">{errors.title}</span>}
+        {!initialData && (
+          <DuplicateSuggestions
+            title={formData.title}
+            description={formData.description}
+            project={formData.project}
+          />
+        )}
       </div>
 
       <div className="form-group">
@@ -152,6 +216,7 @@ const BugForm = ({ onSubmit, onCancel, initialData = null }) => {
             onChange={handleChange}
             className={errors.reporter ? 'error' : ''}
             placeholder="Your name"
+            readOnly={Boolean(currentUser)}
           />
           {errors.reporter && <span className="field-error">{errors.reporter}</span>}
         </div>
@@ -181,6 +246,13 @@ const BugForm = ({ onSubmit, onCancel, initialData = null }) => {
         />
       </div>
 
+      {!initialData && (
+        <div className="form-group">
+          <label>Attachments</label>
+          <AttachmentDropZone files={files} onChange={setFiles} disabled={isSubmitting} />
+        </div>
+      )}
+
       <div className="form-actions">
         <button 
           type="submit" 
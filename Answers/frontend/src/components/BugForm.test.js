@@ -87,7 +87,8 @@ describe('BugForm Component', () => {
           reporter: 'John Doe',
           priority: 'medium',
           tags: []
-        })
+        }),
+        []
       );
     });
   });
@@ -128,7 +129,8 @@ describe('BugForm Component', () => {
       expect(mockOnSubmit).toHaveBeenCalledWith(
         expect.objectContaining({
           tags: ['frontend', 'ui', 'critical']
-        })
+        }),
+        []
       );
     });
   });
@@ -207,4 +209,24 @@ describe('BugForm Component', () => {
     expect(screen.getByLabelText(/assigned to/i)).toHaveValue('John Smith');
     expect(screen.getByLabelText(/tags/i)).toHaveValue('backend, api');
   });
+
+  test('keeps the edited values after a successful update', async () => {
+    const initialData = {
+      title: 'Existing Bug',
+      description: 'Existing description',
+      priority: 'high',
+      reporter: 'Jane Doe',
+      tags: []
+    };
+
+    render(<BugForm onSubmit={mockOnSubmit} initialData={initialData} />);
+
+    fireEvent.change(screen.getByLabelText(/title/i), { target: { value: 'Renamed Bug' } });
+    fireEvent.click(screen.getByRole('button', { name: /update bug/i }));
+
+    await waitFor(() => {
+      expect(mockOnSubmit).toHaveBeenCalled();
+    });
+    expect(screen.getByLabelText(/title/i).value).toBe('Renamed Bug');
+  });
 });
@@ -0,0 +1,83 @@
+import React, { useEffect, useState } from 'react';
+import { getBugHistory } from '../services/bugService';
+
+const FIELD_LABELS = {
+  title: 'Title',
+  description: 'Description',
+  status: 'Status',
+  priority: 'Priority',
+  assignedTo: 'Assignee',
+  tags: 'Tags',
+  duplicateOf: 'Duplicate of'
+};
+
+const formatValue = (value) => {
+  if (value === null || value === undefined) return 'none';
+  if (Array.isArray(value)) return value.length > 0 ? value.join(', ') : 'none';
+  return String(value);
+};
+
+const BugHistory = ({ bugId, updatedAt }) => {
+  const [entries, setEntries] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState(null);
+
+  // Refetch whenever the bug changes so the timeline includes the latest edit
+  useEffect(() => {
+    let cancelled = false;
+
+    const fetchHistory = async () => {
+      setLoading(true);
+      try {
+        const response = await getBugHistory(bugId);
+        if (!cancelled) setEntries(response.data);
+      } catch (err) {
+        console.error('Error fetching bug history:', err);
+        if (!cancelled) setError(err.message);
+      } finally {
+        if (!cancelled) setLoading(false);
+      }
+    };
+
+    fetchHistory();
+    return () => {
+      cancelled = true;
+    };
+  }, [bugId, updatedAt]);
+
+  if (loading) {
+    return <p className="history-empty">Loading history...</p>;
+  }
+
+  if (error) {
+    return <div className="error-message">{error}</div>;
+  }
+
+  if (entries.length === 0) {
+    return <p className="history-empty">No changes recorded yet.</p>;
+  }
+
+  return (
+    <ol className="history-timeline">
+      {entries.map(entry => (
+        <li key={entry.id} className="history-entry">
+          <time dateTime={entry.changedAt}>
+            {new Date(entry.changedAt).toLocaleString('en-US', {
+              month: 'short',
+              day: 'numeric',
+              hour: '2-digit',
+              minute: '2-digit'
+            })}
+          </time>
+          <span className="history-text">
+            <strong>{entry.changedBy}</strong> changed {FIELD_LABELS[entry.field] || entry.field}
+            {' from '}<em>{formatValue(entry.from)}</em>
+            {' to '}<em>{formatValue(entry.to)}</em>
+          </span>
+        </li>
+      ))}
+    </ol>
+  );
+};
+
+export default BugHistory;
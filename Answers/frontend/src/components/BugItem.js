@@ -1,9 +1,56 @@
 import React, { useState } from 'react';
+import { Link } from 'react-router-dom';
+import Highlight from './Highlight';
+import BugEditor from './BugEditor';
+import CommentThread from './CommentThread';
+import BugHistory from './BugHistory';
+import AttachmentList from './AttachmentList';
+import { canDeleteBug, canMarkDuplicate, canSetStatus } from '../utils/permissions';
 import './BugItem.css';
 
-const BugItem = ({ bug, onUpdate, onDelete }) => {
-  const [isExpanded, setIsExpanded] = useState(false);
+const STATUS_LABELS = {
+  open: 'Open',
+  'in-progress': 'In Progress',
+  resolved: 'Resolved',
+  closed: 'Closed'
+};
+
+// Accepts a bug key, ID or a link to its page
+const parseBugId = (input) => {
+  const match = input.trim().match(/(?:\/bugs\/)?([^/\s]+)\/?$/);
+  return match ? match[1] : '';
+};
+
+// Moving a finished bug back to open is presented as a reopen
+const getTransitionLabel = (from, to) => {
+  if (to === 'open' && (from === 'resolved' || from === 'closed')) {
+    return 'Reopen';
+  }
+  return STATUS_LABELS[to] || to;
+};
+
+const BugItem = ({
+  bug,
+  onUpdate,
+  onDelete,
+  onEdit,
+  onDeleteAttachment,
+  onMarkDuplicate,
+  currentUser,
+  selected = false,
+  onToggleSelect,
+  expanded = false,
+  onToggleExpand
+}) => {
+  // The list keeps the expanded bug in the URL; without onToggleExpand the item tracks it itself
+  const [localExpanded, setLocalExpanded] = useState(expanded);
+  const isExpanded = onToggleExpand ? expanded : localExpanded;
+  const toggleExpanded = onToggleExpand
+    ? () => onToggleExpand(bug.id)
+    : () => setLocalExpanded(!localExpanded);
   const [isUpdating, setIsUpdating] = useState(false);
+  const [showHistory, setShowHistory] = useState(false);
+  const [isEditing, setIsEditing] = useState(false);
 
   const getPriorityClass = (priority) => {
     const classes = {
@@ -25,6 +72,13 @@ const BugItem = ({ bug, onUpdate, onDelete }) => {
     return classes[status] || '';
   };
 
+  // The server only allows the workflow's next statuses the user's role permits
+  const nextStatuses = (bug.allowedTransitions || Object.keys(STATUS_LABELS))
+    .filter(status => status !== bug.status && canSetStatus(currentUser, status));
+  const canDelete = canDeleteBug(currentUser, bug);
+  const canEdit = Boolean(currentUser && onEdit);
+  const canDuplicate = Boolean(onMarkDuplicate) && !bug.duplicateOf && canMarkDuplicate(currentUser, bug);
+
   const handleStatusChange = async (newStatus) => {
     setIsUpdating(true);
     try {
@@ -36,6 +90,27 @@ const BugItem = ({ bug, onUpdate, onDelete }) => {
     }
   };
 
+  // Errors are shown by the form, which stays open so nothing typed is lost
+  const handleEditSave = async (base, bugData) => {
+    await onEdit(base, bugData);
+    setIsEditing(false);
+  };
+
+  const handleMarkDuplicate = async () => {
+    const input = window.prompt('Key, ID or link of the bug this one duplicates:');
+    const originalId = input ? parseBugId(input) : '';
+    if (!originalId) return;
+
+    setIsUpdating(true);
+    try {
+      await onMarkDuplicate(bug.id, originalId);
+    } catch (error) {
+      console.error('Mark duplicate failed:', error);
+    } finally {
+      setIsUpdating(false);
+    }
+  };
+
   const handleDelete = async () => {
     if (window.confirm('Are you sure you want to delete this bug?')) {
       try {
@@ -60,8 +135,22 @@ const BugItem = ({ bug, onUpdate, onDelete }) => {
   return (
     <div className={`bug-item ${getStatusClass(bug.status)}`}>
       <div className="bug-header">
+        {onToggleSelect && (
+          <input
+            type="checkbox"
+            className="bug-select"
+            checked={selected}
+            onChange={() => onToggleSelect(bug.id)}
+            aria-label={`Select ${bug.title}`}
+          />
+        )}
         <div className="bug-title-section">
-          <h3 className="bug-title">{bug.title}</h3>
+          <h3 className="bug-title">
+            {bug.key && <span className="bug-key">{bug.key}</span>}
+            <Link to={`/bugs/${bug.key || bug.id}`}>
+              {bug.highlights ? <Highlight text={bug.highlights.title} /> : bug.title}
+            </Link>
+          </h3>
           <div className="bug-badges">
             <span className={`badge priority-badge ${getPriorityClass(bug.priority)}`}>
               {bug.priority}
@@ -73,14 +162,31 @@ const BugItem = ({ bug, onUpdate, onDelete }) => {
         </div>
         <button
           className="expand-btn"
-          onClick={() => setIsExpanded(!isExpanded)}
+          onClick={toggleExpanded}
           aria-label={isExpanded ? 'Collapse' : 'Expand'}
         >
           {isExpanded ? '▲' : '▼'}
         </button>
       </div>
 
-      {isExpanded && (
+      {bug.highlights && !isExpanded && (
+        <p className="search-snippet">
+          <Highlight text={bug.highlights.description} />
+        </p>
+      )}
+
+      {isExpanded && isEditing && (
+        <div className="bug-details">
+          <BugEditor
+            bug={bug}
+            currentUser={currentUser}
+            onSave={handleEditSave}
+            onCancel={() => setIsEditing(false)}
+          />
+        </div>
+      )}
+
+      {isExpanded && !isEditing && (
         <div className="bug-details">
           <div className="bug-description">
             <strong>Description:</strong>
@@ -91,6 +197,12 @@ const BugItem = ({ bug, onUpdate, onDelete }) => {
             <div className="meta-item">
               <strong>Reporter:</strong> {bug.reporter}
             </div>
+            {bug.duplicateOf && (
+              <div className="meta-item">
+                <strong>Duplicate Of:</strong>{' '}
+                <Link to={`/bugs/${bug.duplicateOf}`}>{bug.duplicateOf}</Link>
+              </div>
+            )}
             {bug.assignedTo && (
               <div className="meta-item">
                 <strong>Assigned To:</strong> {bug.assignedTo}
@@ -113,30 +225,73 @@ const BugItem = ({ bug, onUpdate, onDelete }) => {
             </div>
           )}
 
-          <div className="bug-actions">
-            <div className="status-actions">
-              <label>Update Status:</label>
-              <select
-                value={bug.status}
-                onChange={(e) => handleStatusChange(e.target.value)}
-                disabled={isUpdating}
-                className="status-select"
-              >
-                <option value="open">Open</option>
-                <option value="in-progress">In Progress</option>
-                <option value="resolved">Resolved</option>
-                <option value="closed">Closed</option>
-              </select>
-            </div>
+          <AttachmentList bug={bug} currentUser={currentUser} onDelete={onDeleteAttachment} />
 
+          <div className="bug-history">
             <button
-              className="btn-delete"
-              onClick={handleDelete}
-              disabled={isUpdating}
+              type="button"
+              className="btn-history-toggle"
+              onClick={() => setShowHistory(!showHistory)}
             >
-              Delete Bug
+              {showHistory ? 'Hide History' : 'Show History'}
             </button>
+            {showHistory && <BugHistory bugId={bug.id} updatedAt={bug.updatedAt} />}
           </div>
+
+          <CommentThread bugId={bug.id} currentUser={currentUser} />
+
+          {currentUser && (nextStatuses.length > 0 || canDelete || canEdit || canDuplicate) && (
+            <div className="bug-actions">
+              {canEdit && (
+                <button
+                  className="btn-edit"
+                  onClick={() => setIsEditing(true)}
+                  disabled={isUpdating}
+                >
+                  Edit Bug
+                </button>
+              )}
+
+              {nextStatuses.length > 0 && (
+                <div className="status-actions">
+                  <label>Update Status:</label>
+                  <select
+                    value={bug.status}
+                    onChange={(e) => handleStatusChange(e.target.value)}
+                    disabled={isUpdating}
+                    className="status-select"
+                  >
+                    <option value={bug.status}>{STATUS_LABELS[bug.status] || bug.status}</option>
+                    {nextStatuses.map(status => (
+                      <option key={status} value={status}>
+                        {getTransitionLabel(bug.status, status)}
+                      </option>
+                    ))}
+                  </select>
+                </div>
+              )}
+
+              {canDuplicate && (
+                <button
+                  className="btn-duplicate"
+                  onClick={handleMarkDuplicate}
+                  disabled={isUpdating}
+                >
+                  Mark Duplicate
+                </button>
+              )}
+
+              {canDelete && (
+                <button
+                  className="btn-delete"
+                  onClick={handleDelete}
+                  disabled={isUpdating}
+                >
+                  Delete Bug
+                </button>
+              )}
+            </div>
+          )}
         </div>
       )}
     </div>
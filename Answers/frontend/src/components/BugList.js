@@ -1,8 +1,99 @@
-import React from 'react';
+import React, { useEffect, useRef, useState } from 'react';
 import BugItem from './BugItem';
+import BulkActionToolbar from './BulkActionToolbar';
+import SortHeader from './SortHeader';
 import './BugList.css';
 
-const BugList = ({ bugs, onUpdate, onDelete, loading, error }) => {
+const BugList = ({
+  bugs,
+  onUpdate,
+  onDelete,
+  onEdit,
+  loading,
+  error,
+  total,
+  hasMore = false,
+  loadingMore = false,
+  onLoadMore,
+  onBulkAction,
+  onDeleteAttachment,
+  onMarkDuplicate,
+  expandedId = null,
+  onToggleExpand,
+  currentUser,
+  sortBy,
+  onSort
+}) => {
+  const sentinelRef = useRef(null);
+  const [selectedIds, setSelectedIds] = useState(() => new Set());
+  const [bulkFailures, setBulkFailures] = useState([]);
+  const canSelect = Boolean(currentUser && onBulkAction);
+
+  // Forget selected bugs that are no longer in the list (deleted, filtered out)
+  useEffect(() => {
+    setSelectedIds(prev => {
+      const listedIds = new Set((bugs || []).map(bug => bug.id));
+      const next = new Set([...prev].filter(id => listedIds.has(id)));
+      return next.size === prev.size ? prev : next;
+    });
+  }, [bugs]);
+
+  const toggleSelected = (id) => {
+    setSelectedIds(prev => {
+      const next = new Set(prev);
+      if (next.has(id)) {
+        next.delete(id);
+      } else {
+        next.add(id);
+      }
+      return next;
+    });
+  };
+
+  const toggleAll = () => {
+    setSelectedIds(prev => (prev.size === bugs.length ? new Set() : new Set(bugs.map(bug => bug.id))));
+  };
+
+  const clearSelection = () => {
+    setSelectedIds(new Set());
+    setBulkFailures([]);
+  };
+
+  // Failed bugs stay selected so they can be fixed and retried
+  const handleBulkApply = async (action, changes) => {
+    try {
+      const response = await onBulkAction([...selectedIds], action, changes);
+      const titles = new Map(bugs.map(bug => [bug.id, bug.title]));
+      const failed = response.data.filter(result => !result.success);
+
+      setBulkFailures(failed.map(result => ({
+        id: result.id,
+        title: titles.get(result.id) || result.id,
+        error: result.error
+      })));
+      setSelectedIds(new Set(failed.map(result => result.id)));
+    } catch (err) {
+      setBulkFailures([{ id: 'request', title: 'Bulk action failed', error: err.message }]);
+    }
+  };
+
+  // Infinite scroll: load the next page when the sentinel scrolls into view
+  useEffect(() => {
+    const sentinel = sentinelRef.current;
+    if (!sentinel || !hasMore || !onLoadMore || typeof IntersectionObserver === 'undefined') {
+      return undefined;
+    }
+
+    const observer = new IntersectionObserver((entries) => {
+      if (entries.some(entry => entry.isIntersecting)) {
+        onLoadMore();
+      }
+    }, { rootMargin: '200px' });
+
+    observer.observe(sentinel);
+    return () => observer.disconnect();
+  }, [hasMore, onLoadMore]);
+
   if (loading) {
     return (
       <div className="bug-list-container">
@@ -38,7 +129,32 @@ const BugList = ({ bugs, onUpdate, onDelete, loading, error }) => {
 
   return (
     <div className="bug-list-container">
-      <h2>Bug Reports ({bugs.length})</h2>
+      <h2>
+        Bug Reports ({total !== undefined && total > bugs.length ? `${bugs.length} of ${total}` : bugs.length})
+      </h2>
+
+      {onSort && <SortHeader sortBy={sortBy} onSort={onSort} />}
+
+      {canSelect && (
+        <label className="select-all">
+          <input
+            type="checkbox"
+            checked={selectedIds.size > 0 && selectedIds.size === bugs.length}
+            onChange={toggleAll}
+          />
+          Select all loaded bugs
+        </label>
+      )}
+
+      {canSelect && (selectedIds.size > 0 || bulkFailures.length > 0) && (
+        <BulkActionToolbar
+          selectedCount={selectedIds.size}
+          onApply={handleBulkApply}
+          onClearSelection={clearSelection}
+          failures={bulkFailures}
+        />
+      )}
+
       <div className="bug-list">
         {bugs.map(bug => (
           <BugItem
@@ -46,9 +162,29 @@ const BugList = ({ bugs, onUpdate, onDelete, loading, error }) => {
             bug={bug}
             onUpdate={onUpdate}
             onDelete={onDelete}
+            onEdit={onEdit}
+            onDeleteAttachment={onDeleteAttachment}
+            onMarkDuplicate={onMarkDuplicate}
+            currentUser={currentUser}
+            selected={selectedIds.has(bug.id)}
+            onToggleSelect={canSelect ? toggleSelected : undefined}
+            expanded={bug.id === expandedId}
+            onToggleExpand={onToggleExpand}
           />
         ))}
       </div>
+
+      {hasMore && onLoadMore && (
+        <div className="load-more" ref={sentinelRef}>
+          <button
+            className="btn-load-more"
+            onClick={onLoadMore}
+            disabled={loadingMore}
+          >
+            {loadingMore ? 'Loading...' : 'Load More'}
+          </button>
+        </div>
+      )}
     </div>
   );
 };
@@ -0,0 +1,109 @@
+import React, { useState } from 'react';
+
+const EMPTY_CHANGES = { status: '', priority: '', assignedTo: '', tags: '' };
+
+const BulkActionToolbar = ({ selectedCount, onApply, onClearSelection, failures = [] }) => {
+  const [changes, setChanges] = useState(EMPTY_CHANGES);
+  const [isApplying, setIsApplying] = useState(false);
+
+  const handleChange = (e) => {
+    const { name, value } = e.target;
+    setChanges(prev => ({ ...prev, [name]: value }));
+  };
+
+  // Only send the fields the user filled in
+  const buildChanges = () => {
+    const selected = {};
+    if (changes.status) selected.status = changes.status;
+    if (changes.priority) selected.priority = changes.priority;
+    if (changes.assignedTo.trim()) selected.assignedTo = changes.assignedTo.trim();
+    if (changes.tags.trim()) {
+      selected.tags = changes.tags.split(',').map(tag => tag.trim()).filter(tag => tag.length > 0);
+    }
+    return selected;
+  };
+
+  const runAction = async (action, actionChanges) => {
+    setIsApplying(true);
+    try {
+      await onApply(action, actionChanges);
+      setChanges(EMPTY_CHANGES);
+    } finally {
+      setIsApplying(false);
+    }
+  };
+
+  const handleApply = () => {
+    const selectedChanges = buildChanges();
+    if (Object.keys(selectedChanges).length === 0) return;
+    runAction('update', selectedChanges);
+  };
+
+  const handleDelete = () => {
+    if (window.confirm(`Delete ${selectedCount} selected bug${selectedCount === 1 ? '' : 's'}?`)) {
+      runAction('delete');
+    }
+  };
+
+  return (
+    <div className="bulk-toolbar" role="toolbar" aria-label="Bulk actions">
+      <span className="bulk-count">{selectedCount} selected</span>
+
+      <select name="status" aria-label="Bulk status" value={changes.status} onChange={handleChange}>
+        <option value="">Status...</option>
+        <option value="open">Open</option>
+        <option value="in-progress">In Progress</option>
+        <option value="resolved">Resolved</option>
+        <option value="closed">Closed</option>
+      </select>
+
+      <select name="priority" aria-label="Bulk priority" value={changes.priority} onChange={handleChange}>
+        <option value="">Priority...</option>
+        <option value="low">Low</option>
+        <option value="medium">Medium</option>
+        <option value="high">High</option>
+        <option value="critical">Critical</option>
+      </select>
+
+      <input
+        type="text"
+        name="assignedTo"
+        aria-label="Bulk assignee"
+        placeholder="Assignee"
+        value={changes.assignedTo}
+        onChange={handleChange}
+      />
+
+      <input
+        type="text"
+        name="tags"
+        aria-label="Bulk tags"
+        placeholder="Replace tags (comma-separated)"
+        value={changes.tags}
+        onChange={handleChange}
+      />
+
+      <button type="button" className="btn-bulk" onClick={handleApply} disabled={isApplying || selectedCount === 0}>
+        {isApplying ? 'Applying...' : 'Apply'}
+      </button>
+      <button type="button" className="btn-bulk btn-bulk-delete" onClick={handleDelete} disabled={isApplying || selectedCount === 0}>
+        Delete
+      </button>
+      <button type="button" className="btn-bulk-link" onClick={onClearSelection} disabled={isApplying}>
+        Clear selection
+      </button>
+
+      {failures.length > 0 && (
+        <ul className="bulk-failures">
+          {failures.map(failure => (
+            <li key={failure.id}>
+              <strong>{failure.title}:</strong> {failure.error}
+            </li>
+          ))}
+        </ul>
+      )}
+    </div>
+  );
+};
+
+export default BulkActionToolbar;
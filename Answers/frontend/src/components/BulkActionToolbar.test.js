@@ -0,0 +1,44 @@
+import { render, screen, fireEvent, waitFor } from '@testing-library/react';
+import BulkActionToolbar from './BulkActionToolbar';
+
+describe('BulkActionToolbar Component', () => {
+  test('sends only the fields that were filled in', async () => {
+    const onApply = jest.fn().mockResolvedValue();
+    render(<BulkActionToolbar selectedCount={2} onApply={onApply} onClearSelection={jest.fn()} />);
+
+    fireEvent.change(screen.getByLabelText('Bulk status'), { target: { value: 'in-progress' } });
+    fireEvent.change(screen.getByLabelText('Bulk tags'), { target: { value: 'ui, , login' } });
+    fireEvent.click(screen.getByText('Apply'));
+
+    await waitFor(() => expect(onApply).toHaveBeenCalledWith('update', {
+      status: 'in-progress',
+      tags: ['ui', 'login']
+    }));
+  });
+
+  test('asks for confirmation before deleting', () => {
+    const onApply = jest.fn().mockResolvedValue();
+    const confirmSpy = jest.spyOn(window, 'confirm').mockReturnValue(false);
+    render(<BulkActionToolbar selectedCount={3} onApply={onApply} onClearSelection={jest.fn()} />);
+
+    fireEvent.click(screen.getByText('Delete'));
+
+    expect(confirmSpy).toHaveBeenCalledWith('Delete 3 selected bugs?');
+    expect(onApply).not.toHaveBeenCalled();
+    confirmSpy.mockRestore();
+  });
+
+  test('lists the bugs that failed', () => {
+    render(
+      <BulkActionToolbar
+        selectedCount={1}
+        onApply={jest.fn()}
+        onClearSelection={jest.fn()}
+        failures={[{ id: 'a1', title: 'Login fails', error: 'Cannot move a bug from open to closed' }]}
+      />
+    );
+
+    expect(screen.getByText('Login fails:')).toBeTruthy();
+    expect(screen.getByText('Cannot move a bug from open to closed')).toBeTruthy();
+  });
+});
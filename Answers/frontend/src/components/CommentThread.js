@@ -0,0 +1,173 @@
+import React, { useEffect, useState } from 'react';
+import { getComments, addComment, updateComment, deleteComment } from '../services/bugService';
+
+const formatTimestamp = (dateString) => {
+  return new Date(dateString).toLocaleString('en-US', {
+    year: 'numeric',
+    month: 'short',
+    day: 'numeric',
+    hour: '2-digit',
+    minute: '2-digit'
+  });
+};
+
+const CommentThread = ({ bugId, currentUser }) => {
+  const [comments, setComments] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState(null);
+  const [body, setBody] = useState('');
+  const [isSubmitting, setIsSubmitting] = useState(false);
+  const [editing, setEditing] = useState({ id: null, body: '' });
+
+  useEffect(() => {
+    let cancelled = false;
+
+    const fetchComments = async () => {
+      setLoading(true);
+      try {
+        const response = await getComments(bugId);
+        if (!cancelled) setComments(response.data);
+      } catch (err) {
+        console.error('Error fetching comments:', err);
+        if (!cancelled) setError(err.message);
+      } finally {
+        if (!cancelled) setLoading(false);
+      }
+    };
+
+    fetchComments();
+    return () => {
+      cancelled = true;
+    };
+  }, [bugId]);
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+
+    if (!body.trim()) {
+      setError('Comment cannot be empty');
+      return;
+    }
+
+    setIsSubmitting(true);
+    setError(null);
+    try {
+      const response = await addComment(bugId, { body: body.trim() });
+      setComments(prev => [...prev, response.data]);
+      setBody('');
+    } catch (err) {
+      console.error('Error adding comment:', err);
+      setError(err.message);
+    } finally {
+      setIsSubmitting(false);
+    }
+  };
+
+  const handleSaveEdit = async () => {
+    try {
+      const response = await updateComment(bugId, editing.id, { body: editing.body.trim() });
+      setComments(prev => prev.map(c => (c.id === editing.id ? response.data : c)));
+      setEditing({ id: null, body: '' });
+    } catch (err) {
+      console.error('Error editing comment:', err);
+      setError(err.message);
+    }
+  };
+
+  const handleDelete = async (commentId) => {
+    if (!window.confirm('Delete this comment?')) return;
+
+    try {
+      await deleteComment(bugId, commentId);
+      setComments(prev => prev.filter(c => c.id !== commentId));
+    } catch (err) {
+      console.error('Error deleting comment:', err);
+      setError(err.message);
+    }
+  };
+
+  return (
+    <div className="comment-thread">
+      <strong>Comments ({comments.length}):</strong>
+
+      {error && <div className="error-message">{error}</div>}
+
+      {loading ? (
+        <p className="comment-empty">Loading comments...</p>
+      ) : comments.length === 0 ? (
+        <p className="comment-empty">No comments yet.</p>
+      ) : (
+        <ul className="comment-list">
+          {comments.map(comment => (
+            <li key={comment.id} className="comment">
+              <div className="comment-meta">
+                <span className="comment-author">{comment.author}</span>
+                <time dateTime={comment.createdAt}>{formatTimestamp(comment.createdAt)}</time>
+                {comment.editedAt && <span className="comment-edited">(edited)</span>}
+              </div>
+
+              {editing.id === comment.id ? (
+                <div className="comment-edit">
+                  <textarea
+                    aria-label="Edit comment"
+                    value={editing.body}
+                    onChange={(e) => setEditing({ id: comment.id, body: e.target.value })}
+                    rows="2"
+                  />
+                  <button type="button" className="btn-comment" onClick={handleSaveEdit}>Save</button>
+                  <button
+                    type="button"
+                    className="btn-comment-secondary"
+                    onClick={() => setEditing({ id: null, body: '' })}
+                  >
+                    Cancel
+                  </button>
+                </div>
+              ) : (
+                <p className="comment-body">{comment.body}</p>
+              )}
+
+              {currentUser && comment.authorId === currentUser.id && editing.id !== comment.id && (
+                <div className="comment-actions">
+                  <button
+                    type="button"
+                    className="btn-comment-link"
+                    onClick={() => setEditing({ id: comment.id, body: comment.body })}
+                  >
+                    Edit
+                  </button>
+                  <button
+                    type="button"
+                    className="btn-comment-link"
+                    onClick={() => handleDelete(comment.id)}
+                  >
+                    Delete
+                  </button>
+                </div>
+              )}
+            </li>
+          ))}
+        </ul>
+      )}
+
+      {currentUser ? (
+        <form className="comment-form" onSubmit={handleSubmit}>
+          <textarea
+            aria-label="Add a comment"
+            placeholder="Add a comment"
+            value={body}
+            onChange={(e) => setBody(e.target.value)}
+            rows="2"
+          />
+          <button type="submit" className="btn-comment" disabled={isSubmitting}>
+            {isSubmitting ? 'Posting...' : 'Comment'}
+          </button>
+        </form>
+      ) : (
+        <p className="comment-empty">Log in to join the discussion.</p>
+      )}
+    </div>
+  );
+};
+
+export default CommentThread;
@@ -0,0 +1,52 @@
+import React, { useEffect, useState } from 'react';
+import useDebounce from '../hooks/useDebounce';
+import { findDuplicateBugs } from '../services/bugService';
+
+// Titles shorter than this match too much to be worth looking up
+const MIN_TITLE_LENGTH = 3;
+
+/**
+ * Lists existing bugs that look like the report being written, in the same project if one is chosen.
+ * Links open in a new tab so the draft isn't lost.
+ */
+const DuplicateSuggestions = ({ title, description, project = '', delay = 400 }) => {
+  const [duplicates, setDuplicates] = useState([]);
+  const debouncedTitle = useDebounce(title.trim(), delay);
+  const debouncedDescription = useDebounce(description.trim(), delay);
+
+  useEffect(() => {
+    if (debouncedTitle.length < MIN_TITLE_LENGTH) {
+      setDuplicates([]);
+      return undefined;
+    }
+
+    let cancelled = false;
+    findDuplicateBugs({ title: debouncedTitle, description: debouncedDescription, project })
+      .then(response => {
+        if (!cancelled) setDuplicates(response.data);
+      })
+      .catch(err => console.error('Error looking up duplicates:', err));
+
+    return () => {
+      cancelled = true;
+    };
+  }, [debouncedTitle, debouncedDescription, project]);
+
+  if (duplicates.length === 0) return null;
+
+  return (
+    <div className="duplicate-suggestions" role="status">
+      <strong>Possible duplicates</strong>
+      <ul>
+        {duplicates.map(bug => (
+          <li key={bug.id}>
+            <a href={`/bugs/${bug.id}`} target="_blank" rel="noopener noreferrer">{bug.title}</a>
+            <span className="duplicate-meta">{bug.status} · {Math.round(bug.similarity * 100)}% similar</span>
+          </li>
+        ))}
+      </ul>
+    </div>
+  );
+};
+
+export default DuplicateSuggestions;
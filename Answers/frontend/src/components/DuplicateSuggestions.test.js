@@ -0,0 +1,48 @@
+import { render, screen, act } from '@testing-library/react';
+import DuplicateSuggestions from './DuplicateSuggestions';
+import { findDuplicateBugs } from '../services/bugService';
+
+jest.mock('../services/bugService', () => ({
+  findDuplicateBugs: jest.fn()
+}));
+
+describe('DuplicateSuggestions Component', () => {
+  beforeEach(() => {
+    jest.useFakeTimers();
+    findDuplicateBugs.mockReset();
+  });
+
+  afterEach(() => {
+    jest.useRealTimers();
+  });
+
+  test('lists similar bugs once typing has paused', async () => {
+    findDuplicateBugs.mockResolvedValue({
+      data: [{ id: 'b1', title: 'Login button broken', status: 'open', similarity: 0.62 }]
+    });
+
+    const { rerender } = render(<DuplicateSuggestions title="" description="" delay={300} />);
+    rerender(<DuplicateSuggestions title="Login button" description="" delay={300} />);
+    expect(findDuplicateBugs).not.toHaveBeenCalled();
+
+    await act(async () => {
+      jest.advanceTimersByTime(300);
+    });
+
+    expect(findDuplicateBugs).toHaveBeenCalledWith({ title: 'Login button', description: '', project: '' });
+    const link = screen.getByText('Login button broken');
+    expect(link.getAttribute('href')).toBe('/bugs/b1');
+    expect(screen.getByText(/62% similar/)).toBeTruthy();
+  });
+
+  test('does not look up short titles', async () => {
+    render(<DuplicateSuggestions title="ab" description="" delay={300} />);
+
+    await act(async () => {
+      jest.advanceTimersByTime(300);
+    });
+
+    expect(findDuplicateBugs).not.toHaveBeenCalled();
+    expect(screen.queryByText(/possible duplicates/i)).toBeNull();
+  });
+});
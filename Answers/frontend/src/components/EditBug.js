@@ -0,0 +1,46 @@
+import React from 'react';
+import { Link, useNavigate, useParams } from 'react-router-dom';
+import BugEditor from './BugEditor';
+import useBug from '../hooks/useBug';
+
+const EditBug = ({ currentUser, onEdit }) => {
+  const { id } = useParams();
+  const navigate = useNavigate();
+  const { bug, loading, error } = useBug(id);
+
+  const handleSave = async (base, bugData) => {
+    await onEdit(base, bugData);
+    navigate(`/bugs/${id}`);
+  };
+
+  if (!currentUser) {
+    return (
+      <section className="form-section">
+        <p className="login-hint">Log in to edit this bug.</p>
+      </section>
+    );
+  }
+
+  return (
+    <section className="form-section">
+      <nav className="bug-detail-nav">
+        <Link to={`/bugs/${id}`}>← Back to bug</Link>
+      </nav>
+
+      {loading && !bug && <div className="loading">Loading bug...</div>}
+      {error && <div className="error-message">{error}</div>}
+
+      {bug && (
+        <BugEditor
+          key={bug.id}
+          bug={bug}
+          currentUser={currentUser}
+          onSave={handleSave}
+          onCancel={() => navigate(`/bugs/${id}`)}
+        />
+      )}
+    </section>
+  );
+};
+
+export default EditBug;
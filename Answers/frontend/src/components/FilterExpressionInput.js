@@ -0,0 +1,108 @@
+import React, { useEffect, useMemo, useState } from 'react';
+import { getFilterSuggestions } from '../utils/filterExpression';
+
+const SUGGESTIONS_ID = 'filter-expression-suggestions';
+
+const FilterExpressionInput = ({ value = '', onApply, values }) => {
+  const [expression, setExpression] = useState(value);
+  const [open, setOpen] = useState(false);
+  const [highlighted, setHighlighted] = useState(-1);
+
+  // Keep the input in sync when the filter is cleared from outside
+  useEffect(() => {
+    setExpression(value);
+  }, [value]);
+
+  const suggestions = useMemo(
+    () => (open ? getFilterSuggestions(expression, { values }) : []),
+    [open, expression, values]
+  );
+
+  const handleChange = (e) => {
+    setExpression(e.target.value);
+    setOpen(true);
+    setHighlighted(-1);
+  };
+
+  const acceptSuggestion = (suggestion) => {
+    setExpression(suggestion.value);
+    setHighlighted(-1);
+  };
+
+  const apply = () => {
+    setOpen(false);
+    if (expression.trim() !== value.trim()) {
+      onApply(expression.trim());
+    }
+  };
+
+  const handleKeyDown = (e) => {
+    if (e.key === 'ArrowDown' && suggestions.length > 0) {
+      e.preventDefault();
+      setOpen(true);
+      setHighlighted((highlighted + 1) % suggestions.length);
+    } else if (e.key === 'ArrowUp' && suggestions.length > 0) {
+      e.preventDefault();
+      setHighlighted(highlighted <= 0 ? suggestions.length - 1 : highlighted - 1);
+    } else if ((e.key === 'Enter' || e.key === 'Tab') && highlighted >= 0 && suggestions[highlighted]) {
+      e.preventDefault();
+      acceptSuggestion(suggestions[highlighted]);
+    } else if (e.key === 'Enter') {
+      e.preventDefault();
+      apply();
+    } else if (e.key === 'Escape') {
+      setOpen(false);
+      setHighlighted(-1);
+    }
+  };
+
+  return (
+    <div className="filter-expression">
+      <label htmlFor="filter-expression">Filter:</label>
+      <div className="filter-expression-field">
+        <input
+          type="text"
+          id="filter-expression"
+          role="combobox"
+          aria-autocomplete="list"
+          aria-expanded={suggestions.length > 0}
+          aria-controls={SUGGESTIONS_ID}
+          aria-activedescendant={highlighted >= 0 ? `${SUGGESTIONS_ID}-${highlighted}` : undefined}
+          autoComplete="off"
+          spellCheck={false}
+          value={expression}
+          onChange={handleChange}
+          onKeyDown={handleKeyDown}
+          onFocus={() => setOpen(true)}
+          onBlur={() => setOpen(false)}
+          placeholder="status:open priority:>=high assignee:me"
+        />
+        {suggestions.length > 0 && (
+          <ul className="filter-suggestions" id={SUGGESTIONS_ID} role="listbox">
+            {suggestions.map((suggestion, index) => (
+              <li
+                key={suggestion.value}
+                id={`${SUGGESTIONS_ID}-${index}`}
+                role="option"
+                aria-selected={index === highlighted}
+                className={index === highlighted ? 'highlighted' : ''}
+                // mousedown fires before the input's blur, which would close the list
+                onMouseDown={(e) => {
+                  e.preventDefault();
+                  acceptSuggestion(suggestion);
+                }}
+              >
+                {suggestion.label}
+              </li>
+            ))}
+          </ul>
+        )}
+      </div>
+      <button type="button" className="btn-apply-filter" onClick={apply}>
+        Apply
+      </button>
+    </div>
+  );
+};
+
+export default FilterExpressionInput;
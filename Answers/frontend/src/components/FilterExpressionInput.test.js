@@ -0,0 +1,50 @@
+import { render, screen, fireEvent } from '@testing-library/react';
+import FilterExpressionInput from './FilterExpressionInput';
+
+describe('FilterExpressionInput Component', () => {
+  test('suggests fields and completes the highlighted one with the keyboard', () => {
+    render(<FilterExpressionInput onApply={jest.fn()} />);
+
+    const input = screen.getByLabelText(/filter/i);
+    fireEvent.change(input, { target: { value: 'pri' } });
+
+    expect(screen.getAllByRole('option').map(option => option.textContent)).toEqual(['priority:']);
+
+    fireEvent.keyDown(input, { key: 'ArrowDown' });
+    fireEvent.keyDown(input, { key: 'Enter' });
+
+    expect(input.value).toBe('priority:');
+    expect(screen.getAllByRole('option').map(option => option.textContent)).toEqual(['low', 'medium', 'high', 'critical']);
+  });
+
+  test('completes a value when a suggestion is clicked', () => {
+    render(<FilterExpressionInput onApply={jest.fn()} />);
+
+    const input = screen.getByLabelText(/filter/i);
+    fireEvent.change(input, { target: { value: 'status:op' } });
+    fireEvent.mouseDown(screen.getByRole('option', { name: 'open' }));
+
+    expect(input.value).toBe('status:open');
+  });
+
+  test('applies the expression on Enter', () => {
+    const onApply = jest.fn();
+    render(<FilterExpressionInput onApply={onApply} />);
+
+    const input = screen.getByLabelText(/filter/i);
+    fireEvent.change(input, { target: { value: 'status:open assignee:me ' } });
+    fireEvent.keyDown(input, { key: 'Enter' });
+
+    expect(onApply).toHaveBeenCalledWith('status:open assignee:me');
+    expect(screen.queryByRole('listbox')).toBeNull();
+  });
+
+  test('does not apply the current expression again', () => {
+    const onApply = jest.fn();
+    render(<FilterExpressionInput value="tag:ui" onApply={onApply} />);
+
+    fireEvent.click(screen.getByRole('button', { name: /apply/i }));
+
+    expect(onApply).not.toHaveBeenCalled();
+  });
+});
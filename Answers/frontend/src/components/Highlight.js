@@ -0,0 +1,24 @@
+import React from 'react';
+
+/**
+ * Renders text containing <mark> tags from the search API as React elements,
+ * without injecting raw HTML.
+ */
+const Highlight = ({ text }) => {
+  if (!text) return null;
+
+  const parts = text.split(/(<mark>.*?<\/mark>)/g).filter(part => part.length > 0);
+
+  return (
+    <>
+      {parts.map((part, index) => {
+        const match = part.match(/^<mark>(.*)<\/mark>$/);
+        return match
+          ? <mark key={index} className="search-highlight">{match[1]}</mark>
+          : <React.Fragment key={index}>{part}</React.Fragment>;
+      })}
+    </>
+  );
+};
+
+export default Highlight;
@@ -0,0 +1,172 @@
+import React, { useState } from 'react';
+import { importBugs } from '../services/bugService';
+
+// Pick the format from the file name; anything that isn't .json is read as CSV
+const detectFormat = (fileName) => (/\.json$/i.test(fileName) ? 'json' : 'csv');
+
+// Bugs are imported into the project chosen in the header
+const ImportBugs = ({ project, onImported }) => {
+  const [format, setFormat] = useState('csv');
+  const [content, setContent] = useState('');
+  const [preview, setPreview] = useState(null);
+  const [result, setResult] = useState(null);
+  const [error, setError] = useState(null);
+  const [isSubmitting, setIsSubmitting] = useState(false);
+
+  const resetResults = () => {
+    setPreview(null);
+    setResult(null);
+    setError(null);
+  };
+
+  const handleFileChange = async (e) => {
+    const file = e.target.files[0];
+    if (!file) return;
+
+    resetResults();
+    setFormat(detectFormat(file.name));
+    setContent(await file.text());
+  };
+
+  // JSON is parsed here so syntax errors are reported before anything is sent
+  const getPayload = () => {
+    if (format === 'csv') return content;
+    try {
+      return JSON.parse(content);
+    } catch (err) {
+      throw new Error(`Invalid JSON: ${err.message}`);
+    }
+  };
+
+  const runImport = async (dryRun) => {
+    setIsSubmitting(true);
+    setError(null);
+    try {
+      const response = await importBugs(getPayload(), format, { project, dryRun });
+      if (dryRun) {
+        setPreview(response);
+      } else {
+        setResult(response);
+        setPreview(null);
+        setContent('');
+        if (onImported) onImported(response);
+      }
+    } catch (err) {
+      console.error('Error importing bugs:', err);
+      setError(err.message);
+    } finally {
+      setIsSubmitting(false);
+    }
+  };
+
+  if (!project) {
+    return <p className="login-hint">Choose a project to import bugs into.</p>;
+  }
+
+  return (
+    <div className="import-bugs">
+      {error && <div className="error-message">{error}</div>}
+
+      <div className="import-source">
+        <input
+          type="file"
+          accept=".csv,.json,text/csv,application/json"
+          aria-label="Import file"
+          onChange={handleFileChange}
+        />
+        <select
+          aria-label="Import format"
+          value={format}
+          onChange={(e) => {
+            setFormat(e.target.value);
+            resetResults();
+          }}
+        >
+          <option value="csv">CSV</option>
+          <option value="json">JSON</option>
+        </select>
+      </div>
+
+      <textarea
+        className="import-content"
+        aria-label="Import data"
+        placeholder={format === 'csv'
+          ? 'title,description,priority,status,assignedTo,tags'
+          : '[{ "title": "...", "description": "..." }]'}
+        value={content}
+        onChange={(e) => {
+          setContent(e.target.value);
+          resetResults();
+        }}
+        rows="6"
+      />
+
+      <div className="import-actions">
+        <button
+          type="button"
+          className="btn-secondary"
+          onClick={() => runImport(true)}
+          disabled={isSubmitting || !content.trim()}
+        >
+          {isSubmitting && !preview ? 'Checking...' : 'Preview'}
+        </button>
+        {preview && preview.validCount > 0 && (
+          <button
+            type="button"
+            className="btn-primary"
+            onClick={() => runImport(false)}
+            disabled={isSubmitting}
+          >
+            {isSubmitting ? 'Importing...' : `Import ${preview.validCount} valid bug${preview.validCount === 1 ? '' : 's'}`}
+          </button>
+        )}
+      </div>
+
+      {result && (
+        <p className="import-summary">
+          Imported {result.importedCount} of {result.total} bugs
+          {result.invalidCount > 0 && `, skipped ${result.invalidCount} with errors`}.
+        </p>
+      )}
+
+      {preview && (
+        <>
+          <p className="import-summary">
+            {preview.validCount} of {preview.total} rows are valid.
+            {preview.invalidCount > 0 && ' Rows with errors will be skipped.'}
+          </p>
+          <table className="import-preview">
+            <thead>
+              <tr>
+                <th>Row</th>
+                <th>Title</th>
+                <th>Priority</th>
+                <th>Status</th>
+                <th>Result</th>
+              </tr>
+            </thead>
+            <tbody>
+              {preview.data.map(row => (
+                <tr key={row.row} className={row.valid ? 'import-row-valid' : 'import-row-invalid'}>
+                  <td>{row.row}</td>
+                  <td>{row.data.title || <em>missing</em>}</td>
+                  <td>{row.data.priority || 'medium'}</td>
+                  <td>{row.data.status || 'open'}</td>
+                  <td>
+                    {row.valid ? 'OK' : (
+                      <ul className="import-errors">
+                        {row.errors.map(message => <li key={message}>{message}</li>)}
+                      </ul>
+                    )}
+                  </td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        </>
+      )}
+    </div>
+  );
+};
+
+export default ImportBugs;
@@ -0,0 +1,58 @@
+import { render, screen, fireEvent } from '@testing-library/react';
+import ImportBugs from './ImportBugs';
+import { importBugs } from '../services/bugService';
+
+jest.mock('../services/bugService', () => ({
+  importBugs: jest.fn()
+}));
+
+describe('ImportBugs Component', () => {
+  afterEach(() => {
+    jest.clearAllMocks();
+  });
+
+  test('previews rows with their errors using a dry run', async () => {
+    importBugs.mockResolvedValue({
+      dryRun: true,
+      total: 2,
+      validCount: 1,
+      invalidCount: 1,
+      data: [
+        { row: 1, valid: true, errors: [], data: { title: 'Crash on save' } },
+        { row: 2, valid: false, errors: ['Invalid priority'], data: { title: 'Bad row' } }
+      ]
+    });
+    render(<ImportBugs project="p1" />);
+
+    fireEvent.change(screen.getByLabelText(/import data/i), {
+      target: { value: 'title,priority\nCrash on save,high\nBad row,urgent' }
+    });
+    fireEvent.click(screen.getByText('Preview'));
+
+    expect(await screen.findByText('Invalid priority')).toBeTruthy();
+    expect(importBugs).toHaveBeenCalledWith(
+      'title,priority\nCrash on save,high\nBad row,urgent',
+      'csv',
+      { project: 'p1', dryRun: true }
+    );
+    expect(screen.getByText('Import 1 valid bug')).toBeTruthy();
+  });
+
+  test('asks for a project before importing', () => {
+    render(<ImportBugs />);
+
+    expect(screen.getByText(/choose a project/i)).toBeTruthy();
+    expect(screen.queryByLabelText(/import data/i)).toBeNull();
+  });
+
+  test('reports invalid JSON without calling the server', async () => {
+    render(<ImportBugs project="p1" />);
+
+    fireEvent.change(screen.getByLabelText(/import format/i), { target: { value: 'json' } });
+    fireEvent.change(screen.getByLabelText(/import data/i), { target: { value: '[{ broken' } });
+    fireEvent.click(screen.getByText('Preview'));
+
+    expect(await screen.findByText(/Invalid JSON/)).toBeTruthy();
+    expect(importBugs).not.toHaveBeenCalled();
+  });
+});
@@ -0,0 +1,25 @@
+import React from 'react';
+
+/**
+ * Header control that picks the project the list, form and dashboards work on.
+ * An empty value shows every project.
+ */
+const ProjectSwitcher = ({ projects, value, onChange }) => {
+  return (
+    <div className="project-switcher">
+      <label htmlFor="project-switcher">Project:</label>
+      <select
+        id="project-switcher"
+        value={value}
+        onChange={(e) => onChange(e.target.value)}
+      >
+        <option value="">All Projects</option>
+        {projects.map(project => (
+          <option key={project.id} value={project.id}>{project.name}</option>
+        ))}
+      </select>
+    </div>
+  );
+};
+
+export default ProjectSwitcher;
@@ -0,0 +1,23 @@
+import { render, screen, fireEvent } from '@testing-library/react';
+import ProjectSwitcher from './ProjectSwitcher';
+
+describe('ProjectSwitcher Component', () => {
+  const projects = [{ id: 'p1', name: 'API' }, { id: 'p2', name: 'Web App' }];
+
+  test('lists every project after the all-projects option', () => {
+    render(<ProjectSwitcher projects={projects} value="p2" onChange={jest.fn()} />);
+
+    const select = screen.getByLabelText(/project/i);
+    expect(Array.from(select.options).map(option => option.text)).toEqual(['All Projects', 'API', 'Web App']);
+    expect(select.value).toBe('p2');
+  });
+
+  test('reports the chosen project', () => {
+    const onChange = jest.fn();
+    render(<ProjectSwitcher projects={projects} value="" onChange={onChange} />);
+
+    fireEvent.change(screen.getByLabelText(/project/i), { target: { value: 'p1' } });
+
+    expect(onChange).toHaveBeenCalledWith('p1');
+  });
+});
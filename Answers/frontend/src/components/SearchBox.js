@@ -0,0 +1,41 @@
+import React, { useEffect, useRef, useState } from 'react';
+import useDebounce from '../hooks/useDebounce';
+
+const SearchBox = ({ value = '', onSearch, delay = 300 }) => {
+  const [query, setQuery] = useState(value);
+  const debouncedQuery = useDebounce(query, delay);
+
+  // Keep the input in sync when the search is cleared from outside
+  useEffect(() => {
+    setQuery(value);
+  }, [value]);
+
+  // Searches only run when the typed query settles, so they read the latest props from refs
+  const onSearchRef = useRef(onSearch);
+  const valueRef = useRef(value);
+  useEffect(() => {
+    onSearchRef.current = onSearch;
+    valueRef.current = value;
+  }, [onSearch, value]);
+
+  useEffect(() => {
+    if (debouncedQuery.trim() !== valueRef.current.trim()) {
+      onSearchRef.current(debouncedQuery.trim());
+    }
+  }, [debouncedQuery]);
+
+  return (
+    <div className="search-box">
+      <label htmlFor="bug-search">Search:</label>
+      <input
+        type="search"
+        id="bug-search"
+        value={query}
+        onChange={(e) => setQuery(e.target.value)}
+        placeholder="Search title, description and tags"
+      />
+    </div>
+  );
+};
+
+export default SearchBox;
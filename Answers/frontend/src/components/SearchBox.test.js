@@ -0,0 +1,51 @@
+import { render, screen, fireEvent, act } from '@testing-library/react';
+import SearchBox from './SearchBox';
+import Highlight from './Highlight';
+
+describe('SearchBox Component', () => {
+  beforeEach(() => {
+    jest.useFakeTimers();
+  });
+
+  afterEach(() => {
+    jest.useRealTimers();
+  });
+
+  test('calls onSearch once typing has paused', () => {
+    const mockOnSearch = jest.fn();
+    render(<SearchBox onSearch={mockOnSearch} delay={300} />);
+
+    const input = screen.getByLabelText(/search/i);
+    fireEvent.change(input, { target: { value: 'cra' } });
+    fireEvent.change(input, { target: { value: 'crash' } });
+
+    expect(mockOnSearch).not.toHaveBeenCalled();
+
+    act(() => {
+      jest.advanceTimersByTime(300);
+    });
+
+    expect(mockOnSearch).toHaveBeenCalledTimes(1);
+    expect(mockOnSearch).toHaveBeenCalledWith('crash');
+  });
+
+  test('does not search again for the current value', () => {
+    const mockOnSearch = jest.fn();
+    render(<SearchBox value="crash" onSearch={mockOnSearch} />);
+
+    act(() => {
+      jest.advanceTimersByTime(500);
+    });
+
+    expect(mockOnSearch).not.toHaveBeenCalled();
+  });
+});
+
+describe('Highlight Component', () => {
+  test('renders marked terms as mark elements', () => {
+    render(<Highlight text="Login <mark>crash</mark> on submit" />);
+
+    expect(screen.getByText('crash').tagName).toBe('MARK');
+    expect(screen.queryByText(/<mark>/)).toBeNull();
+  });
+});
@@ -0,0 +1,37 @@
+import React from 'react';
+import { SORT_COLUMNS, parseSort, toggleSort } from '../utils/bugSort';
+
+const SortHeader = ({ sortBy = '', onSort }) => {
+  const keys = parseSort(sortBy);
+
+  return (
+    <div className="sort-header" role="group" aria-label="Sort bugs">
+      <span className="sort-header-label">Sort by:</span>
+      {SORT_COLUMNS.map(column => {
+        const position = keys.findIndex(item => item.key === column.key);
+        const active = keys[position];
+
+        return (
+          <button
+            key={column.key}
+            type="button"
+            className={`sort-button${active ? ' active' : ''}`}
+            aria-pressed={Boolean(active)}
+            title="Click to sort by this column, Shift+click to add it as a tie-breaker"
+            onClick={(e) => onSort(toggleSort(sortBy, column.key, { append: e.shiftKey }))}
+          >
+            {column.label}
+            {active && (
+              <span className="sort-indicator">
+                {active.direction === 'desc' ? ' ▼' : ' ▲'}
+                {keys.length > 1 && <sup>{position + 1}</sup>}
+              </span>
+            )}
+          </button>
+        );
+      })}
+    </div>
+  );
+};
+
+export default SortHeader;
@@ -0,0 +1,24 @@
+import { render, screen, fireEvent } from '@testing-library/react';
+import SortHeader from './SortHeader';
+
+describe('SortHeader Component', () => {
+  test('marks the columns in the current sort', () => {
+    render(<SortHeader sortBy="-priority,title" onSort={jest.fn()} />);
+
+    expect(screen.getByRole('button', { name: /priority/i }).getAttribute('aria-pressed')).toBe('true');
+    expect(screen.getByRole('button', { name: /title/i }).getAttribute('aria-pressed')).toBe('true');
+    expect(screen.getByRole('button', { name: /created/i }).getAttribute('aria-pressed')).toBe('false');
+    expect(screen.getByRole('button', { name: /priority/i }).textContent).toBe('Priority ▼1');
+  });
+
+  test('sorts by a clicked column and adds tie-breakers on shift-click', () => {
+    const onSort = jest.fn();
+    render(<SortHeader sortBy="-created" onSort={onSort} />);
+
+    fireEvent.click(screen.getByRole('button', { name: /status/i }));
+    fireEvent.click(screen.getByRole('button', { name: /priority/i }), { shiftKey: true });
+
+    expect(onSort).toHaveBeenNthCalledWith(1, 'status');
+    expect(onSort).toHaveBeenNthCalledWith(2, '-created,-priority');
+  });
+});
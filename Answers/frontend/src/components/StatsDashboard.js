@@ -0,0 +1,179 @@
+import React, { useCallback, useEffect, useState } from 'react';
+import { getBugStats } from '../services/bugService';
+
+const STATUS_CARDS = [
+  { value: 'open', label: 'Open' },
+  { value: 'in-progress', label: 'In Progress' },
+  { value: 'resolved', label: 'Resolved' },
+  { value: 'closed', label: 'Closed' }
+];
+
+const PRIORITY_CARDS = [
+  { value: 'critical', label: 'Critical' },
+  { value: 'high', label: 'High' },
+  { value: 'medium', label: 'Medium' },
+  { value: 'low', label: 'Low' }
+];
+
+// The stats endpoint returns [{ _id, count }]; cards look counts up by value
+const toCounts = (groups = []) => groups.reduce((counts, group) => ({ ...counts, [group._id]: group.count }), {});
+
+const StatsDashboard = ({ filter, onFilter }) => {
+  const [stats, setStats] = useState(null);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState(null);
+
+  const fetchStats = useCallback(async () => {
+    setLoading(true);
+    setError(null);
+    try {
+      const response = await getBugStats({ project: filter.project });
+      setStats(response.data);
+    } catch (err) {
+      console.error('Error fetching bug stats:', err);
+      setError(err.message);
+    } finally {
+      setLoading(false);
+    }
+  }, [filter.project]);
+
+  useEffect(() => {
+    fetchStats();
+  }, [fetchStats]);
+
+  // Clicking the card of the active filter clears it again
+  const renderCards = (field, cards, counts) => (
+    <div className="stat-cards">
+      {cards.map(card => {
+        const active = filter[field] === card.value;
+        return (
+          <button
+            key={card.value}
+            type="button"
+            className={`stat-card stat-card-${card.value}${active ? ' active' : ''}`}
+            aria-pressed={active}
+            onClick={() => onFilter({ [field]: active ? '' : card.value })}
+          >
+            <span className="stat-count">{counts[card.value] || 0}</span>
+            <span className="stat-label">{card.label}</span>
+          </button>
+        );
+      })}
+    </div>
+  );
+
+  if (loading && !stats) {
+    return <p className="chart-empty">Loading statistics...</p>;
+  }
+
+  if (error && !stats) {
+    return <div className="error-message">{error}</div>;
+  }
+
+  return (
+    <div className="stats-dashboard">
+      <div className="stats-toolbar">
+        <button type="button" className="btn-refresh" onClick={fetchStats} disabled={loading}>
+          {loading ? 'Refreshing...' : 'Refresh'}
+        </button>
+      </div>
+
+      {error && <div className="error-message">{error}</div>}
+
+      <section className="stats-panel">
+        <h3>By Status</h3>
+        {renderCards('status', STATUS_CARDS, toCounts(stats.byStatus))}
+      </section>
+
+      <section className="stats-panel">
+        <h3>By Priority</h3>
+        {renderCards('priority', PRIORITY_CARDS, toCounts(stats.byPriority))}
+      </section>
+
+      {/* Only sent across all projects; picking a row switches to that project */}
+      {stats.byProject && stats.byProject.length > 0 && (
+        <section className="stats-panel">
+          <h3>By Project</h3>
+          <table className="workload-table">
+            <thead>
+              <tr>
+                <th scope="col">Project</th>
+                <th scope="col">Bugs</th>
+                <th scope="col">Unresolved</th>
+                <th scope="col">Critical</th>
+              </tr>
+            </thead>
+            <tbody>
+              {stats.byProject.map(row => (
+                <tr key={row._id || 'none'}>
+                  <td>
+                    {row._id ? (
+                      <button
+                        type="button"
+                        className="btn-link"
+                        onClick={() => onFilter({ project: row._id, component: '' })}
+                      >
+                        {row.name}
+                      </button>
+                    ) : <em>No project</em>}
+                  </td>
+                  <td>{row.count}</td>
+                  <td>{row.unresolved}</td>
+                  <td>{row.critical}</td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        </section>
+      )}
+
+      <div className="trends-grid">
+        <section className="trend-panel">
+          <h3>Workload</h3>
+          {stats.byAssignee.length === 0 ? (
+            <p className="chart-empty">No unresolved bugs.</p>
+          ) : (
+            <table className="workload-table">
+              <thead>
+                <tr>
+                  <th scope="col">Assignee</th>
+                  <th scope="col">Unresolved</th>
+                  <th scope="col">Critical</th>
+                </tr>
+              </thead>
+              <tbody>
+                {stats.byAssignee.map(row => (
+                  <tr key={row._id || 'unassigned'}>
+                    <td>{row._id || <em>Unassigned</em>}</td>
+                    <td>{row.count}</td>
+                    <td>{row.critical}</td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          )}
+        </section>
+
+        <section className="trend-panel">
+          <h3>Recent Critical Bugs</h3>
+          {stats.recentCritical.length === 0 ? (
+            <p className="chart-empty">No unresolved critical bugs.</p>
+          ) : (
+            <ul className="recent-critical">
+              {stats.recentCritical.map(bug => (
+                <li key={bug.id}>
+                  <span className="recent-critical-title">{bug.title}</span>
+                  <span className="recent-critical-meta">
+                    {bug.status} · {bug.assignedTo || 'Unassigned'} · {new Date(bug.createdAt).toLocaleDateString()}
+                  </span>
+                </li>
+              ))}
+            </ul>
+          )}
+        </section>
+      </div>
+    </div>
+  );
+};
+
+export default StatsDashboard;
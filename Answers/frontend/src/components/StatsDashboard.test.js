@@ -0,0 +1,72 @@
+import { render, screen, fireEvent } from '@testing-library/react';
+import StatsDashboard from './StatsDashboard';
+import { getBugStats } from '../services/bugService';
+
+jest.mock('../services/bugService', () => ({
+  getBugStats: jest.fn()
+}));
+
+const stats = {
+  byStatus: [{ _id: 'open', count: 4 }, { _id: 'closed', count: 2 }],
+  byPriority: [{ _id: 'critical', count: 1 }, { _id: 'low', count: 5 }],
+  byAssignee: [{ _id: 'Jane', count: 3, critical: 1 }, { _id: null, count: 1, critical: 0 }],
+  recentCritical: [
+    { id: '1', title: 'Crash on save', status: 'open', assignedTo: 'Jane', createdAt: '2024-01-15T10:00:00.000Z' }
+  ]
+};
+
+const emptyFilter = { project: '', status: '', priority: '', q: '' };
+
+describe('StatsDashboard Component', () => {
+  beforeEach(() => {
+    getBugStats.mockResolvedValue({ success: true, data: stats });
+  });
+
+  afterEach(() => {
+    jest.clearAllMocks();
+  });
+
+  test('shows the breakdowns, workload and recent critical bugs', async () => {
+    render(<StatsDashboard filter={emptyFilter} onFilter={jest.fn()} />);
+
+    expect(await screen.findByText('Crash on save')).toBeTruthy();
+    expect(screen.getByRole('button', { name: /4 open/i })).toBeTruthy();
+    expect(screen.getByRole('button', { name: /0 in progress/i })).toBeTruthy();
+    expect(screen.getByText('Jane')).toBeTruthy();
+    expect(screen.getByText('Unassigned')).toBeTruthy();
+  });
+
+  test('applies the filter of a clicked card', async () => {
+    const onFilter = jest.fn();
+    render(<StatsDashboard filter={emptyFilter} onFilter={onFilter} />);
+
+    fireEvent.click(await screen.findByRole('button', { name: /1 critical/i }));
+
+    expect(onFilter).toHaveBeenCalledWith({ priority: 'critical' });
+  });
+
+  test('clears the filter when its active card is clicked again', async () => {
+    const onFilter = jest.fn();
+    render(<StatsDashboard filter={{ ...emptyFilter, status: 'open' }} onFilter={onFilter} />);
+
+    const card = await screen.findByRole('button', { name: /4 open/i });
+    expect(card.getAttribute('aria-pressed')).toBe('true');
+    fireEvent.click(card);
+
+    expect(onFilter).toHaveBeenCalledWith({ status: '' });
+  });
+
+  test('breaks the totals down per project and switches to a clicked project', async () => {
+    getBugStats.mockResolvedValue({
+      success: true,
+      data: { ...stats, byProject: [{ _id: 'p1', name: 'API', count: 6, unresolved: 4, critical: 1 }] }
+    });
+    const onFilter = jest.fn();
+    render(<StatsDashboard filter={emptyFilter} onFilter={onFilter} />);
+
+    fireEvent.click(await screen.findByRole('button', { name: 'API' }));
+
+    expect(getBugStats).toHaveBeenCalledWith({ project: '' });
+    expect(onFilter).toHaveBeenCalledWith({ project: 'p1', component: '' });
+  });
+});
@@ -0,0 +1,81 @@
+import React from 'react';
+import { formatPeriodLabel } from '../utils/trends';
+
+const WIDTH = 600;
+const HEIGHT = 220;
+const PADDING = { top: 16, right: 16, bottom: 28, left: 36 };
+
+const SERIES = [
+  { key: 'opened', label: 'Opened', color: '#667eea' },
+  { key: 'resolved', label: 'Resolved', color: '#48bb78' }
+];
+
+const TrendLineChart = ({ points, interval }) => {
+  if (points.length === 0) {
+    return <p className="chart-empty">No data for this range.</p>;
+  }
+
+  const plotWidth = WIDTH - PADDING.left - PADDING.right;
+  const plotHeight = HEIGHT - PADDING.top - PADDING.bottom;
+  const maxValue = Math.max(1, ...points.flatMap(point => SERIES.map(series => point[series.key])));
+
+  const x = (index) => PADDING.left + (points.length === 1 ? plotWidth / 2 : (index / (points.length - 1)) * plotWidth);
+  const y = (value) => PADDING.top + plotHeight - (value / maxValue) * plotHeight;
+
+  // Label the first, middle and last periods so long ranges stay readable
+  const labelled = [...new Set([0, Math.floor((points.length - 1) / 2), points.length - 1])];
+
+  return (
+    <figure className="trend-chart">
+      <svg
+        viewBox={`0 0 ${WIDTH} ${HEIGHT}`}
+        role="img"
+        aria-label="Bugs opened and resolved per period"
+      >
+        <line className="chart-axis" x1={PADDING.left} y1={y(0)} x2={WIDTH - PADDING.right} y2={y(0)} />
+        <line className="chart-axis" x1={PADDING.left} y1={PADDING.top} x2={PADDING.left} y2={y(0)} />
+        <text className="chart-label" x={PADDING.left - 6} y={y(maxValue) + 4} textAnchor="end">{maxValue}</text>
+        <text className="chart-label" x={PADDING.left - 6} y={y(0) + 4} textAnchor="end">0</text>
+
+        {labelled.map(index => (
+          <text
+            key={index}
+            className="chart-label"
+            x={x(index)}
+            y={HEIGHT - 8}
+            textAnchor={index === 0 ? 'start' : index === points.length - 1 ? 'end' : 'middle'}
+          >
+            {formatPeriodLabel(points[index].period, interval)}
+          </text>
+        ))}
+
+        {SERIES.map(series => (
+          <g key={series.key}>
+            <polyline
+              fill="none"
+              stroke={series.color}
+              strokeWidth="2"
+              points={points.map((point, index) => `${x(index)},${y(point[series.key])}`).join(' ')}
+            />
+            {points.map((point, index) => (
+              <circle key={point.period} cx={x(index)} cy={y(point[series.key])} r="3" fill={series.color}>
+                <title>{`${formatPeriodLabel(point.period, interval)}: ${point[series.key]} ${series.label.toLowerCase()}`}</title>
+              </circle>
+            ))}
+          </g>
+        ))}
+      </svg>
+
+      <figcaption className="chart-legend">
+        {SERIES.map(series => (
+          <span key={series.key}>
+            <span className="legend-swatch" style={{ backgroundColor: series.color }} />
+            {series.label}
+          </span>
+        ))}
+      </figcaption>
+    </figure>
+  );
+};
+
+export default TrendLineChart;
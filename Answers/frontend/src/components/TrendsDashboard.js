@@ -0,0 +1,106 @@
+import React, { useEffect, useState } from 'react';
+import TrendLineChart from './TrendLineChart';
+import BarChart from './BarChart';
+import { getBugTrends } from '../services/bugService';
+import { getDefaultTrendRange, formatDuration } from '../utils/trends';
+
+const TrendsDashboard = ({ project = '' }) => {
+  const [range, setRange] = useState(getDefaultTrendRange);
+  const [trends, setTrends] = useState(null);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState(null);
+
+  useEffect(() => {
+    let cancelled = false;
+
+    const fetchTrends = async () => {
+      setLoading(true);
+      setError(null);
+      try {
+        const response = await getBugTrends({ ...range, project });
+        if (!cancelled) setTrends(response.data);
+      } catch (err) {
+        console.error('Error fetching bug trends:', err);
+        if (!cancelled) setError(err.message);
+      } finally {
+        if (!cancelled) setLoading(false);
+      }
+    };
+
+    fetchTrends();
+    return () => {
+      cancelled = true;
+    };
+  }, [range, project]);
+
+  const handleRangeChange = (e) => {
+    const { name, value } = e.target;
+    if (value) setRange(prev => ({ ...prev, [name]: value }));
+  };
+
+  const totals = trends
+    ? trends.openedVsResolved.reduce(
+      (sum, point) => ({ opened: sum.opened + point.opened, resolved: sum.resolved + point.resolved }),
+      { opened: 0, resolved: 0 }
+    )
+    : null;
+
+  return (
+    <div className="trends-dashboard">
+      <div className="filter-group trends-range">
+        <label htmlFor="trends-from">From:</label>
+        <input id="trends-from" type="date" name="from" value={range.from} max={range.to} onChange={handleRangeChange} />
+
+        <label htmlFor="trends-to">To:</label>
+        <input id="trends-to" type="date" name="to" value={range.to} min={range.from} onChange={handleRangeChange} />
+
+        <label htmlFor="trends-interval">Group by:</label>
+        <select id="trends-interval" name="interval" value={range.interval} onChange={handleRangeChange}>
+          <option value="day">Day</option>
+          <option value="week">Week</option>
+          <option value="month">Month</option>
+        </select>
+      </div>
+
+      {error && <div className="error-message">{error}</div>}
+
+      {loading && !trends ? (
+        <p className="chart-empty">Loading trends...</p>
+      ) : trends && (
+        <div className="trends-grid">
+          <section className="trend-panel trend-panel-wide">
+            <h3>Opened vs. Resolved</h3>
+            <p className="trend-summary">
+              {totals.opened} opened, {totals.resolved} resolved
+            </p>
+            <TrendLineChart points={trends.openedVsResolved} interval={trends.interval} />
+          </section>
+
+          <section className="trend-panel">
+            <h3>Mean Time to Resolve</h3>
+            <BarChart
+              label="Mean time to resolve by priority"
+              color="#ed8936"
+              data={trends.timeToResolve.map(entry => ({
+                label: entry.priority,
+                value: entry.meanHours,
+                display: `${formatDuration(entry.meanHours)} (${entry.resolved})`
+              }))}
+            />
+          </section>
+
+          <section className="trend-panel">
+            <h3>Backlog Age</h3>
+            <BarChart
+              label="Unresolved bugs by age"
+              color="#e53e3e"
+              data={trends.backlogAge.map(bucket => ({ label: bucket.label, value: bucket.count }))}
+            />
+          </section>
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default TrendsDashboard;
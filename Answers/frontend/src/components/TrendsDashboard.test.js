@@ -0,0 +1,59 @@
+import { render, screen, fireEvent } from '@testing-library/react';
+import TrendsDashboard from './TrendsDashboard';
+import { getBugTrends } from '../services/bugService';
+
+jest.mock('../services/bugService', () => ({
+  getBugTrends: jest.fn()
+}));
+
+const trends = {
+  from: '2024-01-01T00:00:00.000Z',
+  to: '2024-01-02T23:59:59.999Z',
+  interval: 'day',
+  openedVsResolved: [
+    { period: '2024-01-01T00:00:00.000Z', opened: 3, resolved: 1 },
+    { period: '2024-01-02T00:00:00.000Z', opened: 2, resolved: 2 }
+  ],
+  timeToResolve: [
+    { priority: 'low', resolved: 0, meanHours: null },
+    { priority: 'high', resolved: 3, meanHours: 5.5 }
+  ],
+  backlogAge: [
+    { label: 'Under 1 day', minDays: 0, maxDays: 1, count: 2 }
+  ]
+};
+
+describe('TrendsDashboard Component', () => {
+  afterEach(() => {
+    jest.clearAllMocks();
+  });
+
+  test('charts the trends for the default range', async () => {
+    getBugTrends.mockResolvedValue({ success: true, data: trends });
+    render(<TrendsDashboard />);
+
+    expect(await screen.findByText('5 opened, 3 resolved')).toBeTruthy();
+    expect(getBugTrends).toHaveBeenCalledWith(expect.objectContaining({ interval: 'day' }));
+    expect(screen.getByRole('img', { name: /opened and resolved/i })).toBeTruthy();
+    expect(screen.getByText('5.5 h (3)')).toBeTruthy();
+    expect(screen.getByText('Under 1 day')).toBeTruthy();
+  });
+
+  test('refetches when the interval changes', async () => {
+    getBugTrends.mockResolvedValue({ success: true, data: trends });
+    render(<TrendsDashboard />);
+    await screen.findByText('5 opened, 3 resolved');
+
+    fireEvent.change(screen.getByLabelText('Group by:'), { target: { value: 'week' } });
+
+    await screen.findByText('5 opened, 3 resolved');
+    expect(getBugTrends).toHaveBeenLastCalledWith(expect.objectContaining({ interval: 'week' }));
+  });
+
+  test('shows an error when trends fail to load', async () => {
+    getBugTrends.mockRejectedValue(new Error('Invalid date range'));
+    render(<TrendsDashboard />);
+
+    expect(await screen.findByText('Invalid date range')).toBeTruthy();
+  });
+});
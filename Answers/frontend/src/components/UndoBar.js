@@ -0,0 +1,25 @@
+import React, { useEffect } from 'react';
+
+// How long the undo offer stays on screen
+const UNDO_TIMEOUT_MS = 10000;
+
+const UndoBar = ({ message, onUndo, onDismiss, timeoutMs = UNDO_TIMEOUT_MS }) => {
+  useEffect(() => {
+    const timer = setTimeout(onDismiss, timeoutMs);
+    return () => clearTimeout(timer);
+  }, [message, onDismiss, timeoutMs]);
+
+  return (
+    <div className="undo-bar" role="status">
+      <span>{message}</span>
+      <button type="button" className="btn-undo" onClick={onUndo}>
+        Undo
+      </button>
+      <button type="button" className="btn-undo-dismiss" aria-label="Dismiss" onClick={onDismiss}>
+        ×
+      </button>
+    </div>
+  );
+};
+
+export default UndoBar;
@@ -0,0 +1,37 @@
+import { render, screen, fireEvent, act } from '@testing-library/react';
+import UndoBar from './UndoBar';
+
+describe('UndoBar Component', () => {
+  beforeEach(() => {
+    jest.useFakeTimers();
+  });
+
+  afterEach(() => {
+    jest.useRealTimers();
+  });
+
+  test('calls onUndo when Undo is clicked', () => {
+    const onUndo = jest.fn();
+    render(<UndoBar message="Bug moved to trash." onUndo={onUndo} onDismiss={jest.fn()} />);
+
+    expect(screen.getByText('Bug moved to trash.')).toBeTruthy();
+    fireEvent.click(screen.getByText('Undo'));
+
+    expect(onUndo).toHaveBeenCalled();
+  });
+
+  test('dismisses itself after the timeout', () => {
+    const onDismiss = jest.fn();
+    render(<UndoBar message="Bug moved to trash." onUndo={jest.fn()} onDismiss={onDismiss} timeoutMs={5000} />);
+
+    act(() => {
+      jest.advanceTimersByTime(4999);
+    });
+    expect(onDismiss).not.toHaveBeenCalled();
+
+    act(() => {
+      jest.advanceTimersByTime(1);
+    });
+    expect(onDismiss).toHaveBeenCalledTimes(1);
+  });
+});
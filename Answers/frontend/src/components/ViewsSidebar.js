@@ -0,0 +1,110 @@
+import React, { useState } from 'react';
+import { matchesView } from '../utils/savedViews';
+import { canDeleteView } from '../utils/permissions';
+
+const ViewsSidebar = ({ views, filter, currentUser, onApply, onSave, onTogglePin, onDelete }) => {
+  const [name, setName] = useState('');
+  const [shared, setShared] = useState(false);
+  const [saving, setSaving] = useState(false);
+  const [error, setError] = useState(null);
+
+  // Saves the filters and sort currently applied to the list
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    setSaving(true);
+    setError(null);
+
+    try {
+      await onSave(name.trim(), shared);
+      setName('');
+      setShared(false);
+    } catch (err) {
+      setError(err.message);
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const handleDelete = (view) => {
+    if (window.confirm(`Delete the view "${view.name}"?`)) {
+      onDelete(view);
+    }
+  };
+
+  return (
+    <aside className="views-sidebar" aria-label="Saved views">
+      <h3>Saved Views</h3>
+
+      {views.length === 0 ? (
+        <p className="views-empty">No saved views yet. Save the current filters below.</p>
+      ) : (
+        <ul className="views-list">
+          {views.map(view => {
+            const active = matchesView(view, filter);
+            const isOwner = String(view.ownerId) === String(currentUser.id);
+
+            return (
+              <li key={view.id} className={`view-item${active ? ' active' : ''}`}>
+                <button
+                  type="button"
+                  className="view-apply"
+                  aria-current={active ? 'true' : undefined}
+                  onClick={() => onApply(view)}
+                >
+                  {view.name}
+                  {view.shared && (
+                    <span className="view-meta">{isOwner ? 'shared' : `by ${view.owner}`}</span>
+                  )}
+                </button>
+                <button
+                  type="button"
+                  className={`view-pin${view.pinned ? ' pinned' : ''}`}
+                  aria-pressed={view.pinned}
+                  aria-label={`${view.pinned ? 'Unpin' : 'Pin'} ${view.name}`}
+                  onClick={() => onTogglePin(view)}
+                >
+                  {view.pinned ? '★' : '☆'}
+                </button>
+                {canDeleteView(currentUser, view) && (
+                  <button
+                    type="button"
+                    className="view-delete"
+                    aria-label={`Delete ${view.name}`}
+                    onClick={() => handleDelete(view)}
+                  >
+                    ✕
+                  </button>
+                )}
+              </li>
+            );
+          })}
+        </ul>
+      )}
+
+      <form className="view-save" onSubmit={handleSubmit}>
+        <input
+          type="text"
+          aria-label="View name"
+          placeholder="Name the current view"
+          maxLength={100}
+          value={name}
+          onChange={(e) => setName(e.target.value)}
+        />
+        <label className="view-share">
+          <input
+            type="checkbox"
+            checked={shared}
+            onChange={(e) => setShared(e.target.checked)}
+          />
+          Share with the team
+        </label>
+        <button type="submit" className="btn-save-view" disabled={saving || !name.trim()}>
+          {saving ? 'Saving...' : 'Save View'}
+        </button>
+        {error && <p className="view-error" role="alert">{error}</p>}
+      </form>
+    </aside>
+  );
+};
+
+export default ViewsSidebar;
@@ -0,0 +1,86 @@
+import { render, screen, fireEvent, waitFor } from '@testing-library/react';
+import ViewsSidebar from './ViewsSidebar';
+
+describe('ViewsSidebar Component', () => {
+  const user = { id: 'u1', username: 'jane', role: 'reporter' };
+  const emptyFilter = { project: '', component: '', status: '', priority: '', q: '', filter: '', sortBy: '' };
+  const views = [
+    {
+      id: 'v1',
+      name: 'Critical open',
+      ownerId: 'u1',
+      owner: 'jane',
+      shared: false,
+      pinned: true,
+      filters: { ...emptyFilter, status: 'open', priority: 'critical' }
+    },
+    {
+      id: 'v2',
+      name: 'Team triage',
+      ownerId: 'u2',
+      owner: 'john',
+      shared: true,
+      pinned: false,
+      filters: { ...emptyFilter, filter: 'assignee:none' }
+    }
+  ];
+
+  const renderSidebar = (props = {}) => render(
+    <ViewsSidebar
+      views={views}
+      filter={emptyFilter}
+      currentUser={user}
+      onApply={jest.fn()}
+      onSave={jest.fn()}
+      onTogglePin={jest.fn()}
+      onDelete={jest.fn()}
+      {...props}
+    />
+  );
+
+  test('applies a view with one click and marks it as current', () => {
+    const onApply = jest.fn();
+    renderSidebar({ onApply, filter: views[0].filters });
+
+    const button = screen.getByRole('button', { name: 'Critical open' });
+    expect(button.getAttribute('aria-current')).toBe('true');
+
+    fireEvent.click(screen.getByRole('button', { name: /^team triage/i }));
+    expect(onApply).toHaveBeenCalledWith(views[1]);
+  });
+
+  test('pins views and only offers to delete the user\'s own', () => {
+    const onTogglePin = jest.fn();
+    renderSidebar({ onTogglePin });
+
+    fireEvent.click(screen.getByRole('button', { name: 'Pin Team triage' }));
+    expect(onTogglePin).toHaveBeenCalledWith(views[1]);
+    expect(screen.getByRole('button', { name: 'Unpin Critical open' }).getAttribute('aria-pressed')).toBe('true');
+
+    expect(screen.getByRole('button', { name: 'Delete Critical open' })).toBeTruthy();
+    expect(screen.queryByRole('button', { name: 'Delete Team triage' })).toBeNull();
+    expect(screen.getByText('by john')).toBeTruthy();
+  });
+
+  test('saves the current view under a name', async () => {
+    const onSave = jest.fn().mockResolvedValue();
+    renderSidebar({ onSave });
+
+    fireEvent.change(screen.getByLabelText('View name'), { target: { value: ' Mine ' } });
+    fireEvent.click(screen.getByLabelText(/share with the team/i));
+    fireEvent.click(screen.getByRole('button', { name: 'Save View' }));
+
+    await waitFor(() => expect(screen.getByLabelText('View name').value).toBe(''));
+    expect(onSave).toHaveBeenCalledWith('Mine', true);
+  });
+
+  test('shows why a view could not be saved', async () => {
+    const onSave = jest.fn().mockRejectedValue(new Error('You already have a view named "Mine"'));
+    renderSidebar({ onSave });
+
+    fireEvent.change(screen.getByLabelText('View name'), { target: { value: 'Mine' } });
+    fireEvent.click(screen.getByRole('button', { name: 'Save View' }));
+
+    expect((await screen.findByRole('alert')).textContent).toBe('You already have a view named "Mine"');
+  });
+});
@@ -0,0 +1,41 @@
+import { useEffect, useState } from 'react';
+import { getBugById } from '../services/bugService';
+
+/**
+ * Loads a single bug, reloading when the ID changes
+ * @param {string} id - Bug ID
+ * @returns {Object} - { bug, setBug, loading, error }
+ */
+const useBug = (id) => {
+  const [bug, setBug] = useState(null);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState(null);
+
+  useEffect(() => {
+    let cancelled = false;
+
+    const fetchBug = async () => {
+      setLoading(true);
+      setError(null);
+      try {
+        console.log('Fetching bug:', id);
+        const response = await getBugById(id);
+        if (!cancelled) setBug(response.data);
+      } catch (err) {
+        console.error('Error fetching bug:', err);
+        if (!cancelled) setError(err.message);
+      } finally {
+        if (!cancelled) setLoading(false);
+      }
+    };
+
+    fetchBug();
+    return () => {
+      cancelled = true;
+    };
+  }, [id]);
+
+  return { bug, setBug, loading, error };
+};
+
+export default useBug;
@@ -0,0 +1,31 @@
+import { useEffect, useState } from 'react';
+import { getComponents } from '../services/projectService';
+
+/**
+ * Loads a project's components, reloading when the project changes
+ * @param {string} projectId - Project ID; no components are loaded without one
+ * @returns {Array} - Components, empty until loaded
+ */
+const useComponents = (projectId) => {
+  const [components, setComponents] = useState([]);
+
+  useEffect(() => {
+    setComponents([]);
+    if (!projectId) return undefined;
+
+    let cancelled = false;
+    getComponents(projectId)
+      .then(response => {
+        if (!cancelled) setComponents(response.data);
+      })
+      .catch(err => console.error('Error fetching components:', err));
+
+    return () => {
+      cancelled = true;
+    };
+  }, [projectId]);
+
+  return components;
+};
+
+export default useComponents;
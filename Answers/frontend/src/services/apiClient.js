@@ -0,0 +1,73 @@
+import axios from 'axios';
+import { getToken, isTokenExpired, expireSession } from './session';
+
+export const API_URL = process.env.REACT_APP_API_URL || 'http://localhost:5000/api';
+
+// Create axios instance with default config
+const apiClient = axios.create({
+  baseURL: API_URL,
+  headers: {
+    'Content-Type': 'application/json'
+  },
+  timeout: 10000
+});
+
+// Request interceptor for debugging and authentication
+apiClient.interceptors.request.use(
+  (config) => {
+    console.log('API Request:', config.method.toUpperCase(), config.url);
+
+    const token = getToken();
+    if (token) {
+      if (isTokenExpired(token)) {
+        // Don't send a stale token; let the app ask the user to log in again
+        expireSession();
+      } else {
+        config.headers.Authorization = `Bearer ${token}`;
+      }
+    }
+    return config;
+  },
+  (error) => {
+    console.error('Request Error:', error);
+    return Promise.reject(error);
+  }
+);
+
+// Response interceptor for error handling
+apiClient.interceptors.response.use(
+  (response) => {
+    console.log('API Response:', response.status, response.config.url);
+    return response;
+  },
+  (error) => {
+    console.error('Response Error:', error.response?.status, error.message);
+
+    // A rejected token means the session is over
+    if (error.response?.status === 401 && getToken()) {
+      expireSession();
+    }
+    return Promise.reject(error);
+  }
+);
+
+/**
+ * Handle API errors consistently
+ * @param {Error} error - Axios error object
+ * @returns {Error} - Formatted error
+ */
+export const handleApiError = (error) => {
+  if (error.response) {
+    // Server responded with error
+    const message = error.response.data?.message || 'An error occurred';
+    return new Error(message);
+  } else if (error.request) {
+    // Request made but no response
+    return new Error('No response from server. Please check your connection.');
+  } else {
+    // Error in request setup
+    return new Error(error.message || 'An unexpected error occurred');
+  }
+};
+
+export default apiClient;
@@ -0,0 +1,63 @@
+import apiClient, { handleApiError } from './apiClient';
+import { saveSession, clearSession } from './session';
+
+/**
+ * Register a new account and start a session
+ * @param {Object} userData - Registration data (username, email, password)
+ * @returns {Promise} - Logged in user
+ */
+export const register = async (userData) => {
+  try {
+    const response = await apiClient.post('/auth/register', userData);
+    const { user, token } = response.data.data;
+    saveSession(token, user);
+    return user;
+  } catch (error) {
+    throw handleApiError(error);
+  }
+};
+
+/**
+ * Log in and start a session
+ * @param {Object} credentials - Login data (email, password)
+ * @returns {Promise} - Logged in user
+ */
+export const login = async (credentials) => {
+  try {
+    const response = await apiClient.post('/auth/login', credentials);
+    const { user, token } = response.data.data;
+    saveSession(token, user);
+    return user;
+  } catch (error) {
+    throw handleApiError(error);
+  }
+};
+
+/**
+ * End the current session
+ */
+export const logout = () => {
+  clearSession();
+};
+
+/**
+ * Get the logged in user from the server
+ * @returns {Promise} - Logged in user
+ */
+export const getCurrentUser = async () => {
+  try {
+    const response = await apiClient.get('/auth/me');
+    return response.data.data;
+  } catch (error) {
+    throw handleApiError(error);
+  }
+};
+
+const authService = {
+  register,
+  login,
+  logout,
+  getCurrentUser
+};
+
+export default authService;
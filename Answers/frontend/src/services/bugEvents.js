@@ -0,0 +1,34 @@
+import { API_URL } from './apiClient';
+
+export const BUG_EVENT_TYPES = ['created', 'updated', 'deleted', 'restored'];
+
+/**
+ * Listen for bug changes made by anyone, using Server-Sent Events.
+ * The browser reconnects automatically if the connection drops.
+ * @param {Function} onEvent - Called with (type, data) for each event
+ * @returns {Function} - Closes the connection
+ */
+export const subscribeToBugEvents = (onEvent) => {
+  // Not available in older browsers or the test environment
+  if (typeof EventSource === 'undefined') {
+    return () => {};
+  }
+
+  const source = new EventSource(`${API_URL}/bugs/events`);
+
+  BUG_EVENT_TYPES.forEach(type => {
+    source.addEventListener(type, (event) => {
+      try {
+        onEvent(type, JSON.parse(event.data));
+      } catch (error) {
+        console.error('Invalid bug event:', error);
+      }
+    });
+  });
+
+  source.onerror = () => {
+    console.warn('Bug event stream interrupted, reconnecting...');
+  };
+
+  return () => source.close();
+};
@@ -1,52 +1,131 @@
-import axios from 'axios';
+import apiClient, { API_URL, handleApiError } from './apiClient';
 
-const API_URL = process.env.REACT_APP_API_URL || 'http://localhost:5000/api';
+/**
+ * Path of the bug routes, limited to one project when a project is given
+ * @param {string} [projectId] - Project ID
+ * @returns {string} - /projects/:projectId/bugs or /bugs
+ */
+export const getBugsPath = (projectId) => (projectId ? `/projects/${projectId}/bugs` : '/bugs');
 
-// Create axios instance with default config
-const apiClient = axios.create({
-  baseURL: API_URL,
-  headers: {
-    'Content-Type': 'application/json'
-  },
-  timeout: 10000
+/**
+ * Get all bugs
+ * @param {Object} filters - Query filters (project, component, status, priority, q, filter expression, sortBy)
+ * @param {Object} pagination - Pagination options (limit, page or cursor)
+ * @returns {Promise} - Bug list with total, hasMore and nextCursor
+ */
+export const getAllBugs = async (filters = {}, pagination = {}) => {
+  try {
+    const params = new URLSearchParams();
+    if (filters.component) params.append('component', filters.component);
+    if (filters.status) params.append('status', filters.status);
+    if (filters.priority) params.append('priority', filters.priority);
+    if (filters.q) params.append('q', filters.q);
+    if (filters.filter) params.append('filter', filters.filter);
+    if (filters.sortBy) params.append('sortBy', filters.sortBy);
+    if (pagination.limit) params.append('limit', pagination.limit);
+    if (pagination.cursor) {
+      params.append('cursor', pagination.cursor);
+    } else if (pagination.page) {
+      params.append('page', pagination.page);
+    }
+    
+    const response = await apiClient.get(`${getBugsPath(filters.project)}?${params.toString()}`);
+    return response.data;
+  } catch (error) {
+    throw handleApiError(error);
+  }
+};
+
+/**
+ * Reads a blob as text
+ * @param {Blob} blob - Blob to read
+ * @returns {Promise<string>} - Its contents
+ */
+const readBlobText = (blob) => new Promise((resolve, reject) => {
+  const reader = new FileReader();
+  reader.onload = () => resolve(reader.result);
+  reader.onerror = () => reject(reader.error);
+  reader.readAsText(blob);
 });
 
-// Request interceptor for debugging
-apiClient.interceptors.request.use(
-  (config) => {
-    console.log('API Request:', config.method.toUpperCase(), config.url);
-    return config;
-  },
-  (error) => {
-    console.error('Request Error:', error);
-    return Promise.reject(error);
+/**
+ * Reads the JSON error body of a failed blob request, so handleApiError finds its message
+ * @param {Error} error - Axios error object
+ * @returns {Promise<Error>} - The same error, with the parsed body
+ */
+const parseBlobError = async (error) => {
+  const data = error.response?.data;
+  if (data instanceof Blob) {
+    try {
+      error.response.data = JSON.parse(await readBlobText(data));
+    } catch (parseError) {
+      error.response.data = {};
+    }
   }
-);
+  return error;
+};
 
-// Response interceptor for error handling
-apiClient.interceptors.response.use(
-  (response) => {
-    console.log('API Response:', response.status, response.config.url);
-    return response;
-  },
-  (error) => {
-    console.error('Response Error:', error.response?.status, error.message);
-    return Promise.reject(error);
-  }
-);
+/**
+ * Saves a downloaded file through a temporary object URL
+ * @param {Blob} blob - File contents
+ * @param {string} filename - Name to save the file as
+ */
+const saveBlob = (blob, filename) => {
+  const url = URL.createObjectURL(blob);
+  const link = document.createElement('a');
+  link.href = url;
+  link.download = filename;
+  document.body.appendChild(link);
+  link.click();
+  link.remove();
+  URL.revokeObjectURL(url);
+};
 
 /**
- * Get all bugs
- * @param {Object} filters - Query filters (status, priority)
- * @returns {Promise} - Bug list
+ * Download every bug that matches the filters as a file.
+ * Goes through apiClient so the login token is sent, which filters such as
+ * assignee:me need.
+ * @param {Object} filters - Filter options (project, component, status, priority, q, filter expression, sortBy)
+ * @param {string} format - csv | json | ndjson
+ * @returns {Promise<string>} - Name the file was saved as
  */
-export const getAllBugs = async (filters = {}) => {
+export const downloadBugExport = async (filters = {}, format = 'csv') => {
   try {
-    const params = new URLSearchParams();
+    const params = new URLSearchParams({ format });
+    if (filters.component) params.append('component', filters.component);
     if (filters.status) params.append('status', filters.status);
     if (filters.priority) params.append('priority', filters.priority);
-    
-    const response = await apiClient.get(`/bugs?${params.toString()}`);
+    if (filters.q) params.append('q', filters.q);
+    if (filters.filter) params.append('filter', filters.filter);
+    if (filters.sortBy) params.append('sortBy', filters.sortBy);
+
+    // Large exports can take longer than the client's default timeout
+    const response = await apiClient.get(`${getBugsPath(filters.project)}/export?${params.toString()}`, {
+      responseType: 'blob',
+      timeout: 0
+    });
+
+    const disposition = response.headers['content-disposition'] || '';
+    const filename = disposition.match(/filename="([^"]+)"/)?.[1] || `bugs.${format}`;
+    saveBlob(response.data, filename);
+    return filename;
+  } catch (error) {
+    throw handleApiError(await parseBlobError(error));
+  }
+};
+
+/**
+ * Import bugs from a CSV file or a JSON array
+ * @param {string|Array} content - CSV text or parsed JSON array
+ * @param {string} format - csv | json
+ * @param {Object} options - { project } to import into, and { dryRun } to only validate the rows
+ * @returns {Promise} - Per-row results with valid, imported and errors
+ */
+export const importBugs = async (content, format, { project, dryRun = false } = {}) => {
+  try {
+    const response = await apiClient.post(`${getBugsPath(project)}/import?dryRun=${dryRun}`, content, {
+      headers: { 'Content-Type': format === 'csv' ? 'text/csv' : 'application/json' }
+    });
     return response.data;
   } catch (error) {
     throw handleApiError(error);
@@ -70,11 +149,11 @@ export const getBugById = async (id) => {
 /**
  * Create new bug
  * @param {Object} bugData - Bug data
- * @returns {Promise} - Created bug
+ * @returns {Promise} - Created bug, with possible duplicates of it
  */
 export const createBug = async (bugData) => {
   try {
-    const response = await apiClient.post('/bugs', bugData);
+    const response = await apiClient.post(getBugsPath(bugData.project), bugData);
     return response.data;
   } catch (error) {
     throw handleApiError(error);
@@ -85,14 +164,24 @@ export const createBug = async (bugData) => {
  * Update bug
  * @param {string} id - Bug ID
  * @param {Object} updates - Updated fields
+ * @param {Object} options - { version } of the bug the changes were made to; the update
+ *   is refused if someone else has saved since. The error then has conflict: true and
+ *   currentBug, the server's copy.
  * @returns {Promise} - Updated bug
  */
-export const updateBug = async (id, updates) => {
+export const updateBug = async (id, updates, { version } = {}) => {
   try {
-    const response = await apiClient.put(`/bugs/${id}`, updates);
+    const response = version === undefined
+      ? await apiClient.put(`/bugs/${id}`, updates)
+      : await apiClient.put(`/bugs/${id}`, updates, { headers: { 'If-Match': `"${version}"` } });
     return response.data;
   } catch (error) {
-    throw handleApiError(error);
+    const apiError = handleApiError(error);
+    if (error.response?.status === 412) {
+      apiError.conflict = true;
+      apiError.currentBug = error.response.data.data;
+    }
+    throw apiError;
   }
 };
 
@@ -111,12 +200,75 @@ export const deleteBug = async (id) => {
 };
 
 /**
- * Get bug statistics
+ * Restore a deleted bug from the trash
+ * @param {string} id - Bug ID
+ * @returns {Promise} - Restored bug
+ */
+export const restoreBug = async (id) => {
+  try {
+    const response = await apiClient.post(`/bugs/${id}/restore`);
+    return response.data;
+  } catch (error) {
+    throw handleApiError(error);
+  }
+};
+
+/**
+ * Find unresolved bugs that look like duplicates of a report being written
+ * @param {Object} report - { title, description }, and the project to look in
+ * @returns {Promise} - Similar bugs with their similarity score, most similar first
+ */
+export const findDuplicateBugs = async ({ title, description, project }) => {
+  const params = new URLSearchParams({ title });
+  if (description) params.append('description', description);
+
+  try {
+    const response = await apiClient.get(`${getBugsPath(project)}/duplicates?${params.toString()}`);
+    return response.data;
+  } catch (error) {
+    throw handleApiError(error);
+  }
+};
+
+/**
+ * Close a bug as a duplicate of another
+ * @param {string} id - Bug ID of the copy
+ * @param {string} originalId - Bug ID of the original
+ * @returns {Promise} - Closed bug, linked to the original
+ */
+export const markDuplicate = async (id, originalId) => {
+  try {
+    const response = await apiClient.post(`/bugs/${id}/duplicate-of/${originalId}`);
+    return response.data;
+  } catch (error) {
+    throw handleApiError(error);
+  }
+};
+
+/**
+ * Update or delete several bugs in one request
+ * @param {Array<string>} ids - Bug IDs
+ * @param {string} action - update | delete
+ * @param {Object} changes - Fields to change for updates (status, priority, assignedTo, tags)
+ * @returns {Promise} - Per-bug results with success, data or error
+ */
+export const bulkUpdateBugs = async (ids, action, changes = {}) => {
+  try {
+    const response = await apiClient.patch('/bugs/bulk', { ids, action, changes });
+    return response.data;
+  } catch (error) {
+    throw handleApiError(error);
+  }
+};
+
+/**
+ * Get bug statistics, for one project or broken down per project
+ * @param {Object} options - { project } to limit the statistics to
  * @returns {Promise} - Statistics data
  */
-export const getBugStats = async () => {
+export const getBugStats = async ({ project } = {}) => {
   try {
-    const response = await apiClient.get('/bugs/stats');
+    const response = await apiClient.get(`${getBugsPath(project)}/stats`);
     return response.data;
   } catch (error) {
     throw handleApiError(error);
@@ -124,29 +276,162 @@ export const getBugStats = async () => {
 };
 
 /**
- * Handle API errors consistently
- * @param {Error} error - Axios error object
- * @returns {Error} - Formatted error
+ * Get bugs opened vs. resolved over time, time to resolve by priority and backlog age
+ * @param {Object} range - { from, to } as YYYY-MM-DD, interval (day | week | month) and optional project
+ * @returns {Promise} - Trend data
+ */
+export const getBugTrends = async ({ from, to, interval = 'day', project } = {}) => {
+  const params = new URLSearchParams({ interval });
+  if (from) params.append('from', from);
+  if (to) params.append('to', to);
+
+  try {
+    const response = await apiClient.get(`${getBugsPath(project)}/stats/trends?${params.toString()}`);
+    return response.data;
+  } catch (error) {
+    throw handleApiError(error);
+  }
+};
+
+/**
+ * Get the change history of a bug
+ * @param {string} bugId - Bug ID
+ * @returns {Promise} - History entries, oldest first
+ */
+export const getBugHistory = async (bugId) => {
+  try {
+    const response = await apiClient.get(`/bugs/${bugId}/history`);
+    return response.data;
+  } catch (error) {
+    throw handleApiError(error);
+  }
+};
+
+/**
+ * Get comments on a bug
+ * @param {string} bugId - Bug ID
+ * @returns {Promise} - Comment list
  */
-const handleApiError = (error) => {
-  if (error.response) {
-    // Server responded with error
-    const message = error.response.data?.message || 'An error occurred';
-    return new Error(message);
-  } else if (error.request) {
-    // Request made but no response
-    return new Error('No response from server. Please check your connection.');
-  } else {
-    // Error in request setup
-    return new Error(error.message || 'An unexpected error occurred');
+export const getComments = async (bugId) => {
+  try {
+    const response = await apiClient.get(`/bugs/${bugId}/comments`);
+    return response.data;
+  } catch (error) {
+    throw handleApiError(error);
   }
 };
 
+/**
+ * Add a comment to a bug
+ * @param {string} bugId - Bug ID
+ * @param {Object} commentData - Comment data (body)
+ * @returns {Promise} - Created comment
+ */
+export const addComment = async (bugId, commentData) => {
+  try {
+    const response = await apiClient.post(`/bugs/${bugId}/comments`, commentData);
+    return response.data;
+  } catch (error) {
+    throw handleApiError(error);
+  }
+};
+
+/**
+ * Edit a comment
+ * @param {string} bugId - Bug ID
+ * @param {string} commentId - Comment ID
+ * @param {Object} commentData - Comment data (body)
+ * @returns {Promise} - Updated comment
+ */
+export const updateComment = async (bugId, commentId, commentData) => {
+  try {
+    const response = await apiClient.put(`/bugs/${bugId}/comments/${commentId}`, commentData);
+    return response.data;
+  } catch (error) {
+    throw handleApiError(error);
+  }
+};
+
+/**
+ * Delete a comment
+ * @param {string} bugId - Bug ID
+ * @param {string} commentId - Comment ID
+ * @returns {Promise} - Success message
+ */
+export const deleteComment = async (bugId, commentId) => {
+  try {
+    const response = await apiClient.delete(`/bugs/${bugId}/comments/${commentId}`);
+    return response.data;
+  } catch (error) {
+    throw handleApiError(error);
+  }
+};
+
+/**
+ * Upload files and attach them to a bug
+ * @param {string} bugId - Bug ID
+ * @param {Array<File>} files - Files to attach
+ * @returns {Promise} - Updated bug with its attachments
+ */
+export const uploadAttachments = async (bugId, files) => {
+  const formData = new FormData();
+  files.forEach(file => formData.append('files', file));
+
+  try {
+    const response = await apiClient.post(`/bugs/${bugId}/attachments`, formData, {
+      headers: { 'Content-Type': 'multipart/form-data' },
+      // Large screenshots can take longer than the default timeout
+      timeout: 60000
+    });
+    return response.data;
+  } catch (error) {
+    throw handleApiError(error);
+  }
+};
+
+/**
+ * Delete an attachment
+ * @param {string} bugId - Bug ID
+ * @param {string} attachmentId - Attachment ID
+ * @returns {Promise} - Updated bug with its attachments
+ */
+export const deleteAttachment = async (bugId, attachmentId) => {
+  try {
+    const response = await apiClient.delete(`/bugs/${bugId}/attachments/${attachmentId}`);
+    return response.data;
+  } catch (error) {
+    throw handleApiError(error);
+  }
+};
+
+/**
+ * Build the URL an attachment is downloaded or displayed from
+ * @param {Object} attachment - Attachment with its API-relative url
+ * @returns {string} - Attachment URL
+ */
+export const getAttachmentUrl = (attachment) => `${API_URL}${attachment.url}`;
+
 export default {
+  getBugsPath,
   getAllBugs,
+  downloadBugExport,
+  importBugs,
   getBugById,
   createBug,
   updateBug,
   deleteBug,
-  getBugStats
+  restoreBug,
+  findDuplicateBugs,
+  markDuplicate,
+  bulkUpdateBugs,
+  getBugStats,
+  getBugTrends,
+  getBugHistory,
+  getComments,
+  addComment,
+  updateComment,
+  deleteComment,
+  uploadAttachments,
+  deleteAttachment,
+  getAttachmentUrl
 };
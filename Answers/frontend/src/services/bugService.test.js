@@ -1,14 +1,44 @@
 import axios from 'axios';
 import {
   getAllBugs,
+  downloadBugExport,
+  importBugs,
   getBugById,
   createBug,
   updateBug,
   deleteBug,
-  getBugStats
+  restoreBug,
+  findDuplicateBugs,
+  markDuplicate,
+  bulkUpdateBugs,
+  getBugStats,
+  getBugTrends,
+  getBugHistory,
+  getComments,
+  addComment,
+  updateComment,
+  deleteComment,
+  uploadAttachments,
+  deleteAttachment,
+  getAttachmentUrl
 } from './bugService';
 
-jest.mock('axios');
+// apiClient is created with axios.create on import, so create hands back the mock itself
+jest.mock('axios', () => {
+  const mockAxios = {
+    get: jest.fn(),
+    post: jest.fn(),
+    put: jest.fn(),
+    patch: jest.fn(),
+    delete: jest.fn(),
+    interceptors: {
+      request: { use: jest.fn() },
+      response: { use: jest.fn() }
+    }
+  };
+  mockAxios.create = jest.fn(() => mockAxios);
+  return mockAxios;
+});
 
 describe('Bug Service', () => {
   afterEach(() => {
@@ -50,6 +80,34 @@ describe('Bug Service', () => {
       expect(result).toEqual(mockBugs);
     });
 
+    test('fetches a page of bugs with a cursor', async () => {
+      const mockBugs = {
+        success: true,
+        count: 1,
+        total: 3,
+        hasMore: true,
+        nextCursor: 'next-cursor',
+        data: [{ id: '3', title: 'Bug 3', status: 'open' }]
+      };
+
+      axios.create.mockReturnThis();
+      axios.get.mockResolvedValue({ data: mockBugs });
+
+      const result = await getAllBugs({ status: 'open' }, { limit: 1, cursor: 'abc' });
+
+      expect(result).toEqual(mockBugs);
+      expect(axios.get).toHaveBeenCalledWith('/bugs?status=open&limit=1&cursor=abc');
+    });
+
+    test('fetches a project\'s bugs from the project routes', async () => {
+      axios.create.mockReturnThis();
+      axios.get.mockResolvedValue({ data: { success: true, data: [] } });
+
+      await getAllBugs({ project: 'p1', component: 'c1', status: 'open' }, { limit: 20 });
+
+      expect(axios.get).toHaveBeenCalledWith('/projects/p1/bugs?component=c1&status=open&limit=20');
+    });
+
     test('handles errors when fetching bugs', async () => {
       const errorMessage = 'Network error';
       axios.create.mockReturnThis();
@@ -59,6 +117,87 @@ describe('Bug Service', () => {
     });
   });
 
+  describe('downloadBugExport', () => {
+    let link;
+
+    beforeEach(() => {
+      link = { click: jest.fn(), remove: jest.fn() };
+      jest.spyOn(document, 'createElement').mockReturnValue(link);
+      jest.spyOn(document.body, 'appendChild').mockImplementation(() => {});
+      URL.createObjectURL = jest.fn(() => 'blob:export');
+      URL.revokeObjectURL = jest.fn();
+    });
+
+    afterEach(() => {
+      jest.restoreAllMocks();
+    });
+
+    test('downloads the export with the active filters through the API client', async () => {
+      const file = new Blob(['id,title']);
+      axios.get.mockResolvedValue({
+        data: file,
+        headers: { 'content-disposition': 'attachment; filename="bugs-2024-05-01.ndjson"' }
+      });
+
+      const filename = await downloadBugExport({ status: 'open', priority: '', q: 'login' }, 'ndjson');
+
+      expect(axios.get).toHaveBeenCalledWith(
+        '/bugs/export?format=ndjson&status=open&q=login',
+        { responseType: 'blob', timeout: 0 }
+      );
+      expect(filename).toBe('bugs-2024-05-01.ndjson');
+      expect(URL.createObjectURL).toHaveBeenCalledWith(file);
+      expect(link.href).toBe('blob:export');
+      expect(link.download).toBe('bugs-2024-05-01.ndjson');
+      expect(link.click).toHaveBeenCalled();
+      expect(URL.revokeObjectURL).toHaveBeenCalledWith('blob:export');
+    });
+
+    test('exports from the project routes when a project is selected', async () => {
+      axios.get.mockResolvedValue({ data: new Blob([]), headers: {} });
+
+      const filename = await downloadBugExport({ project: 'p1' }, 'csv');
+
+      expect(axios.get.mock.calls[0][0]).toBe('/projects/p1/bugs/export?format=csv');
+      expect(filename).toBe('bugs.csv');
+    });
+
+    test('passes the filter expression and sort order along', async () => {
+      axios.get.mockResolvedValue({ data: new Blob([]), headers: {} });
+
+      await downloadBugExport({ filter: 'priority:>=high tag:ui', sortBy: '-priority,title' }, 'json');
+
+      expect(axios.get.mock.calls[0][0]).toBe('/bugs/export?format=json&filter=priority%3A%3E%3Dhigh+tag%3Aui&sortBy=-priority%2Ctitle');
+    });
+
+    test('reports the message from an error response', async () => {
+      axios.get.mockRejectedValue({
+        response: {
+          status: 400,
+          data: new Blob([JSON.stringify({ success: false, message: 'Log in to filter by assignee:me' })])
+        }
+      });
+
+      await expect(downloadBugExport({ filter: 'assignee:me' }, 'csv')).rejects.toThrow('Log in to filter by assignee:me');
+      expect(link.click).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('importBugs', () => {
+    test('sends CSV as text for a dry run', async () => {
+      const mockResult = { success: true, dryRun: true, validCount: 1, data: [] };
+      axios.create.mockReturnThis();
+      axios.post.mockResolvedValue({ data: mockResult });
+
+      const result = await importBugs('title\nCrash', 'csv', { project: 'p1', dryRun: true });
+
+      expect(axios.post).toHaveBeenCalledWith('/projects/p1/bugs/import?dryRun=true', 'title\nCrash', {
+        headers: { 'Content-Type': 'text/csv' }
+      });
+      expect(result).toEqual(mockResult);
+    });
+  });
+
   describe('getBugById', () => {
     test('fetches bug by ID successfully', async () => {
       const mockBug = {
@@ -139,6 +278,33 @@ describe('Bug Service', () => {
       expect(axios.put).toHaveBeenCalledWith('/bugs/1', updates);
     });
 
+    test('sends the version the changes were made to as If-Match', async () => {
+      axios.create.mockReturnThis();
+      axios.put.mockResolvedValue({ data: { success: true, data: { id: '1', version: 4 } } });
+
+      await updateBug('1', { title: 'Renamed' }, { version: 3 });
+
+      expect(axios.put).toHaveBeenCalledWith('/bugs/1', { title: 'Renamed' }, {
+        headers: { 'If-Match': '"3"' }
+      });
+    });
+
+    test('surfaces version conflicts with the current copy', async () => {
+      const currentBug = { id: '1', title: 'Changed elsewhere', version: 4 };
+      axios.create.mockReturnThis();
+      axios.put.mockRejectedValue({
+        response: {
+          status: 412,
+          data: { message: 'This bug was changed by someone else since you loaded it', data: currentBug }
+        }
+      });
+
+      const error = await updateBug('1', { title: 'Renamed' }, { version: 3 }).catch(err => err);
+
+      expect(error.conflict).toBe(true);
+      expect(error.currentBug).toEqual(currentBug);
+    });
+
     test('handles update errors', async () => {
       axios.create.mockReturnThis();
       axios.put.mockRejectedValue({
@@ -179,6 +345,58 @@ describe('Bug Service', () => {
     });
   });
 
+  describe('restoreBug', () => {
+    test('restores a bug from the trash', async () => {
+      const mockBug = { id: '1', title: 'Deleted by mistake' };
+      axios.create.mockReturnThis();
+      axios.post.mockResolvedValue({ data: { success: true, data: mockBug } });
+
+      const result = await restoreBug('1');
+
+      expect(axios.post).toHaveBeenCalledWith('/bugs/1/restore');
+      expect(result.data).toEqual(mockBug);
+    });
+  });
+
+  describe('duplicates', () => {
+    test('looks up possible duplicates of a report', async () => {
+      const mockDuplicates = { success: true, count: 1, data: [{ id: '1', title: 'Crash on save', similarity: 0.8 }] };
+      axios.create.mockReturnThis();
+      axios.get.mockResolvedValue({ data: mockDuplicates });
+
+      const result = await findDuplicateBugs({ title: 'Crash on save', description: '' });
+
+      expect(axios.get).toHaveBeenCalledWith('/bugs/duplicates?title=Crash+on+save');
+      expect(result).toEqual(mockDuplicates);
+    });
+
+    test('marks a bug as a duplicate of another', async () => {
+      axios.create.mockReturnThis();
+      axios.post.mockResolvedValue({ data: { success: true, data: { id: '2', status: 'closed', duplicateOf: '1' } } });
+
+      await markDuplicate('2', '1');
+
+      expect(axios.post).toHaveBeenCalledWith('/bugs/2/duplicate-of/1');
+    });
+  });
+
+  describe('bulkUpdateBugs', () => {
+    test('sends the IDs, action and changes in one request', async () => {
+      const mockResult = { success: true, succeeded: 2, failed: 0, data: [] };
+      axios.create.mockReturnThis();
+      axios.patch.mockResolvedValue({ data: mockResult });
+
+      const result = await bulkUpdateBugs(['1', '2'], 'update', { status: 'closed' });
+
+      expect(axios.patch).toHaveBeenCalledWith('/bugs/bulk', {
+        ids: ['1', '2'],
+        action: 'update',
+        changes: { status: 'closed' }
+      });
+      expect(result).toEqual(mockResult);
+    });
+  });
+
   describe('getBugStats', () => {
     test('fetches bug statistics successfully', async () => {
       const mockStats = {
@@ -204,6 +422,124 @@ describe('Bug Service', () => {
     });
   });
 
+  describe('getBugTrends', () => {
+    test('sends the range and interval', async () => {
+      const mockTrends = { success: true, data: { openedVsResolved: [] } };
+      axios.create.mockReturnThis();
+      axios.get.mockResolvedValue({ data: mockTrends });
+
+      const result = await getBugTrends({ from: '2024-01-01', to: '2024-01-31', interval: 'week' });
+
+      expect(axios.get).toHaveBeenCalledWith('/bugs/stats/trends?interval=week&from=2024-01-01&to=2024-01-31');
+      expect(result).toEqual(mockTrends);
+    });
+  });
+
+  describe('getBugHistory', () => {
+    test('fetches the change history of a bug', async () => {
+      const mockHistory = {
+        success: true,
+        count: 1,
+        data: [{ id: 'h1', field: 'status', from: 'open', to: 'in-progress', changedBy: 'Jane' }]
+      };
+
+      axios.create.mockReturnThis();
+      axios.get.mockResolvedValue({ data: mockHistory });
+
+      const result = await getBugHistory('1');
+
+      expect(result).toEqual(mockHistory);
+      expect(axios.get).toHaveBeenCalledWith('/bugs/1/history');
+    });
+  });
+
+  describe('comments', () => {
+    test('fetches comments for a bug', async () => {
+      const mockComments = {
+        success: true,
+        count: 1,
+        data: [{ id: 'c1', author: 'Jane', body: 'Seen it too' }]
+      };
+
+      axios.create.mockReturnThis();
+      axios.get.mockResolvedValue({ data: mockComments });
+
+      const result = await getComments('1');
+
+      expect(result).toEqual(mockComments);
+      expect(axios.get).toHaveBeenCalledWith('/bugs/1/comments');
+    });
+
+    test('adds a comment', async () => {
+      const comment = { body: 'Seen it too' };
+
+      axios.create.mockReturnThis();
+      axios.post.mockResolvedValue({ data: { success: true, data: { id: 'c1', ...comment } } });
+
+      await addComment('1', comment);
+
+      expect(axios.post).toHaveBeenCalledWith('/bugs/1/comments', comment);
+    });
+
+    test('edits a comment', async () => {
+      const comment = { body: 'Edited' };
+
+      axios.create.mockReturnThis();
+      axios.put.mockResolvedValue({ data: { success: true, data: { id: 'c1', ...comment } } });
+
+      await updateComment('1', 'c1', comment);
+
+      expect(axios.put).toHaveBeenCalledWith('/bugs/1/comments/c1', comment);
+    });
+
+    test('deletes a comment', async () => {
+      axios.create.mockReturnThis();
+      axios.delete.mockResolvedValue({ data: { success: true } });
+
+      await deleteComment('1', 'c1');
+
+      expect(axios.delete).toHaveBeenCalledWith('/bugs/1/comments/c1');
+    });
+
+    test('surfaces permission errors', async () => {
+      axios.create.mockReturnThis();
+      axios.delete.mockRejectedValue({
+        response: {
+          data: { message: 'You can only delete your own comments' }
+        }
+      });
+
+      await expect(deleteComment('1', 'c1')).rejects.toThrow('You can only delete your own comments');
+    });
+  });
+
+  describe('attachments', () => {
+    test('uploads files as multipart form data', async () => {
+      const file = new File(['png'], 'shot.png', { type: 'image/png' });
+      axios.create.mockReturnThis();
+      axios.post.mockResolvedValue({ data: { success: true, data: { id: '1', attachments: [] } } });
+
+      await uploadAttachments('1', [file]);
+
+      const [url, body] = axios.post.mock.calls[0];
+      expect(url).toBe('/bugs/1/attachments');
+      expect(body.getAll('files')).toEqual([file]);
+    });
+
+    test('deletes an attachment', async () => {
+      axios.create.mockReturnThis();
+      axios.delete.mockResolvedValue({ data: { success: true, data: { id: '1', attachments: [] } } });
+
+      await deleteAttachment('1', 'a1');
+
+      expect(axios.delete).toHaveBeenCalledWith('/bugs/1/attachments/a1');
+    });
+
+    test('builds the attachment URL from the API base', () => {
+      expect(getAttachmentUrl({ url: '/bugs/1/attachments/a1' })).toMatch(/\/api\/bugs\/1\/attachments\/a1$/);
+    });
+  });
+
   describe('Error Handling', () => {
     test('handles network errors', async () => {
       axios.create.mockReturnThis();
@@ -0,0 +1,35 @@
+import apiClient, { handleApiError } from './apiClient';
+
+/**
+ * Get all projects
+ * @returns {Promise} - Projects sorted by name
+ */
+export const getProjects = async () => {
+  try {
+    const response = await apiClient.get('/projects');
+    return response.data;
+  } catch (error) {
+    throw handleApiError(error);
+  }
+};
+
+/**
+ * Get a project's components
+ * @param {string} projectId - Project ID
+ * @returns {Promise} - Components sorted by name
+ */
+export const getComponents = async (projectId) => {
+  try {
+    const response = await apiClient.get(`/projects/${projectId}/components`);
+    return response.data;
+  } catch (error) {
+    throw handleApiError(error);
+  }
+};
+
+const projectService = {
+  getProjects,
+  getComponents
+};
+
+export default projectService;
@@ -0,0 +1,76 @@
+const TOKEN_KEY = 'bugTracker.token';
+const USER_KEY = 'bugTracker.user';
+
+export const SESSION_EXPIRED_EVENT = 'bugTracker:sessionExpired';
+
+/**
+ * Decode the payload of a JWT without verifying it
+ * @param {string} token - JWT
+ * @returns {Object|null} - Payload, or null if malformed
+ */
+const decodeTokenPayload = (token) => {
+  try {
+    const base64 = token.split('.')[1].replace(/-/g, '+').replace(/_/g, '/');
+    return JSON.parse(window.atob(base64));
+  } catch (error) {
+    return null;
+  }
+};
+
+/**
+ * Check whether a token has expired
+ * @param {string} token - JWT
+ * @returns {boolean} - True if expired or unreadable
+ */
+export const isTokenExpired = (token) => {
+  const payload = token ? decodeTokenPayload(token) : null;
+  if (!payload || !payload.exp) return true;
+  return payload.exp * 1000 <= Date.now();
+};
+
+/**
+ * Get the stored token
+ * @returns {string|null} - JWT
+ */
+export const getToken = () => localStorage.getItem(TOKEN_KEY);
+
+/**
+ * Get the stored user
+ * @returns {Object|null} - Logged in user
+ */
+export const getSessionUser = () => {
+  const token = getToken();
+  if (!token || isTokenExpired(token)) return null;
+
+  try {
+    return JSON.parse(localStorage.getItem(USER_KEY));
+  } catch (error) {
+    return null;
+  }
+};
+
+/**
+ * Store the token and user after logging in
+ * @param {string} token - JWT
+ * @param {Object} user - Logged in user
+ */
+export const saveSession = (token, user) => {
+  localStorage.setItem(TOKEN_KEY, token);
+  localStorage.setItem(USER_KEY, JSON.stringify(user));
+};
+
+/**
+ * Remove the stored session
+ */
+export const clearSession = () => {
+  localStorage.removeItem(TOKEN_KEY);
+  localStorage.removeItem(USER_KEY);
+};
+
+/**
+ * Clear the session and tell the app it has expired
+ */
+export const expireSession = () => {
+  clearSession();
+  window.dispatchEvent(new Event(SESSION_EXPIRED_EVENT));
+};
@@ -0,0 +1,84 @@
+import apiClient, { handleApiError } from './apiClient';
+
+/**
+ * Get the user's saved views and the views shared with the team
+ * @returns {Promise} - Views, pinned first and then by name
+ */
+export const getViews = async () => {
+  try {
+    const response = await apiClient.get('/views');
+    return response.data;
+  } catch (error) {
+    throw handleApiError(error);
+  }
+};
+
+/**
+ * Save filters and sort as a named view
+ * @param {Object} viewData - { name, filters, shared }
+ * @returns {Promise} - Saved view
+ */
+export const createView = async (viewData) => {
+  try {
+    const response = await apiClient.post('/views', viewData);
+    return response.data;
+  } catch (error) {
+    throw handleApiError(error);
+  }
+};
+
+/**
+ * Rename a view, replace its filters or change whether it is shared
+ * @param {string} id - View ID
+ * @param {Object} changes - Any of { name, filters, shared }
+ * @returns {Promise} - Updated view
+ */
+export const updateView = async (id, changes) => {
+  try {
+    const response = await apiClient.put(`/views/${id}`, changes);
+    return response.data;
+  } catch (error) {
+    throw handleApiError(error);
+  }
+};
+
+/**
+ * Delete a saved view
+ * @param {string} id - View ID
+ * @returns {Promise} - Success message
+ */
+export const deleteView = async (id) => {
+  try {
+    const response = await apiClient.delete(`/views/${id}`);
+    return response.data;
+  } catch (error) {
+    throw handleApiError(error);
+  }
+};
+
+/**
+ * Pin a view to the top of the user's list, or unpin it
+ * @param {string} id - View ID
+ * @param {boolean} pinned - True to pin, false to unpin
+ * @returns {Promise} - Updated view
+ */
+export const setViewPinned = async (id, pinned) => {
+  try {
+    const response = pinned
+      ? await apiClient.put(`/views/${id}/pin`)
+      : await apiClient.delete(`/views/${id}/pin`);
+    return response.data;
+  } catch (error) {
+    throw handleApiError(error);
+  }
+};
+
+const viewService = {
+  getViews,
+  createView,
+  updateView,
+  deleteView,
+  setViewPinned
+};
+
+export default viewService;
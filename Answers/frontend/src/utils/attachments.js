@@ -0,0 +1,64 @@
+/**
+ * Client-side mirror of the server's attachment limits, so files that would be
+ * rejected are caught before uploading. The server still enforces every limit.
+ */
+
+export const ATTACHMENT_TYPES = [
+  'image/png',
+  'image/jpeg',
+  'image/gif',
+  'image/webp',
+  'text/plain',
+  'text/csv',
+  'application/json',
+  'application/pdf',
+  'application/zip'
+];
+
+export const MAX_ATTACHMENT_MB = 10;
+export const MAX_FILES_PER_UPLOAD = 5;
+
+/**
+ * Check whether an attachment can be shown as an image thumbnail
+ * @param {Object} attachment - Attachment or File (uses mimeType or type)
+ * @returns {boolean}
+ */
+export const isImageAttachment = (attachment) => {
+  return (attachment.mimeType || attachment.type || '').startsWith('image/');
+};
+
+/**
+ * Format a file size for display
+ * @param {number} bytes - Size in bytes
+ * @returns {string} - e.g. "512 B", "1.5 KB", "2.0 MB"
+ */
+export const formatFileSize = (bytes) => {
+  if (bytes < 1024) return `${bytes} B`;
+  if (bytes < 1024 * 1024) return `${(bytes / 1024).toFixed(1)} KB`;
+  return `${(bytes / (1024 * 1024)).toFixed(1)} MB`;
+};
+
+/**
+ * Split picked files into ones that can be uploaded and error messages for the rest
+ * @param {Array<File>} files - Newly picked files
+ * @param {number} alreadySelected - Files already waiting to upload
+ * @returns {Object} - { accepted: File[], errors: string[] }
+ */
+export const validateAttachmentFiles = (files, alreadySelected = 0) => {
+  const accepted = [];
+  const errors = [];
+
+  files.forEach(file => {
+    if (!ATTACHMENT_TYPES.includes(file.type)) {
+      errors.push(`${file.name}: this file type can't be attached`);
+    } else if (file.size > MAX_ATTACHMENT_MB * 1024 * 1024) {
+      errors.push(`${file.name}: files can't be larger than ${MAX_ATTACHMENT_MB} MB`);
+    } else if (alreadySelected + accepted.length >= MAX_FILES_PER_UPLOAD) {
+      errors.push(`${file.name}: up to ${MAX_FILES_PER_UPLOAD} files can be attached at once`);
+    } else {
+      accepted.push(file);
+    }
+  });
+
+  return { accepted, errors };
+};
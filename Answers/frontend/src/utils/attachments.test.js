@@ -0,0 +1,38 @@
+import { isImageAttachment, formatFileSize, validateAttachmentFiles, MAX_FILES_PER_UPLOAD } from './attachments';
+
+const makeFile = (name, type, size = 100) => ({ name, type, size });
+
+describe('attachment helpers', () => {
+  test('isImageAttachment checks uploaded attachments and picked files', () => {
+    expect(isImageAttachment({ mimeType: 'image/png' })).toBe(true);
+    expect(isImageAttachment(makeFile('shot.jpg', 'image/jpeg'))).toBe(true);
+    expect(isImageAttachment({ mimeType: 'text/plain' })).toBe(false);
+  });
+
+  test('formatFileSize picks a readable unit', () => {
+    expect(formatFileSize(512)).toBe('512 B');
+    expect(formatFileSize(1536)).toBe('1.5 KB');
+    expect(formatFileSize(2 * 1024 * 1024)).toBe('2.0 MB');
+  });
+
+  test('validateAttachmentFiles rejects unknown types and large files', () => {
+    const { accepted, errors } = validateAttachmentFiles([
+      makeFile('shot.png', 'image/png'),
+      makeFile('page.html', 'text/html'),
+      makeFile('dump.zip', 'application/zip', 50 * 1024 * 1024)
+    ]);
+
+    expect(accepted.map(file => file.name)).toEqual(['shot.png']);
+    expect(errors).toHaveLength(2);
+    expect(errors[0]).toMatch(/page\.html/);
+  });
+
+  test('validateAttachmentFiles stops at the per-upload limit', () => {
+    const files = Array.from({ length: 3 }, (_, i) => makeFile(`log${i}.txt`, 'text/plain'));
+
+    const { accepted, errors } = validateAttachmentFiles(files, MAX_FILES_PER_UPLOAD - 1);
+
+    expect(accepted).toHaveLength(1);
+    expect(errors).toHaveLength(2);
+  });
+});
@@ -0,0 +1,26 @@
+/**
+ * Helpers for editing an existing bug through BugForm
+ */
+
+// Fields BugForm edits that the server lets you change; the reporter and project are fixed
+export const EDITABLE_FIELDS = ['title', 'description', 'component', 'priority', 'assignedTo', 'tags'];
+
+const normalize = (field, value) => {
+  if (field === 'tags') return (value || []).join(',');
+  return typeof value === 'string' ? value.trim() : (value ?? '');
+};
+
+/**
+ * Pick the editable fields whose value differs from the original bug
+ * @param {Object} original - Bug the form was opened with
+ * @param {Object} edited - Submitted form data
+ * @returns {Object} - Only the changed fields, with their new values
+ */
+export const getChangedFields = (original, edited) => {
+  return EDITABLE_FIELDS.reduce((changes, field) => {
+    if (field in edited && normalize(field, edited[field]) !== normalize(field, original[field])) {
+      changes[field] = edited[field];
+    }
+    return changes;
+  }, {});
+};
@@ -0,0 +1,33 @@
+import { getChangedFields } from './bugEdit';
+
+describe('bugEdit', () => {
+  const bug = {
+    id: '1',
+    title: 'Crash on save',
+    description: 'The editor crashes when saving',
+    priority: 'high',
+    reporter: 'Jane',
+    tags: ['editor', 'crash']
+  };
+
+  test('getChangedFields returns only the edited fields', () => {
+    const edited = {
+      title: 'Crash on save ',
+      description: 'The editor crashes when saving large files',
+      priority: 'high',
+      reporter: 'Someone else',
+      assignedTo: '',
+      tags: ['editor', 'crash']
+    };
+
+    expect(getChangedFields(bug, edited)).toEqual({
+      description: 'The editor crashes when saving large files'
+    });
+  });
+
+  test('getChangedFields notices added assignees and changed tags', () => {
+    const changes = getChangedFields(bug, { assignedTo: 'Sam', tags: ['editor'] });
+
+    expect(changes).toEqual({ assignedTo: 'Sam', tags: ['editor'] });
+  });
+});
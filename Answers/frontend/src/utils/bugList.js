@@ -0,0 +1,96 @@
+/**
+ * Helpers for keeping the loaded bug list in sync with changes
+ * that didn't come from the current list request.
+ */
+
+/**
+ * Replace a bug in the list, or add it to the top if it isn't there yet
+ * @param {Array} bugs - Current bugs
+ * @param {Object} bug - New or changed bug
+ * @returns {Array} - Updated bugs
+ */
+export const upsertBug = (bugs, bug) => {
+  if (bugs.some(existing => existing.id === bug.id)) {
+    return bugs.map(existing => (existing.id === bug.id ? bug : existing));
+  }
+  return [bug, ...bugs];
+};
+
+/**
+ * Remove a bug from the list
+ * @param {Array} bugs - Current bugs
+ * @param {string} id - Bug ID
+ * @returns {Array} - Updated bugs
+ */
+export const removeBug = (bugs, id) => bugs.filter(bug => bug.id !== id);
+
+/**
+ * Check whether a bug belongs in a list with the given project, component, status and priority filters.
+ * Only the server can evaluate a filter expression, so it is not checked here.
+ * @param {Object} bug - Bug
+ * @param {Object} filter - Active filters
+ * @returns {boolean}
+ */
+export const matchesFilter = (bug, filter) => {
+  return (!filter.project || bug.project === filter.project) &&
+    (!filter.component || bug.component === filter.component) &&
+    (!filter.status || bug.status === filter.status) &&
+    (!filter.priority || bug.priority === filter.priority);
+};
+
+/**
+ * Decide how a live bug event changes the loaded list
+ * @param {string} type - created | updated | restored | deleted
+ * @param {Object} bug - Bug from the event ({ id } for deletions)
+ * @param {Object} filter - Active filters
+ * @param {boolean} isListed - Whether the bug is in the loaded list
+ * @returns {string|null} - 'add', 'update' or 'remove', or null to leave the list alone
+ */
+export const getBugEventAction = (type, bug, filter, isListed) => {
+  if (type === 'deleted' || !matchesFilter(bug, filter)) {
+    // An update can move a listed bug out of the current filters
+    return isListed ? 'remove' : null;
+  }
+  if (isListed) {
+    return 'update';
+  }
+  // Search results are ranked, and filter expressions evaluated, by the server,
+  // so new bugs only appear after the next load
+  if ((type === 'created' || type === 'restored') && !filter.q && !filter.filter) {
+    return 'add';
+  }
+  return null;
+};
+
+// List filters and sort kept in the URL query string, so links and history restore them
+export const FILTER_PARAMS = ['project', 'component', 'status', 'priority', 'q', 'filter', 'sortBy'];
+
+/**
+ * Read the list filters from the URL query string
+ * @param {URLSearchParams} searchParams - Current query string
+ * @returns {Object} - { project, component, status, priority, q, filter, sortBy }, empty strings when unset
+ */
+export const readFilterParams = (searchParams) => {
+  return FILTER_PARAMS.reduce((filter, name) => ({
+    ...filter,
+    [name]: searchParams.get(name) || ''
+  }), {});
+};
+
+/**
+ * Apply changes to a query string, dropping parameters that were cleared
+ * @param {URLSearchParams} searchParams - Current query string
+ * @param {Object} changes - Parameters to set; empty values remove them
+ * @returns {URLSearchParams} - New query string
+ */
+export const updateSearchParams = (searchParams, changes) => {
+  const next = new URLSearchParams(searchParams);
+  Object.entries(changes).forEach(([name, value]) => {
+    if (value) {
+      next.set(name, value);
+    } else {
+      next.delete(name);
+    }
+  });
+  return next;
+};
@@ -0,0 +1,93 @@
+import {
+  upsertBug,
+  removeBug,
+  matchesFilter,
+  getBugEventAction,
+  readFilterParams,
+  updateSearchParams
+} from './bugList';
+
+describe('bugList', () => {
+  const bugs = [
+    { id: '1', title: 'First', status: 'open', priority: 'low' },
+    { id: '2', title: 'Second', status: 'resolved', priority: 'high' }
+  ];
+
+  test('upsertBug replaces a known bug in place', () => {
+    const updated = upsertBug(bugs, { ...bugs[1], title: 'Changed' });
+
+    expect(updated).toHaveLength(2);
+    expect(updated[1].title).toBe('Changed');
+  });
+
+  test('upsertBug adds an unknown bug to the top', () => {
+    const updated = upsertBug(bugs, { id: '3', title: 'Third' });
+
+    expect(updated.map(bug => bug.id)).toEqual(['3', '1', '2']);
+  });
+
+  test('removeBug drops the bug with the given id', () => {
+    expect(removeBug(bugs, '1').map(bug => bug.id)).toEqual(['2']);
+  });
+
+  test('matchesFilter checks status and priority filters', () => {
+    expect(matchesFilter(bugs[0], { status: '', priority: '' })).toBe(true);
+    expect(matchesFilter(bugs[0], { status: 'open', priority: 'low' })).toBe(true);
+    expect(matchesFilter(bugs[0], { status: 'resolved', priority: '' })).toBe(false);
+  });
+
+  test('matchesFilter checks the project and component', () => {
+    const bug = { ...bugs[0], project: 'p1', component: 'c1' };
+
+    expect(matchesFilter(bug, { project: 'p1', component: '' })).toBe(true);
+    expect(matchesFilter(bug, { project: 'p2', component: '' })).toBe(false);
+    expect(matchesFilter(bug, { project: 'p1', component: 'c2' })).toBe(false);
+  });
+
+  test('matchesFilter leaves the filter expression to the server', () => {
+    expect(matchesFilter(bugs[0], { status: 'open', priority: '', filter: 'tag:ui' })).toBe(true);
+    expect(matchesFilter(bugs[0], { status: 'resolved', priority: '', filter: 'tag:ui' })).toBe(false);
+  });
+
+  test('getBugEventAction updates a listed bug in place while a filter expression is active', () => {
+    const filter = { status: '', priority: '', filter: 'assignee:me' };
+
+    expect(getBugEventAction('updated', { ...bugs[0], title: 'Changed' }, filter, true)).toBe('update');
+  });
+
+  test('getBugEventAction does not add unlisted bugs while a filter expression or search is active', () => {
+    expect(getBugEventAction('created', bugs[0], { filter: 'assignee:me' }, false)).toBeNull();
+    expect(getBugEventAction('created', bugs[0], { q: 'first' }, false)).toBeNull();
+    expect(getBugEventAction('updated', bugs[0], {}, false)).toBeNull();
+    expect(getBugEventAction('created', bugs[0], {}, false)).toBe('add');
+  });
+
+  test('getBugEventAction removes listed bugs that are deleted or no longer match', () => {
+    expect(getBugEventAction('deleted', { id: '1' }, {}, true)).toBe('remove');
+    expect(getBugEventAction('deleted', { id: '3' }, {}, false)).toBeNull();
+    expect(getBugEventAction('updated', bugs[0], { status: 'resolved' }, true)).toBe('remove');
+  });
+
+  test('readFilterParams reads the filters from the query string', () => {
+    const params = new URLSearchParams('status=open&q=login&filter=tag%3Aui&expanded=1');
+
+    expect(readFilterParams(params)).toEqual({
+      project: '',
+      component: '',
+      status: 'open',
+      priority: '',
+      q: 'login',
+      filter: 'tag:ui',
+      sortBy: ''
+    });
+  });
+
+  test('updateSearchParams sets changed values and drops cleared ones', () => {
+    const params = new URLSearchParams('status=open&priority=high');
+
+    const next = updateSearchParams(params, { status: '', expanded: '42' });
+
+    expect(next.toString()).toBe('priority=high&expanded=42');
+    expect(params.toString()).toBe('status=open&priority=high');
+  });
+});
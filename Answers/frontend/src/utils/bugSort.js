@@ -0,0 +1,75 @@
+/**
+ * Helpers for sorting the bug list from its column headers.
+ * Sorts are strings like '-priority,created': comma separated keys,
+ * a leading - meaning descending, as the server's sortBy parameter expects.
+ */
+
+// Columns the list can be sorted by; the server only accepts these keys
+export const SORT_COLUMNS = [
+  { key: 'created', label: 'Created' },
+  { key: 'updated', label: 'Updated' },
+  { key: 'priority', label: 'Priority' },
+  { key: 'status', label: 'Status' },
+  { key: 'title', label: 'Title' }
+];
+
+export const DEFAULT_SORT = '-created';
+
+// The server rejects sorts with more keys than this
+export const MAX_SORT_KEYS = 3;
+
+// Newest, most recently changed and most severe first; status and title read best A→Z
+const DESCENDING_FIRST = ['created', 'updated', 'priority'];
+
+/**
+ * Split a sort string into its keys
+ * @param {string} sortBy - Sort string, e.g. '-priority,created'
+ * @returns {Array<Object>} - List of { key, direction: 'asc' | 'desc' }
+ */
+export const parseSort = (sortBy = '') => {
+  return sortBy
+    .split(',')
+    .filter(Boolean)
+    .map(part => ({
+      key: part.replace(/^[-+]/, ''),
+      direction: part.startsWith('-') ? 'desc' : 'asc'
+    }));
+};
+
+/**
+ * Join sort keys back into a sort string
+ * @param {Array<Object>} keys - List of { key, direction }
+ * @returns {string} - Sort string
+ */
+export const formatSort = (keys) => {
+  return keys.map(({ key, direction }) => `${direction === 'desc' ? '-' : ''}${key}`).join(',');
+};
+
+/**
+ * Work out the sort after a column header is clicked.
+ * A plain click sorts by that column alone, flipping it if it already leads the sort.
+ * With append (shift-click) the column is added as a tie-breaker, or flipped where it is.
+ * @param {string} sortBy - Current sort string ('' when the list is in its default order)
+ * @param {string} key - Clicked column
+ * @param {Object} options - { append } to keep the current keys
+ * @returns {string} - New sort string
+ */
+export const toggleSort = (sortBy, key, { append = false } = {}) => {
+  const keys = parseSort(sortBy);
+  const existing = keys.find(item => item.key === key);
+  const flip = (item) => ({ key: item.key, direction: item.direction === 'desc' ? 'asc' : 'desc' });
+  const added = { key, direction: DESCENDING_FIRST.includes(key) ? 'desc' : 'asc' };
+
+  if (append) {
+    if (existing) {
+      return formatSort(keys.map(item => (item.key === key ? flip(item) : item)));
+    }
+    // Replace the last tie-breaker rather than go over the limit
+    return formatSort([...keys.slice(0, MAX_SORT_KEYS - 1), added]);
+  }
+
+  if (existing && keys[0].key === key) {
+    return formatSort([flip(existing)]);
+  }
+  return formatSort([added]);
+};
@@ -0,0 +1,33 @@
+import { MAX_SORT_KEYS, parseSort, formatSort, toggleSort } from './bugSort';
+
+describe('bugSort', () => {
+  test('parseSort and formatSort round-trip a sort string', () => {
+    expect(parseSort('-priority,title')).toEqual([
+      { key: 'priority', direction: 'desc' },
+      { key: 'title', direction: 'asc' }
+    ]);
+    expect(formatSort(parseSort('-priority,title'))).toBe('-priority,title');
+    expect(parseSort('')).toEqual([]);
+  });
+
+  test('a click sorts by the column alone in its natural direction', () => {
+    expect(toggleSort('-created', 'priority')).toBe('-priority');
+    expect(toggleSort('-created,title', 'status')).toBe('status');
+    expect(toggleSort('', 'title')).toBe('title');
+  });
+
+  test('clicking the leading column flips it', () => {
+    expect(toggleSort('-priority,title', 'priority')).toBe('priority');
+  });
+
+  test('shift-click adds a tie-breaker or flips one already in the sort', () => {
+    expect(toggleSort('-priority', 'created', { append: true })).toBe('-priority,-created');
+    expect(toggleSort('-priority,-created', 'created', { append: true })).toBe('-priority,created');
+  });
+
+  test('shift-click replaces the last tie-breaker at the limit', () => {
+    const full = '-priority,status,title';
+    expect(parseSort(full)).toHaveLength(MAX_SORT_KEYS);
+    expect(toggleSort(full, 'updated', { append: true })).toBe('-priority,status,-updated');
+  });
+});
@@ -0,0 +1,90 @@
+/**
+ * Autocomplete for filter expressions such as
+ * `status:open,in-progress priority:>=high assignee:me tag:ui created:>2026-01-01`.
+ * The server parses and checks the expression; these helpers only suggest what to type next.
+ */
+
+// Fields the server understands, with the values worth suggesting for each
+export const FILTER_FIELDS = {
+  status: { values: ['open', 'in-progress', 'resolved', 'closed'] },
+  priority: { values: ['low', 'medium', 'high', 'critical'], comparable: true },
+  assignee: { values: ['me', 'none'] },
+  reporter: { values: ['me'] },
+  tag: { values: [] },
+  created: { date: true },
+  updated: { date: true },
+  resolved: { date: true }
+};
+
+const COMPARISON = /^(>=|<=|>|<)/;
+
+const MAX_SUGGESTIONS = 8;
+
+const formatDay = (date) => date.toISOString().slice(0, 10);
+
+// Recent days to offer for date fields: today, a week ago and a month ago
+const getDateSuggestions = (now) => {
+  return [0, 7, 30].map(days => formatDay(new Date(now.getTime() - days * 24 * 60 * 60 * 1000)));
+};
+
+// Values with spaces or commas have to be quoted
+const quoteValue = (value) => (/[\s,]/.test(value) ? `"${value}"` : value);
+
+/**
+ * Suggest completions for the term being typed at the end of an expression
+ * @param {string} input - Expression typed so far
+ * @param {Object} options - { values } extra values per field (e.g. tags and assignees
+ *   from the loaded bugs), and { now } for the date suggestions
+ * @returns {Array<Object>} - Suggestions ({ label, value }), value being the completed expression
+ */
+export const getFilterSuggestions = (input, { values = {}, now = new Date() } = {}) => {
+  const start = input.search(/\S*$/);
+  const before = input.slice(0, start);
+  const negated = input[start] === '-';
+  const term = input.slice(start + (negated ? 1 : 0));
+  const prefix = `${before}${negated ? '-' : ''}`;
+  const separator = term.indexOf(':');
+
+  // Still typing the field name
+  if (separator === -1) {
+    const partial = term.toLowerCase();
+    return Object.keys(FILTER_FIELDS)
+      .filter(name => name.startsWith(partial))
+      .map(name => ({ label: `${name}:`, value: `${prefix}${name}:` }));
+  }
+
+  const name = term.slice(0, separator).toLowerCase();
+  if (!Object.prototype.hasOwnProperty.call(FILTER_FIELDS, name)) return [];
+  const field = FILTER_FIELDS[name];
+
+  // Earlier values in a comma separated list are kept as they are
+  const rest = term.slice(separator + 1);
+  const listEnd = rest.lastIndexOf(',') + 1;
+  const chosen = rest.slice(0, listEnd);
+  let partial = rest.slice(listEnd);
+
+  // Comparisons only apply to a single value on ordered fields and dates
+  let comparison = '';
+  if (listEnd === 0 && (field.comparable || field.date)) {
+    const match = partial.match(COMPARISON);
+    if (match) {
+      comparison = match[1];
+      partial = partial.slice(comparison.length);
+    }
+  }
+
+  const taken = chosen.split(',').filter(Boolean);
+  const candidates = field.date
+    ? getDateSuggestions(now)
+    : [...new Set([...field.values, ...(values[name] || [])])];
+
+  return candidates
+    .map(quoteValue)
+    .filter(value => !taken.includes(value))
+    .filter(value => value.toLowerCase().startsWith(partial.toLowerCase()) && value !== partial)
+    .slice(0, MAX_SUGGESTIONS)
+    .map(value => ({
+      label: `${comparison}${value}`,
+      value: `${prefix}${name}:${chosen}${comparison}${value}`
+    }));
+};
@@ -0,0 +1,50 @@
+import { getFilterSuggestions } from './filterExpression';
+
+describe('filterExpression', () => {
+  const now = new Date('2026-03-31T12:00:00Z');
+  const labels = (input, options) => getFilterSuggestions(input, { now, ...options }).map(s => s.label);
+
+  test('suggests every field for an empty term', () => {
+    expect(labels('')).toEqual([
+      'status:', 'priority:', 'assignee:', 'reporter:', 'tag:', 'created:', 'updated:', 'resolved:'
+    ]);
+  });
+
+  test('suggests fields matching the start of the term', () => {
+    expect(getFilterSuggestions('status:open re')).toEqual([
+      { label: 'reporter:', value: 'status:open reporter:' },
+      { label: 'resolved:', value: 'status:open resolved:' }
+    ]);
+  });
+
+  test('keeps a leading dash on negated terms', () => {
+    expect(getFilterSuggestions('-sta')).toEqual([{ label: 'status:', value: '-status:' }]);
+  });
+
+  test('suggests values for the field, skipping ones already in the list', () => {
+    expect(labels('status:open,')).toEqual(['in-progress', 'resolved', 'closed']);
+    expect(getFilterSuggestions('status:open,cl')).toEqual([
+      { label: 'closed', value: 'status:open,closed' }
+    ]);
+  });
+
+  test('keeps comparisons on ordered fields', () => {
+    expect(getFilterSuggestions('priority:>=h')).toEqual([
+      { label: '>=high', value: 'priority:>=high' }
+    ]);
+  });
+
+  test('adds extra values such as tags, quoting ones with spaces', () => {
+    expect(labels('tag:', { values: { tag: ['ui', 'needs repro'] } })).toEqual(['ui', '"needs repro"']);
+    expect(labels('assignee:', { values: { assignee: ['jane'] } })).toEqual(['me', 'none', 'jane']);
+  });
+
+  test('suggests recent days for date fields', () => {
+    expect(labels('created:>')).toEqual(['>2026-03-31', '>2026-03-24', '>2026-03-01']);
+  });
+
+  test('suggests nothing for unknown fields', () => {
+    expect(getFilterSuggestions('color:')).toEqual([]);
+    expect(getFilterSuggestions('constructor:')).toEqual([]);
+  });
+});
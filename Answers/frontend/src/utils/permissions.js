@@ -0,0 +1,83 @@
+/**
+ * Client-side mirror of the server's role rules, used to hide actions the
+ * current user can't perform. The server still enforces every rule.
+ */
+
+// Roles allowed to move a bug into a status; other statuses are open to everyone
+const STATUS_ROLES = {
+  resolved: ['developer', 'admin']
+};
+
+/**
+ * Check whether the user reported the bug
+ * @param {Object} user - Logged in user
+ * @param {Object} bug - Bug
+ * @returns {boolean}
+ */
+export const isBugReporter = (user, bug) => {
+  return Boolean(user && bug.reporterId) && String(bug.reporterId) === String(user.id);
+};
+
+/**
+ * Only admins and the original reporter can delete a bug
+ * @param {Object} user - Logged in user
+ * @param {Object} bug - Bug
+ * @returns {boolean}
+ */
+export const canDeleteBug = (user, bug) => {
+  return Boolean(user) && (user.role === 'admin' || isBugReporter(user, bug));
+};
+
+/**
+ * Admins, the bug's reporter and the uploader can delete an attachment
+ * @param {Object} user - Logged in user
+ * @param {Object} bug - Bug
+ * @param {Object} attachment - Attachment
+ * @returns {boolean}
+ */
+export const canDeleteAttachment = (user, bug, attachment) => {
+  return canDeleteBug(user, bug)
+    || (Boolean(user && attachment.uploadedById) && String(attachment.uploadedById) === String(user.id));
+};
+
+/**
+ * Bulk imports are limited to developers and admins
+ * @param {Object} user - Logged in user
+ * @returns {boolean}
+ */
+export const canImportBugs = (user) => {
+  return Boolean(user) && ['developer', 'admin'].includes(user.role);
+};
+
+/**
+ * Developers, admins and the bug's reporter can close a bug as a duplicate
+ * @param {Object} user - Logged in user
+ * @param {Object} bug - Bug
+ * @returns {boolean}
+ */
+export const canMarkDuplicate = (user, bug) => {
+  return canImportBugs(user) || isBugReporter(user, bug);
+};
+
+/**
+ * Check whether the user's role allows moving a bug into a status
+ * @param {Object} user - Logged in user
+ * @param {string} status - Requested status
+ * @returns {boolean}
+ */
+export const canSetStatus = (user, status) => {
+  if (!user) return false;
+  const roles = STATUS_ROLES[status];
+  return !roles || roles.includes(user.role);
+};
+
+/**
+ * Owners can delete their views; admins can also delete shared views
+ * @param {Object} user - Logged in user
+ * @param {Object} view - Saved view
+ * @returns {boolean}
+ */
+export const canDeleteView = (user, view) => {
+  if (!user) return false;
+  return String(view.ownerId) === String(user.id) || (view.shared && user.role === 'admin');
+};
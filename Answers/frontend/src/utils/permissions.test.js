@@ -0,0 +1,59 @@
+import { isBugReporter, canDeleteBug, canDeleteAttachment, canImportBugs, canSetStatus, canMarkDuplicate, canDeleteView } from './permissions';
+
+describe('permissions', () => {
+  const reporter = { id: 'u1', role: 'reporter' };
+  const developer = { id: 'u2', role: 'developer' };
+  const admin = { id: 'u3', role: 'admin' };
+  const bug = { id: 'b1', reporterId: 'u1' };
+
+  test('recognises the reporter of a bug', () => {
+    expect(isBugReporter(reporter, bug)).toBe(true);
+    expect(isBugReporter(developer, bug)).toBe(false);
+  });
+
+  test('lets admins and the reporter delete a bug', () => {
+    expect(canDeleteBug(reporter, bug)).toBe(true);
+    expect(canDeleteBug(admin, bug)).toBe(true);
+    expect(canDeleteBug(developer, bug)).toBe(false);
+    expect(canDeleteBug(null, bug)).toBe(false);
+  });
+
+  test('also lets the uploader delete an attachment', () => {
+    const attachment = { id: 'a1', uploadedById: 'u2' };
+
+    expect(canDeleteAttachment(developer, bug, attachment)).toBe(true);
+    expect(canDeleteAttachment(reporter, bug, attachment)).toBe(true);
+    expect(canDeleteAttachment({ id: 'u4', role: 'developer' }, bug, attachment)).toBe(false);
+  });
+
+  test('only lets developers and admins import bugs', () => {
+    expect(canImportBugs(developer)).toBe(true);
+    expect(canImportBugs(admin)).toBe(true);
+    expect(canImportBugs(reporter)).toBe(false);
+  });
+
+  test('lets developers, admins and the reporter mark a duplicate', () => {
+    expect(canMarkDuplicate(developer, bug)).toBe(true);
+    expect(canMarkDuplicate(admin, bug)).toBe(true);
+    expect(canMarkDuplicate(reporter, bug)).toBe(true);
+    expect(canMarkDuplicate({ id: 'u4', role: 'reporter' }, bug)).toBe(false);
+    expect(canMarkDuplicate(null, bug)).toBe(false);
+  });
+
+  test('only lets developers and admins resolve bugs', () => {
+    expect(canSetStatus(developer, 'resolved')).toBe(true);
+    expect(canSetStatus(admin, 'resolved')).toBe(true);
+    expect(canSetStatus(reporter, 'resolved')).toBe(false);
+    expect(canSetStatus(reporter, 'in-progress')).toBe(true);
+  });
+
+  test('lets owners delete their views and admins delete shared ones', () => {
+    const view = { ownerId: reporter.id, shared: false };
+
+    expect(canDeleteView(reporter, view)).toBe(true);
+    expect(canDeleteView(admin, view)).toBe(false);
+    expect(canDeleteView(admin, { ...view, shared: true })).toBe(true);
+    expect(canDeleteView(developer, { ...view, shared: true })).toBe(false);
+    expect(canDeleteView(null, view)).toBe(false);
+  });
+});
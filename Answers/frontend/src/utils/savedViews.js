@@ -0,0 +1,20 @@
+import { FILTER_PARAMS } from './bugList';
+
+/**
+ * Check whether a saved view is the one currently applied
+ * @param {Object} view - Saved view
+ * @param {Object} filter - Current list filters and sort
+ * @returns {boolean} - True if every filter and the sort match
+ */
+export const matchesView = (view, filter) => {
+  return FILTER_PARAMS.every(name => (view.filters[name] || '') === (filter[name] || ''));
+};
+
+/**
+ * Order views as the server does: pinned first, then by name
+ * @param {Array} views - Saved views
+ * @returns {Array} - Sorted copy
+ */
+export const sortViews = (views) => {
+  return [...views].sort((a, b) => Number(b.pinned) - Number(a.pinned) || a.name.localeCompare(b.name));
+};
@@ -0,0 +1,23 @@
+import { matchesView, sortViews } from './savedViews';
+
+describe('savedViews', () => {
+  const filter = { project: '', component: '', status: 'open', priority: 'critical', q: '', filter: '', sortBy: '' };
+
+  test('matchesView compares every filter and the sort', () => {
+    const view = { filters: { ...filter } };
+
+    expect(matchesView(view, filter)).toBe(true);
+    expect(matchesView(view, { ...filter, sortBy: '-priority' })).toBe(false);
+    expect(matchesView({ filters: { status: 'open' } }, filter)).toBe(false);
+  });
+
+  test('sortViews lists pinned views first, then by name', () => {
+    const views = [
+      { id: '1', name: 'Triage', pinned: false },
+      { id: '2', name: 'Mine', pinned: true },
+      { id: '3', name: 'Critical open', pinned: false }
+    ];
+
+    expect(sortViews(views).map(view => view.id)).toEqual(['2', '3', '1']);
+  });
+});
@@ -0,0 +1,47 @@
+/**
+ * Helpers for the trends dashboard
+ */
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Format a date as YYYY-MM-DD for date inputs and the trends API
+ * @param {Date} date - Date
+ * @returns {string}
+ */
+export const toDateInputValue = (date) => date.toISOString().slice(0, 10);
+
+/**
+ * The default dashboard range: the last 30 days, by day
+ * @param {Date} now - Current time
+ * @returns {Object} - { from, to, interval }
+ */
+export const getDefaultTrendRange = (now = new Date()) => ({
+  from: toDateInputValue(new Date(now.getTime() - 29 * DAY_MS)),
+  to: toDateInputValue(now),
+  interval: 'day'
+});
+
+/**
+ * Label a period on the chart axis
+ * @param {string} period - ISO start of the period (UTC)
+ * @param {string} interval - day | week | month
+ * @returns {string} - e.g. "Jan 15" or "Jan 2024"
+ */
+export const formatPeriodLabel = (period, interval) => {
+  const options = interval === 'month'
+    ? { month: 'short', year: 'numeric', timeZone: 'UTC' }
+    : { month: 'short', day: 'numeric', timeZone: 'UTC' };
+  return new Date(period).toLocaleDateString('en-US', options);
+};
+
+/**
+ * Format a mean time to resolve for display
+ * @param {number|null} hours - Mean hours
+ * @returns {string} - e.g. "5.5 h", "2.3 days" or "-" without data
+ */
+export const formatDuration = (hours) => {
+  if (hours === null || hours === undefined) return '-';
+  if (hours < 48) return `${hours} h`;
+  return `${(hours / 24).toFixed(1)} days`;
+};
@@ -0,0 +1,24 @@
+import { toDateInputValue, getDefaultTrendRange, formatPeriodLabel, formatDuration } from './trends';
+
+describe('trend helpers', () => {
+  test('getDefaultTrendRange covers the last 30 days including today', () => {
+    const range = getDefaultTrendRange(new Date('2024-03-31T12:00:00Z'));
+
+    expect(range).toEqual({ from: '2024-03-02', to: '2024-03-31', interval: 'day' });
+  });
+
+  test('toDateInputValue keeps only the date', () => {
+    expect(toDateInputValue(new Date('2024-01-05T23:00:00Z'))).toBe('2024-01-05');
+  });
+
+  test('formatPeriodLabel shows days or months in UTC', () => {
+    expect(formatPeriodLabel('2024-01-15T00:00:00.000Z', 'week')).toBe('Jan 15');
+    expect(formatPeriodLabel('2024-01-01T00:00:00.000Z', 'month')).toBe('Jan 2024');
+  });
+
+  test('formatDuration switches to days for long durations', () => {
+    expect(formatDuration(5.5)).toBe('5.5 h');
+    expect(formatDuration(60)).toBe('2.5 days');
+    expect(formatDuration(null)).toBe('-');
+  });
+});
@@ -0,0 +1,15 @@
+// jest.config.js - Jest configuration for the server tests
+// (mirrors the server project in the root jest.config.js, so the suite runs from here)
+
+module.exports = {
+  testEnvironment: 'node',
+  testMatch: ['<rootDir>/tests/**/*.test.js'],
+  setupFilesAfterEnv: ['<rootDir>/tests/setup.js'],
+  coverageDirectory: '<rootDir>/coverage',
+  collectCoverageFrom: [
+    'src/**/*.js',
+    '!src/config/**'
+  ],
+  verbose: true,
+  testTimeout: 10000
+};
@@ -0,0 +1,40 @@
+// app.js - Express application setup (started by server.js)
+
+const express = require('express');
+const cors = require('cors');
+const morgan = require('morgan');
+const postRoutes = require('./routes/postRoutes');
+const { errorHandler, notFound } = require('./middleware/errorHandler');
+
+const app = express();
+
+// Middleware
+app.use(cors({
+  origin: process.env.CORS_ORIGIN || 'http://localhost:3000',
+  credentials: true
+}));
+app.use(express.json());
+app.use(express.urlencoded({ extended: true }));
+
+// Logging in development
+if (process.env.NODE_ENV === 'development') {
+  app.use(morgan('dev'));
+}
+
+// Health check route
+app.get('/health', (req, res) => {
+  res.status(200).json({
+    success: true,
+    message: 'Server is running',
+    timestamp: new Date().toISOString()
+  });
+});
+
+// API Routes
+app.use('/api/posts', postRoutes);
+
+// Error handling
+app.use(notFound);
+app.use(errorHandler);
+
+module.exports = app;
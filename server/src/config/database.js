@@ -0,0 +1,26 @@
+// database.js - MongoDB connection helpers
+
+const mongoose = require('mongoose');
+
+const connectDB = async () => {
+  try {
+    const conn = await mongoose.connect(process.env.MONGODB_URI);
+
+    console.log(`MongoDB Connected: ${conn.connection.host}`);
+    return conn;
+  } catch (error) {
+    console.error(`Database Connection Error: ${error.message}`);
+    // Don't exit in test environment
+    if (process.env.NODE_ENV !== 'test') {
+      process.exit(1);
+    }
+    throw error;
+  }
+};
+
+const disconnectDB = async () => {
+  await mongoose.connection.close();
+  console.log('MongoDB Disconnected');
+};
+
+module.exports = { connectDB, disconnectDB };
@@ -0,0 +1,149 @@
+// postController.js - Route handlers for the posts API
+
+const Post = require('../models/Post');
+const { AppError } = require('../middleware/errorHandler');
+const { generateUniqueSlug } = require('../utils/slug');
+
+const DEFAULT_LIMIT = 10;
+const UPDATABLE_FIELDS = ['title', 'content', 'category', 'tags'];
+
+/**
+ * Checks whether a user wrote a post
+ */
+const isPostAuthor = (post, user) => post.author.toString() === user._id.toString();
+
+/**
+ * @desc    Get posts, newest first (optionally filtered by category)
+ * @route   GET /api/posts
+ * @access  Public
+ */
+const getPosts = async (req, res, next) => {
+  try {
+    const page = parseInt(req.query.page, 10) || 1;
+    const limit = parseInt(req.query.limit, 10) || DEFAULT_LIMIT;
+
+    const query = {};
+    if (req.query.category) query.category = req.query.category;
+
+    const posts = await Post.find(query)
+      .sort({ createdAt: -1, _id: -1 })
+      .skip((page - 1) * limit)
+      .limit(limit);
+
+    res.status(200).json(posts);
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * @desc    Get single post
+ * @route   GET /api/posts/:id
+ * @access  Public
+ */
+const getPostById = async (req, res, next) => {
+  try {
+    const post = await Post.findById(req.params.id);
+
+    if (!post) {
+      return next(new AppError('Post not found', 404));
+    }
+
+    res.status(200).json(post);
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * @desc    Create a post authored by the logged in user
+ * @route   POST /api/posts
+ * @access  Private
+ */
+const createPost = async (req, res, next) => {
+  try {
+    const slug = await generateUniqueSlug(req.body.title, (candidate) => Post.exists({ slug: candidate }));
+
+    const post = await Post.create({
+      title: req.body.title,
+      content: req.body.content,
+      category: req.body.category,
+      tags: req.body.tags || [],
+      author: req.user._id,
+      slug
+    });
+
+    console.log('Post created successfully:', post._id);
+
+    res.status(201).json(post);
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * @desc    Update a post
+ * @route   PUT /api/posts/:id
+ * @access  Private (author only)
+ */
+const updatePost = async (req, res, next) => {
+  try {
+    const post = await Post.findById(req.params.id);
+
+    if (!post) {
+      return next(new AppError('Post not found', 404));
+    }
+
+    if (!isPostAuthor(post, req.user)) {
+      return next(new AppError('Only the author can edit this post', 403));
+    }
+
+    // The slug stays stable so existing links keep working
+    UPDATABLE_FIELDS
+      .filter(field => req.body[field] !== undefined)
+      .forEach(field => post.set(field, req.body[field]));
+
+    await post.save();
+
+    console.log('Post updated successfully:', post._id);
+
+    res.status(200).json(post);
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * @desc    Delete a post
+ * @route   DELETE /api/posts/:id
+ * @access  Private (author only)
+ */
+const deletePost = async (req, res, next) => {
+  try {
+    const post = await Post.findById(req.params.id);
+
+    if (!post) {
+      return next(new AppError('Post not found', 404));
+    }
+
+    if (!isPostAuthor(post, req.user)) {
+      return next(new AppError('Only the author can delete this post', 403));
+    }
+
+    await post.deleteOne();
+
+    console.log('Post deleted successfully:', post._id);
+
+    res.status(200).json({ message: 'Post deleted successfully' });
+  } catch (error) {
+    next(error);
+  }
+};
+
+module.exports = {
+  getPosts,
+  getPostById,
+  createPost,
+  updatePost,
+  deletePost
+};
@@ -0,0 +1,40 @@
+// auth.js - Authentication middleware
+
+const User = require('../models/User');
+const { AppError } = require('./errorHandler');
+const { verifyToken } = require('../utils/auth');
+
+/**
+ * Requires a valid "Bearer <token>" header and attaches the user to req.user
+ */
+const protect = async (req, res, next) => {
+  const [scheme, token] = (req.headers.authorization || '').split(' ');
+
+  if (scheme !== 'Bearer' || !token) {
+    return next(new AppError('Not authorized, please log in', 401));
+  }
+
+  let payload;
+  try {
+    payload = verifyToken(token);
+  } catch (error) {
+    return next(new AppError('Not authorized, invalid token', 401));
+  }
+
+  try {
+    const user = await User.findById(payload.id);
+
+    if (!user) {
+      return next(new AppError('The user for this token no longer exists', 401));
+    }
+
+    req.user = user;
+    next();
+  } catch (error) {
+    next(error);
+  }
+};
+
+module.exports = {
+  protect
+};
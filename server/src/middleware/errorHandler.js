@@ -0,0 +1,119 @@
+// errorHandler.js - Error class and global error handling middleware
+
+/**
+ * Custom Error Class
+ */
+class AppError extends Error {
+  constructor(message, statusCode) {
+    super(message);
+    this.statusCode = statusCode;
+    this.status = `${statusCode}`.startsWith('4') ? 'fail' : 'error';
+    this.isOperational = true;
+
+    Error.captureStackTrace(this, this.constructor);
+  }
+}
+
+/**
+ * Handle Mongoose Validation Errors
+ */
+const handleValidationError = (err) => {
+  const errors = Object.values(err.errors).map(el => el.message);
+  const message = `Invalid input data. ${errors.join('. ')}`;
+  return new AppError(message, 400);
+};
+
+/**
+ * Handle Mongoose Cast Errors (Invalid ID)
+ */
+const handleCastError = (err) => {
+  const message = `Invalid ${err.path}: ${err.value}`;
+  return new AppError(message, 400);
+};
+
+/**
+ * Handle Mongoose Duplicate Key Errors
+ */
+const handleDuplicateFieldsDB = (err) => {
+  const field = Object.keys(err.keyValue || {})[0] || 'field';
+  const message = `Duplicate ${field}: ${err.keyValue ? err.keyValue[field] : ''}. Please use another value!`;
+  return new AppError(message, 400);
+};
+
+/**
+ * Converts known Mongoose errors into operational AppErrors
+ */
+const normalizeError = (err) => {
+  if (err.name === 'ValidationError') return handleValidationError(err);
+  if (err.name === 'CastError') return handleCastError(err);
+  if (err.code === 11000) return handleDuplicateFieldsDB(err);
+  return err;
+};
+
+/**
+ * Send detailed error in development
+ */
+const sendErrorDev = (err, res) => {
+  res.status(err.statusCode).json({
+    status: err.status,
+    message: err.message,
+    error: err.message,
+    stack: err.stack
+  });
+};
+
+/**
+ * Send limited error info in production
+ */
+const sendErrorProd = (err, res) => {
+  // Operational, trusted error: send message to client
+  // (`message` as in the bug tracker, repeated as `error`, which the posts API tests read)
+  if (err.isOperational) {
+    res.status(err.statusCode).json({
+      status: err.status,
+      message: err.message,
+      error: err.message
+    });
+  }
+  // Programming or unknown error: don't leak details
+  else {
+    res.status(500).json({
+      status: 'error',
+      message: 'Something went wrong!'
+    });
+  }
+};
+
+/**
+ * Global Error Handler Middleware
+ * Express recognises error handlers by their four parameters, so _next stays.
+ */
+const errorHandler = (err, req, res, _next) => {
+  const error = normalizeError(err);
+  error.statusCode = error.statusCode || 500;
+  error.status = error.status || 'error';
+
+  console.error('ERROR 💥:', err);
+
+  if (process.env.NODE_ENV === 'development') {
+    sendErrorDev(error, res);
+  } else {
+    sendErrorProd(error, res);
+  }
+};
+
+/**
+ * Not Found Handler
+ */
+const notFound = (req, res, next) => {
+  next(new AppError(`Route ${req.originalUrl} not found`, 404));
+};
+
+module.exports = {
+  AppError,
+  errorHandler,
+  notFound,
+  handleValidationError,
+  handleCastError,
+  handleDuplicateFieldsDB
+};
@@ -0,0 +1,97 @@
+// validation.js - Request validation rules for the posts API
+
+const { body, param, query, validationResult } = require('express-validator');
+const { AppError } = require('./errorHandler');
+
+/**
+ * Validation rules for creating a post
+ */
+const createPostValidation = [
+  body('title')
+    .trim()
+    .notEmpty().withMessage('Title is required')
+    .isLength({ max: 200 }).withMessage('Title cannot exceed 200 characters'),
+
+  body('content')
+    .trim()
+    .notEmpty().withMessage('Content is required'),
+
+  body('category')
+    .notEmpty().withMessage('Category is required')
+    .isMongoId().withMessage('Invalid category ID format'),
+
+  body('tags')
+    .optional()
+    .isArray().withMessage('Tags must be an array')
+];
+
+/**
+ * Validation rules for updating a post
+ */
+const updatePostValidation = [
+  body('title')
+    .optional()
+    .trim()
+    .notEmpty().withMessage('Title cannot be empty')
+    .isLength({ max: 200 }).withMessage('Title cannot exceed 200 characters'),
+
+  body('content')
+    .optional()
+    .trim()
+    .notEmpty().withMessage('Content cannot be empty'),
+
+  body('category')
+    .optional()
+    .isMongoId().withMessage('Invalid category ID format'),
+
+  body('tags')
+    .optional()
+    .isArray().withMessage('Tags must be an array')
+];
+
+/**
+ * Validation rules for post ID parameter
+ */
+const postIdValidation = [
+  param('id')
+    .isMongoId().withMessage('Invalid post ID format')
+];
+
+/**
+ * Validation rules for listing posts
+ */
+const postQueryValidation = [
+  query('category')
+    .optional()
+    .isMongoId().withMessage('Invalid category ID format'),
+
+  query('page')
+    .optional()
+    .isInt({ min: 1 }).withMessage('Page must be a positive integer'),
+
+  query('limit')
+    .optional()
+    .isInt({ min: 1, max: 100 }).withMessage('Limit must be between 1 and 100')
+];
+
+/**
+ * Middleware to check validation results
+ */
+const validateRequest = (req, res, next) => {
+  const errors = validationResult(req);
+
+  if (!errors.isEmpty()) {
+    const errorMessages = errors.array().map(err => err.msg);
+    return next(new AppError(errorMessages.join(', '), 400));
+  }
+
+  next();
+};
+
+module.exports = {
+  createPostValidation,
+  updatePostValidation,
+  postIdValidation,
+  postQueryValidation,
+  validateRequest
+};
@@ -0,0 +1,55 @@
+// Post.js - Mongoose model for blog posts
+
+const mongoose = require('mongoose');
+const { slugify } = require('../utils/slug');
+
+const postSchema = new mongoose.Schema({
+  title: {
+    type: String,
+    required: [true, 'Title is required'],
+    trim: true,
+    maxlength: [200, 'Title cannot exceed 200 characters']
+  },
+  content: {
+    type: String,
+    required: [true, 'Content is required']
+  },
+  slug: {
+    type: String,
+    required: true,
+    unique: true,
+    lowercase: true,
+    trim: true
+  },
+  author: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: [true, 'Author is required']
+  },
+  category: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Category',
+    required: [true, 'Category is required']
+  },
+  tags: [{
+    type: String,
+    trim: true
+  }]
+}, {
+  timestamps: true
+});
+
+// Index for listing posts by category, newest first
+postSchema.index({ category: 1, createdAt: -1 });
+
+// Fall back to a slug derived from the title
+postSchema.pre('validate', function(next) {
+  if (!this.slug && this.title) {
+    this.slug = slugify(this.title);
+  }
+  next();
+});
+
+const Post = mongoose.model('Post', postSchema);
+
+module.exports = Post;
@@ -0,0 +1,31 @@
+// postRoutes.js - Routes for the posts API
+
+const express = require('express');
+const router = express.Router();
+const {
+  getPosts,
+  getPostById,
+  createPost,
+  updatePost,
+  deletePost
+} = require('../controllers/postController');
+
+const {
+  createPostValidation,
+  updatePostValidation,
+  postIdValidation,
+  postQueryValidation,
+  validateRequest
+} = require('../middleware/validation');
+const { protect } = require('../middleware/auth');
+
+router.route('/')
+  .get(postQueryValidation, validateRequest, getPosts)
+  .post(protect, createPostValidation, validateRequest, createPost);
+
+router.route('/:id')
+  .get(postIdValidation, validateRequest, getPostById)
+  .put(protect, postIdValidation, updatePostValidation, validateRequest, updatePost)
+  .delete(protect, postIdValidation, validateRequest, deletePost);
+
+module.exports = router;
@@ -0,0 +1,13 @@
+// server.js - Connects to MongoDB and starts the HTTP server
+
+require('dotenv').config();
+const app = require('./app');
+const { connectDB } = require('./config/database');
+
+const PORT = process.env.PORT || 5000;
+
+connectDB().then(() => {
+  app.listen(PORT, () => {
+    console.log(`Server running in ${process.env.NODE_ENV} mode on port ${PORT}`);
+  });
+});
@@ -0,0 +1,39 @@
+// auth.js - JSON Web Token helpers for the posts API
+
+const jwt = require('jsonwebtoken');
+
+/**
+ * Returns the secret used to sign tokens
+ * @returns {string} - JWT secret
+ */
+const getJwtSecret = () => {
+  if (process.env.JWT_SECRET) return process.env.JWT_SECRET;
+
+  if (process.env.NODE_ENV === 'production') {
+    throw new Error('JWT_SECRET must be set in production');
+  }
+  return 'mern-testing-development-secret';
+};
+
+/**
+ * Generates a signed JWT for a user
+ * @param {Object} user - User document
+ * @returns {string} - Signed token
+ */
+const generateToken = (user) => {
+  return jwt.sign({ id: user._id.toString() }, getJwtSecret(), { expiresIn: '1d' });
+};
+
+/**
+ * Verifies a JWT and returns its payload
+ * @param {string} token - Signed token
+ * @returns {Object} - Token payload (throws if invalid or expired)
+ */
+const verifyToken = (token) => {
+  return jwt.verify(token, getJwtSecret());
+};
+
+module.exports = {
+  generateToken,
+  verifyToken
+};
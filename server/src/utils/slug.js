@@ -0,0 +1,45 @@
+// slug.js - URL slug helpers for posts
+
+const MAX_SLUG_LENGTH = 80;
+
+/**
+ * Turns a title into a lowercase, dash separated slug
+ * @param {string} text - Text to slugify
+ * @returns {string} - Slug
+ */
+const slugify = (text) => {
+  if (typeof text !== 'string') return '';
+
+  return text
+    .normalize('NFKD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .toLowerCase()
+    .replace(/[^a-z0-9]+/g, '-')
+    .replace(/^-+|-+$/g, '')
+    .slice(0, MAX_SLUG_LENGTH)
+    .replace(/-+$/, '');
+};
+
+/**
+ * Builds a slug that isn't taken yet by appending -2, -3, ...
+ * @param {string} text - Text to slugify
+ * @param {Function} isTaken - Async check for an existing slug
+ * @returns {Promise<string>} - Unique slug
+ */
+const generateUniqueSlug = async (text, isTaken) => {
+  const base = slugify(text) || 'post';
+  let slug = base;
+  let suffix = 2;
+
+  while (await isTaken(slug)) {
+    slug = `${base}-${suffix}`;
+    suffix += 1;
+  }
+
+  return slug;
+};
+
+module.exports = {
+  slugify,
+  generateUniqueSlug
+};
@@ -0,0 +1,4 @@
+// setup.js - Environment shared by all server tests
+
+process.env.NODE_ENV = 'test';
+process.env.JWT_SECRET = process.env.JWT_SECRET || 'test-secret';
@@ -0,0 +1,62 @@
+// errorHandler.test.js - Unit tests for the error handling middleware
+
+const { AppError, errorHandler, notFound } = require('../../src/middleware/errorHandler');
+
+const mockResponse = () => {
+  const res = {};
+  res.status = jest.fn().mockReturnValue(res);
+  res.json = jest.fn().mockReturnValue(res);
+  return res;
+};
+
+describe('errorHandler', () => {
+  beforeEach(() => {
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    console.error.mockRestore();
+  });
+
+  it('should send operational errors with their status code', () => {
+    const res = mockResponse();
+
+    errorHandler(new AppError('Post not found', 404), {}, res, jest.fn());
+
+    expect(res.status).toHaveBeenCalledWith(404);
+    expect(res.json).toHaveBeenCalledWith({ status: 'fail', message: 'Post not found', error: 'Post not found' });
+  });
+
+  it('should turn Mongoose validation errors into 400 responses', () => {
+    const res = mockResponse();
+    const err = {
+      name: 'ValidationError',
+      errors: { title: { message: 'Title is required' } }
+    };
+
+    errorHandler(err, {}, res, jest.fn());
+
+    expect(res.status).toHaveBeenCalledWith(400);
+    expect(res.json.mock.calls[0][0].message).toContain('Title is required');
+  });
+
+  it('should hide details of unexpected errors', () => {
+    const res = mockResponse();
+
+    errorHandler(new Error('boom'), {}, res, jest.fn());
+
+    expect(res.status).toHaveBeenCalledWith(500);
+    expect(res.json).toHaveBeenCalledWith({ status: 'error', message: 'Something went wrong!' });
+  });
+});
+
+describe('notFound', () => {
+  it('should forward a 404 AppError', () => {
+    const next = jest.fn();
+
+    notFound({ originalUrl: '/api/missing' }, {}, next);
+
+    expect(next.mock.calls[0][0]).toBeInstanceOf(AppError);
+    expect(next.mock.calls[0][0].statusCode).toBe(404);
+  });
+});
@@ -0,0 +1,33 @@
+// slug.test.js - Unit tests for the slug helpers
+
+const { slugify, generateUniqueSlug } = require('../../src/utils/slug');
+
+describe('slugify', () => {
+  it('should lowercase and dash-separate words', () => {
+    expect(slugify('Hello World: A Test!')).toBe('hello-world-a-test');
+  });
+
+  it('should strip accents', () => {
+    expect(slugify('Café Crème')).toBe('cafe-creme');
+  });
+
+  it('should return an empty string for non-string input', () => {
+    expect(slugify(undefined)).toBe('');
+  });
+});
+
+describe('generateUniqueSlug', () => {
+  it('should append a counter when the slug is taken', async () => {
+    const taken = new Set(['my-post', 'my-post-2']);
+
+    const slug = await generateUniqueSlug('My Post', async (candidate) => taken.has(candidate));
+
+    expect(slug).toBe('my-post-3');
+  });
+
+  it('should fall back to "post" for titles without letters or digits', async () => {
+    const slug = await generateUniqueSlug('!!!', async () => false);
+
+    expect(slug).toBe('post');
+  });
+});